@@ -0,0 +1,195 @@
+/**
+ * Stock adjustments.
+ * Stock that leaves or comes back other than by a purchase, sale or return
+ * (damaged, stolen, expired, given away, or a count that did not match) is
+ * recorded as an adjustment with a signed quantity and a reason. Pieces
+ * taken come off the product's oldest lots and pieces added go on its
+ * newest lot, as with sales and returns (see inventory.js). Each adjustment
+ * keeps its value at cost (cost_value, negative for pieces lost), which the
+ * profit and loss report shows as stock losses (see reports.js).
+ */
+const db = require('./db');
+const audit = require('./audit');
+const inventory = require('./inventory');
+const products = require('./products');
+
+const REASONS = ['damaged', 'stolen', 'expired', 'gift', 'counting_error'];
+
+function adjustmentError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const ADJUSTMENT_SELECT = `SELECT a.*, pr.name AS product_name, pr.sku
+  FROM stock_adjustments a
+  LEFT JOIN products pr ON pr.id = a.product_id`;
+
+async function getAdjustment(id, conn = db) {
+  return conn.getAsync(`${ADJUSTMENT_SELECT} WHERE a.id = ?`, [id]);
+}
+
+/**
+ * List adjustments, newest first.
+ *   filters: { productId?, reason?, startDate?, endDate? }
+ */
+async function listAdjustments(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.productId) {
+    where.push('a.product_id = ?');
+    params.push(parseInt(filters.productId, 10));
+  }
+  if (filters.reason) {
+    where.push('a.reason = ?');
+    params.push(filters.reason);
+  }
+  if (filters.startDate) {
+    where.push('substring(a.date,1,10) >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    where.push('substring(a.date,1,10) <= ?');
+    params.push(filters.endDate);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return db.allAsync(`${ADJUSTMENT_SELECT} ${whereSql} ORDER BY a.date DESC, a.id DESC`, params);
+}
+
+/**
+ * Move the stock of an adjustment row and record the movement. Resolves to
+ * the value at cost of the pieces moved (negative when taken). With
+ * { force: true } nothing is rejected (an adjustment already made
+ * elsewhere, see sync.js): pieces are taken even when the lots are short,
+ * and pieces added to a product without lots are dropped.
+ */
+async function moveStock(tx, adjustment, user, options = {}) {
+  const quantity = parseInt(adjustment.quantity, 10) || 0;
+  const movement = {
+    type: 'adjustment',
+    reference_table: 'stock_adjustments',
+    reference_id: adjustment.id,
+    date: adjustment.date,
+    note: adjustment.note ? `${adjustment.reason}: ${adjustment.note}` : adjustment.reason,
+    user
+  };
+  if (quantity > 0) {
+    const lotId = await inventory.restock(tx, adjustment.product_id, quantity, movement);
+    if (!lotId && options.force) return 0;
+    if (!lotId) throw adjustmentError(400, 'Product has no purchase lots to hold stock');
+    const lot = await tx.getAsync('SELECT unit_price FROM purchases WHERE id = ?', [lotId]);
+    return roundMoney(quantity * (parseFloat(lot.unit_price) || 0));
+  }
+  const taken = await inventory.takeStock(
+    tx,
+    [{ product_id: adjustment.product_id, name: adjustment.product_name, pcs: -quantity }],
+    { force: !!options.force, movement }
+  );
+  let value = 0;
+  for (const lot of taken) {
+    const row = await tx.getAsync('SELECT unit_price FROM purchases WHERE id = ?', [lot.id]);
+    value += lot.pcs * (parseFloat(row && row.unit_price) || 0);
+  }
+  return -roundMoney(value);
+}
+
+/**
+ * Value at cost of adjusting a product's current stock by `quantity`, the
+ * way moveStock would: pieces taken are valued at the oldest lots that hold
+ * them, pieces added at the newest lot. Negative when pieces are taken.
+ */
+async function valueAtCost(conn, productId, quantity) {
+  const lots = await conn.allAsync(
+    'SELECT id, available_stock, unit_price FROM purchases WHERE product_id = ? ORDER BY date ASC, id ASC',
+    [productId]
+  );
+  if (!lots.length || !quantity) return 0;
+  const newest = lots[lots.length - 1];
+  if (quantity > 0) return roundMoney(quantity * (parseFloat(newest.unit_price) || 0));
+  let left = -quantity;
+  let value = 0;
+  for (const lot of lots) {
+    const pcs = Math.min(left, Math.max(0, parseInt(lot.available_stock, 10) || 0));
+    value += pcs * (parseFloat(lot.unit_price) || 0);
+    left -= pcs;
+  }
+  value += left * (parseFloat(newest.unit_price) || 0);
+  return -roundMoney(value);
+}
+
+// Check adjustment input (see createAdjustment); throws err.status 400
+function normalizeAdjustment(data) {
+  const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+  if (!REASONS.includes(reason)) throw adjustmentError(400, `Reason must be one of: ${REASONS.join(', ')}`);
+  const setTo = data.available_stock !== undefined && data.available_stock !== null && data.available_stock !== '';
+  const target = setTo ? parseInt(data.available_stock, 10) : null;
+  if (setTo && !(target >= 0)) throw adjustmentError(400, 'Valid stock value is required');
+  const quantity = setTo ? null : parseInt(data.quantity, 10);
+  if (!setTo && !quantity) throw adjustmentError(400, 'A non-zero quantity is required');
+  return {
+    product_id: data.product_id,
+    name: data.name,
+    quantity,
+    target,
+    reason,
+    note: typeof data.note === 'string' ? data.note.trim() : '',
+    date: data.date || new Date().toISOString().slice(0, 10),
+    stock_take_id: data.stock_take_id || null
+  };
+}
+
+/**
+ * Record an adjustment and move its stock on tx (see createAdjustment for
+ * data). Resolves to the new adjustment's id, or null when there was
+ * nothing to adjust.
+ */
+async function adjustStock(tx, user, data) {
+  const fields = normalizeAdjustment(data);
+  const product = await products.resolveProduct(tx, { product_id: fields.product_id, name: fields.name });
+  let quantity = fields.quantity;
+  if (fields.target !== null) {
+    const lots = await tx.allAsync('SELECT available_stock FROM purchases WHERE product_id = ? FOR UPDATE', [product.id]);
+    quantity = fields.target - lots.reduce((sum, lot) => sum + (parseInt(lot.available_stock, 10) || 0), 0);
+    if (!quantity) return null;
+  }
+
+  const inserted = await tx.runAsync(
+    `INSERT INTO stock_adjustments (product_id, date, quantity, reason, note, stock_take_id, user_id, username)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [product.id, fields.date, quantity, fields.reason, fields.note, fields.stock_take_id, (user && user.id) || null, (user && user.username) || null]
+  );
+  const adjustment = { id: inserted.lastID, product_id: product.id, product_name: product.name, date: fields.date, quantity, reason: fields.reason, note: fields.note };
+  const costValue = await moveStock(tx, adjustment, user);
+  await tx.runAsync('UPDATE stock_adjustments SET cost_value = ? WHERE id = ?', [costValue, adjustment.id]);
+  return adjustment.id;
+}
+
+/**
+ * Record an adjustment and move the stock, in one transaction.
+ *   data: { product_id or name, quantity (signed pcs) or available_stock
+ *           (the stock there should be; the difference is adjusted),
+ *           reason (REASONS), note?, date?, stock_take_id? }
+ * Resolves to the adjustment, or null when available_stock is already the
+ * stock; rejects with err.status set for client errors.
+ */
+async function createAdjustment(req, data) {
+  normalizeAdjustment(data);
+  const adjustmentId = await db.transaction((tx) => adjustStock(tx, req.user, data));
+  if (!adjustmentId) return null;
+
+  const adjustment = await getAdjustment(adjustmentId);
+  audit.log(req, { table: 'stock_adjustments', recordId: adjustmentId, action: 'create', after: adjustment });
+  return adjustment;
+}
+
+module.exports = {
+  REASONS,
+  getAdjustment,
+  listAdjustments,
+  valueAtCost,
+  moveStock,
+  adjustStock,
+  createAdjustment
+};
@@ -0,0 +1,66 @@
+/**
+ * Audit trail: one audit_log row per create/update/delete on record tables,
+ * with before/after JSON, the acting user and the route that made the change.
+ * Writes are fire-and-forget; a failed audit write is logged, not surfaced.
+ */
+const db = require('./db');
+
+// Columns never copied into audit snapshots
+const OMITTED_COLUMNS = {
+  users: ['password'],
+  configuration: ['goal_pin_hash']
+};
+
+function toSnapshot(table, row) {
+  if (!row) return null;
+  const copy = { ...row };
+  (OMITTED_COLUMNS[table] || []).forEach((col) => { delete copy[col]; });
+  return JSON.stringify(copy);
+}
+
+/**
+ * Load the current row of table by id, to use as the `before` of a change.
+ * callback(err, row)
+ */
+function getRow(table, recordId, callback) {
+  db.get(`SELECT * FROM ${table} WHERE id = ?`, [recordId], callback);
+}
+
+/**
+ * Record a mutation. For create/update the `after` row is read back from
+ * the table unless passed in; for delete it is null.
+ *   entry: { table, recordId, action: 'create'|'update'|'delete', before?, after? }
+ */
+function log(req, entry) {
+  const { table, recordId, action } = entry;
+  const user = req.user || {};
+
+  const write = (after) => {
+    db.run(
+      `INSERT INTO audit_log (table_name, record_id, action, before_data, after_data, user_id, username, route)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        table,
+        String(recordId),
+        action,
+        toSnapshot(table, entry.before),
+        toSnapshot(table, after),
+        user.id || null,
+        user.username || null,
+        `${req.method} ${req.originalUrl}`
+      ],
+      (err) => {
+        if (err) console.error(`[audit] Failed to record ${action} on ${table} #${recordId}:`, err.message);
+      }
+    );
+  };
+
+  if (action === 'delete') return write(null);
+  if (entry.after !== undefined) return write(entry.after);
+  getRow(table, recordId, (err, row) => write(err ? null : row));
+}
+
+module.exports = {
+  getRow,
+  log
+};
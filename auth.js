@@ -0,0 +1,129 @@
+/**
+ * Token-based sessions.
+ * Login issues a signed JWT (with expiry) that carries a session id; the
+ * matching row in user_sessions is what logout and refresh revoke.
+ * AUTH_TOKEN_SECRET: signing secret. When unset, one is generated once and
+ * kept under the data dir so tokens survive a restart of the desktop app.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const { getBaseDir } = require('./dataPath');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || String(12 * 60 * 60), 10);
+
+let _secret = null;
+
+function getSecret() {
+  if (_secret) return _secret;
+  if (process.env.AUTH_TOKEN_SECRET) {
+    _secret = process.env.AUTH_TOKEN_SECRET;
+    return _secret;
+  }
+  const secretFile = path.join(getBaseDir(), '.auth-secret');
+  if (fs.existsSync(secretFile)) {
+    _secret = fs.readFileSync(secretFile, 'utf8').trim();
+  }
+  if (!_secret) {
+    _secret = crypto.randomBytes(48).toString('hex');
+    fs.writeFileSync(secretFile, _secret, { encoding: 'utf8', mode: 0o600 });
+  }
+  return _secret;
+}
+
+/**
+ * Open a new session for user and sign a token for it.
+ * callback(err, { token, expiresAt })
+ */
+function createSession(user, callback) {
+  const sessionId = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_SECONDS * 1000).toISOString();
+
+  // Opportunistic cleanup; expires_at is an ISO string so it compares lexically
+  db.run('DELETE FROM user_sessions WHERE expires_at < ?', [new Date().toISOString()], () => {
+    db.run(
+      'INSERT INTO user_sessions (id, user_id, expires_at) VALUES (?, ?, ?)',
+      [sessionId, user.id, expiresAt],
+      (err) => {
+        if (err) return callback(err);
+        const token = jwt.sign({ sid: sessionId }, getSecret(), {
+          subject: String(user.id),
+          expiresIn: TOKEN_TTL_SECONDS
+        });
+        callback(null, { token, expiresAt });
+      }
+    );
+  });
+}
+
+function revokeSession(sessionId, callback) {
+  db.run(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [sessionId],
+    (err) => callback(err || null)
+  );
+}
+
+// Revoke every open session of a user, e.g. once their password or role changes
+function revokeUserSessions(userId, callback) {
+  db.run(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId],
+    (err) => callback(err || null)
+  );
+}
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: rejects the request unless it carries a valid,
+ * unrevoked session token. Sets req.user and req.session.
+ */
+function authenticate(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (e) {
+    const message = e.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token';
+    return res.status(401).json({ success: false, message });
+  }
+
+  db.get(
+    `SELECT s.id AS session_id, s.expires_at, u.id, u.username, u.full_name, u.phone, u.email, u.role
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.revoked_at IS NULL`,
+    [payload.sid],
+    (err, row) => {
+      if (err) {
+        return res.status(500).json({ success: false, message: 'Database error' });
+      }
+      if (!row || String(row.id) !== payload.sub) {
+        return res.status(401).json({ success: false, message: 'Session is no longer valid' });
+      }
+      const { session_id, expires_at, ...user } = row;
+      req.user = user;
+      req.session = { id: session_id, expiresAt: expires_at };
+      next();
+    }
+  );
+}
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  authenticate
+};
@@ -0,0 +1,166 @@
+/**
+ * Cost of goods sold for sale lines (income and debts rows).
+ * Cost methods:
+ *   fifo    - every sale of a product, in date order, takes pieces from its
+ *             purchase lots oldest first; a line costs what its pieces cost
+ *   average - weighted average unit price of the product's lots bought up to
+ *             the day of the sale
+ *   latest  - unit price of the product's newest lot
+ * Lines count the pieces the customer kept (returns already taken off).
+ * Under fifo, stock adjustments that took pieces out (see adjustments.js)
+ * use up lots like sales do.
+ */
+const db = require('./db');
+
+const COST_METHODS = ['fifo', 'average', 'latest'];
+
+const day = (value) => String(value || '').slice(0, 10);
+const timeText = (value) => (value instanceof Date ? value.toISOString() : String(value || ''));
+const lineKey = (source, id) => `${source}-${id}`;
+
+// Purchase lots of the given products, oldest first
+async function loadLots(conn, productIds) {
+  if (!productIds.length) return [];
+  return conn.allAsync(
+    `SELECT id, product_id, date, pcs, unit_price, created_at FROM purchases
+     WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+     ORDER BY date ASC, id ASC`,
+    productIds
+  );
+}
+
+// Every sale line (and stock taken out by adjustments) of the given products
+// up to `end` (YYYY-MM-DD), in the order FIFO serves them
+async function loadSaleLines(conn, productIds, end) {
+  const inList = productIds.map(() => '?').join(', ');
+  const lines = [];
+  for (const [source, table] of [['income', 'income'], ['debt', 'debts']]) {
+    const rows = await conn.allAsync(
+      `SELECT id, product_id, pcs, date, created_at FROM ${table}
+       WHERE product_id IN (${inList}) AND substring(date,1,10) <= ?`,
+      [...productIds, end]
+    );
+    rows.forEach((row) => lines.push({ ...row, source }));
+  }
+  const takenOut = await conn.allAsync(
+    `SELECT id, product_id, -quantity AS pcs, date, created_at FROM stock_adjustments
+     WHERE quantity < 0 AND product_id IN (${inList}) AND substring(date,1,10) <= ?`,
+    [...productIds, end]
+  );
+  takenOut.forEach((row) => lines.push({ ...row, source: 'adjustment' }));
+  return lines.sort((a, b) => {
+    const byDate = String(a.date || '').localeCompare(String(b.date || ''));
+    if (byDate) return byDate;
+    const byCreated = timeText(a.created_at).localeCompare(timeText(b.created_at));
+    return byCreated || a.source.localeCompare(b.source) || a.id - b.id;
+  });
+}
+
+const lotRef = (lot, pcs) => ({
+  lot_id: lot.id,
+  date: lot.date,
+  unit_price: parseFloat(lot.unit_price) || 0,
+  pcs
+});
+
+function summarize(pcs, lots) {
+  const totalCost = lots.reduce((sum, lot) => sum + lot.unit_price * lot.pcs, 0);
+  return { cost_unit_price: pcs > 0 ? totalCost / pcs : 0, total_cost: totalCost, lots };
+}
+
+/**
+ * FIFO over a product's whole history: walk its sale lines in order, each
+ * taking pieces from the oldest lot that still has some. Pieces sold beyond
+ * what was ever bought are costed at the newest lot (stock that went
+ * negative, see inventory.takeStock).
+ */
+function fifoCosts(lots, saleLines) {
+  const costs = new Map();
+  const remaining = lots.map((lot) => ({ lot, left: parseInt(lot.pcs, 10) || 0 }));
+  let next = 0;
+  saleLines.forEach((line) => {
+    const pcs = parseInt(line.pcs, 10) || 0;
+    const drawn = [];
+    let left = pcs;
+    while (left > 0 && next < remaining.length) {
+      const entry = remaining[next];
+      const take = Math.min(left, entry.left);
+      if (take > 0) {
+        drawn.push(lotRef(entry.lot, take));
+        entry.left -= take;
+        left -= take;
+      }
+      if (entry.left <= 0) next += 1;
+    }
+    if (left > 0 && lots.length) {
+      const newest = lots[lots.length - 1];
+      const last = drawn[drawn.length - 1];
+      if (last && last.lot_id === newest.id) last.pcs += left;
+      else drawn.push(lotRef(newest, left));
+    }
+    costs.set(lineKey(line.source, line.id), summarize(pcs, drawn));
+  });
+  return costs;
+}
+
+function averageCost(lots, line) {
+  const bought = lots.filter((lot) => day(lot.date) <= day(line.date));
+  const basis = bought.length ? bought : lots;
+  const pcs = basis.reduce((sum, lot) => sum + (parseInt(lot.pcs, 10) || 0), 0);
+  const value = basis.reduce((sum, lot) => sum + (parseInt(lot.pcs, 10) || 0) * (parseFloat(lot.unit_price) || 0), 0);
+  const unit = pcs > 0 ? value / pcs : 0;
+  const linePcs = parseInt(line.pcs, 10) || 0;
+  return { cost_unit_price: unit, total_cost: unit * linePcs, lots: [] };
+}
+
+function latestCost(lots, line) {
+  const newest = lots.reduce((best, lot) => {
+    if (!best) return lot;
+    const byDate = String(lot.date || '').localeCompare(String(best.date || ''));
+    if (byDate) return byDate > 0 ? lot : best;
+    return timeText(lot.created_at) >= timeText(best.created_at) ? lot : best;
+  }, null);
+  const pcs = parseInt(line.pcs, 10) || 0;
+  return summarize(pcs, newest ? [lotRef(newest, pcs)] : []);
+}
+
+/**
+ * Cost sale lines: [{ source: 'income'|'debt', id, product_id, pcs, date }].
+ * Resolves to a Map keyed by `${source}-${id}` of
+ * { cost_unit_price, total_cost, lots: [{ lot_id, date, unit_price, pcs }] }
+ * where lots are the purchase lots the line drew from (empty for average).
+ * Lines without a product cost 0.
+ */
+async function costLines(lines, method = 'fifo', conn = db) {
+  const productIds = [...new Set(lines.filter((l) => l.product_id).map((l) => l.product_id))];
+  const lots = await loadLots(conn, productIds);
+  const lotsOf = (productId) => lots.filter((lot) => lot.product_id === productId);
+
+  const costs = new Map();
+  if (method === 'fifo' && productIds.length) {
+    const end = lines.reduce((max, l) => (day(l.date) > max ? day(l.date) : max), '');
+    const history = await loadSaleLines(conn, productIds, end);
+    productIds.forEach((productId) => {
+      const productLines = history.filter((l) => l.product_id === productId);
+      fifoCosts(lotsOf(productId), productLines).forEach((cost, key) => costs.set(key, cost));
+    });
+  }
+
+  const result = new Map();
+  lines.forEach((line) => {
+    const key = lineKey(line.source, line.id);
+    const pcs = parseInt(line.pcs, 10) || 0;
+    let cost;
+    if (!line.product_id) cost = summarize(pcs, []);
+    else if (method === 'fifo') cost = costs.get(key) || summarize(pcs, []);
+    else if (method === 'average') cost = averageCost(lotsOf(line.product_id), line);
+    else cost = latestCost(lotsOf(line.product_id), line);
+    result.set(key, cost);
+  });
+  return result;
+}
+
+module.exports = {
+  COST_METHODS,
+  costLines
+};
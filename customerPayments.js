@@ -0,0 +1,229 @@
+/**
+ * Customer payments.
+ * A customer paying a lump sum on several credit sales: the amount is
+ * allocated to its open debts lines, oldest first or to the debts chosen (in
+ * the order given), as debt_repayments rows linked to one customer_payments
+ * row with a combined receipt (PAY-000001). What no debt takes is kept as
+ * the customer's credit, which a later payment can draw on (use_credit).
+ * Credit available = credit kept - credit used over the customer's payments.
+ */
+const db = require('./db');
+const audit = require('./audit');
+const sync = require('./sync');
+
+function paymentError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || '').slice(0, 10));
+const receiptNumber = (prefix, id) => `${prefix}-${String(id).padStart(6, '0')}`;
+const debtNumber = (debt) => debt.receipt_number || receiptNumber('DEBT', debt.id);
+
+// Credit a customer has left from earlier payments
+async function creditBalance(conn, customerId) {
+  const row = await conn.getAsync(
+    'SELECT COALESCE(SUM(credit), 0) AS kept, COALESCE(SUM(credit_used), 0) AS used FROM customer_payments WHERE customer_id = ?',
+    [customerId]
+  );
+  return roundMoney((parseFloat(row.kept) || 0) - (parseFloat(row.used) || 0));
+}
+
+/**
+ * A payment with its customer and repayments; each repayment shows the debt
+ * it paid and that debt's balance right after it. Null when not found.
+ */
+async function getPayment(id, conn = db) {
+  const payment = await conn.getAsync(
+    `SELECT p.*, c.name AS customer_name, c.phone AS customer_phone
+     FROM customer_payments p LEFT JOIN customers c ON c.id = p.customer_id WHERE p.id = ?`,
+    [id]
+  );
+  if (!payment) return null;
+  const repayments = await conn.allAsync(
+    `SELECT r.*, d.name AS item_name, d.date AS debt_date, d.balance_owed, d.receipt_number AS debt_receipt_number, s.receipt_number AS sale_receipt_number
+     FROM debt_repayments r
+     JOIN debts d ON d.id = r.debt_id
+     LEFT JOIN sales s ON s.id = d.sale_id
+     WHERE r.customer_payment_id = ? ORDER BY r.id ASC`,
+    [payment.id]
+  );
+  // balance_owed counts every repayment; add back the ones made after this payment
+  const debtIds = [...new Set(repayments.map((r) => r.debt_id))];
+  const later = debtIds.length
+    ? await conn.allAsync(`SELECT id, debt_id, amount FROM debt_repayments WHERE debt_id IN (${debtIds.map(() => '?').join(', ')})`, debtIds)
+    : [];
+  return {
+    ...payment,
+    repayments: repayments.map(({ balance_owed: owed, ...r }) => ({
+      ...r,
+      debt_receipt_number: r.debt_receipt_number || receiptNumber('DEBT', r.debt_id),
+      balance_after: roundMoney((parseFloat(owed) || 0) + later
+        .filter((l) => l.debt_id === r.debt_id && l.id > r.id)
+        .reduce((sum, l) => sum + (parseFloat(l.amount) || 0), 0))
+    }))
+  };
+}
+
+/**
+ * List a customer's payments (or everyone's), newest first.
+ *   filters: { customerId? }
+ */
+async function listPayments(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.customerId) {
+    where.push('p.customer_id = ?');
+    params.push(parseInt(filters.customerId, 10));
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return db.allAsync(
+    `SELECT p.*, c.name AS customer_name FROM customer_payments p LEFT JOIN customers c ON c.id = p.customer_id
+     ${whereSql} ORDER BY p.payment_date DESC, p.id DESC`,
+    params
+  );
+}
+
+// The debts lines a payment goes to: the chosen ones in order, else every open one oldest first
+async function targetDebts(tx, customerId, debtIds) {
+  if (!debtIds) {
+    return tx.allAsync(
+      'SELECT * FROM debts WHERE customer_id = ? AND balance_owed > 0 ORDER BY date ASC, id ASC FOR UPDATE',
+      [customerId]
+    );
+  }
+  const debts = [];
+  for (const debtId of debtIds) {
+    const debt = typeof debtId === 'number'
+      ? await tx.getAsync('SELECT * FROM debts WHERE id = ? FOR UPDATE', [debtId])
+      : await tx.getAsync('SELECT * FROM debts WHERE receipt_number = ? ORDER BY id LIMIT 1 FOR UPDATE', [debtId]);
+    if (!debt) throw paymentError(404, `Debt ${typeof debtId === 'number' ? receiptNumber('DEBT', debtId) : debtId} not found`);
+    if (debt.customer_id !== customerId) throw paymentError(400, `Debt ${debtNumber(debt)} is not owed by this customer`);
+    if (!((parseFloat(debt.balance_owed) || 0) > 0)) throw paymentError(400, `Debt ${debtNumber(debt)} is already paid`);
+    if (!debts.some((d) => d.id === debt.id)) debts.push(debt);
+  }
+  return debts;
+}
+
+function parseDebtIds(value) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || !value.length) throw paymentError(400, 'debt_ids must be a non-empty list of debt ids');
+  // Debt ids, or receipt numbers (DEBT-000001, DEBT-3F2A-000001)
+  const ids = value.map((id) => (/^DEBT-/i.test(String(id)) ? String(id).trim().toUpperCase() : Number(id)));
+  if (ids.some((id) => (typeof id === 'number' ? !(Number.isInteger(id) && id > 0) : !/^DEBT-(?:[A-Z0-9]+-)?\d+$/.test(id)))) {
+    throw paymentError(400, 'debt_ids must be a non-empty list of debt ids');
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Record a payment from a customer and allocate it to its debts.
+ *   data: { customer_id, payment_date (YYYY-MM-DD), amount,
+ *           debt_ids? (debt ids or DEBT- receipt numbers to pay, in order; default every open debt, oldest first),
+ *           use_credit? (also draw on the customer's credit), seller_name?, note? }
+ * Resolves to { payment, credit_balance }.
+ */
+async function createPayment(req, data = {}) {
+  if (!data.customer_id || !isDay(data.payment_date) || data.amount === undefined || data.amount === null) {
+    throw paymentError(400, 'customer_id, payment_date (YYYY-MM-DD), and amount are required');
+  }
+  const amount = parseFloat(data.amount);
+  if (Number.isNaN(amount) || amount < 0 || (amount === 0 && !data.use_credit)) {
+    throw paymentError(400, 'Amount must be a positive number');
+  }
+  const debtIds = parseDebtIds(data.debt_ids);
+  const sellerName = data.seller_name || (req.user && req.user.full_name) || '';
+
+  const result = await db.transaction(async (tx) => {
+    const customer = await tx.getAsync('SELECT * FROM customers WHERE id = ? FOR UPDATE', [parseInt(data.customer_id, 10) || 0]);
+    if (!customer) throw paymentError(404, 'Customer not found');
+    const debts = await targetDebts(tx, customer.id, debtIds);
+    const owed = debts.reduce((sum, debt) => sum + (parseFloat(debt.balance_owed) || 0), 0);
+
+    // Credit only makes up what the amount does not cover
+    const creditUsed = data.use_credit ? roundMoney(Math.min(await creditBalance(tx, customer.id), Math.max(0, owed - amount))) : 0;
+    if (amount + creditUsed <= 0) {
+      throw paymentError(400, owed > 0 ? 'Customer has no credit to use' : 'Customer has no open debts to use credit on');
+    }
+
+    const inserted = await tx.runAsync(
+      `INSERT INTO customer_payments (customer_id, payment_date, amount, credit_used, seller_name, note)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [customer.id, data.payment_date, amount, creditUsed, sellerName, data.note || null]
+    );
+    const paymentId = inserted.lastID;
+
+    let left = amount + creditUsed;
+    const repaymentIds = [];
+    for (const debt of debts) {
+      const pay = roundMoney(Math.min(left, parseFloat(debt.balance_owed) || 0));
+      if (pay <= 0) break;
+      left -= pay;
+      const repayment = await tx.runAsync(
+        'INSERT INTO debt_repayments (debt_id, customer_payment_id, payment_date, amount, seller_name) VALUES (?, ?, ?, ?, ?)',
+        [debt.id, paymentId, data.payment_date, pay, sellerName]
+      );
+      await tx.runAsync('UPDATE debt_repayments SET receipt_number = ? WHERE id = ?', [await sync.receiptNumber(tx, 'REPAY', repayment.lastID), repayment.lastID]);
+      await tx.runAsync(
+        'UPDATE debts SET amount_payable_now = amount_payable_now + ?, balance_owed = balance_owed - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [pay, pay, debt.id]
+      );
+      repaymentIds.push(repayment.lastID);
+    }
+
+    const allocated = roundMoney(amount + creditUsed - left);
+    await tx.runAsync(
+      'UPDATE customer_payments SET receipt_number = ?, allocated = ?, credit = ? WHERE id = ?',
+      [await sync.receiptNumber(tx, 'PAY', paymentId), allocated, roundMoney(left), paymentId]
+    );
+    return { paymentId, repaymentIds, customerId: customer.id };
+  });
+
+  audit.log(req, { table: 'customer_payments', recordId: result.paymentId, action: 'create' });
+  result.repaymentIds.forEach((id) => audit.log(req, { table: 'debt_repayments', recordId: id, action: 'create' }));
+  return { payment: await getPayment(result.paymentId), credit_balance: await creditBalance(db, result.customerId) };
+}
+
+/**
+ * Delete a payment with its repayments: what they paid is owed again and its
+ * credit is no longer available. Refused while a later payment uses that
+ * credit. Resolves to the deleted payment, or null when not found.
+ */
+async function deletePayment(req, id) {
+  const payment = await db.transaction(async (tx) => {
+    const row = await tx.getAsync('SELECT * FROM customer_payments WHERE id = ? FOR UPDATE', [id]);
+    if (!row) return null;
+    if ((parseFloat(row.credit) || 0) > 0 && await creditBalance(tx, row.customer_id) < (parseFloat(row.credit) || 0) - 0.005) {
+      throw paymentError(409, 'Credit kept from this payment has been used; delete the payment that used it first');
+    }
+    const repayments = await tx.allAsync('SELECT * FROM debt_repayments WHERE customer_payment_id = ?', [row.id]);
+    for (const repayment of repayments) {
+      const amount = parseFloat(repayment.amount) || 0;
+      await tx.runAsync(
+        'UPDATE debts SET amount_payable_now = amount_payable_now - ?, balance_owed = balance_owed + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [amount, amount, repayment.debt_id]
+      );
+      await tx.runAsync('DELETE FROM debt_repayments WHERE id = ?', [repayment.id]);
+      await sync.recordDeletion(tx, 'debt_repayments', repayment);
+    }
+    await tx.runAsync('DELETE FROM customer_payments WHERE id = ?', [row.id]);
+    await sync.recordDeletion(tx, 'customer_payments', row);
+    return { ...row, repayments };
+  });
+  if (payment) {
+    payment.repayments.forEach((r) => audit.log(req, { table: 'debt_repayments', recordId: r.id, action: 'delete', before: r }));
+    const { repayments, ...before } = payment;
+    audit.log(req, { table: 'customer_payments', recordId: id, action: 'delete', before });
+  }
+  return payment;
+}
+
+module.exports = {
+  creditBalance,
+  getPayment,
+  listPayments,
+  createPayment,
+  deletePayment
+};
@@ -0,0 +1,591 @@
+/**
+ * Customers.
+ * A sale and its income or debts lines point to their customer, found by
+ * phone number when the sale gives one, else by name (ignoring case and
+ * surrounding spaces), or added when new; two customers may share a name
+ * when their phone numbers differ. The receipt keeps client_name /
+ * client_phone as printed. A customer's
+ * visits are its sales (a line recorded without a sale counts as one), what
+ * it spent is the total of its lines after returns, and what it owes is the
+ * balance owed on its debts; its credit is what its payments left over (see
+ * customerPayments.js). Customers entered twice under different names
+ * are merged by phone number: phones match on their last 8 digits, so
+ * "+237 6 77 12 34 56" and "677123456" are one number. Credit accounts:
+ * statements per customer and the aging of what clients owe.
+ */
+const crypto = require('crypto');
+const db = require('./db');
+const audit = require('./audit');
+const products = require('./products');
+const sync = require('./sync');
+
+const LINKED_TABLES = ['sales', 'income', 'debts'];
+
+function customerError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const day = (value) => String(value || '').slice(0, 10);
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+const receiptNumber = (prefix, id) => `${prefix}-${String(id).padStart(6, '0')}`;
+const debtNumber = (line) => line.receipt_number || receiptNumber('DEBT', line.id);
+
+// Digits a phone number is matched on (see module comment); '' without one
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length > 8 ? digits.slice(-8) : digits;
+}
+
+// What a customer bought on cash or credit lines: value, visits and last visit
+const linesBy = (table) => `(
+    SELECT customer_id, SUM(total_price) AS total, MAX(substring(date,1,10)) AS last_visit,
+      COUNT(DISTINCT sale_id) + SUM(CASE WHEN sale_id IS NULL THEN 1 ELSE 0 END) AS visits
+      ${table === 'debts' ? ', SUM(balance_owed) AS balance_owed' : ''}
+    FROM ${table} WHERE customer_id IS NOT NULL GROUP BY customer_id
+  )`;
+
+const CUSTOMER_SELECT = `SELECT c.*,
+    cash.total AS cash_total, cash.visits AS cash_visits, cash.last_visit AS cash_last_visit,
+    credit.total AS credit_total, credit.visits AS credit_visits, credit.last_visit AS credit_last_visit,
+    credit.balance_owed AS credit_balance_owed, pay.credit AS payment_credit
+  FROM customers c
+  LEFT JOIN ${linesBy('income')} cash ON cash.customer_id = c.id
+  LEFT JOIN ${linesBy('debts')} credit ON credit.customer_id = c.id
+  LEFT JOIN (
+    SELECT customer_id, SUM(credit) - SUM(credit_used) AS credit FROM customer_payments GROUP BY customer_id
+  ) pay ON pay.customer_id = c.id`;
+
+function withTotals(row) {
+  if (!row) return null;
+  const {
+    cash_total: cashTotal, cash_visits: cashVisits, cash_last_visit: cashLast,
+    credit_total: creditTotal, credit_visits: creditVisits, credit_last_visit: creditLast,
+    credit_balance_owed: owed, payment_credit: credit, ...customer
+  } = row;
+  const visits = (parseInt(cashVisits, 10) || 0) + (parseInt(creditVisits, 10) || 0);
+  const totalSpent = (parseFloat(cashTotal) || 0) + (parseFloat(creditTotal) || 0);
+  return {
+    ...customer,
+    visits,
+    total_spent: roundMoney(totalSpent),
+    outstanding_debt: roundMoney(parseFloat(owed) || 0),
+    credit_balance: roundMoney(parseFloat(credit) || 0),
+    last_visit: [cashLast, creditLast].filter(Boolean).sort().pop() || null,
+    average_basket: visits ? roundMoney(totalSpent / visits) : 0
+  };
+}
+
+async function getCustomer(id, conn = db) {
+  return withTotals(await conn.getAsync(`${CUSTOMER_SELECT} WHERE c.id = ?`, [id]));
+}
+
+/**
+ * List customers by name with what they spent and owe.
+ *   filters: { search? (name or phone), owing? (only those with debts outstanding) }
+ */
+async function listCustomers(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.search) {
+    where.push('(LOWER(c.name) LIKE ? OR c.phone LIKE ?)');
+    const like = `%${String(filters.search).trim().toLowerCase()}%`;
+    params.push(like, like);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const rows = (await db.allAsync(`${CUSTOMER_SELECT} ${whereSql} ORDER BY c.name ASC`, params)).map(withTotals);
+  return filters.owing ? rows.filter((row) => row.outstanding_debt > 0) : rows;
+}
+
+/**
+ * Purchase history of a customer, newest first: one entry per sale (or per
+ * line recorded without a sale) with its lines, total and balance owed.
+ */
+async function purchaseHistory(conn, customerId) {
+  const cash = await conn.allAsync(
+    `SELECT l.*, s.receipt_number AS sale_receipt_number FROM income l LEFT JOIN sales s ON s.id = l.sale_id WHERE l.customer_id = ? ORDER BY l.id ASC`,
+    [customerId]
+  );
+  const credit = await conn.allAsync(
+    `SELECT l.*, s.receipt_number AS sale_receipt_number FROM debts l LEFT JOIN sales s ON s.id = l.sale_id WHERE l.customer_id = ? ORDER BY l.id ASC`,
+    [customerId]
+  );
+
+  const visits = {};
+  const add = (line, saleType, prefix) => {
+    const key = line.sale_id ? `sale:${line.sale_id}` : `${prefix}:${line.id}`;
+    const visit = visits[key] || (visits[key] = {
+      sale_id: line.sale_id || null,
+      receipt_number: line.sale_receipt_number || line.receipt_number || receiptNumber(prefix, line.id),
+      sale_type: saleType,
+      date: line.date,
+      items: [],
+      total: 0,
+      balance_owed: 0
+    });
+    visit.items.push({
+      id: line.id,
+      product_id: line.product_id,
+      name: line.name,
+      pcs: line.pcs,
+      unit_price: line.unit_price,
+      total_price: line.total_price,
+      balance_owed: saleType === 'credit' ? parseFloat(line.balance_owed) || 0 : 0
+    });
+    visit.total = roundMoney(visit.total + (parseFloat(line.total_price) || 0));
+    if (saleType === 'credit') visit.balance_owed = roundMoney(visit.balance_owed + (parseFloat(line.balance_owed) || 0));
+  };
+  cash.forEach((line) => add(line, 'cash', 'INC'));
+  credit.forEach((line) => add(line, 'credit', 'DEBT'));
+
+  return Object.values(visits).sort((a, b) => String(b.date).localeCompare(String(a.date)) || (b.sale_id || 0) - (a.sale_id || 0));
+}
+
+// Customer with its totals and purchase history, or null
+async function customerProfile(id) {
+  const customer = await getCustomer(id);
+  if (!customer) return null;
+  return { ...customer, history: await purchaseHistory(db, customer.id) };
+}
+
+// Customer by name, ignoring case and surrounding spaces
+async function findByName(conn, name) {
+  const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (!key) return null;
+  return conn.getAsync('SELECT * FROM customers WHERE LOWER(name) = ? ORDER BY id ASC LIMIT 1', [key]);
+}
+
+// Validate customer fields; `partial` for updates, where only given fields are checked
+function normalizeCustomer(data, partial = false) {
+  const customer = {};
+  if (!partial || data.name !== undefined) {
+    customer.name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!customer.name) throw customerError(400, 'Name is required');
+  }
+  ['phone', 'email', 'address', 'notes'].forEach((field) => {
+    if (data[field] !== undefined) customer[field] = data[field] ? String(data[field]).trim() : null;
+  });
+  return customer;
+}
+
+// A name is taken unless both customers have a phone number and the numbers differ
+async function assertUnique(conn, customer, existing = null) {
+  if (customer.name === undefined && customer.phone === undefined) return;
+  const name = customer.name !== undefined ? customer.name : existing.name;
+  const key = phoneKey(customer.phone !== undefined ? customer.phone : existing && existing.phone);
+  const sameName = await conn.allAsync('SELECT * FROM customers WHERE LOWER(name) = ? ORDER BY id ASC', [name.toLowerCase()]);
+  const taken = sameName.find((row) => (!existing || row.id !== existing.id) && (!key || !phoneKey(row.phone) || phoneKey(row.phone) === key));
+  if (taken) {
+    throw customerError(409, `A customer named "${taken.name}" already exists${key && phoneKey(taken.phone) === key ? ' with this phone number' : ''}`);
+  }
+}
+
+/**
+ * Create a customer. data: { name, phone?, email?, address?, notes? }.
+ * Resolves to the new id.
+ */
+async function createCustomer(conn, data) {
+  const customer = normalizeCustomer(data);
+  await assertUnique(conn, customer);
+  // The phone number is part of the uuid, so namesakes created on two installs stay apart once synced
+  const key = phoneKey(customer.phone);
+  let uuid = products.nameUuid(key ? `${customer.name} ${key}` : customer.name, 'customer');
+  if (await conn.getAsync('SELECT id FROM customers WHERE uuid = ?', [uuid])) uuid = crypto.randomUUID();
+  const columns = [...Object.keys(customer), 'uuid'];
+  const inserted = await conn.runAsync(
+    `INSERT INTO customers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    [...Object.values(customer), uuid]
+  );
+  return inserted.lastID;
+}
+
+// Update the given fields of a customer; a new name goes on its receipts too. Resolves to false when it does not exist.
+async function updateCustomer(conn, id, data) {
+  const customer = normalizeCustomer(data, true);
+  const existing = await conn.getAsync('SELECT * FROM customers WHERE id = ?', [id]);
+  if (!existing) return false;
+  await assertUnique(conn, customer, existing);
+  const columns = Object.keys(customer);
+  await conn.runAsync(
+    `UPDATE customers SET ${columns.map((c) => `${c} = ?`).join(', ')}${columns.length ? ', ' : ''}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...columns.map((c) => customer[c]), existing.id]
+  );
+  if (customer.name) {
+    for (const table of LINKED_TABLES) {
+      await conn.runAsync(
+        `UPDATE ${table} SET client_name = ?, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ? AND (client_name IS NULL OR client_name <> ?)`,
+        [customer.name, existing.id, customer.name]
+      );
+    }
+  }
+  return true;
+}
+
+/**
+ * Delete a customer without sales. Resolves to the deleted row, or null when
+ * not found; rejects with 409 while sales point to it.
+ */
+async function deleteCustomer(conn, id) {
+  const customer = await conn.getAsync('SELECT * FROM customers WHERE id = ?', [id]);
+  if (!customer) return null;
+  let count = 0;
+  for (const table of LINKED_TABLES) {
+    const row = await conn.getAsync(`SELECT COUNT(*) AS count FROM ${table} WHERE customer_id = ?`, [customer.id]);
+    count += parseInt(row.count, 10) || 0;
+  }
+  if (count > 0) throw customerError(409, 'Customer has sales and cannot be deleted');
+  const payments = await conn.getAsync('SELECT COUNT(*) AS count FROM customer_payments WHERE customer_id = ?', [customer.id]);
+  if (parseInt(payments.count, 10) > 0) throw customerError(409, 'Customer has payments and cannot be deleted');
+  await conn.runAsync('DELETE FROM customers WHERE id = ?', [customer.id]);
+  return customer;
+}
+
+// Customer by phone number (see phoneKey); one with the given name first when several share it
+async function findByPhone(conn, phone, name) {
+  const key = phoneKey(phone);
+  if (!key) return null;
+  const rows = (await conn.allAsync("SELECT * FROM customers WHERE phone IS NOT NULL AND phone <> '' ORDER BY id ASC"))
+    .filter((row) => phoneKey(row.phone) === key);
+  return rows.find((row) => row.name.toLowerCase() === String(name || '').trim().toLowerCase()) || rows[0] || null;
+}
+
+/**
+ * The customer a sale refers to: by customer_id, else by client_phone, else
+ * by client_name. A namesake with another phone number is someone else: a
+ * new customer is added, as for a new name. A customer without a phone takes
+ * client_phone. Resolves to null when neither is given.
+ */
+async function resolveCustomer(conn, ref) {
+  if (ref.customer_id !== undefined && ref.customer_id !== null && ref.customer_id !== '') {
+    const customer = await conn.getAsync('SELECT * FROM customers WHERE id = ?', [parseInt(ref.customer_id, 10) || 0]);
+    if (!customer) throw customerError(400, 'Customer not found');
+    return customer;
+  }
+  const name = typeof ref.client_name === 'string' ? ref.client_name.trim() : '';
+  if (!name) return null;
+  const phone = typeof ref.client_phone === 'string' ? ref.client_phone.trim() : '';
+  const byPhone = await findByPhone(conn, phone, name);
+  if (byPhone) return byPhone;
+  const sameName = await conn.allAsync('SELECT * FROM customers WHERE LOWER(name) = ? ORDER BY id ASC', [name.toLowerCase()]);
+  const found = phoneKey(phone) ? sameName.find((row) => !phoneKey(row.phone)) : sameName[0];
+  if (found) {
+    if (!found.phone && phone) {
+      await conn.runAsync('UPDATE customers SET phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [phone, found.id]);
+      return { ...found, phone };
+    }
+    return found;
+  }
+  const id = await createCustomer(conn, { name, phone });
+  return conn.getAsync('SELECT * FROM customers WHERE id = ?', [id]);
+}
+
+/**
+ * The customer of an edited sale or line (see resolveCustomer): undefined
+ * when the edit does not name one (it keeps its customer), null when it
+ * clears the client name.
+ */
+async function editedCustomer(conn, data) {
+  if (data.customer_id === undefined && data.client_name === undefined) return undefined;
+  return resolveCustomer(conn, data);
+}
+
+/**
+ * Merge customers that share a phone number into one: their sales and lines
+ * move to the kept customer (and carry its name) and the others are deleted.
+ *   data: { phone? (only that number; default every shared number),
+ *           into? (id of the customer to keep; default the oldest) }
+ * Resolves to [{ customer, merged: [removed customers] }].
+ */
+async function mergeByPhone(req, data = {}) {
+  const onlyKey = data.phone !== undefined && data.phone !== null && data.phone !== '' ? phoneKey(data.phone) : null;
+  if (onlyKey === '') throw customerError(400, 'Phone number must contain digits');
+  const intoId = data.into !== undefined && data.into !== null && data.into !== '' ? parseInt(data.into, 10) : null;
+
+  const results = await db.transaction(async (tx) => {
+    const groups = {};
+    const rows = await tx.allAsync("SELECT * FROM customers WHERE phone IS NOT NULL AND phone <> '' ORDER BY id ASC");
+    rows.forEach((row) => {
+      const key = phoneKey(row.phone);
+      if (key && (!onlyKey || key === onlyKey)) (groups[key] = groups[key] || []).push(row);
+    });
+    const duplicates = Object.values(groups).filter((group) => group.length > 1);
+    if (onlyKey && !duplicates.length) throw customerError(404, 'No customers share this phone number');
+    if (intoId && !duplicates.some((group) => group.some((row) => row.id === intoId))) {
+      throw customerError(400, 'Customer to keep does not have a phone number shared with another customer');
+    }
+
+    const merged = [];
+    for (const group of duplicates) {
+      const kept = group.find((row) => row.id === intoId) || group[0];
+      const others = group.filter((row) => row.id !== kept.id);
+      const missing = {};
+      ['email', 'address', 'notes'].forEach((field) => {
+        const other = others.find((row) => row[field]);
+        if (!kept[field] && other) missing[field] = other[field];
+      });
+      const columns = Object.keys(missing);
+      await tx.runAsync(
+        `UPDATE customers SET ${columns.map((c) => `${c} = ?`).join(', ')}${columns.length ? ', ' : ''}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...columns.map((c) => missing[c]), kept.id]
+      );
+      for (const other of others) {
+        for (const table of LINKED_TABLES) {
+          await tx.runAsync(
+            `UPDATE ${table} SET customer_id = ?, client_name = ?, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ?`,
+            [kept.id, kept.name, other.id]
+          );
+        }
+        await tx.runAsync(
+          'UPDATE customer_payments SET customer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE customer_id = ?',
+          [kept.id, other.id]
+        );
+        await tx.runAsync('DELETE FROM customers WHERE id = ?', [other.id]);
+        await sync.recordDeletion(tx, 'customers', other);
+      }
+      merged.push({ kept, others });
+    }
+    return merged;
+  });
+
+  const merged = [];
+  for (const { kept, others } of results) {
+    others.forEach((other) => audit.log(req, { table: 'customers', recordId: other.id, action: 'delete', before: other }));
+    audit.log(req, { table: 'customers', recordId: kept.id, action: 'update', before: kept });
+    merged.push({ customer: await getCustomer(kept.id), merged: others });
+  }
+  return merged;
+}
+
+/**
+ * A customer's credit account over from..to (YYYY-MM-DD, both optional): the
+ * balance before `from`, then each credit sale (debit: what was sold; credit:
+ * what was paid at the till), repayment and return (credit: the debt it
+ * cleared) in date order with the running balance. A payment that left
+ * money over adds it as credit and one that drew on credit takes it back
+ * (see customerPayments.js), so the closing balance is what the customer
+ * owes on its debts less its credit. Resolves to null when the customer
+ * does not exist.
+ */
+async function customerStatement(id, { from, to } = {}) {
+  if ((from && !isDay(from)) || (to && !isDay(to))) throw customerError(400, 'from and to must be in YYYY-MM-DD format');
+  if (from && to && from > to) throw customerError(400, 'from must not be after to');
+  const customer = await getCustomer(id);
+  if (!customer) return null;
+
+  const lines = await db.allAsync(
+    'SELECT d.*, s.receipt_number AS sale_receipt_number FROM debts d LEFT JOIN sales s ON s.id = d.sale_id WHERE d.customer_id = ? ORDER BY d.id ASC',
+    [customer.id]
+  );
+  const repayments = await db.allAsync(
+    `SELECT r.*, p.receipt_number AS payment_receipt_number
+     FROM debt_repayments r JOIN debts d ON d.id = r.debt_id LEFT JOIN customer_payments p ON p.id = r.customer_payment_id
+     WHERE d.customer_id = ?`,
+    [customer.id]
+  );
+  const payments = await db.allAsync(
+    'SELECT * FROM customer_payments WHERE customer_id = ? AND (credit > 0 OR credit_used > 0)',
+    [customer.id]
+  );
+  const returns = await db.allAsync(
+    "SELECT r.* FROM sale_returns r JOIN debts d ON d.id = r.source_id WHERE r.source_type = 'debt' AND d.customer_id = ?",
+    [customer.id]
+  );
+
+  // Lines now show what is left after returns and count repayments as paid: put back what they had at the sale
+  const byDebt = {};
+  const forDebt = (debtId) => byDebt[debtId] || (byDebt[debtId] = { repaid: 0, refunded: 0, returned: 0, returnedPcs: 0 });
+  repayments.forEach((r) => { forDebt(r.debt_id).repaid += parseFloat(r.amount) || 0; });
+  returns.forEach((r) => {
+    const debt = forDebt(r.source_id);
+    debt.refunded += parseFloat(r.refund_amount) || 0;
+    debt.returned += parseFloat(r.return_value) || 0;
+    debt.returnedPcs += parseInt(r.pcs, 10) || 0;
+  });
+
+  const saleEntries = {};
+  lines.forEach((line) => {
+    const key = line.sale_id ? `sale:${line.sale_id}` : `debt:${line.id}`;
+    const entry = saleEntries[key] || (saleEntries[key] = {
+      date: day(line.date),
+      type: 'sale',
+      sale_id: line.sale_id || null,
+      debt_id: line.sale_id ? null : line.id,
+      receipt_number: line.sale_receipt_number || debtNumber(line),
+      items: [],
+      debit: 0,
+      credit: 0
+    });
+    const debt = forDebt(line.id);
+    entry.items.push(`${line.name} x ${(parseInt(line.pcs, 10) || 0) + debt.returnedPcs}`);
+    entry.debit += (parseFloat(line.total_price) || 0) + debt.returned;
+    entry.credit += (parseFloat(line.amount_payable_now) || 0) - debt.repaid + debt.refunded;
+  });
+  const debtReceipt = (debtId) => {
+    const line = lines.find((l) => l.id === debtId);
+    if (!line) return receiptNumber('DEBT', debtId);
+    return line.sale_receipt_number ? `${line.sale_receipt_number} (${debtNumber(line)})` : debtNumber(line);
+  };
+
+  const order = { sale: 0, credit_used: 1, repayment: 2, return: 3, credit: 4 };
+  const entries = [
+    ...Object.values(saleEntries).map(({ items, ...entry }) => ({ ...entry, description: `Credit sale: ${items.join(', ')}` })),
+    ...repayments.map((r) => ({
+      date: day(r.payment_date),
+      type: 'repayment',
+      repayment_id: r.id,
+      debt_id: r.debt_id,
+      receipt_number: r.receipt_number || receiptNumber('REPAY', r.id),
+      description: `Repayment on ${debtReceipt(r.debt_id)}${r.payment_receipt_number ? ` (payment ${r.payment_receipt_number})` : ''}`,
+      debit: 0,
+      credit: parseFloat(r.amount) || 0
+    })),
+    ...returns.map((r) => ({
+      date: day(r.date),
+      type: 'return',
+      return_id: r.id,
+      debt_id: r.source_id,
+      receipt_number: r.credit_note_number || receiptNumber('CN', r.id),
+      description: `Return of ${r.name} x ${r.pcs} on ${debtReceipt(r.source_id)}`,
+      debit: 0,
+      credit: parseFloat(r.debt_reduction) || 0
+    })),
+    ...payments.filter((p) => parseFloat(p.credit_used) > 0).map((p) => ({
+      date: day(p.payment_date),
+      type: 'credit_used',
+      payment_id: p.id,
+      receipt_number: p.receipt_number,
+      description: 'Credit used on this payment',
+      debit: parseFloat(p.credit_used) || 0,
+      credit: 0
+    })),
+    ...payments.filter((p) => parseFloat(p.credit) > 0).map((p) => ({
+      date: day(p.payment_date),
+      type: 'credit',
+      payment_id: p.id,
+      receipt_number: p.receipt_number,
+      description: 'Payment kept as credit',
+      debit: 0,
+      credit: parseFloat(p.credit) || 0
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date)
+    || order[a.type] - order[b.type]
+    || (a.repayment_id || a.return_id || a.payment_id || a.sale_id || a.debt_id) - (b.repayment_id || b.return_id || b.payment_id || b.sale_id || b.debt_id));
+
+  let balance = 0;
+  let opening = 0;
+  const inRange = [];
+  entries.forEach((entry) => {
+    balance += entry.debit - entry.credit;
+    if (from && entry.date < from) {
+      opening = balance;
+      return;
+    }
+    if (to && entry.date > to) return;
+    inRange.push({ ...entry, debit: roundMoney(entry.debit), credit: roundMoney(entry.credit), balance: roundMoney(balance) });
+  });
+
+  const debit = inRange.reduce((sum, e) => sum + e.debit, 0);
+  const credit = inRange.reduce((sum, e) => sum + e.credit, 0);
+  return {
+    customer,
+    from: from || null,
+    to: to || null,
+    opening_balance: roundMoney(opening),
+    entries: inRange,
+    totals: { debit: roundMoney(debit), credit: roundMoney(credit) },
+    closing_balance: roundMoney(opening + debit - credit)
+  };
+}
+
+const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+/**
+ * Outstanding balance owed per client, by the age of the debt at asOf
+ * (YYYY-MM-DD, default today) in 0-30, 31-60, 61-90 and 90+ days; clients
+ * owing the most first. Debts without a customer are grouped under
+ * customer_id null. Only debts dated by asOf count, each with what it owed
+ * that day: repayments and returns dated after asOf are added back (edits
+ * of a debt are not dated and show as they are now).
+ */
+async function debtAging({ asOf } = {}) {
+  const asOfDay = asOf || new Date().toISOString().slice(0, 10);
+  if (!isDay(asOfDay) || Number.isNaN(new Date(`${asOfDay}T00:00:00Z`).getTime())) {
+    throw customerError(400, 'asOf must be in YYYY-MM-DD format');
+  }
+  const asOfTime = new Date(`${asOfDay}T00:00:00Z`).getTime();
+  const debts = await db.allAsync(
+    `SELECT d.id, d.date, d.balance_owed, d.customer_id, c.name, c.phone
+     FROM debts d LEFT JOIN customers c ON c.id = d.customer_id
+     WHERE substring(d.date,1,10) <= ? ORDER BY d.date ASC, d.id ASC`,
+    [asOfDay]
+  );
+  const repaidLater = await db.allAsync(
+    'SELECT debt_id, SUM(amount) AS amount FROM debt_repayments WHERE substring(payment_date,1,10) > ? GROUP BY debt_id',
+    [asOfDay]
+  );
+  const returnedLater = await db.allAsync(
+    "SELECT source_id AS debt_id, SUM(debt_reduction) AS amount FROM sale_returns WHERE source_type = 'debt' AND substring(date,1,10) > ? GROUP BY source_id",
+    [asOfDay]
+  );
+  const addedBack = {};
+  [...repaidLater, ...returnedLater].forEach((r) => { addedBack[r.debt_id] = (addedBack[r.debt_id] || 0) + (parseFloat(r.amount) || 0); });
+  const rows = debts
+    .map((row) => ({ ...row, balance_owed: roundMoney((parseFloat(row.balance_owed) || 0) + (addedBack[row.id] || 0)) }))
+    .filter((row) => row.balance_owed > 0);
+
+  const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, b) => ({ ...buckets, [b.label]: 0 }), {});
+  const clients = {};
+  const totals = { buckets: emptyBuckets(), total: 0 };
+  rows.forEach((row) => {
+    const key = row.customer_id || 'none';
+    const client = clients[key] || (clients[key] = {
+      customer_id: row.customer_id || null,
+      client_name: row.name || null,
+      client_phone: row.phone || null,
+      buckets: emptyBuckets(),
+      total: 0,
+      debts: 0,
+      oldest_date: day(row.date)
+    });
+    const time = new Date(`${day(row.date)}T00:00:00Z`).getTime();
+    const age = Number.isNaN(time) ? 0 : Math.floor((asOfTime - time) / (24 * 60 * 60 * 1000));
+    const { label } = AGING_BUCKETS.find((b) => age <= b.maxDays);
+    const owed = row.balance_owed;
+    client.buckets[label] = roundMoney(client.buckets[label] + owed);
+    client.total = roundMoney(client.total + owed);
+    client.debts += 1;
+    totals.buckets[label] = roundMoney(totals.buckets[label] + owed);
+    totals.total = roundMoney(totals.total + owed);
+  });
+
+  return {
+    as_of: asOfDay,
+    buckets: AGING_BUCKETS.map((b) => b.label),
+    clients: Object.values(clients).sort((a, b) => b.total - a.total || String(a.client_name).localeCompare(String(b.client_name))),
+    totals
+  };
+}
+
+module.exports = {
+  phoneKey,
+  getCustomer,
+  listCustomers,
+  customerProfile,
+  findByName,
+  findByPhone,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  resolveCustomer,
+  editedCustomer,
+  mergeByPhone,
+  customerStatement,
+  debtAging
+};
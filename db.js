@@ -1,118 +1,384 @@
 /**
- * Database layer: PostgreSQL only.
- * Requires DB_HOST or DATABASE_URL to be set.
+ * Database layer: PostgreSQL, or an embedded SQLite file for the desktop build.
+ * PostgreSQL is used when DB_HOST or DATABASE_URL is set: queries go through
+ * a pg.Pool (DB_POOL_SIZE connections, default 10) and a connection that
+ * drops is discarded and replaced on the next query.
+ * Otherwise the data lives in SQLite (SQLITE_FILE, default
+ * shop-accountant.sqlite under getBaseDir()); Postgres-only SQL used by the
+ * app (SERIAL, FOR UPDATE, substring, ADD COLUMN IF NOT EXISTS) is rewritten,
+ * and CURRENT_TIMESTAMP keeps milliseconds there as it does in PostgreSQL.
+ * run/get/all take callbacks; runAsync/getAsync/allAsync return promises.
  */
+const path = require('path');
+const { getBaseDir } = require('./dataPath');
+
 function convertPlaceholders(sql) {
   let n = 0;
   return sql.replace(/\?/g, () => `$${++n}`);
 }
 
-let _run, _get, _all, _serialize, _close, _client;
+let _driver;
+let _api;
 let ready = false;
 
 function run(sql, params, callback) {
   if (typeof params === 'function') { callback = params; params = []; }
-  if (!_run) return callback(new Error('Database not initialized'));
-  _run(sql, params, callback);
+  callback = callback || (() => {});
+  if (!_api) return callback(new Error('Database not initialized'));
+  _api.run(sql, params, callback);
 }
 
 function get(sql, params, callback) {
   if (typeof params === 'function') { callback = params; params = []; }
-  if (!_get) return callback(new Error('Database not initialized'));
-  _get(sql, params, callback);
+  if (!_api) return callback(new Error('Database not initialized'));
+  _api.get(sql, params, callback);
 }
 
 function all(sql, params, callback) {
   if (typeof params === 'function') { callback = params; params = []; }
-  if (!_all) return callback(new Error('Database not initialized'));
-  _all(sql, params, callback);
+  if (!_api) return callback(new Error('Database not initialized'));
+  _api.all(sql, params, callback);
 }
 
+// Promise versions of run/get/all for an object exposing the callback API.
+// runAsync resolves to { lastID, changes }.
+function asyncFunctions(api) {
+  return {
+    runAsync: (sql, params) => new Promise((resolve, reject) => {
+      api.run(sql, params || [], function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    getAsync: (sql, params) => new Promise((resolve, reject) => {
+      api.get(sql, params || [], (err, row) => (err ? reject(err) : resolve(row || null)));
+    }),
+    allAsync: (sql, params) => new Promise((resolve, reject) => {
+      api.all(sql, params || [], (err, rows) => (err ? reject(err) : resolve(rows || [])));
+    })
+  };
+}
+
+const { runAsync, getAsync, allAsync } = asyncFunctions({ run, get, all });
+
+/**
+ * Run the queries issued (synchronously) inside fn one after another, each
+ * starting when the previous one has finished. Use transaction() when they
+ * must also succeed or fail together.
+ */
 function serialize(fn) {
-  if (_serialize) _serialize(fn);
-  else fn();
+  if (!_api) return fn();
+  const direct = _api;
+  const queue = [];
+  let running = false;
+  const next = () => {
+    if (queue.length === 0) {
+      running = false;
+      return;
+    }
+    running = true;
+    const [method, sql, params, cb] = queue.shift();
+    direct[method](sql, params, function(...args) {
+      cb.apply(this, args);
+      next();
+    });
+  };
+  const enqueue = (method) => (sql, params, cb) => {
+    queue.push([method, sql, params, cb]);
+    if (!running) next();
+  };
+  _api = { run: enqueue('run'), get: enqueue('get'), all: enqueue('all') };
+  try {
+    fn();
+  } finally {
+    _api = direct;
+  }
 }
 
 function close(callback) {
-  if (_close) _close(callback);
-  else if (callback) callback();
+  if (!_driver) {
+    if (callback) callback();
+    return;
+  }
+  const driver = _driver;
+  _driver = null;
+  _api = null;
+  ready = false;
+  driver.close(() => { if (callback) callback(); });
 }
 
-function init(callback) {
-  if (ready) return callback(null);
+/**
+ * Start a transaction on a connection of its own, so queries from other
+ * requests cannot land inside it. Calls back with tx: { run, get, all,
+ * runAsync, getAsync, allAsync } (same signatures as the module functions)
+ * plus commit(cb) and rollback(cb), either of which releases the connection.
+ */
+function begin(callback) {
+  if (!_driver) return callback(new Error('Database not initialized'));
+  _driver.begin((err, connection) => {
+    if (err) return callback(err);
+    let finished = false;
+    const finish = (statement, cb) => {
+      if (finished) return cb && cb(new Error('Transaction already finished'));
+      finished = true;
+      connection.end(statement, (err) => { if (cb) cb(err || null); });
+    };
+    const withParams = (fn) => (sql, params, cb) => {
+      if (typeof params === 'function') { cb = params; params = []; }
+      if (finished) return (cb || (() => {}))(new Error('Transaction already finished'));
+      fn(sql, params, cb || (() => {}));
+    };
+    const tx = {
+      run: withParams(connection.api.run),
+      get: withParams(connection.api.get),
+      all: withParams(connection.api.all),
+      commit: (cb) => finish('COMMIT', cb),
+      rollback: (cb) => finish('ROLLBACK', cb)
+    };
+    callback(null, Object.assign(tx, asyncFunctions(tx)));
+  });
+}
 
-  if (!process.env.DB_HOST && !process.env.DATABASE_URL) {
-    return callback(new Error('Database not configured: set DB_HOST or DATABASE_URL'));
-  }
+/**
+ * Run fn(tx) inside a transaction: commits when the promise it returns
+ * resolves, rolls back when it rejects. Resolves to fn's result.
+ */
+function transaction(fn) {
+  return new Promise((resolve, reject) => {
+    begin((err, tx) => {
+      if (err) return reject(err);
+      Promise.resolve()
+        .then(() => fn(tx))
+        .then(
+          (result) => tx.commit((err) => (err ? reject(err) : resolve(result))),
+          (fnErr) => tx.rollback((err) => {
+            if (err) console.error('Rollback failed:', err.message);
+            reject(fnErr);
+          })
+        );
+    });
+  });
+}
+
+/* ================= POSTGRESQL ================= */
 
-  const { Client } = require('pg');
-  const client = new Client({
+function poolConfig() {
+  return {
     connectionString: process.env.DATABASE_URL,
     host: process.env.DB_HOST,
     port: process.env.DB_PORT || 5432,
     database: process.env.DB_NAME,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
-    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-  });
-  _client = client;
-  client.on('error', (err) => {
-    console.error('PostgreSQL client error:', err.message);
-  });
-  client.connect((err) => {
-    if (err) return callback(err);
-    ready = true;
+    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false,
+    max: parseInt(process.env.DB_POOL_SIZE, 10) || 10,
+    idleTimeoutMillis: parseInt(process.env.DB_POOL_IDLE_TIMEOUT_MS, 10) || 30000,
+    connectionTimeoutMillis: parseInt(process.env.DB_CONNECT_TIMEOUT_MS, 10) || 10000
+  };
+}
+
+function appendReturningId(sql, pgSql) {
+  const isInsert = sql.trim().toUpperCase().startsWith('INSERT') && !sql.toUpperCase().includes('RETURNING');
+  return isInsert ? pgSql.replace(/;\s*$/, '') + ' RETURNING id' : pgSql;
+}
 
-    _run = (sql, params, cb) => {
-      const pgSql = convertPlaceholders(sql);
-      const isInsert = sql.trim().toUpperCase().startsWith('INSERT') && !sql.toUpperCase().includes('RETURNING');
-      const finalSql = isInsert ? pgSql.replace(/;\s*$/, '') + ' RETURNING id' : pgSql;
-      client.query(finalSql, params || [], (err, res) => {
+// run/get/all on a pool or a checked-out client. run's callback gets this.lastID (inserts) and this.changes (rows affected).
+function queryFunctions(queryable) {
+  return {
+    run: (sql, params, cb) => {
+      const finalSql = appendReturningId(sql, convertPlaceholders(sql));
+      queryable.query(finalSql, params || [], (err, res) => {
         const ctx = {};
         if (res && res.rows && res.rows[0] && res.rows[0].id != null) ctx.lastID = res.rows[0].id;
+        if (res) ctx.changes = res.rowCount;
         cb.call(ctx, err);
       });
-    };
-    _get = (sql, params, cb) => {
-      const pgSql = convertPlaceholders(sql);
-      client.query(pgSql, params || [], (err, res) => {
+    },
+    get: (sql, params, cb) => {
+      queryable.query(convertPlaceholders(sql), params || [], (err, res) => {
         if (err) return cb(err);
         cb(null, res.rows ? res.rows[0] : null);
       });
-    };
-    _all = (sql, params, cb) => {
-      const pgSql = convertPlaceholders(sql);
-      client.query(pgSql, params || [], (err, res) => {
+    },
+    all: (sql, params, cb) => {
+      queryable.query(convertPlaceholders(sql), params || [], (err, res) => {
         if (err) return cb(err);
         cb(null, res.rows || []);
       });
-    };
-    _serialize = (fn) => {
-      const queue = [];
-      const runOne = () => {
-        if (queue.length === 0) return;
-        const [method, sql, params, cb] = queue.shift();
-        const pgSql = convertPlaceholders(sql);
-        const isInsert = sql.trim().toUpperCase().startsWith('INSERT') && !sql.toUpperCase().includes('RETURNING');
-        const finalSql = isInsert ? pgSql.replace(/;\s*$/, '') + ' RETURNING id' : pgSql;
-        client.query(finalSql, params || [], (err, res) => {
-          const ctx = {};
-          if (res && res.rows && res.rows[0] && res.rows[0].id != null) ctx.lastID = res.rows[0].id;
-          if (method === 'run') cb.call(ctx, err);
-          else if (method === 'get') cb(err, err ? null : (res && res.rows ? res.rows[0] : null));
-          else cb(err, err ? null : (res && res.rows || []));
-          setImmediate(runOne);
+    }
+  };
+}
+
+function initPostgres(callback) {
+  const { Pool } = require('pg');
+  const pool = new Pool(poolConfig());
+  // An idle connection died (server restart, network drop): the pool drops it
+  // and opens a new one for the next query, so only log it
+  pool.on('error', (err) => {
+    console.error('PostgreSQL connection error:', err.message);
+  });
+  pool.query('SELECT 1', (err) => {
+    if (err) {
+      pool.end(() => {});
+      return callback(err);
+    }
+    callback(null, {
+      dialect: 'postgres',
+      pool,
+      api: queryFunctions(pool),
+      begin(cb) {
+        pool.connect((err, client, release) => {
+          if (err) return cb(err);
+          client.query('BEGIN', (err) => {
+            if (err) {
+              release(err);
+              return cb(err);
+            }
+            cb(null, {
+              api: queryFunctions(client),
+              end: (statement, done) => client.query(statement, (err) => {
+                // A connection that failed COMMIT/ROLLBACK is not reused
+                release(err || undefined);
+                done(err);
+              })
+            });
+          });
         });
-      };
-      const origRun = _run, origGet = _get, origAll = _all;
-      _run = (sql, params, cb) => { queue.push(['run', sql, params, cb]); if (queue.length === 1) runOne(); };
-      _get = (sql, params, cb) => { queue.push(['get', sql, params, cb]); if (queue.length === 1) runOne(); };
-      _all = (sql, params, cb) => { queue.push(['all', sql, params, cb]); if (queue.length === 1) runOne(); };
-      fn();
-      _run = origRun; _get = origGet; _all = origAll;
-      if (queue.length === 0) runOne = () => {};
+      },
+      close: (done) => pool.end(() => done())
+    });
+  });
+}
+
+/* ================= SQLITE ================= */
+
+function sqliteFile() {
+  return process.env.SQLITE_FILE
+    ? path.resolve(process.env.SQLITE_FILE)
+    : path.join(getBaseDir(), 'shop-accountant.sqlite');
+}
+
+// SQLite CURRENT_TIMESTAMP has whole seconds; sync compares updated_at with synced_at, so keep milliseconds
+const SQLITE_NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now')";
+
+// Rewrite the Postgres-only SQL the app uses into SQLite
+function toSqlite(sql) {
+  return sql
+    .replace(/\bSERIAL\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\s+FOR\s+UPDATE\b/gi, '')
+    .replace(/\bsubstring\s*\(/gi, 'substr(')
+    .replace(/\bDEFAULT\s+CURRENT_TIMESTAMP\b/gi, `DEFAULT (${SQLITE_NOW})`)
+    .replace(/\bCURRENT_TIMESTAMP\b/gi, SQLITE_NOW);
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS / DROP COLUMN IF EXISTS: check table_info instead
+const CONDITIONAL_ALTER = /^\s*ALTER\s+TABLE\s+(\w+)\s+(ADD|DROP)\s+COLUMN\s+IF\s+(?:NOT\s+)?EXISTS\s+(\w+)([\s\S]*)$/i;
+
+function sqliteQueryFunctions(database) {
+  const runStatement = (sql, params, cb) => {
+    const isInsert = /^\s*INSERT\b/i.test(sql);
+    database.run(sql, params || [], function(err) {
+      const ctx = {};
+      if (!err) {
+        if (isInsert) ctx.lastID = this.lastID;
+        ctx.changes = this.changes;
+      }
+      cb.call(ctx, err || null);
+    });
+  };
+  return {
+    run: (sql, params, cb) => {
+      const alter = sql.match(CONDITIONAL_ALTER);
+      if (!alter) return runStatement(toSqlite(sql), params, cb);
+      const [, table, action, column, rest] = alter;
+      database.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+        if (err) return cb.call({}, err);
+        const exists = columns.some((col) => col.name.toLowerCase() === column.toLowerCase());
+        if ((action.toUpperCase() === 'ADD') === exists) return cb.call({ changes: 0 }, null);
+        runStatement(`ALTER TABLE ${table} ${action.toUpperCase()} COLUMN ${column}${action.toUpperCase() === 'ADD' ? rest : ''}`, [], cb);
+      });
+    },
+    get: (sql, params, cb) => {
+      database.get(toSqlite(sql), params || [], (err, row) => cb(err || null, err ? null : row || null));
+    },
+    all: (sql, params, cb) => {
+      database.all(toSqlite(sql), params || [], (err, rows) => cb(err || null, err ? null : rows || []));
+    }
+  };
+}
+
+function initSqlite(callback) {
+  const sqlite3 = require('sqlite3');
+  const file = sqliteFile();
+  const database = new sqlite3.Database(file, (err) => {
+    if (err) return callback(err);
+    database.configure('busyTimeout', 5000);
+
+    // One connection: while a transaction is open, every other query waits for it
+    // to finish, and a transaction only starts once running queries are done
+    const direct = sqliteQueryFunctions(database);
+    let locked = false;
+    let inFlight = 0;
+    const waiting = [];
+    const idleWaiters = [];
+    const whenUnlocked = (fn) => {
+      if (!locked) fn();
+      else waiting.push(fn);
     };
-    _close = (cb) => client.end(() => { ready = false; if (cb) cb(); });
+    const unlock = () => {
+      locked = false;
+      while (!locked && waiting.length) waiting.shift()();
+    };
+    const track = (method) => (sql, params, cb) => whenUnlocked(() => {
+      inFlight++;
+      direct[method](sql, params, function(...args) {
+        inFlight--;
+        if (inFlight === 0) idleWaiters.splice(0).forEach((fn) => fn());
+        cb.apply(this, args);
+      });
+    });
+
+    database.exec('PRAGMA journal_mode = WAL;', (err) => {
+      if (err) console.error('SQLite: could not enable WAL mode:', err.message);
+      callback(null, {
+        dialect: 'sqlite',
+        file,
+        api: { run: track('run'), get: track('get'), all: track('all') },
+        begin(cb) {
+          whenUnlocked(() => {
+            locked = true;
+            const start = () => database.run('BEGIN IMMEDIATE', (err) => {
+              if (err) {
+                unlock();
+                return cb(err);
+              }
+              cb(null, {
+                api: direct,
+                end: (statement, done) => database.run(statement, (err) => {
+                  unlock();
+                  done(err || null);
+                })
+              });
+            });
+            if (inFlight === 0) start();
+            else idleWaiters.push(start);
+          });
+        },
+        close: (done) => database.close(() => done())
+      });
+    });
+  });
+}
+
+function init(callback) {
+  if (ready) return callback(null);
+
+  const usePostgres = !!(process.env.DB_HOST || process.env.DATABASE_URL);
+  (usePostgres ? initPostgres : initSqlite)((err, driver) => {
+    if (err) return callback(err);
+    _driver = driver;
+    _api = driver.api;
+    ready = true;
     callback(null);
   });
 }
@@ -122,8 +388,16 @@ module.exports = {
   run,
   get,
   all,
+  runAsync,
+  getAsync,
+  allAsync,
   serialize,
+  begin,
+  transaction,
   close,
-  get isPg() { return true; },
-  get client() { return _client; }
+  // 'postgres' or 'sqlite'
+  get dialect() { return _driver ? _driver.dialect : null; },
+  get isPg() { return !!_driver && _driver.dialect === 'postgres'; },
+  get pool() { return _driver ? _driver.pool : undefined; },
+  get file() { return _driver ? _driver.file : undefined; }
 };
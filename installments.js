@@ -0,0 +1,248 @@
+/**
+ * Payment schedules of credit sales.
+ * When a credit sale is created, what is left to pay after the till can be
+ * given a due date or split into installments (e.g. 4 weekly payments). The
+ * schedule keeps only the due dates and amounts. Repayments on the sale's
+ * debts lines settle the installments in due order, so what is still owed
+ * sits on the latest ones; a return takes what it took off the balance off
+ * the last installments. Edits of the lines leave the schedule as planned.
+ */
+const db = require('./db');
+
+const FREQUENCIES = { weekly: { days: 7 }, biweekly: { days: 14 }, monthly: { months: 1 } };
+const MAX_INSTALLMENTS = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function installmentError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const day = (value) => String(value || '').slice(0, 10);
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+const today = () => new Date().toISOString().slice(0, 10);
+
+// date plus n periods of the frequency; a monthly date past the end of a month falls on its last day
+function addPeriods(date, frequency, n) {
+  const start = new Date(`${date}T00:00:00Z`);
+  if (frequency.days) return new Date(start.getTime() + n * frequency.days * DAY_MS).toISOString().slice(0, 10);
+  const month = start.getUTCMonth() + n * frequency.months;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Schedule of a new credit sale from its data: [{ installment_number,
+ * due_date, amount }], empty when it gives neither due_date nor
+ * installment_plan. balance is what is left to pay after the till.
+ *   data: { due_date? (YYYY-MM-DD, the whole balance)
+ *           installment_plan?: { count, frequency?: 'weekly'|'biweekly'|'monthly' (default weekly),
+ *                                first_due_date? (default one period after the sale) } }
+ * Throws err.status 400 for invalid plans.
+ */
+function planSchedule(data, saleDate, balance) {
+  const hasDueDate = data.due_date !== undefined && data.due_date !== null && data.due_date !== '';
+  const plan = data.installment_plan;
+  if (!hasDueDate && !plan) return [];
+  if (hasDueDate && plan) throw installmentError(400, 'Give either due_date or installment_plan, not both');
+  if (!(balance > 0)) throw installmentError(400, 'Nothing is left to pay on this sale to schedule');
+  const start = day(saleDate);
+  if (!isDay(start)) throw installmentError(400, 'Sale date must be in YYYY-MM-DD format to schedule payments');
+
+  if (hasDueDate) {
+    if (!isDay(data.due_date)) throw installmentError(400, 'due_date must be in YYYY-MM-DD format');
+    if (data.due_date < start) throw installmentError(400, 'due_date must not be before the sale date');
+    return [{ installment_number: 1, due_date: data.due_date, amount: roundMoney(balance) }];
+  }
+
+  if (typeof plan !== 'object') throw installmentError(400, 'installment_plan must be an object');
+  const count = Number(plan.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_INSTALLMENTS) {
+    throw installmentError(400, `installment_plan.count must be a whole number from 1 to ${MAX_INSTALLMENTS}`);
+  }
+  const frequencyName = plan.frequency || 'weekly';
+  const frequency = FREQUENCIES[frequencyName];
+  if (!frequency) throw installmentError(400, `installment_plan.frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+  if (plan.first_due_date !== undefined && plan.first_due_date !== null && plan.first_due_date !== '') {
+    if (!isDay(plan.first_due_date)) throw installmentError(400, 'installment_plan.first_due_date must be in YYYY-MM-DD format');
+    if (plan.first_due_date < start) throw installmentError(400, 'installment_plan.first_due_date must not be before the sale date');
+  }
+  // Due dates count from the first one, or from the sale one period ahead (so Jan 31 monthly stays on month ends)
+  const [anchor, offset] = plan.first_due_date ? [plan.first_due_date, 0] : [start, 1];
+
+  // Equal installments; the last one takes what rounding leaves
+  const each = roundMoney(balance / count);
+  return Array.from({ length: count }, (_, index) => ({
+    installment_number: index + 1,
+    due_date: addPeriods(anchor, frequency, index + offset),
+    amount: index === count - 1 ? roundMoney(balance - each * (count - 1)) : each
+  }));
+}
+
+async function saveSchedule(tx, saleId, schedule) {
+  for (const installment of schedule) {
+    await tx.runAsync(
+      'INSERT INTO debt_installments (sale_id, installment_number, due_date, amount) VALUES (?, ?, ?, ?)',
+      [saleId, installment.installment_number, installment.due_date, installment.amount]
+    );
+  }
+}
+
+// Installments (in due order) with what is returned, paid and still due on each, given what the sale's repayments and returns came to
+function withPaid(rows, repaid, returned, asOf = today()) {
+  const amounts = rows.map((row) => parseFloat(row.amount) || 0);
+  const cuts = amounts.map(() => 0);
+  let returnedLeft = returned;
+  for (let index = rows.length - 1; index >= 0 && returnedLeft > 0; index--) {
+    cuts[index] = Math.min(amounts[index], returnedLeft);
+    returnedLeft -= cuts[index];
+  }
+  let paidLeft = repaid;
+  return rows.map((row, index) => {
+    const amount = amounts[index];
+    const paid = Math.min(amount - cuts[index], paidLeft);
+    paidLeft -= paid;
+    const due = amount - cuts[index] - paid;
+    return {
+      id: row.id,
+      installment_number: row.installment_number,
+      due_date: row.due_date,
+      amount: roundMoney(amount),
+      amount_returned: roundMoney(cuts[index]),
+      amount_paid: roundMoney(paid),
+      amount_due: roundMoney(due),
+      status: due <= 0 ? 'paid' : paid > 0 ? 'partially_paid' : 'unpaid',
+      overdue: due > 0 && row.due_date < asOf
+    };
+  });
+}
+
+// Repaid on a sale's debts lines, and taken off their balance by returns
+async function saleSettlements(conn, saleId) {
+  const repaid = await conn.getAsync(
+    'SELECT COALESCE(SUM(r.amount), 0) AS amount FROM debt_repayments r JOIN debts d ON d.id = r.debt_id WHERE d.sale_id = ?',
+    [saleId]
+  );
+  const returned = await conn.getAsync(
+    "SELECT COALESCE(SUM(debt_reduction), 0) AS amount FROM sale_returns WHERE source_type = 'debt' AND sale_id = ?",
+    [saleId]
+  );
+  return { repaid: parseFloat(repaid.amount) || 0, returned: parseFloat(returned.amount) || 0 };
+}
+
+/**
+ * Payment schedule of a credit sale, or null when it has none:
+ * { sale_id, planned, returned, paid, owed (by the sale's debts lines now), installments }.
+ */
+async function getSchedule(conn, saleId) {
+  if (!saleId) return null;
+  const rows = await conn.allAsync('SELECT * FROM debt_installments WHERE sale_id = ? ORDER BY installment_number ASC', [saleId]);
+  if (!rows.length) return null;
+  const { owed } = await conn.getAsync('SELECT COALESCE(SUM(balance_owed), 0) AS owed FROM debts WHERE sale_id = ?', [saleId]);
+  const { repaid, returned } = await saleSettlements(conn, saleId);
+  const installments = withPaid(rows, repaid, returned);
+  const total = (field) => roundMoney(installments.reduce((sum, i) => sum + i[field], 0));
+  return {
+    sale_id: Number(saleId),
+    planned: total('amount'),
+    returned: total('amount_returned'),
+    paid: total('amount_paid'),
+    owed: roundMoney(parseFloat(owed) || 0),
+    installments
+  };
+}
+
+// Schedule of the sale a debts line belongs to, or null
+async function scheduleForDebt(conn, debtId) {
+  const debt = await conn.getAsync('SELECT sale_id FROM debts WHERE id = ?', [debtId]);
+  return debt ? getSchedule(conn, debt.sale_id) : null;
+}
+
+/**
+ * Installments a payment of `amount` settled, from the schedule right after
+ * it: [{ installment_number, due_date, amount }] (see module comment).
+ */
+function allocation(schedule, amount) {
+  if (!schedule) return [];
+  const paidAfter = schedule.paid;
+  const paidBefore = Math.max(0, paidAfter - (parseFloat(amount) || 0));
+  const allocated = [];
+  let start = 0;
+  schedule.installments.forEach((installment) => {
+    const end = start + installment.amount - installment.amount_returned;
+    const share = Math.min(end, paidAfter) - Math.max(start, paidBefore);
+    if (share > 0) {
+      allocated.push({ installment_number: installment.installment_number, due_date: installment.due_date, amount: roundMoney(share) });
+    }
+    start = end;
+  });
+  return allocated;
+}
+
+/**
+ * Installments due before asOf (YYYY-MM-DD, default today) that are not
+ * fully paid, oldest first.
+ *   filters: { asOf?, customerId? }
+ */
+async function listOverdue(filters = {}) {
+  const asOf = filters.asOf || today();
+  if (!isDay(asOf)) throw installmentError(400, 'asOf must be in YYYY-MM-DD format');
+  const where = ['i.sale_id IN (SELECT sale_id FROM debt_installments WHERE due_date < ?)'];
+  const params = [asOf];
+  if (filters.customerId) {
+    where.push('s.customer_id = ?');
+    params.push(filters.customerId);
+  }
+  const rows = await db.allAsync(
+    `SELECT i.*, s.receipt_number, s.date AS sale_date, s.customer_id, s.client_name, s.client_phone,
+       COALESCE(p.repaid, 0) AS repaid, COALESCE(x.returned, 0) AS returned
+     FROM debt_installments i
+     JOIN sales s ON s.id = i.sale_id
+     LEFT JOIN (SELECT d.sale_id, SUM(r.amount) AS repaid FROM debt_repayments r JOIN debts d ON d.id = r.debt_id
+       WHERE d.sale_id IS NOT NULL GROUP BY d.sale_id) p ON p.sale_id = i.sale_id
+     LEFT JOIN (SELECT sale_id, SUM(debt_reduction) AS returned FROM sale_returns
+       WHERE source_type = 'debt' AND sale_id IS NOT NULL GROUP BY sale_id) x ON x.sale_id = i.sale_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY i.sale_id ASC, i.installment_number ASC`,
+    params
+  );
+
+  const bySale = {};
+  rows.forEach((row) => (bySale[row.sale_id] = bySale[row.sale_id] || []).push(row));
+  const overdue = [];
+  Object.values(bySale).forEach((saleRows) => {
+    const sale = saleRows[0];
+    withPaid(saleRows, parseFloat(sale.repaid) || 0, parseFloat(sale.returned) || 0, asOf).forEach((installment) => {
+      if (!installment.overdue) return;
+      overdue.push({
+        ...installment,
+        installment_count: saleRows.length,
+        sale_id: sale.sale_id,
+        receipt_number: sale.receipt_number,
+        sale_date: sale.sale_date,
+        customer_id: sale.customer_id,
+        client_name: sale.client_name,
+        client_phone: sale.client_phone,
+        days_overdue: Math.floor((new Date(`${asOf}T00:00:00Z`) - new Date(`${installment.due_date}T00:00:00Z`)) / DAY_MS)
+      });
+    });
+  });
+  overdue.sort((a, b) => a.due_date.localeCompare(b.due_date) || a.sale_id - b.sale_id);
+  return {
+    as_of: asOf,
+    installments: overdue,
+    total_due: roundMoney(overdue.reduce((sum, i) => sum + i.amount_due, 0))
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  planSchedule,
+  saveSchedule,
+  getSchedule,
+  scheduleForDebt,
+  allocation,
+  listOverdue
+};
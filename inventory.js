@@ -0,0 +1,258 @@
+/**
+ * Stock movements on purchases.available_stock.
+ * A product's stock is spread over its lots (purchases rows); sales take
+ * from the oldest lots first. Every function takes the connection to use,
+ * normally a transaction from db.transaction(): lots are locked (FOR UPDATE)
+ * before they are read, and decrements only apply while enough stock is
+ * left, so two sellers cannot both sell the last piece.
+ *
+ * Every change of a lot's stock is also written to the stock_movements
+ * ledger, in the same transaction, with what caused it. Summing a product's
+ * movements gives back its stock; when it does not, something changed
+ * available_stock without going through here (see productLedger).
+ */
+const db = require('./db');
+
+// opening: stock from before the ledger existed (see migrations/009_stock_movements.js)
+const MOVEMENT_TYPES = ['opening', 'purchase', 'sale', 'debt_sale', 'return', 'adjustment'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function stockError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Lots of the given products, oldest first, locked for the transaction
+async function lockLots(conn, productIds) {
+  return conn.allAsync(
+    `SELECT id, product_id, available_stock FROM purchases
+     WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+     ORDER BY date ASC, id ASC FOR UPDATE`,
+    productIds
+  );
+}
+
+/**
+ * Add a movement to the ledger. Movements of no product or no pieces are
+ * not recorded.
+ *   movement: { product_id, lot_id, type (MOVEMENT_TYPES), quantity (signed pcs),
+ *               reference_table?, reference_id?, date? (default today), note?,
+ *               user? (req.user) }
+ */
+async function recordMovement(conn, movement) {
+  const quantity = parseInt(movement.quantity, 10) || 0;
+  if (!movement.product_id || !quantity) return;
+  if (!MOVEMENT_TYPES.includes(movement.type)) throw new Error(`Unknown stock movement type: ${movement.type}`);
+  const user = movement.user || {};
+  await conn.runAsync(
+    `INSERT INTO stock_movements (product_id, lot_id, type, quantity, reference_table, reference_id, date, note, user_id, username)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      movement.product_id,
+      movement.lot_id || null,
+      movement.type,
+      quantity,
+      movement.reference_table || null,
+      movement.reference_id || null,
+      movement.date || today(),
+      movement.note || null,
+      user.id || null,
+      user.username || null
+    ]
+  );
+}
+
+// Ledger entries for pieces taken by takeStock ([{ id, product_id, pcs }]), all caused by `movement`
+async function recordTaken(conn, taken, movement) {
+  for (const lot of taken) {
+    await recordMovement(conn, { ...movement, product_id: lot.product_id, lot_id: lot.id, quantity: -lot.pcs });
+  }
+}
+
+/**
+ * Take stock for sale lines: [{ product_id, name, pcs }] (see
+ * products.resolveItems). Each product's pieces come off its lots oldest
+ * first. Rejects with err.status 400 when a product is short; nothing is
+ * taken unless every line can be served (the caller's transaction rolls
+ * back). With { force: true } nothing is rejected: what the lots lack comes
+ * off the newest lot, which goes negative (a sale already made elsewhere,
+ * see sync.js). Resolves to [{ id, product_id, pcs, item }] per lot and
+ * line (item: index in items). With { movement } (see recordMovement) the
+ * ledger entries are written here; otherwise the caller writes them with
+ * recordTaken once it knows the lines they belong to.
+ */
+async function takeStock(conn, items, options = {}) {
+  const wanted = {};
+  const names = {};
+  items.forEach((item) => {
+    wanted[item.product_id] = (wanted[item.product_id] || 0) + (parseInt(item.pcs, 10) || 0);
+    names[item.product_id] = item.name;
+  });
+  const productIds = Object.keys(wanted).map(Number);
+  const lots = await lockLots(conn, productIds);
+
+  const available = {};
+  const inLot = {};
+  productIds.forEach((id) => { available[id] = 0; });
+  lots.forEach((lot) => {
+    inLot[lot.id] = parseInt(lot.available_stock, 10) || 0;
+    available[lot.product_id] += inLot[lot.id];
+  });
+
+  if (!options.force) {
+    const short = productIds.filter((id) => wanted[id] > available[id]);
+    if (short.length) {
+      if (productIds.length === 1) {
+        throw stockError(400, `Insufficient stock. Available: ${available[short[0]]}, Requested: ${wanted[short[0]]}`);
+      }
+      throw stockError(400, 'Insufficient stock for: ' + short
+        .map((id) => `${names[id]} (available ${available[id]}, requested ${wanted[id]})`)
+        .join(', '));
+    }
+  }
+
+  const taken = [];
+  for (let index = 0; index < items.length; index++) {
+    let left = parseInt(items[index].pcs, 10) || 0;
+    const productLots = lots.filter((lot) => lot.product_id === Number(items[index].product_id));
+    for (const lot of productLots) {
+      if (left <= 0) break;
+      if (inLot[lot.id] <= 0) continue;
+      const pcs = Math.min(left, inLot[lot.id]);
+      const result = await conn.runAsync(
+        `UPDATE purchases SET available_stock = available_stock - CAST(? AS INTEGER)
+         WHERE id = ? AND available_stock >= CAST(? AS INTEGER)`,
+        [pcs, lot.id, pcs]
+      );
+      if (result.changes !== 1) {
+        throw stockError(409, 'Stock changed while saving the sale, please try again');
+      }
+      taken.push({ id: lot.id, product_id: lot.product_id, pcs, item: index });
+      inLot[lot.id] -= pcs;
+      left -= pcs;
+    }
+    if (left > 0 && options.force && productLots.length) {
+      const newest = productLots[productLots.length - 1];
+      await conn.runAsync(
+        'UPDATE purchases SET available_stock = available_stock - CAST(? AS INTEGER) WHERE id = ?',
+        [left, newest.id]
+      );
+      taken.push({ id: newest.id, product_id: newest.product_id, pcs: left, item: index });
+      inLot[newest.id] -= left;
+    }
+  }
+  if (options.movement) await recordTaken(conn, taken, options.movement);
+  return taken;
+}
+
+/**
+ * Put pieces of a product back on its newest lot. Resolves to that lot's id,
+ * or null when the product has no lots (or the line had no product). The
+ * ledger entry is written when `movement` (see recordMovement) is given.
+ */
+async function restock(conn, productId, pcs, movement) {
+  if (!productId) return null;
+  const lot = await conn.getAsync(
+    'SELECT id FROM purchases WHERE product_id = ? ORDER BY date DESC, id DESC LIMIT 1 FOR UPDATE',
+    [productId]
+  );
+  if (!lot) return null;
+  await conn.runAsync(
+    'UPDATE purchases SET available_stock = available_stock + CAST(? AS INTEGER) WHERE id = ?',
+    [parseInt(pcs, 10) || 0, lot.id]
+  );
+  if (movement) await recordMovement(conn, { ...movement, product_id: productId, lot_id: lot.id, quantity: parseInt(pcs, 10) || 0 });
+  return lot.id;
+}
+
+/**
+ * Lock a lot for an edit of its pcs (undefined: unchanged) and move its
+ * stock by the change. Rejects with err.status 409 when fewer pieces are
+ * left than the edit takes off (404 when the lot is gone). Resolves to
+ * { before, after } stock; the caller writes the ledger entry.
+ */
+async function resizeLot(conn, lotId, pcs) {
+  const lot = await conn.getAsync('SELECT id, pcs, available_stock FROM purchases WHERE id = ? FOR UPDATE', [lotId]);
+  if (!lot) throw stockError(404, 'Purchase record not found');
+  const before = parseInt(lot.available_stock, 10) || 0;
+  const change = pcs === undefined ? 0 : pcs - (parseInt(lot.pcs, 10) || 0);
+  if (before + change < 0) {
+    throw stockError(409, `Cannot lower pcs by ${-change}: only ${before} pcs of this purchase are left in stock`);
+  }
+  if (change) {
+    await conn.runAsync('UPDATE purchases SET available_stock = available_stock + CAST(? AS INTEGER) WHERE id = ?', [change, lot.id]);
+  }
+  return { before, after: before + change };
+}
+
+/**
+ * Ledger of a product: its movements oldest first, each with the running
+ * balance after it, and the ledger total against the stock on its lots
+ * (drift = stock - ledger, per product and per lot).
+ *   filters: { startDate?, endDate?, type? } (balances still count every movement)
+ */
+async function productLedger(productId, filters = {}) {
+  const movements = await db.allAsync('SELECT * FROM stock_movements WHERE product_id = ? ORDER BY id ASC', [productId]);
+  const lots = await db.allAsync('SELECT id, date, available_stock FROM purchases WHERE product_id = ? ORDER BY date ASC, id ASC', [productId]);
+
+  let balance = 0;
+  const byLot = {};
+  const withBalance = movements.map((m) => {
+    balance += m.quantity;
+    if (m.lot_id) byLot[m.lot_id] = (byLot[m.lot_id] || 0) + m.quantity;
+    return { ...m, balance };
+  });
+  const actual = lots.reduce((sum, lot) => sum + (parseInt(lot.available_stock, 10) || 0), 0);
+
+  const lotIds = [...new Set([...lots.map((lot) => lot.id), ...Object.keys(byLot).map(Number)])];
+  const lotBalances = lotIds.map((id) => {
+    const lot = lots.find((l) => l.id === id);
+    const stock = lot ? parseInt(lot.available_stock, 10) || 0 : 0;
+    return { lot_id: id, lot_date: lot ? lot.date : null, ledger: byLot[id] || 0, actual: stock, drift: stock - (byLot[id] || 0) };
+  }).filter((l) => l.ledger || l.actual);
+
+  const shown = withBalance.filter((m) => (!filters.startDate || String(m.date).slice(0, 10) >= filters.startDate)
+    && (!filters.endDate || String(m.date).slice(0, 10) <= filters.endDate)
+    && (!filters.type || m.type === filters.type));
+
+  return {
+    movements: shown,
+    balance: { ledger: balance, actual, drift: actual - balance },
+    lots: lotBalances
+  };
+}
+
+// Products whose stock no longer matches their ledger
+async function stockDrift() {
+  const rows = await db.allAsync(
+    `SELECT pr.id, pr.name, pr.sku,
+        COALESCE(ledger.quantity, 0) AS ledger,
+        COALESCE(lots.available_stock, 0) AS actual
+     FROM products pr
+     LEFT JOIN (SELECT product_id, SUM(quantity) AS quantity FROM stock_movements GROUP BY product_id) ledger
+       ON ledger.product_id = pr.id
+     LEFT JOIN (SELECT product_id, SUM(available_stock) AS available_stock FROM purchases GROUP BY product_id) lots
+       ON lots.product_id = pr.id
+     ORDER BY pr.name ASC`
+  );
+  return rows
+    .map((row) => {
+      const ledger = parseInt(row.ledger, 10) || 0;
+      const actual = parseInt(row.actual, 10) || 0;
+      return { product_id: row.id, name: row.name, sku: row.sku, ledger, actual, drift: actual - ledger };
+    })
+    .filter((row) => row.drift !== 0);
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  recordMovement,
+  recordTaken,
+  takeStock,
+  restock,
+  resizeLot,
+  productLedger,
+  stockDrift
+};
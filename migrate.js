@@ -0,0 +1,131 @@
+/**
+ * Schema migrations.
+ * Each file in migrations/ is named NNN_description.js and exports
+ * async up(db) and down(db), where db is a transaction from db.transaction().
+ * Applied versions are recorded in schema_migrations; every migration runs
+ * in its own transaction together with that bookkeeping.
+ *
+ * CLI: node server.js migrate status|up|down [steps]
+ */
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: file.split('_')[0],
+        name: file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+}
+
+async function ensureMigrationsTable() {
+  await db.runAsync(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    id SERIAL PRIMARY KEY,
+    version VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+/**
+ * Every known migration with whether it has been applied.
+ * Resolves to [{ version, name, applied, applied_at }].
+ */
+async function status() {
+  await ensureMigrationsTable();
+  const rows = await db.allAsync('SELECT version, applied_at FROM schema_migrations');
+  const applied = {};
+  rows.forEach((row) => { applied[row.version] = row.applied_at; });
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: version in applied,
+    applied_at: applied[version] || null
+  }));
+}
+
+// Apply all pending migrations in order. Resolves to the names applied.
+async function up() {
+  const pending = (await status()).filter((m) => !m.applied);
+  const migrations = loadMigrations();
+  const done = [];
+  for (const { version, name } of pending) {
+    const migration = migrations.find((m) => m.version === version);
+    await db.transaction(async (tx) => {
+      await migration.up(tx);
+      await tx.runAsync('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [version, name]);
+    });
+    done.push(name);
+  }
+  return done;
+}
+
+// Revert the last `steps` applied migrations, newest first. Resolves to the names reverted.
+async function down(steps = 1) {
+  const applied = (await status()).filter((m) => m.applied).reverse().slice(0, steps);
+  const migrations = loadMigrations();
+  const done = [];
+  for (const { version, name } of applied) {
+    const migration = migrations.find((m) => m.version === version);
+    await db.transaction(async (tx) => {
+      await migration.down(tx);
+      await tx.runAsync('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    done.push(name);
+  }
+  return done;
+}
+
+// Entry point for `node server.js migrate <command>`; resolves to the process exit code
+async function cli(args) {
+  const [command = 'status', stepsArg] = args;
+  try {
+    if (command === 'status') {
+      const migrations = await status();
+      migrations.forEach((m) => {
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.name}${m.applied_at ? `  (applied ${new Date(m.applied_at).toISOString()})` : ''}`);
+      });
+      const pending = migrations.filter((m) => !m.applied).length;
+      console.log(pending ? `${pending} pending migration(s)` : 'Schema is up to date');
+    } else if (command === 'up') {
+      const applied = await up();
+      console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Nothing to apply');
+    } else if (command === 'down') {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+      if (!(steps > 0)) {
+        console.error('Usage: node server.js migrate down [steps]');
+        return 1;
+      }
+      const reverted = await down(steps);
+      console.log(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert');
+    } else {
+      console.error('Usage: node server.js migrate status|up|down [steps]');
+      return 1;
+    }
+    return 0;
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    return 1;
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  status,
+  up,
+  down,
+  cli
+};
@@ -0,0 +1,148 @@
+/**
+ * Tables the app shipped with before migrations existed. Databases created
+ * by the old startup code already have them, so every statement is
+ * IF NOT EXISTS: on those databases this migration only adds the columns
+ * that were added later at startup (seller_name, image_path and the
+ * configuration columns) and records itself as applied.
+ */
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(255) UNIQUE NOT NULL,
+      full_name VARCHAR(255) NOT NULL,
+      phone VARCHAR(100),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS income (
+      id SERIAL PRIMARY KEY,
+      date VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      pcs INTEGER NOT NULL DEFAULT 1,
+      unit_price DOUBLE PRECISION NOT NULL,
+      total_price DOUBLE PRECISION NOT NULL,
+      description TEXT,
+      customer_signature TEXT,
+      electronic_signature TEXT,
+      client_name VARCHAR(255),
+      client_phone VARCHAR(100),
+      seller_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS expenses (
+      id SERIAL PRIMARY KEY,
+      date VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      amount DOUBLE PRECISION NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS debts (
+      id SERIAL PRIMARY KEY,
+      date VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      pcs INTEGER NOT NULL DEFAULT 1,
+      unit_price DOUBLE PRECISION NOT NULL,
+      total_price DOUBLE PRECISION NOT NULL,
+      amount_payable_now DOUBLE PRECISION NOT NULL DEFAULT 0,
+      balance_owed DOUBLE PRECISION NOT NULL DEFAULT 0,
+      description TEXT,
+      customer_signature TEXT,
+      electronic_signature TEXT,
+      client_name VARCHAR(255),
+      client_phone VARCHAR(100),
+      seller_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS purchases (
+      id SERIAL PRIMARY KEY,
+      date VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      pcs INTEGER NOT NULL,
+      unit_price DOUBLE PRECISION NOT NULL,
+      total_amount DOUBLE PRECISION NOT NULL,
+      description TEXT,
+      supplier_name VARCHAR(255),
+      available_stock INTEGER DEFAULT 0,
+      stock_deficiency_threshold INTEGER DEFAULT 0,
+      image_path TEXT DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS configuration (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      app_name VARCHAR(255) DEFAULT 'Shop Accountant',
+      logo_path TEXT DEFAULT NULL,
+      location TEXT DEFAULT NULL,
+      items TEXT DEFAULT NULL,
+      goal_pin_hash TEXT DEFAULT NULL,
+      receipt_thank_you_message TEXT DEFAULT NULL,
+      receipt_items_received_message TEXT DEFAULT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS currencies (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(20) UNIQUE NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      symbol VARCHAR(20),
+      conversion_rate_to_fcfa DOUBLE PRECISION NOT NULL DEFAULT 1.0,
+      is_default INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS goals (
+      id SERIAL PRIMARY KEY,
+      date VARCHAR(50) NOT NULL,
+      title VARCHAR(500) NOT NULL,
+      desired_completion_date VARCHAR(50),
+      content TEXT,
+      status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS debt_repayments (
+      id SERIAL PRIMARY KEY,
+      debt_id INTEGER NOT NULL,
+      payment_date VARCHAR(50) NOT NULL,
+      amount DOUBLE PRECISION NOT NULL,
+      receipt_number VARCHAR(20),
+      seller_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Columns older databases got later, at startup
+    await db.runAsync('ALTER TABLE income ADD COLUMN IF NOT EXISTS seller_name VARCHAR(255)');
+    await db.runAsync('ALTER TABLE debts ADD COLUMN IF NOT EXISTS seller_name VARCHAR(255)');
+    await db.runAsync('ALTER TABLE purchases ADD COLUMN IF NOT EXISTS image_path TEXT DEFAULT NULL');
+    await db.runAsync('ALTER TABLE configuration ADD COLUMN IF NOT EXISTS location TEXT DEFAULT NULL');
+    await db.runAsync('ALTER TABLE configuration ADD COLUMN IF NOT EXISTS items TEXT DEFAULT NULL');
+    await db.runAsync('ALTER TABLE configuration ADD COLUMN IF NOT EXISTS goal_pin_hash TEXT DEFAULT NULL');
+    await db.runAsync('ALTER TABLE configuration ADD COLUMN IF NOT EXISTS receipt_thank_you_message TEXT DEFAULT NULL');
+    await db.runAsync('ALTER TABLE configuration ADD COLUMN IF NOT EXISTS receipt_items_received_message TEXT DEFAULT NULL');
+
+    // Seed rows
+    const config = await db.getAsync('SELECT id FROM configuration WHERE id = 1');
+    if (!config) {
+      await db.runAsync('INSERT INTO configuration (id, app_name) VALUES (1, ?)', ['Shop Accountant']);
+    }
+    const fcfa = await db.getAsync('SELECT id FROM currencies WHERE code = ?', ['FCFA']);
+    if (!fcfa) {
+      await db.runAsync(
+        'INSERT INTO currencies (code, name, symbol, conversion_rate_to_fcfa, is_default) VALUES (?, ?, ?, ?, ?)',
+        ['FCFA', 'Central African CFA Franc', 'FCFA', 1.0, 1]
+      );
+    }
+  },
+
+  async down(db) {
+    for (const table of ['debt_repayments', 'goals', 'currencies', 'configuration', 'purchases', 'debts', 'expenses', 'income', 'users']) {
+      await db.runAsync(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,18 @@
+// User roles (see permissions.js) and revocable login sessions (see auth.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync("ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'seller'");
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS user_sessions (
+      id VARCHAR(64) PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at VARCHAR(50) NOT NULL,
+      revoked_at TIMESTAMP DEFAULT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.runAsync('DROP TABLE IF EXISTS user_sessions');
+    await db.runAsync('ALTER TABLE users DROP COLUMN IF EXISTS role');
+  }
+};
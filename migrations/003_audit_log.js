@@ -0,0 +1,21 @@
+// Audit trail of record changes (see audit.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      table_name VARCHAR(100) NOT NULL,
+      record_id VARCHAR(100) NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      before_data TEXT,
+      after_data TEXT,
+      user_id INTEGER,
+      username VARCHAR(255),
+      route VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.runAsync('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,28 @@
+// Multi-line sale receipts: income and debts lines point to a sales header (see sales.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS sales (
+      id SERIAL PRIMARY KEY,
+      receipt_number VARCHAR(20),
+      sale_type VARCHAR(10) NOT NULL,
+      date VARCHAR(50) NOT NULL,
+      client_name VARCHAR(255),
+      client_phone VARCHAR(100),
+      seller_name VARCHAR(255),
+      customer_signature TEXT,
+      electronic_signature TEXT,
+      description TEXT,
+      payment_method VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('ALTER TABLE income ADD COLUMN IF NOT EXISTS sale_id INTEGER');
+    await db.runAsync('ALTER TABLE debts ADD COLUMN IF NOT EXISTS sale_id INTEGER');
+  },
+
+  async down(db) {
+    await db.runAsync('ALTER TABLE debts DROP COLUMN IF EXISTS sale_id');
+    await db.runAsync('ALTER TABLE income DROP COLUMN IF EXISTS sale_id');
+    await db.runAsync('DROP TABLE IF EXISTS sales');
+  }
+};
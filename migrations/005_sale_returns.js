@@ -0,0 +1,30 @@
+// Returns against income/debts lines, numbered as credit notes (see returns.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS sale_returns (
+      id SERIAL PRIMARY KEY,
+      credit_note_number VARCHAR(20),
+      source_type VARCHAR(10) NOT NULL,
+      source_id INTEGER NOT NULL,
+      sale_id INTEGER,
+      date VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      pcs INTEGER NOT NULL,
+      unit_price DOUBLE PRECISION,
+      return_value DOUBLE PRECISION NOT NULL,
+      refund_amount DOUBLE PRECISION NOT NULL DEFAULT 0,
+      debt_reduction DOUBLE PRECISION NOT NULL DEFAULT 0,
+      reason TEXT,
+      inventory_id INTEGER,
+      client_name VARCHAR(255),
+      client_phone VARCHAR(100),
+      seller_name VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+
+  async down(db) {
+    await db.runAsync('DROP TABLE IF EXISTS sale_returns');
+  }
+};
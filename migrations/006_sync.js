@@ -0,0 +1,50 @@
+// Two-way sync with a central server (see sync.js): record UUIDs, change tracking and the exchange tables
+const SYNCED_TABLES = ['purchases', 'sales', 'income', 'debts', 'debt_repayments', 'expenses', 'sale_returns'];
+
+module.exports = {
+  async up(db) {
+    for (const table of SYNCED_TABLES) {
+      await db.runAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS uuid VARCHAR(36)`);
+      await db.runAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP`);
+      await db.runAsync(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_uuid ON ${table} (uuid)`);
+    }
+
+    // Deleted records, so the deletion can be sent on
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS sync_tombstones (
+      id SERIAL PRIMARY KEY,
+      table_name VARCHAR(50) NOT NULL,
+      uuid VARCHAR(36) NOT NULL,
+      deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      synced_at TIMESTAMP
+    )`);
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_tombstones_record ON sync_tombstones (table_name, uuid)');
+
+    // Central server: one row per accepted change; its id is the cursor installs pull from
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS sync_log (
+      id SERIAL PRIMARY KEY,
+      table_name VARCHAR(50) NOT NULL,
+      uuid VARCHAR(36) NOT NULL,
+      origin VARCHAR(36) NOT NULL,
+      deleted INTEGER NOT NULL DEFAULT 0,
+      logged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Node id, pull cursor and last run of this install
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS sync_state (
+      id SERIAL PRIMARY KEY,
+      key VARCHAR(100) UNIQUE NOT NULL,
+      value TEXT
+    )`);
+  },
+
+  async down(db) {
+    await db.runAsync('DROP TABLE IF EXISTS sync_state');
+    await db.runAsync('DROP TABLE IF EXISTS sync_log');
+    await db.runAsync('DROP TABLE IF EXISTS sync_tombstones');
+    for (const table of SYNCED_TABLES.slice().reverse()) {
+      await db.runAsync(`DROP INDEX IF EXISTS idx_${table}_uuid`);
+      await db.runAsync(`ALTER TABLE ${table} DROP COLUMN IF EXISTS synced_at`);
+      await db.runAsync(`ALTER TABLE ${table} DROP COLUMN IF EXISTS uuid`);
+    }
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Product catalog (see products.js). purchases rows become lots of a product;
+ * income, debts and sale_returns lines point to the product they sold.
+ * Existing data: one product per distinct purchase name, with the threshold
+ * and image of its newest row, then every row is linked by name.
+ */
+const crypto = require('crypto');
+
+// Same uuid for the same name on every install, so backfilled products merge when synced (see products.nameUuid)
+function nameUuid(name) {
+  const hex = crypto.createHash('sha1').update(`product:${name.trim().toLowerCase()}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      sku VARCHAR(100),
+      name VARCHAR(255) NOT NULL,
+      category VARCHAR(255),
+      selling_price DOUBLE PRECISION,
+      stock_deficiency_threshold INTEGER DEFAULT 0,
+      image_path TEXT DEFAULT NULL,
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products (sku)');
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_products_uuid ON products (uuid)');
+
+    for (const table of ['purchases', 'income', 'debts', 'sale_returns']) {
+      await db.runAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS product_id INTEGER`);
+      await db.runAsync(`CREATE INDEX IF NOT EXISTS idx_${table}_product_id ON ${table} (product_id)`);
+    }
+
+    const lots = await db.allAsync('SELECT id, name, stock_deficiency_threshold, image_path FROM purchases ORDER BY id DESC');
+    const productIds = {};
+    for (const lot of lots) {
+      const key = (lot.name || '').trim().toLowerCase();
+      if (!key || productIds[key]) continue;
+      const existing = await db.getAsync('SELECT id FROM products WHERE LOWER(name) = ?', [key]);
+      if (existing) {
+        productIds[key] = existing.id;
+        continue;
+      }
+      const withImage = lots.find((l) => (l.name || '').trim().toLowerCase() === key && l.image_path);
+      const inserted = await db.runAsync(
+        'INSERT INTO products (name, stock_deficiency_threshold, image_path, uuid) VALUES (?, ?, ?, ?)',
+        [lot.name.trim(), parseInt(lot.stock_deficiency_threshold, 10) || 0, withImage ? withImage.image_path : null, nameUuid(lot.name)]
+      );
+      productIds[key] = inserted.lastID;
+    }
+
+    for (const [key, productId] of Object.entries(productIds)) {
+      for (const table of ['purchases', 'income', 'debts', 'sale_returns']) {
+        await db.runAsync(`UPDATE ${table} SET product_id = ? WHERE product_id IS NULL AND LOWER(TRIM(name)) = ?`, [productId, key]);
+      }
+    }
+  },
+
+  async down(db) {
+    for (const table of ['sale_returns', 'debts', 'income', 'purchases']) {
+      await db.runAsync(`DROP INDEX IF EXISTS idx_${table}_product_id`);
+      await db.runAsync(`ALTER TABLE ${table} DROP COLUMN IF EXISTS product_id`);
+    }
+    await db.runAsync('DROP TABLE IF EXISTS products');
+  }
+};
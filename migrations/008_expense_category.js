@@ -0,0 +1,10 @@
+// Expense categories, used to group expenses in the profit and loss report (see reports.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync('ALTER TABLE expenses ADD COLUMN IF NOT EXISTS category VARCHAR(255)');
+  },
+
+  async down(db) {
+    await db.runAsync('ALTER TABLE expenses DROP COLUMN IF EXISTS category');
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Stock movement ledger (see inventory.js): one row per change of a lot's
+ * available_stock. Existing stock is recorded as an opening movement per lot,
+ * so the ledger of every product adds up to its stock from the start.
+ */
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS stock_movements (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL,
+      lot_id INTEGER,
+      type VARCHAR(20) NOT NULL,
+      quantity INTEGER NOT NULL,
+      reference_table VARCHAR(50),
+      reference_id INTEGER,
+      date VARCHAR(50) NOT NULL,
+      note TEXT,
+      user_id INTEGER,
+      username VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements (product_id)');
+
+    const today = new Date().toISOString().slice(0, 10);
+    const lots = await db.allAsync(
+      `SELECT id, product_id, available_stock FROM purchases
+       WHERE product_id IS NOT NULL AND available_stock <> 0
+       ORDER BY id ASC`
+    );
+    for (const lot of lots) {
+      await db.runAsync(
+        `INSERT INTO stock_movements (product_id, lot_id, type, quantity, reference_table, reference_id, date, note)
+         VALUES (?, ?, 'opening', ?, 'purchases', ?, ?, ?)`,
+        [lot.product_id, lot.id, parseInt(lot.available_stock, 10) || 0, lot.id, today, 'Stock before the movement ledger']
+      );
+    }
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_stock_movements_product_id');
+    await db.runAsync('DROP TABLE IF EXISTS stock_movements');
+  }
+};
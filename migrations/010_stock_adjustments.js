@@ -0,0 +1,28 @@
+// Stock adjustments with a reason (see adjustments.js), synced like sale lines (see sync.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS stock_adjustments (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL,
+      date VARCHAR(50) NOT NULL,
+      quantity INTEGER NOT NULL,
+      reason VARCHAR(30) NOT NULL,
+      note TEXT,
+      cost_value DOUBLE PRECISION NOT NULL DEFAULT 0,
+      user_id INTEGER,
+      username VARCHAR(255),
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_stock_adjustments_product_id ON stock_adjustments (product_id)');
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_adjustments_uuid ON stock_adjustments (uuid)');
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_stock_adjustments_uuid');
+    await db.runAsync('DROP INDEX IF EXISTS idx_stock_adjustments_product_id');
+    await db.runAsync('DROP TABLE IF EXISTS stock_adjustments');
+  }
+};
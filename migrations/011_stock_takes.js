@@ -0,0 +1,36 @@
+// Stock-take sessions and their counts (see stockTakes.js); adjustments posted by a session point to it
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS stock_takes (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255),
+      note TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      opened_by VARCHAR(255),
+      closed_by VARCHAR(255),
+      closed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS stock_take_counts (
+      id SERIAL PRIMARY KEY,
+      stock_take_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      counted INTEGER NOT NULL,
+      note TEXT,
+      user_id INTEGER,
+      username VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_stock_take_counts_stock_take_id ON stock_take_counts (stock_take_id)');
+    await db.runAsync('ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS stock_take_id INTEGER');
+  },
+
+  async down(db) {
+    await db.runAsync('ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS stock_take_id');
+    await db.runAsync('DROP INDEX IF EXISTS idx_stock_take_counts_stock_take_id');
+    await db.runAsync('DROP TABLE IF EXISTS stock_take_counts');
+    await db.runAsync('DROP TABLE IF EXISTS stock_takes');
+  }
+};
@@ -0,0 +1,19 @@
+// Lead time and target coverage per supplier, used by the reorder suggestions (see reorder.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS supplier_lead_times (
+      id SERIAL PRIMARY KEY,
+      supplier_name VARCHAR(255) NOT NULL,
+      lead_time_days INTEGER NOT NULL,
+      coverage_days INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_supplier_lead_times_name ON supplier_lead_times (supplier_name)');
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_supplier_lead_times_name');
+    await db.runAsync('DROP TABLE IF EXISTS supplier_lead_times');
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * Suppliers and what we owe them (see suppliers.js). purchases rows point to
+ * their supplier and record amount_paid / balance_owed; supplier_payments
+ * are payments made to a supplier, against one purchase or on account.
+ * Existing data: one supplier per distinct supplier_name, purchases linked
+ * by name and taken as paid in full. Lead times set per supplier name (see
+ * 012) move to the supplier.
+ */
+const crypto = require('crypto');
+
+// Same uuid for the same name on every install, so backfilled suppliers merge when synced (see products.nameUuid)
+function nameUuid(name) {
+  const hex = crypto.createHash('sha1').update(`supplier:${name.trim().toLowerCase()}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS suppliers (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      phone VARCHAR(100),
+      address TEXT,
+      notes TEXT,
+      lead_time_days INTEGER,
+      coverage_days INTEGER,
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_uuid ON suppliers (uuid)');
+
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS supplier_payments (
+      id SERIAL PRIMARY KEY,
+      supplier_id INTEGER NOT NULL,
+      purchase_id INTEGER,
+      payment_date VARCHAR(50) NOT NULL,
+      amount DOUBLE PRECISION NOT NULL,
+      receipt_number VARCHAR(50),
+      reference VARCHAR(255),
+      note TEXT,
+      username VARCHAR(255),
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_supplier_payments_supplier_id ON supplier_payments (supplier_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_supplier_payments_purchase_id ON supplier_payments (purchase_id)');
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_supplier_payments_uuid ON supplier_payments (uuid)');
+
+    await db.runAsync('ALTER TABLE purchases ADD COLUMN IF NOT EXISTS supplier_id INTEGER');
+    await db.runAsync('ALTER TABLE purchases ADD COLUMN IF NOT EXISTS amount_paid DOUBLE PRECISION');
+    await db.runAsync('ALTER TABLE purchases ADD COLUMN IF NOT EXISTS balance_owed DOUBLE PRECISION DEFAULT 0');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_purchases_supplier_id ON purchases (supplier_id)');
+    await db.runAsync('UPDATE purchases SET amount_paid = total_amount, balance_owed = 0 WHERE amount_paid IS NULL');
+
+    const supplierIds = {};
+    const findOrCreate = async (name) => {
+      const key = name.trim().toLowerCase();
+      if (supplierIds[key]) return supplierIds[key];
+      const existing = await db.getAsync('SELECT id FROM suppliers WHERE LOWER(name) = ?', [key]);
+      supplierIds[key] = existing
+        ? existing.id
+        : (await db.runAsync('INSERT INTO suppliers (name, uuid) VALUES (?, ?)', [name.trim(), nameUuid(name)])).lastID;
+      return supplierIds[key];
+    };
+
+    // Newest purchases first, so a supplier takes the spelling last used
+    const lots = await db.allAsync('SELECT id, supplier_name FROM purchases WHERE supplier_id IS NULL ORDER BY id DESC');
+    for (const lot of lots) {
+      if (!(lot.supplier_name || '').trim()) continue;
+      const supplierId = await findOrCreate(lot.supplier_name);
+      const supplier = await db.getAsync('SELECT name FROM suppliers WHERE id = ?', [supplierId]);
+      await db.runAsync('UPDATE purchases SET supplier_id = ?, supplier_name = ? WHERE id = ?', [supplierId, supplier.name, lot.id]);
+    }
+
+    const leadTimes = await db.allAsync('SELECT * FROM supplier_lead_times');
+    for (const row of leadTimes) {
+      const supplierId = await findOrCreate(row.supplier_name);
+      await db.runAsync(
+        'UPDATE suppliers SET lead_time_days = ?, coverage_days = ? WHERE id = ?',
+        [row.lead_time_days, row.coverage_days, supplierId]
+      );
+    }
+    await db.runAsync('DROP INDEX IF EXISTS idx_supplier_lead_times_name');
+    await db.runAsync('DROP TABLE IF EXISTS supplier_lead_times');
+  },
+
+  async down(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS supplier_lead_times (
+      id SERIAL PRIMARY KEY,
+      supplier_name VARCHAR(255) NOT NULL,
+      lead_time_days INTEGER NOT NULL,
+      coverage_days INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_supplier_lead_times_name ON supplier_lead_times (supplier_name)');
+    const leadTimes = await db.allAsync('SELECT name, lead_time_days, coverage_days FROM suppliers WHERE lead_time_days IS NOT NULL AND coverage_days IS NOT NULL');
+    for (const row of leadTimes) {
+      await db.runAsync(
+        'INSERT INTO supplier_lead_times (supplier_name, lead_time_days, coverage_days) VALUES (?, ?, ?)',
+        [row.name, row.lead_time_days, row.coverage_days]
+      );
+    }
+
+    await db.runAsync('DROP INDEX IF EXISTS idx_purchases_supplier_id');
+    await db.runAsync('ALTER TABLE purchases DROP COLUMN IF EXISTS balance_owed');
+    await db.runAsync('ALTER TABLE purchases DROP COLUMN IF EXISTS amount_paid');
+    await db.runAsync('ALTER TABLE purchases DROP COLUMN IF EXISTS supplier_id');
+    await db.runAsync('DROP INDEX IF EXISTS idx_supplier_payments_uuid');
+    await db.runAsync('DROP INDEX IF EXISTS idx_supplier_payments_purchase_id');
+    await db.runAsync('DROP INDEX IF EXISTS idx_supplier_payments_supplier_id');
+    await db.runAsync('DROP TABLE IF EXISTS supplier_payments');
+    await db.runAsync('DROP INDEX IF EXISTS idx_suppliers_uuid');
+    await db.runAsync('DROP TABLE IF EXISTS suppliers');
+  }
+};
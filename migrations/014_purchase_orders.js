@@ -0,0 +1,43 @@
+// Purchase orders and their lines (see purchaseOrders.js); lots received on an order point to its line
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS purchase_orders (
+      id SERIAL PRIMARY KEY,
+      order_number VARCHAR(50),
+      supplier_id INTEGER NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft',
+      order_date VARCHAR(50) NOT NULL,
+      expected_date VARCHAR(50),
+      note TEXT,
+      created_by VARCHAR(255),
+      sent_at TIMESTAMP,
+      closed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders (supplier_id)');
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS purchase_order_lines (
+      id SERIAL PRIMARY KEY,
+      purchase_order_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      pcs INTEGER NOT NULL,
+      unit_price DOUBLE PRECISION NOT NULL,
+      pcs_cancelled INTEGER NOT NULL DEFAULT 0,
+      cancel_reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order_id ON purchase_order_lines (purchase_order_id)');
+    await db.runAsync('ALTER TABLE purchases ADD COLUMN IF NOT EXISTS purchase_order_line_id INTEGER');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_purchases_purchase_order_line_id ON purchases (purchase_order_line_id)');
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_purchases_purchase_order_line_id');
+    await db.runAsync('ALTER TABLE purchases DROP COLUMN IF EXISTS purchase_order_line_id');
+    await db.runAsync('DROP INDEX IF EXISTS idx_purchase_order_lines_order_id');
+    await db.runAsync('DROP TABLE IF EXISTS purchase_order_lines');
+    await db.runAsync('DROP INDEX IF EXISTS idx_purchase_orders_supplier_id');
+    await db.runAsync('DROP TABLE IF EXISTS purchase_orders');
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Customers (see customers.js). Sales and their income and debts lines point
+ * to their customer; client_name / client_phone stay on them as printed on
+ * the receipt. Existing data: one customer per distinct client_name,
+ * ignoring case and surrounding spaces, with the newest spelling and the
+ * newest phone given; rows without a client name stay without customer.
+ */
+const crypto = require('crypto');
+
+// Same uuid for the same name on every install, so backfilled customers merge when synced (see products.nameUuid)
+function nameUuid(name) {
+  const hex = crypto.createHash('sha1').update(`customer:${name.trim().toLowerCase()}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+const LINKED_TABLES = ['sales', 'income', 'debts'];
+
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS customers (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      phone VARCHAR(100),
+      email VARCHAR(255),
+      address TEXT,
+      notes TEXT,
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_uuid ON customers (uuid)');
+    for (const table of LINKED_TABLES) {
+      await db.runAsync(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS customer_id INTEGER`);
+      await db.runAsync(`CREATE INDEX IF NOT EXISTS idx_${table}_customer_id ON ${table} (customer_id)`);
+    }
+
+    // Newest rows first, so a customer takes the spelling and phone last used
+    const rows = [];
+    for (const table of LINKED_TABLES) {
+      const tableRows = await db.allAsync(`SELECT id, date, client_name, client_phone FROM ${table} WHERE customer_id IS NULL`);
+      tableRows.forEach((row) => rows.push({ ...row, table }));
+    }
+    rows.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')) || b.id - a.id);
+
+    const customers = {};
+    for (const row of rows) {
+      const name = (row.client_name || '').trim();
+      if (!name) continue;
+      const key = name.toLowerCase();
+      const phone = (row.client_phone || '').trim();
+      let customer = customers[key];
+      if (!customer) {
+        const existing = await db.getAsync('SELECT id, name, phone FROM customers WHERE LOWER(name) = ?', [key]);
+        customer = existing || {
+          id: (await db.runAsync('INSERT INTO customers (name, uuid) VALUES (?, ?)', [name, nameUuid(name)])).lastID,
+          name,
+          phone: null
+        };
+        customers[key] = customer;
+      }
+      if (!customer.phone && phone) {
+        customer.phone = phone;
+        await db.runAsync('UPDATE customers SET phone = ? WHERE id = ?', [phone, customer.id]);
+      }
+      await db.runAsync(`UPDATE ${row.table} SET customer_id = ?, client_name = ? WHERE id = ?`, [customer.id, customer.name, row.id]);
+    }
+  },
+
+  async down(db) {
+    for (const table of LINKED_TABLES) {
+      await db.runAsync(`DROP INDEX IF EXISTS idx_${table}_customer_id`);
+      await db.runAsync(`ALTER TABLE ${table} DROP COLUMN IF EXISTS customer_id`);
+    }
+    await db.runAsync('DROP INDEX IF EXISTS idx_customers_uuid');
+    await db.runAsync('DROP TABLE IF EXISTS customers');
+  }
+};
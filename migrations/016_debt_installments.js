@@ -0,0 +1,31 @@
+/**
+ * Payment schedules of credit sales (see installments.js): the balance left
+ * after what was paid at the till, due on one date or in installments.
+ * What each installment still owes is not stored; it follows from the sale's
+ * repayments and returns.
+ */
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS debt_installments (
+      id SERIAL PRIMARY KEY,
+      sale_id INTEGER NOT NULL,
+      installment_number INTEGER NOT NULL,
+      due_date VARCHAR(50) NOT NULL,
+      amount DOUBLE PRECISION NOT NULL,
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_debt_installments_sale_id ON debt_installments (sale_id)');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_debt_installments_due_date ON debt_installments (due_date)');
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_debt_installments_uuid ON debt_installments (uuid)');
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_debt_installments_uuid');
+    await db.runAsync('DROP INDEX IF EXISTS idx_debt_installments_due_date');
+    await db.runAsync('DROP INDEX IF EXISTS idx_debt_installments_sale_id');
+    await db.runAsync('DROP TABLE IF EXISTS debt_installments');
+  }
+};
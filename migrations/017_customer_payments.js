@@ -0,0 +1,38 @@
+/**
+ * Customer payments (see customerPayments.js): one amount received from a
+ * customer, split into debt_repayments rows that point back to it; what no
+ * debt took is kept as the customer's credit.
+ */
+module.exports = {
+  async up(db) {
+    await db.runAsync(`CREATE TABLE IF NOT EXISTS customer_payments (
+      id SERIAL PRIMARY KEY,
+      receipt_number VARCHAR(50),
+      customer_id INTEGER NOT NULL,
+      payment_date VARCHAR(50) NOT NULL,
+      amount DOUBLE PRECISION NOT NULL,
+      credit_used DOUBLE PRECISION DEFAULT 0,
+      allocated DOUBLE PRECISION DEFAULT 0,
+      credit DOUBLE PRECISION DEFAULT 0,
+      seller_name VARCHAR(255),
+      note TEXT,
+      uuid VARCHAR(36),
+      synced_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_customer_payments_customer_id ON customer_payments (customer_id)');
+    await db.runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_payments_uuid ON customer_payments (uuid)');
+
+    await db.runAsync('ALTER TABLE debt_repayments ADD COLUMN IF NOT EXISTS customer_payment_id INTEGER');
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_debt_repayments_customer_payment_id ON debt_repayments (customer_payment_id)');
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_debt_repayments_customer_payment_id');
+    await db.runAsync('ALTER TABLE debt_repayments DROP COLUMN IF EXISTS customer_payment_id');
+    await db.runAsync('DROP INDEX IF EXISTS idx_customer_payments_uuid');
+    await db.runAsync('DROP INDEX IF EXISTS idx_customer_payments_customer_id');
+    await db.runAsync('DROP TABLE IF EXISTS customer_payments');
+  }
+};
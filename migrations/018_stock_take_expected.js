@@ -0,0 +1,10 @@
+// Stock a product had when a stock-take count of it was recorded (see stockTakes.js)
+module.exports = {
+  async up(db) {
+    await db.runAsync('ALTER TABLE stock_take_counts ADD COLUMN IF NOT EXISTS expected INTEGER');
+  },
+
+  async down(db) {
+    await db.runAsync('ALTER TABLE stock_take_counts DROP COLUMN IF EXISTS expected');
+  }
+};
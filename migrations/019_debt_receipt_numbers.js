@@ -0,0 +1,20 @@
+/**
+ * Debts lines keep their receipt number (DEBT-000001) instead of showing
+ * their id, so it travels with the line when synced (see sync.js). Existing
+ * lines get the number they showed here.
+ */
+module.exports = {
+  async up(db) {
+    await db.runAsync('ALTER TABLE debts ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(50)');
+    const lines = await db.allAsync('SELECT id FROM debts WHERE receipt_number IS NULL');
+    for (const line of lines) {
+      await db.runAsync('UPDATE debts SET receipt_number = ? WHERE id = ?', [`DEBT-${String(line.id).padStart(6, '0')}`, line.id]);
+    }
+    await db.runAsync('CREATE INDEX IF NOT EXISTS idx_debts_receipt_number ON debts (receipt_number)');
+  },
+
+  async down(db) {
+    await db.runAsync('DROP INDEX IF EXISTS idx_debts_receipt_number');
+    await db.runAsync('ALTER TABLE debts DROP COLUMN IF EXISTS receipt_number');
+  }
+};
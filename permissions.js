@@ -0,0 +1,132 @@
+/**
+ * Role-based permissions.
+ * Each route declares the permission it needs with requirePermission(); the
+ * matrix below says which roles hold it. Runs after auth.authenticate, which
+ * loads req.user.role from the users table on every request.
+ */
+const ROLES = ['admin', 'manager', 'seller'];
+const DEFAULT_ROLE = 'seller';
+
+const ALL = ['admin', 'manager', 'seller'];
+const MANAGERS = ['admin', 'manager'];
+const ADMINS = ['admin'];
+
+const PERMISSIONS = {
+  'users.view': MANAGERS,
+  'users.manage': ADMINS,
+
+  'income.view': ALL,
+  'income.create': ALL,
+  'income.update': MANAGERS,
+  'income.delete': MANAGERS,
+
+  'debts.view': ALL,
+  'debts.create': ALL,
+  'debts.update': MANAGERS,
+  'debts.delete': MANAGERS,
+
+  'sales.view': ALL,
+  'sales.update': MANAGERS,
+
+  'customers.view': ALL,
+  'customers.create': ALL,
+  'customers.manage': MANAGERS,
+
+  'returns.view': ALL,
+  'returns.create': MANAGERS,
+
+  'debtRepayments.view': ALL,
+  'debtRepayments.create': ALL,
+  'debtRepayments.update': MANAGERS,
+  'debtRepayments.delete': MANAGERS,
+
+  'expenses.view': MANAGERS,
+  'expenses.create': MANAGERS,
+  'expenses.update': MANAGERS,
+  'expenses.delete': MANAGERS,
+
+  'purchases.view': ALL,
+  'purchases.create': MANAGERS,
+  'purchases.update': MANAGERS,
+  'purchases.delete': MANAGERS,
+
+  'suppliers.view': MANAGERS,
+  'suppliers.manage': MANAGERS,
+
+  'supplierPayments.view': MANAGERS,
+  'supplierPayments.create': MANAGERS,
+  'supplierPayments.update': MANAGERS,
+  'supplierPayments.delete': MANAGERS,
+
+  'purchaseOrders.view': MANAGERS,
+  'purchaseOrders.manage': MANAGERS,
+  'purchaseOrders.receive': MANAGERS,
+
+  'products.view': ALL,
+  'products.manage': MANAGERS,
+
+  'stock.view': ALL,
+  'stock.update': MANAGERS,
+  'stock.adjust': MANAGERS,
+
+  'stockTakes.view': ALL,
+  'stockTakes.count': ALL,
+  'stockTakes.manage': MANAGERS,
+
+  'configuration.view': ALL,
+  'configuration.update': ADMINS,
+  'configuration.pin': ADMINS,
+
+  'currencies.view': ALL,
+  'currencies.manage': MANAGERS,
+
+  'goals.view': MANAGERS,
+  'goals.manage': MANAGERS,
+
+  'reports.view': MANAGERS,
+
+  'audit.view': ADMINS,
+
+  'backup.manage': ADMINS,
+
+  'sync.manage': ADMINS,
+  'sync.exchange': MANAGERS
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function can(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission: ${permission}`);
+  return !!(user && roles.includes(user.role));
+}
+
+// Permissions held by a role, returned at login so the client can hide what it cannot use
+function forRole(role) {
+  return Object.keys(PERMISSIONS).filter((permission) => PERMISSIONS[permission].includes(role));
+}
+
+/**
+ * Express middleware factory: 403 unless req.user holds permission.
+ */
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isValidRole,
+  can,
+  forRole,
+  requirePermission
+};
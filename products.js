@@ -0,0 +1,212 @@
+/**
+ * Product catalog.
+ * A product (SKU, name, category, selling price, stock threshold, image) is
+ * what is sold; purchases rows are its lots, each holding what is left of one
+ * delivery in available_stock. A product's stock is the sum over its lots.
+ * Sale lines (income, debts) and returns point to their product by product_id.
+ */
+const crypto = require('crypto');
+const db = require('./db');
+
+function productError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * uuid derived from the product name, so the same product created on two
+ * installs is one record once synced (see sync.js). `kind` keeps other
+ * named records (suppliers, customers) apart from products.
+ */
+function nameUuid(name, kind = 'product') {
+  const hex = crypto.createHash('sha1').update(`${kind}:${name.trim().toLowerCase()}`).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Product columns plus stock totals over its lots
+const PRODUCT_SELECT = `SELECT pr.*,
+    COALESCE(lots.available_stock, 0) AS available_stock,
+    COALESCE(lots.pcs, 0) AS pcs_purchased,
+    COALESCE(lots.lot_count, 0) AS lot_count
+  FROM products pr
+  LEFT JOIN (
+    SELECT product_id, SUM(available_stock) AS available_stock, SUM(pcs) AS pcs, COUNT(*) AS lot_count
+    FROM purchases GROUP BY product_id
+  ) lots ON lots.product_id = pr.id`;
+
+function withTotals(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    available_stock: parseInt(row.available_stock, 10) || 0,
+    pcs_purchased: parseInt(row.pcs_purchased, 10) || 0,
+    lot_count: parseInt(row.lot_count, 10) || 0
+  };
+}
+
+async function getProduct(id, conn = db) {
+  return withTotals(await conn.getAsync(`${PRODUCT_SELECT} WHERE pr.id = ?`, [id]));
+}
+
+/**
+ * List products by name with their stock.
+ *   filters: { search? (name or SKU), category? }
+ */
+async function listProducts(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.search) {
+    where.push('(LOWER(pr.name) LIKE ? OR LOWER(pr.sku) LIKE ?)');
+    const like = `%${String(filters.search).trim().toLowerCase()}%`;
+    params.push(like, like);
+  }
+  if (filters.category) {
+    where.push('pr.category = ?');
+    params.push(filters.category);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const rows = await db.allAsync(`${PRODUCT_SELECT} ${whereSql} ORDER BY pr.name ASC`, params);
+  return rows.map(withTotals);
+}
+
+// Lots of a product, oldest first (the order sales draw from them)
+async function getLots(productId, conn = db) {
+  return conn.allAsync('SELECT * FROM purchases WHERE product_id = ? ORDER BY date ASC, id ASC', [productId]);
+}
+
+// Product by name, ignoring case and surrounding spaces
+async function findByName(conn, name) {
+  const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (!key) return null;
+  return conn.getAsync('SELECT * FROM products WHERE LOWER(name) = ? ORDER BY id ASC LIMIT 1', [key]);
+}
+
+// Validate product fields; `partial` for updates, where only given fields are checked
+function normalizeProduct(data, partial = false) {
+  const product = {};
+  if (!partial || data.name !== undefined) {
+    product.name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!product.name) throw productError(400, 'Name is required');
+  }
+  if (data.sku !== undefined) product.sku = data.sku ? String(data.sku).trim() : null;
+  if (data.category !== undefined) product.category = data.category ? String(data.category).trim() : null;
+  if (data.selling_price !== undefined && data.selling_price !== null && data.selling_price !== '') {
+    product.selling_price = parseFloat(data.selling_price);
+    if (!(product.selling_price >= 0)) throw productError(400, 'Selling price must be 0 or more');
+  }
+  const threshold = data.stock_deficiency_threshold !== undefined ? data.stock_deficiency_threshold : data.threshold;
+  if (threshold !== undefined && threshold !== null && threshold !== '') {
+    product.stock_deficiency_threshold = parseInt(threshold, 10);
+    if (!(product.stock_deficiency_threshold >= 0)) throw productError(400, 'Threshold must be 0 or more');
+  }
+  return product;
+}
+
+// Names and SKUs are unique in the catalog
+async function assertUnique(conn, product, exceptId = null) {
+  if (product.name) {
+    const sameName = await findByName(conn, product.name);
+    if (sameName && sameName.id !== exceptId) throw productError(409, `A product named "${sameName.name}" already exists`);
+  }
+  if (product.sku) {
+    const sameSku = await conn.getAsync('SELECT id FROM products WHERE sku = ?', [product.sku]);
+    if (sameSku && sameSku.id !== exceptId) throw productError(409, `SKU ${product.sku} is already used`);
+  }
+}
+
+/**
+ * Create a product. data: { name, sku?, category?, selling_price?,
+ * stock_deficiency_threshold?, image_path? }. Resolves to the new id.
+ */
+async function createProduct(conn, data) {
+  const product = normalizeProduct(data);
+  await assertUnique(conn, product);
+  let uuid = nameUuid(product.name);
+  if (await conn.getAsync('SELECT id FROM products WHERE uuid = ?', [uuid])) uuid = crypto.randomUUID();
+  const inserted = await conn.runAsync(
+    `INSERT INTO products (sku, name, category, selling_price, stock_deficiency_threshold, image_path, uuid)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      product.sku || null,
+      product.name,
+      product.category || null,
+      product.selling_price !== undefined ? product.selling_price : null,
+      product.stock_deficiency_threshold || 0,
+      data.image_path || null,
+      uuid
+    ]
+  );
+  return inserted.lastID;
+}
+
+// Update the given fields of a product. Resolves to false when it does not exist.
+async function updateProduct(conn, id, data) {
+  const product = normalizeProduct(data, true);
+  const existing = await conn.getAsync('SELECT id FROM products WHERE id = ?', [id]);
+  if (!existing) return false;
+  await assertUnique(conn, product, existing.id);
+  const columns = Object.keys(product);
+  if (data.image_path !== undefined) columns.push('image_path');
+  const values = columns.map((c) => (c === 'image_path' ? data.image_path : product[c]));
+  await conn.runAsync(
+    `UPDATE products SET ${columns.map((c) => `${c} = ?`).join(', ')}${columns.length ? ', ' : ''}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...values, id]
+  );
+  return true;
+}
+
+/**
+ * The product a purchase or sale line refers to: by product_id, else by
+ * name. With { create: true } a name that is not in the catalog becomes a
+ * new product (purchases add items that way); otherwise it rejects with 400.
+ */
+async function resolveProduct(conn, ref, options = {}) {
+  if (ref.product_id !== undefined && ref.product_id !== null && ref.product_id !== '') {
+    const product = await conn.getAsync('SELECT * FROM products WHERE id = ?', [parseInt(ref.product_id, 10) || 0]);
+    if (!product) throw productError(400, 'Product not found');
+    return product;
+  }
+  const found = await findByName(conn, ref.name);
+  if (found) return found;
+  if (!options.create) throw productError(400, 'Item not found in inventory');
+  const id = await createProduct(conn, { ...(options.defaults || {}), name: ref.name });
+  return conn.getAsync('SELECT * FROM products WHERE id = ?', [id]);
+}
+
+/**
+ * Resolve the products of sale items ({ product_id?, name }) in place: each
+ * gets product_id and the catalog name. Rejects with 400 naming every item
+ * that is not in the catalog.
+ */
+async function resolveItems(conn, items) {
+  const missing = [];
+  for (const item of items) {
+    try {
+      const product = await resolveProduct(conn, item);
+      item.product_id = product.id;
+      item.name = product.name;
+    } catch (err) {
+      if (!err.status) throw err;
+      missing.push(item.name || `#${item.product_id}`);
+    }
+  }
+  if (missing.length) {
+    throw productError(400, missing.length === 1 && items.length === 1
+      ? 'Item not found in inventory'
+      : `Items not found in inventory: ${[...new Set(missing)].join(', ')}`);
+  }
+  return items;
+}
+
+module.exports = {
+  nameUuid,
+  getProduct,
+  listProducts,
+  getLots,
+  findByName,
+  createProduct,
+  updateProduct,
+  resolveProduct,
+  resolveItems
+};
@@ -0,0 +1,582 @@
+/**
+ * Purchase orders.
+ * An order to a supplier is drafted (by hand or from the reorder
+ * suggestions, see reorder.js), sent, then received in one or more
+ * deliveries. Each delivered line becomes a lot (a purchases row pointing to
+ * the order line, with its 'purchase' stock movement), owed to the supplier
+ * unless amount_paid is given (see suppliers.js). What a line received is the
+ * sum of its lots; pieces neither received nor cancelled are on backorder.
+ * Status follows: sent -> partially_received -> received once nothing is on
+ * backorder; an order cancelled before anything arrived is cancelled.
+ */
+const db = require('./db');
+const audit = require('./audit');
+const inventory = require('./inventory');
+const products = require('./products');
+const receipts = require('./receipts');
+const reorder = require('./reorder');
+const suppliers = require('./suppliers');
+const { formatReceiptNumber } = require('./sales');
+
+const STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+const OPEN_STATUSES = ['sent', 'partially_received'];
+
+function purchaseOrderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+const toInt = (value) => parseInt(value, 10) || 0;
+
+// Pieces received per order line, from its lots
+const RECEIVED = `(SELECT purchase_order_line_id, CAST(SUM(pcs) AS INTEGER) AS pcs FROM purchases
+  WHERE purchase_order_line_id IS NOT NULL GROUP BY purchase_order_line_id)`;
+
+const BACKORDERED = 'l.pcs - l.pcs_cancelled - COALESCE(r.pcs, 0)';
+
+const ORDER_SELECT = `SELECT o.*, s.name AS supplier_name, s.phone AS supplier_phone,
+    COALESCE(t.line_count, 0) AS line_count, t.pcs_ordered, t.pcs_cancelled, t.pcs_received, t.pcs_backordered, t.total_amount
+  FROM purchase_orders o
+  LEFT JOIN suppliers s ON s.id = o.supplier_id
+  LEFT JOIN (
+    SELECT l.purchase_order_id, COUNT(*) AS line_count, SUM(l.pcs) AS pcs_ordered, SUM(l.pcs_cancelled) AS pcs_cancelled,
+      SUM(COALESCE(r.pcs, 0)) AS pcs_received,
+      SUM(CASE WHEN ${BACKORDERED} > 0 THEN ${BACKORDERED} ELSE 0 END) AS pcs_backordered,
+      SUM((l.pcs - l.pcs_cancelled) * l.unit_price) AS total_amount
+    FROM purchase_order_lines l
+    LEFT JOIN ${RECEIVED} r ON r.purchase_order_line_id = l.id
+    GROUP BY l.purchase_order_id
+  ) t ON t.purchase_order_id = o.id`;
+
+function withTotals(row) {
+  return {
+    ...row,
+    line_count: toInt(row.line_count),
+    pcs_ordered: toInt(row.pcs_ordered),
+    pcs_cancelled: toInt(row.pcs_cancelled),
+    pcs_received: toInt(row.pcs_received),
+    pcs_backordered: toInt(row.pcs_backordered),
+    total_amount: roundMoney(parseFloat(row.total_amount) || 0)
+  };
+}
+
+/**
+ * List orders, newest first, with their piece counts and value.
+ *   filters: { status?, supplierId? }
+ */
+async function listPurchaseOrders(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.status) {
+    where.push('o.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.supplierId) {
+    where.push('o.supplier_id = ?');
+    params.push(parseInt(filters.supplierId, 10));
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const rows = await db.allAsync(`${ORDER_SELECT} ${whereSql} ORDER BY o.order_date DESC, o.id DESC`, params);
+  return rows.map(withTotals);
+}
+
+// Lines of an order with what they received, each with its lots
+async function loadLines(conn, orderId) {
+  const lines = await conn.allAsync(
+    `SELECT l.*, pr.name, pr.sku, COALESCE(r.pcs, 0) AS pcs_received
+     FROM purchase_order_lines l
+     LEFT JOIN products pr ON pr.id = l.product_id
+     LEFT JOIN ${RECEIVED} r ON r.purchase_order_line_id = l.id
+     WHERE l.purchase_order_id = ?
+     ORDER BY l.id ASC`,
+    [orderId]
+  );
+  const lots = await conn.allAsync(
+    `SELECT p.id, p.purchase_order_line_id, p.date, p.pcs, p.unit_price, p.total_amount, p.amount_paid, p.balance_owed
+     FROM purchases p
+     JOIN purchase_order_lines l ON l.id = p.purchase_order_line_id
+     WHERE l.purchase_order_id = ?
+     ORDER BY p.date ASC, p.id ASC`,
+    [orderId]
+  );
+  return lines.map((line) => {
+    const pcs = toInt(line.pcs);
+    const received = toInt(line.pcs_received);
+    const cancelled = toInt(line.pcs_cancelled);
+    return {
+      ...line,
+      pcs,
+      unit_price: parseFloat(line.unit_price) || 0,
+      total: roundMoney((pcs - cancelled) * (parseFloat(line.unit_price) || 0)),
+      pcs_received: received,
+      pcs_cancelled: cancelled,
+      pcs_backordered: Math.max(0, pcs - cancelled - received),
+      lots: lots.filter((lot) => lot.purchase_order_line_id === line.id)
+    };
+  });
+}
+
+// Order with its supplier, totals and lines, or null
+async function getPurchaseOrder(id, conn = db) {
+  const order = await conn.getAsync(`${ORDER_SELECT} WHERE o.id = ?`, [id]);
+  if (!order) return null;
+  return { ...withTotals(order), lines: await loadLines(conn, order.id) };
+}
+
+/**
+ * Lines still on backorder on sent or partially received orders, oldest
+ * order first.
+ *   filters: { supplierId?, productId? }
+ */
+async function listBackorders(filters = {}) {
+  const where = [`o.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`, `${BACKORDERED} > 0`];
+  const params = [...OPEN_STATUSES];
+  if (filters.supplierId) {
+    where.push('o.supplier_id = ?');
+    params.push(parseInt(filters.supplierId, 10));
+  }
+  if (filters.productId) {
+    where.push('l.product_id = ?');
+    params.push(parseInt(filters.productId, 10));
+  }
+  const rows = await db.allAsync(
+    `SELECT l.id AS line_id, l.purchase_order_id, o.order_number, o.order_date, o.expected_date, o.status,
+       o.supplier_id, s.name AS supplier_name, l.product_id, pr.name, pr.sku,
+       l.pcs, l.pcs_cancelled, COALESCE(r.pcs, 0) AS pcs_received, ${BACKORDERED} AS pcs_backordered, l.unit_price
+     FROM purchase_order_lines l
+     JOIN purchase_orders o ON o.id = l.purchase_order_id
+     LEFT JOIN suppliers s ON s.id = o.supplier_id
+     LEFT JOIN products pr ON pr.id = l.product_id
+     LEFT JOIN ${RECEIVED} r ON r.purchase_order_line_id = l.id
+     WHERE ${where.join(' AND ')}
+     ORDER BY o.order_date ASC, o.id ASC, l.id ASC`,
+    params
+  );
+  return rows.map((row) => ({
+    ...row,
+    pcs: toInt(row.pcs),
+    pcs_cancelled: toInt(row.pcs_cancelled),
+    pcs_received: toInt(row.pcs_received),
+    pcs_backordered: toInt(row.pcs_backordered),
+    unit_price: parseFloat(row.unit_price) || 0,
+    value: roundMoney(toInt(row.pcs_backordered) * (parseFloat(row.unit_price) || 0))
+  }));
+}
+
+async function lockOrder(conn, id) {
+  const order = await conn.getAsync('SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE', [id]);
+  if (!order) throw purchaseOrderError(404, 'Purchase order not found');
+  return order;
+}
+
+function assertStatus(order, allowed, action) {
+  if (!allowed.includes(order.status)) {
+    throw purchaseOrderError(409, `Purchase order ${order.order_number} is ${order.status.replace('_', ' ')} and cannot be ${action}`);
+  }
+}
+
+function parsePcs(value, label) {
+  const pcs = Number(value);
+  if (!Number.isInteger(pcs) || pcs <= 0) throw purchaseOrderError(400, `${label} must be a whole number above 0`);
+  return pcs;
+}
+
+function parsePrice(value) {
+  const price = parseFloat(value);
+  if (Number.isNaN(price) || price < 0) throw purchaseOrderError(400, 'Unit price must be 0 or more');
+  return price;
+}
+
+// Check order header input (see createPurchaseOrder); throws 400
+function normalizeHeader(data, partial = false) {
+  const header = {};
+  if (!partial || data.order_date !== undefined) {
+    header.order_date = data.order_date || new Date().toISOString().slice(0, 10);
+    if (!isDay(String(header.order_date).slice(0, 10))) throw purchaseOrderError(400, 'order_date must be in YYYY-MM-DD format');
+  }
+  if (data.expected_date !== undefined) {
+    header.expected_date = data.expected_date || null;
+    if (header.expected_date && !isDay(String(header.expected_date).slice(0, 10))) {
+      throw purchaseOrderError(400, 'expected_date must be in YYYY-MM-DD format');
+    }
+  }
+  if (data.note !== undefined) header.note = data.note ? String(data.note).trim() : null;
+  return header;
+}
+
+// Lines as { product_id, pcs, unit_price } with their products resolved; the price defaults to the product's newest lot
+async function resolveLines(tx, lines, supplierId) {
+  if (!Array.isArray(lines) || lines.length === 0) throw purchaseOrderError(400, 'At least one line is required');
+  const resolved = [];
+  for (const line of lines) {
+    const pcs = parsePcs(line.pcs, 'Pcs');
+    const product = await products.resolveProduct(tx, line, { create: true });
+    if (resolved.some((other) => other.product_id === product.id)) {
+      throw purchaseOrderError(400, `${product.name} is on the order more than once`);
+    }
+    let unitPrice;
+    if (line.unit_price !== undefined && line.unit_price !== null && line.unit_price !== '') {
+      unitPrice = parsePrice(line.unit_price);
+    } else {
+      const lot = await tx.getAsync(
+        `SELECT unit_price FROM purchases WHERE product_id = ?
+         ORDER BY CASE WHEN supplier_id = ? THEN 0 ELSE 1 END, id DESC LIMIT 1`,
+        [product.id, supplierId]
+      );
+      if (!lot) throw purchaseOrderError(400, `Unit price is required for ${product.name}`);
+      unitPrice = parseFloat(lot.unit_price) || 0;
+    }
+    resolved.push({ product_id: product.id, pcs, unit_price: unitPrice });
+  }
+  return resolved;
+}
+
+async function insertLines(tx, orderId, lines) {
+  for (const line of lines) {
+    await tx.runAsync(
+      'INSERT INTO purchase_order_lines (purchase_order_id, product_id, pcs, unit_price) VALUES (?, ?, ?, ?)',
+      [orderId, line.product_id, line.pcs, line.unit_price]
+    );
+  }
+}
+
+// Insert a draft order with resolved lines; resolves to its id
+async function insertOrder(tx, user, supplierId, header, lines) {
+  const inserted = await tx.runAsync(
+    `INSERT INTO purchase_orders (supplier_id, status, order_date, expected_date, note, created_by)
+     VALUES (?, 'draft', ?, ?, ?, ?)`,
+    [supplierId, header.order_date, header.expected_date || null, header.note || null, (user && user.username) || null]
+  );
+  await tx.runAsync('UPDATE purchase_orders SET order_number = ? WHERE id = ?', [formatReceiptNumber('PO', inserted.lastID), inserted.lastID]);
+  await insertLines(tx, inserted.lastID, lines);
+  return inserted.lastID;
+}
+
+/**
+ * Draft an order.
+ *   data: { supplier_id or supplier_name (a new name adds the supplier),
+ *           order_date? (default today), expected_date?, note?,
+ *           lines: [{ product_id or name, pcs, unit_price? (default: the
+ *           product's newest lot, from this supplier if any) }] }
+ * Resolves to the order (numbered PO-000001).
+ */
+async function createPurchaseOrder(req, data = {}) {
+  const header = normalizeHeader(data);
+  const id = await db.transaction(async (tx) => {
+    const supplier = await suppliers.resolveSupplier(tx, { supplier_id: data.supplier_id, supplier_name: data.supplier_name });
+    if (!supplier) throw purchaseOrderError(400, 'Supplier is required');
+    const lines = await resolveLines(tx, data.lines, supplier.id);
+    return insertOrder(tx, req.user, supplier.id, header, lines);
+  });
+  audit.log(req, { table: 'purchase_orders', recordId: id, action: 'create' });
+  return getPurchaseOrder(id);
+}
+
+/**
+ * Update a draft: any of the createPurchaseOrder fields; lines, when given,
+ * replace all of its lines. Resolves to the order.
+ */
+async function updatePurchaseOrder(req, id, data = {}) {
+  const header = normalizeHeader(data, true);
+  const before = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, id);
+    assertStatus(order, ['draft'], 'edited');
+    let supplierId = order.supplier_id;
+    if (data.supplier_id || data.supplier_name) {
+      supplierId = (await suppliers.resolveSupplier(tx, { supplier_id: data.supplier_id, supplier_name: data.supplier_name })).id;
+    }
+    const columns = Object.keys(header);
+    await tx.runAsync(
+      `UPDATE purchase_orders SET supplier_id = ?, ${columns.map((c) => `${c} = ?`).join(', ')}${columns.length ? ', ' : ''}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [supplierId, ...columns.map((c) => header[c]), order.id]
+    );
+    if (data.lines !== undefined) {
+      const lines = await resolveLines(tx, data.lines, supplierId);
+      await tx.runAsync('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [order.id]);
+      await insertLines(tx, order.id, lines);
+    }
+    return order;
+  });
+  audit.log(req, { table: 'purchase_orders', recordId: before.id, action: 'update', before });
+  return getPurchaseOrder(before.id);
+}
+
+// Delete a draft with its lines. Resolves to false when not found.
+async function deletePurchaseOrder(req, id) {
+  const before = await db.transaction(async (tx) => {
+    const order = await tx.getAsync('SELECT * FROM purchase_orders WHERE id = ? FOR UPDATE', [id]);
+    if (!order) return null;
+    if (order.status !== 'draft') {
+      throw purchaseOrderError(409, `Only draft purchase orders can be deleted; cancel ${order.order_number} instead`);
+    }
+    await tx.runAsync('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [order.id]);
+    await tx.runAsync('DELETE FROM purchase_orders WHERE id = ?', [order.id]);
+    return order;
+  });
+  if (!before) return false;
+  audit.log(req, { table: 'purchase_orders', recordId: before.id, action: 'delete', before });
+  return true;
+}
+
+// Mark a draft as sent to the supplier; its lines can then be received or cancelled, no longer edited
+async function sendPurchaseOrder(req, id) {
+  const before = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, id);
+    assertStatus(order, ['draft'], 'sent');
+    await tx.runAsync(
+      "UPDATE purchase_orders SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [order.id]
+    );
+    return order;
+  });
+  audit.log(req, { table: 'purchase_orders', recordId: before.id, action: 'update', before });
+  return getPurchaseOrder(before.id);
+}
+
+// Status of a sent order from what its lines received and have on backorder
+async function refreshStatus(tx, orderId) {
+  const order = await tx.getAsync('SELECT id, status FROM purchase_orders WHERE id = ?', [orderId]);
+  if (!order || order.status === 'draft' || order.status === 'cancelled') return;
+  const lines = await loadLines(tx, orderId);
+  const received = lines.reduce((sum, line) => sum + line.pcs_received, 0);
+  const backordered = lines.reduce((sum, line) => sum + line.pcs_backordered, 0);
+  let status;
+  if (backordered) status = received ? 'partially_received' : 'sent';
+  else status = received ? 'received' : 'cancelled';
+  if (status === order.status) return;
+  const closed = status === 'received' || status === 'cancelled';
+  await tx.runAsync(
+    `UPDATE purchase_orders SET status = ?, closed_at = ${closed ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [status, orderId]
+  );
+}
+
+// Pick lines of an order by line_id; each at most once
+function pickLines(lines, items) {
+  const seen = new Set();
+  return items.map((item) => {
+    const line = lines.find((l) => l.id === toInt(item.line_id));
+    if (!line) throw purchaseOrderError(400, `Line ${item.line_id} is not on this purchase order`);
+    if (seen.has(line.id)) throw purchaseOrderError(400, `Line ${line.id} is listed more than once`);
+    seen.add(line.id);
+    return { line, item };
+  });
+}
+
+/**
+ * Receive a delivery on a sent or partially received order.
+ *   data: { date? (default today), description?,
+ *           lines?: [{ line_id, pcs, unit_price? (default: the order's),
+ *                      amount_paid? (paid on delivery, default 0) }] }
+ * Without lines, everything on backorder is received. Each line becomes a
+ * lot with its stock movement; no line can receive more than it has on
+ * backorder. Resolves to { purchaseOrder, purchases: [lot ids] }.
+ */
+async function receivePurchaseOrder(req, id, data = {}) {
+  const date = data.date || new Date().toISOString().slice(0, 10);
+  if (!isDay(String(date).slice(0, 10))) throw purchaseOrderError(400, 'date must be in YYYY-MM-DD format');
+
+  const { before, lotIds } = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, id);
+    assertStatus(order, OPEN_STATUSES, 'received');
+    const supplier = await tx.getAsync('SELECT id, name FROM suppliers WHERE id = ?', [order.supplier_id]);
+    const lines = await loadLines(tx, order.id);
+    const items = Array.isArray(data.lines) && data.lines.length
+      ? data.lines
+      : lines.filter((line) => line.pcs_backordered > 0).map((line) => ({ line_id: line.id, pcs: line.pcs_backordered }));
+
+    const ids = [];
+    for (const { line, item } of pickLines(lines, items)) {
+      const pcs = parsePcs(item.pcs, 'Pcs received');
+      if (pcs > line.pcs_backordered) {
+        throw purchaseOrderError(400, `${line.name}: only ${line.pcs_backordered} pcs are on backorder`);
+      }
+      const unitPrice = item.unit_price !== undefined && item.unit_price !== null && item.unit_price !== ''
+        ? parsePrice(item.unit_price)
+        : line.unit_price;
+      const total = pcs * unitPrice;
+      const payables = suppliers.purchasePayables(total, item.amount_paid !== undefined ? item.amount_paid : 0);
+      const description = data.description ? `${order.order_number}: ${String(data.description).trim()}` : order.order_number;
+
+      const inserted = await tx.runAsync(
+        `INSERT INTO purchases (product_id, date, name, pcs, unit_price, total_amount, description, supplier_id, supplier_name,
+           amount_paid, balance_owed, available_stock, purchase_order_line_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          line.product_id, date, line.name, pcs, unitPrice, total, description, supplier.id, supplier.name,
+          payables.amount_paid, payables.balance_owed, pcs, line.id
+        ]
+      );
+      await inventory.recordMovement(tx, {
+        product_id: line.product_id,
+        lot_id: inserted.lastID,
+        type: 'purchase',
+        quantity: pcs,
+        reference_table: 'purchases',
+        reference_id: inserted.lastID,
+        date,
+        note: `Received on ${order.order_number}`,
+        user: req.user
+      });
+      ids.push(inserted.lastID);
+    }
+    if (!ids.length) throw purchaseOrderError(400, 'Nothing is on backorder');
+    await refreshStatus(tx, order.id);
+    return { before: order, lotIds: ids };
+  });
+
+  lotIds.forEach((lotId) => audit.log(req, { table: 'purchases', recordId: lotId, action: 'create' }));
+  audit.log(req, { table: 'purchase_orders', recordId: before.id, action: 'update', before });
+  return { purchaseOrder: await getPurchaseOrder(before.id), purchases: lotIds };
+}
+
+// Cancel pieces on backorder: items [{ line_id, pcs? (default: all it has on backorder) }]
+async function cancelBackorders(tx, order, items, reason) {
+  const lines = await loadLines(tx, order.id);
+  for (const { line, item } of pickLines(lines, items)) {
+    const pcs = item.pcs === undefined || item.pcs === null || item.pcs === '' ? line.pcs_backordered : parsePcs(item.pcs, 'Pcs cancelled');
+    if (pcs > line.pcs_backordered) {
+      throw purchaseOrderError(400, `${line.name}: only ${line.pcs_backordered} pcs are on backorder`);
+    }
+    if (!pcs) continue;
+    await tx.runAsync(
+      'UPDATE purchase_order_lines SET pcs_cancelled = pcs_cancelled + ?, cancel_reason = COALESCE(?, cancel_reason), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [pcs, reason, line.id]
+    );
+  }
+  await tx.runAsync('UPDATE purchase_orders SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [order.id]);
+  await refreshStatus(tx, order.id);
+}
+
+/**
+ * Cancel what some lines of a sent or partially received order still have
+ * on backorder (the supplier cannot deliver it).
+ *   data: { lines: [{ line_id, pcs? (default: all on backorder) }], reason? }
+ * Resolves to the order.
+ */
+async function cancelLines(req, id, data = {}) {
+  if (!Array.isArray(data.lines) || data.lines.length === 0) throw purchaseOrderError(400, 'At least one line is required');
+  const reason = data.reason ? String(data.reason).trim() : null;
+  const before = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, id);
+    assertStatus(order, OPEN_STATUSES, 'changed');
+    await cancelBackorders(tx, order, data.lines, reason);
+    return order;
+  });
+  audit.log(req, { table: 'purchase_orders', recordId: before.id, action: 'update', before });
+  return getPurchaseOrder(before.id);
+}
+
+/**
+ * Cancel an order: a draft or sent order is cancelled with all its lines;
+ * on a partially received order what is on backorder is cancelled and it is
+ * closed as received. { reason? }. Resolves to the order.
+ */
+async function cancelPurchaseOrder(req, id, data = {}) {
+  const reason = data.reason ? String(data.reason).trim() : null;
+  const before = await db.transaction(async (tx) => {
+    const order = await lockOrder(tx, id);
+    assertStatus(order, ['draft', ...OPEN_STATUSES], 'cancelled');
+    if (order.status === 'draft') {
+      await tx.runAsync(
+        'UPDATE purchase_order_lines SET pcs_cancelled = pcs, cancel_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE purchase_order_id = ?',
+        [reason, order.id]
+      );
+      await tx.runAsync(
+        "UPDATE purchase_orders SET status = 'cancelled', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [order.id]
+      );
+    } else {
+      const lines = await loadLines(tx, order.id);
+      await cancelBackorders(tx, order, lines.filter((line) => line.pcs_backordered > 0).map((line) => ({ line_id: line.id })), reason);
+    }
+    return order;
+  });
+  audit.log(req, { table: 'purchase_orders', recordId: before.id, action: 'update', before });
+  return getPurchaseOrder(before.id);
+}
+
+/**
+ * Draft one order per supplier from the reorder suggestions (same options
+ * as reorder.reorderSuggestions, plus productIds? to order only some
+ * products), for their suggested quantities at their newest lot's price.
+ * Products without a supplier are skipped. Resolves to
+ * { purchaseOrders, skipped: [{ product_id, name, suggested_quantity }] }.
+ */
+async function draftFromReorder(req, options = {}) {
+  const { suggestions, startDate, endDate } = await reorder.reorderSuggestions({ ...options, all: false });
+  const only = Array.isArray(options.productIds) && options.productIds.length
+    ? new Set(options.productIds.map((productId) => parseInt(productId, 10)))
+    : null;
+  const picked = suggestions.filter((s) => !only || only.has(s.product_id));
+
+  const bySupplier = new Map();
+  const skipped = [];
+  picked.forEach((s) => {
+    if (!s.supplier_id) {
+      skipped.push({ product_id: s.product_id, name: s.name, suggested_quantity: s.suggested_quantity });
+      return;
+    }
+    if (!bySupplier.has(s.supplier_id)) bySupplier.set(s.supplier_id, []);
+    bySupplier.get(s.supplier_id).push({ product_id: s.product_id, pcs: s.suggested_quantity, unit_price: s.unit_price });
+  });
+
+  const header = normalizeHeader({ ...options, note: options.note || `Reorder suggestions ${startDate} to ${endDate}` });
+  const ids = await db.transaction(async (tx) => {
+    const created = [];
+    for (const [supplierId, lines] of bySupplier) {
+      created.push(await insertOrder(tx, req.user, supplierId, header, lines));
+    }
+    return created;
+  });
+
+  const purchaseOrders = [];
+  for (const orderId of ids) {
+    audit.log(req, { table: 'purchase_orders', recordId: orderId, action: 'create' });
+    purchaseOrders.push(await getPurchaseOrder(orderId));
+  }
+  return { purchaseOrders, skipped };
+}
+
+// The order as a PDF Buffer for the supplier: what is still ordered per line
+async function renderPdf(order) {
+  return receipts.renderReceipt(receipts.fromPurchaseOrder(order));
+}
+
+/**
+ * A lot received on an order keeps its product: throws 400 when an edit
+ * (see purchasesRoutes) would move it to another one.
+ */
+function assertLotProduct(lot, productId) {
+  if (lot.purchase_order_line_id && productId !== lot.product_id) {
+    throw purchaseOrderError(400, 'Purchase was received on a purchase order; its product cannot change');
+  }
+}
+
+// After a lot received on an order is edited or deleted, its order's status follows what was received
+async function lotChanged(tx, lot) {
+  if (!lot.purchase_order_line_id) return;
+  const line = await tx.getAsync('SELECT purchase_order_id FROM purchase_order_lines WHERE id = ?', [lot.purchase_order_line_id]);
+  if (line) await refreshStatus(tx, line.purchase_order_id);
+}
+
+module.exports = {
+  STATUSES,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  listBackorders,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelLines,
+  cancelPurchaseOrder,
+  draftFromReorder,
+  renderPdf,
+  assertLotProduct,
+  lotChanged
+};
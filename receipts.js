@@ -0,0 +1,416 @@
+/**
+ * PDF receipts (jspdf) for sales, debts, debt repayments and credit notes,
+ * customer payments and account statements, and purchase orders for
+ * suppliers.
+ * Shop details come from the configuration row: app name, logo, location,
+ * thank-you message and the items-received message ({customer} is replaced
+ * by the client name). Amounts are stored in FCFA and printed in the default
+ * currency.
+ */
+const fs = require('fs');
+const path = require('path');
+const { jsPDF } = require('jspdf');
+const db = require('./db');
+const storage = require('./storage');
+const { formatReceiptNumber, debtReceiptNumber } = require('./sales');
+
+const DEFAULT_THANK_YOU = 'Thank you for your business';
+const DEFAULT_ITEMS_RECEIVED = '{customer} received the above items in good condition.';
+
+const IMAGE_FORMATS = { jpg: 'JPEG', jpeg: 'JPEG', png: 'PNG', gif: 'GIF', webp: 'WEBP' };
+
+const PAGE = { width: 148, height: 210, margin: 10 }; // A5 portrait, mm
+
+function loadSettings() {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT app_name, logo_path, location, receipt_thank_you_message, receipt_items_received_message FROM configuration WHERE id = 1',
+      [],
+      (err, config) => {
+        if (err) return reject(err);
+        db.get('SELECT code, symbol, conversion_rate_to_fcfa FROM currencies WHERE is_default = 1 LIMIT 1', [], (err2, currency) => {
+          if (err2) return reject(err2);
+          resolve({
+            appName: (config && config.app_name) || 'Shop Accountant',
+            logoPath: (config && config.logo_path) || null,
+            location: (config && config.location) || '',
+            thankYou: (config && config.receipt_thank_you_message) || DEFAULT_THANK_YOU,
+            itemsReceived: (config && config.receipt_items_received_message) || DEFAULT_ITEMS_RECEIVED,
+            currency: currency || { code: 'FCFA', symbol: 'FCFA', conversion_rate_to_fcfa: 1 }
+          });
+        });
+      }
+    );
+  });
+}
+
+// Logo as { data, format } for addImage, or null when missing/unreadable
+async function loadLogo(storedPath) {
+  if (!storedPath) return null;
+  const ext = path.extname(storedPath.split('?')[0]).toLowerCase().replace(/^\./, '');
+  const format = IMAGE_FORMATS[ext] || 'JPEG';
+  try {
+    if (storage.isRemoteUrl(storedPath)) {
+      const resp = await fetch(storedPath, { headers: { 'Accept': 'image/*' } });
+      if (!resp.ok) throw new Error(`Upstream ${resp.status}`);
+      return { data: new Uint8Array(await resp.arrayBuffer()), format };
+    }
+    const localPath = storage.getLocalPath(storedPath);
+    if (!localPath || !fs.existsSync(localPath)) return null;
+    return { data: new Uint8Array(fs.readFileSync(localPath)), format };
+  } catch (e) {
+    console.error('[receipts] Could not load logo:', e.message);
+    return null;
+  }
+}
+
+// Signatures are stored as data URLs from the signature pad; accept bare base64 PNG too
+function signatureImage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.match(/^data:image\/(png|jpe?g|webp);base64,/i);
+  if (match) return { data: value, format: IMAGE_FORMATS[match[1].toLowerCase()] };
+  if (/^[A-Za-z0-9+/=\s]+$/.test(value)) return { data: `data:image/png;base64,${value.trim()}`, format: 'PNG' };
+  return null;
+}
+
+function makeMoneyFormatter(currency) {
+  const rate = parseFloat(currency.conversion_rate_to_fcfa) || 1;
+  const symbol = currency.symbol || currency.code || '';
+  return (amountFcfa) => {
+    const value = (parseFloat(amountFcfa) || 0) / rate;
+    return `${value.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${symbol}`.trim();
+  };
+}
+
+/**
+ * Render a receipt to a PDF Buffer.
+ *   receipt: {
+ *     title, receiptNumber, date, clientName, clientPhone, sellerName,
+ *     clientLabel, sellerLabel,               // default 'Client' and 'Seller'
+ *     references: [[label, value]],          // extra header lines, e.g. ['Debt receipt', 'DEBT-000004']
+ *     lines: [{ name, pcs, unitPrice, total, note? }],
+ *     columns: [name, pcs, unitPrice, total], // column headings, default Item, Qty, Unit price, Total
+ *     totals: [[label, amountFcfa]],
+ *     customerSignature, electronicSignature,
+ *     showItemsReceived                        // print the items-received message (sales and debts)
+ *   }
+ */
+async function renderReceipt(receipt) {
+  const settings = await loadSettings();
+  const logo = await loadLogo(settings.logoPath);
+  const money = makeMoneyFormatter(settings.currency);
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a5' });
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.margin;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  // Shop header
+  let textLeft = left;
+  if (logo) {
+    try {
+      doc.addImage(logo.data, logo.format, left, y, 18, 18);
+      textLeft = left + 22;
+    } catch (e) {
+      console.error('[receipts] Could not draw logo:', e.message);
+    }
+  }
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(settings.appName, textLeft, y + 6);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  if (settings.location) {
+    doc.text(doc.splitTextToSize(settings.location, right - textLeft), textLeft, y + 11);
+  }
+  y += logo ? 22 : 16;
+
+  // Receipt details
+  doc.setDrawColor(180);
+  doc.line(left, y, right, y);
+  y += 6;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.text(receipt.title, left, y);
+  doc.text(receipt.receiptNumber, right, y, { align: 'right' });
+  y += 6;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  const details = [
+    ['Date', receipt.date],
+    [receipt.clientLabel || 'Client', [receipt.clientName, receipt.clientPhone].filter(Boolean).join(' - ')],
+    [receipt.sellerLabel || 'Seller', receipt.sellerName],
+    ...(receipt.references || [])
+  ].filter(([, value]) => value);
+  details.forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, left, y);
+    y += 5;
+  });
+  y += 2;
+
+  // Lines
+  const columns = { name: left, pcs: left + 70, unitPrice: left + 98, total: right };
+  if (receipt.lines && receipt.lines.length) {
+    doc.setFont('helvetica', 'bold');
+    const [nameHeading, pcsHeading, unitPriceHeading, totalHeading] = receipt.columns || ['Item', 'Qty', 'Unit price', 'Total'];
+    doc.text(nameHeading, columns.name, y);
+    doc.text(pcsHeading, columns.pcs, y, { align: 'right' });
+    doc.text(unitPriceHeading, columns.unitPrice, y, { align: 'right' });
+    doc.text(totalHeading, columns.total, y, { align: 'right' });
+    y += 2;
+    doc.line(left, y, right, y);
+    y += 5;
+    doc.setFont('helvetica', 'normal');
+    receipt.lines.forEach((line) => {
+      const nameLines = doc.splitTextToSize(line.note ? `${line.name} (${line.note})` : line.name, 60);
+      ensureSpace(nameLines.length * 4 + 2);
+      doc.text(nameLines, columns.name, y);
+      if (line.pcs !== null && line.pcs !== undefined) doc.text(String(line.pcs), columns.pcs, y, { align: 'right' });
+      doc.text(money(line.unitPrice), columns.unitPrice, y, { align: 'right' });
+      doc.text(money(line.total), columns.total, y, { align: 'right' });
+      y += nameLines.length * 4 + 2;
+    });
+    doc.line(left, y - 1, right, y - 1);
+    y += 4;
+  }
+
+  // Totals
+  (receipt.totals || []).forEach(([label, amount], index) => {
+    ensureSpace(6);
+    doc.setFont('helvetica', index === 0 ? 'bold' : 'normal');
+    doc.text(label, columns.unitPrice, y, { align: 'right' });
+    doc.text(money(amount), columns.total, y, { align: 'right' });
+    y += 5;
+  });
+  doc.setFont('helvetica', 'normal');
+  y += 4;
+
+  // Signatures
+  const signatures = [
+    ['Customer signature', signatureImage(receipt.customerSignature)],
+    ['Seller signature', signatureImage(receipt.electronicSignature)]
+  ].filter(([, image]) => image);
+  if (signatures.length) {
+    ensureSpace(30);
+    const boxWidth = (right - left - 10) / 2;
+    signatures.forEach(([label, image], index) => {
+      const x = left + index * (boxWidth + 10);
+      try {
+        doc.addImage(image.data, image.format, x, y, boxWidth, 20);
+      } catch (e) {
+        console.error(`[receipts] Could not draw ${label.toLowerCase()}:`, e.message);
+      }
+      doc.line(x, y + 21, x + boxWidth, y + 21);
+      doc.text(label, x, y + 25);
+    });
+    y += 30;
+  }
+
+  // Footer messages
+  doc.setFontSize(9);
+  if (receipt.showItemsReceived) {
+    const message = settings.itemsReceived.replace(/\{customer\}/g, receipt.clientName || 'The customer');
+    const wrapped = doc.splitTextToSize(message, right - left);
+    ensureSpace(wrapped.length * 4 + 2);
+    doc.text(wrapped, left, y);
+    y += wrapped.length * 4 + 2;
+  }
+  const thanks = doc.splitTextToSize(settings.thankYou, right - left);
+  ensureSpace(thanks.length * 4 + 2);
+  doc.setFont('helvetica', 'italic');
+  doc.text(thanks, PAGE.width / 2, y + 2, { align: 'center' });
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+// Receipt for a sale header with its lines (cash or credit)
+function fromSale(sale) {
+  const isCredit = sale.sale_type === 'credit';
+  const totals = [['Total', sale.total_price]];
+  if (isCredit) {
+    totals.push(['Paid', sale.amount_paid], ['Balance owed', sale.balance_owed]);
+  }
+  return {
+    title: isCredit ? 'CREDIT SALE RECEIPT' : 'SALES RECEIPT',
+    receiptNumber: sale.receipt_number || formatReceiptNumber('SALE', sale.id),
+    date: sale.date,
+    clientName: sale.client_name,
+    clientPhone: sale.client_phone,
+    sellerName: sale.seller_name,
+    lines: sale.items.map((line) => ({
+      name: line.name,
+      note: isCredit ? debtReceiptNumber(line) : null,
+      pcs: line.pcs,
+      unitPrice: line.unit_price,
+      total: line.total_price
+    })),
+    totals,
+    customerSignature: sale.customer_signature,
+    electronicSignature: sale.electronic_signature,
+    showItemsReceived: true
+  };
+}
+
+// Receipt for an income or debt row recorded before sale receipts existed
+function fromLine(row, source) {
+  const isDebt = source === 'debt';
+  const totals = [['Total', row.total_price]];
+  if (isDebt) {
+    totals.push(['Paid', row.amount_payable_now], ['Balance owed', row.balance_owed]);
+  }
+  return {
+    title: isDebt ? 'DEBT RECEIPT' : 'SALES RECEIPT',
+    receiptNumber: isDebt ? debtReceiptNumber(row) : formatReceiptNumber('INC', row.id),
+    date: row.date,
+    clientName: row.client_name,
+    clientPhone: row.client_phone,
+    sellerName: row.seller_name,
+    lines: [{ name: row.name, pcs: row.pcs, unitPrice: row.unit_price, total: row.total_price }],
+    totals,
+    customerSignature: row.customer_signature,
+    electronicSignature: row.electronic_signature,
+    showItemsReceived: true
+  };
+}
+
+// Receipt for a debt repayment; balanceAfter is the debt balance right after this payment
+function fromRepayment(repayment, debt, balanceAfter) {
+  return {
+    title: 'REPAYMENT RECEIPT',
+    receiptNumber: repayment.receipt_number || formatReceiptNumber('REPAY', repayment.id),
+    date: repayment.payment_date,
+    clientName: debt.client_name,
+    clientPhone: debt.client_phone,
+    sellerName: repayment.seller_name,
+    references: [['Debt receipt', debtReceiptNumber(debt)], ['Item', `${debt.name} x ${debt.pcs}`]],
+    lines: [],
+    totals: [['Amount paid', repayment.amount], ['Debt total', debt.total_price], ['Balance remaining', balanceAfter]],
+    showItemsReceived: false
+  };
+}
+
+// Credit note for a sale return
+function fromReturn(saleReturn) {
+  const isDebt = saleReturn.source_type === 'debt';
+  const totals = [['Returned value', saleReturn.return_value]];
+  if (isDebt) totals.push(['Debt reduced by', saleReturn.debt_reduction]);
+  totals.push(['Refunded', saleReturn.refund_amount]);
+  return {
+    title: 'CREDIT NOTE',
+    receiptNumber: saleReturn.credit_note_number || formatReceiptNumber('CN', saleReturn.id),
+    date: saleReturn.date,
+    clientName: saleReturn.client_name,
+    clientPhone: saleReturn.client_phone,
+    sellerName: saleReturn.seller_name,
+    references: [
+      ['Sale receipt', saleReturn.sale_id ? saleReturn.sale_receipt_number || formatReceiptNumber('SALE', saleReturn.sale_id) : null],
+      [isDebt ? 'Debt receipt' : 'Line', (isDebt && saleReturn.debt_receipt_number) || formatReceiptNumber(isDebt ? 'DEBT' : 'INC', saleReturn.source_id)],
+      ['Reason', saleReturn.reason]
+    ],
+    lines: [{ name: saleReturn.name, pcs: saleReturn.pcs, unitPrice: saleReturn.unit_price, total: saleReturn.return_value }],
+    totals,
+    showItemsReceived: false
+  };
+}
+
+// Purchase order for its supplier: what is still ordered per line (see purchaseOrders.js)
+function fromPurchaseOrder(order) {
+  return {
+    title: 'PURCHASE ORDER',
+    receiptNumber: order.order_number,
+    date: order.order_date,
+    clientLabel: 'Supplier',
+    clientName: order.supplier_name,
+    clientPhone: order.supplier_phone,
+    sellerLabel: 'Ordered by',
+    sellerName: order.created_by,
+    references: [['Expected delivery', order.expected_date], ['Note', order.note]],
+    lines: order.lines.map((line) => ({
+      name: line.sku ? `${line.name} [${line.sku}]` : line.name,
+      note: line.pcs_cancelled ? `${line.pcs_cancelled} of ${line.pcs} cancelled` : null,
+      pcs: line.pcs - line.pcs_cancelled,
+      unitPrice: line.unit_price,
+      total: line.total
+    })),
+    totals: [['Total', order.total_amount]],
+    showItemsReceived: false
+  };
+}
+
+// Combined receipt for a customer payment (see customerPayments.getPayment): one line per debt it paid
+function fromCustomerPayment(payment) {
+  const totals = [['Amount received', payment.amount]];
+  if (parseFloat(payment.credit_used) > 0) totals.push(['Credit used', payment.credit_used]);
+  totals.push(['Paid on debts', payment.allocated], ['Kept as credit', payment.credit]);
+  return {
+    title: 'PAYMENT RECEIPT',
+    receiptNumber: payment.receipt_number || formatReceiptNumber('PAY', payment.id),
+    date: payment.payment_date,
+    clientName: payment.customer_name,
+    clientPhone: payment.customer_phone,
+    sellerName: payment.seller_name,
+    references: [['Note', payment.note]],
+    columns: ['Debt', '', 'Paid', 'Balance'],
+    lines: payment.repayments.map((r) => ({
+      name: `${r.sale_receipt_number || r.debt_receipt_number} ${r.item_name}`,
+      note: r.receipt_number,
+      pcs: null,
+      unitPrice: r.amount,
+      total: r.balance_after
+    })),
+    totals,
+    showItemsReceived: false
+  };
+}
+
+// Account statement of a customer (see customers.customerStatement): one line per entry, amount charged (+) or paid (-)
+function fromCustomerStatement(statement) {
+  const { customer } = statement;
+  return {
+    title: 'ACCOUNT STATEMENT',
+    receiptNumber: formatReceiptNumber('STMT', customer.id),
+    date: statement.to || new Date().toISOString().slice(0, 10),
+    clientName: customer.name,
+    clientPhone: customer.phone,
+    references: [['Period', statement.from || statement.to ? `${statement.from || '...'} to ${statement.to || '...'}` : 'All']],
+    columns: ['Entry', '', 'Amount', 'Balance'],
+    lines: statement.entries.map((entry) => ({
+      name: `${entry.date} ${entry.receipt_number} ${entry.description}`,
+      pcs: null,
+      unitPrice: entry.debit - entry.credit,
+      total: entry.balance
+    })),
+    totals: [
+      ['Balance owed', statement.closing_balance],
+      ['Opening balance', statement.opening_balance],
+      ['Charged', statement.totals.debit],
+      ['Paid and returned', statement.totals.credit]
+    ],
+    showItemsReceived: false
+  };
+}
+
+function sendPdf(res, buffer, receiptNumber) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${receiptNumber}.pdf"`);
+  res.send(buffer);
+}
+
+module.exports = {
+  fromSale,
+  fromLine,
+  fromRepayment,
+  fromReturn,
+  fromPurchaseOrder,
+  fromCustomerPayment,
+  fromCustomerStatement,
+  renderReceipt,
+  sendPdf
+};
@@ -0,0 +1,230 @@
+/**
+ * Reorder suggestions from sales velocity.
+ * A product's average daily sales is what its sale lines (income and debts)
+ * sold over the last windowDays days. With the lead time and target coverage
+ * of its supplier (the supplier of its newest lot, see suppliers.js;
+ * defaults for what a supplier does not set), it should be reordered once its
+ * stock only lasts the lead time: reorder_point = daily sales x lead time,
+ * and the suggested quantity brings stock up to daily sales x (lead time +
+ * coverage). Thresholds can be set to the reorder point, which makes the
+ * stock deficiency alerts follow sales.
+ */
+const db = require('./db');
+const audit = require('./audit');
+const suppliers = require('./suppliers');
+
+const DEFAULTS = { windowDays: 30, leadTimeDays: 7, coverageDays: 14 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reorderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const supplierKey = (name) => String(name || '').trim().toLowerCase();
+
+// Whole number of days from input, or the fallback when not given; throws 400
+function parseDays(value, fallback, label, min = 0) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < min || days > 3650) {
+    throw reorderError(400, `${label} must be a whole number of days from ${min} to 3650`);
+  }
+  return days;
+}
+
+// Suppliers with their own lead time or coverage, by name
+async function listLeadTimes(conn = db) {
+  return conn.allAsync(
+    `SELECT id, id AS supplier_id, name AS supplier_name, lead_time_days, coverage_days, updated_at FROM suppliers
+     WHERE lead_time_days IS NOT NULL OR coverage_days IS NOT NULL
+     ORDER BY name ASC`
+  );
+}
+
+/**
+ * Set a supplier's lead time and coverage: { supplier_id or supplier_name,
+ * lead_time_days, coverage_days }. A new supplier name adds the supplier.
+ * Resolves to the supplier's lead time entry.
+ */
+async function setLeadTime(req, data = {}) {
+  const leadTime = parseDays(data.lead_time_days, null, 'lead_time_days');
+  const coverage = parseDays(data.coverage_days, null, 'coverage_days');
+  if (leadTime === null || coverage === null) throw reorderError(400, 'lead_time_days and coverage_days are required');
+
+  const before = await db.transaction(async (tx) => {
+    const supplier = await suppliers.resolveSupplier(tx, { supplier_id: data.supplier_id, supplier_name: data.supplier_name });
+    if (!supplier) throw reorderError(400, 'Supplier name is required');
+    await suppliers.updateSupplier(tx, supplier.id, { lead_time_days: leadTime, coverage_days: coverage });
+    return supplier;
+  });
+  audit.log(req, { table: 'suppliers', recordId: before.id, action: 'update', before });
+  return db.getAsync('SELECT id, id AS supplier_id, name AS supplier_name, lead_time_days, coverage_days, updated_at FROM suppliers WHERE id = ?', [before.id]);
+}
+
+// Clear a supplier's lead time and coverage (it falls back to the defaults). Resolves to false when not found.
+async function deleteLeadTime(req, supplierId) {
+  const existing = await db.getAsync('SELECT * FROM suppliers WHERE id = ?', [supplierId]);
+  if (!existing) return false;
+  await suppliers.updateSupplier(db, existing.id, { lead_time_days: null, coverage_days: null });
+  audit.log(req, { table: 'suppliers', recordId: existing.id, action: 'update', before: existing });
+  return true;
+}
+
+// Check options (see reorderSuggestions); throws err.status 400
+function normalizeOptions(options) {
+  const endDate = options.endDate || new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || Number.isNaN(new Date(`${endDate}T00:00:00Z`).getTime())) {
+    throw reorderError(400, 'endDate must be in YYYY-MM-DD format');
+  }
+  const windowDays = parseDays(options.windowDays, DEFAULTS.windowDays, 'windowDays', 1);
+  const startDate = new Date(new Date(`${endDate}T00:00:00Z`).getTime() - (windowDays - 1) * DAY_MS).toISOString().slice(0, 10);
+  return {
+    startDate,
+    endDate,
+    windowDays,
+    leadTimeDays: parseDays(options.leadTimeDays, DEFAULTS.leadTimeDays, 'leadTimeDays'),
+    coverageDays: parseDays(options.coverageDays, DEFAULTS.coverageDays, 'coverageDays')
+  };
+}
+
+// Every product with its stock, newest lot and pieces sold in startDate..endDate
+async function loadVelocity(conn, startDate, endDate) {
+  const soldIn = (table) => `(SELECT product_id, SUM(pcs) AS pcs FROM ${table}
+    WHERE substring(date,1,10) >= ? AND substring(date,1,10) <= ? GROUP BY product_id)`;
+  return conn.allAsync(
+    `SELECT pr.id, pr.sku, pr.name, pr.category, pr.stock_deficiency_threshold,
+       COALESCE(lots.available_stock, 0) AS available_stock,
+       newest.unit_price, s.id AS supplier_id, COALESCE(s.name, newest.supplier_name) AS supplier_name,
+       s.lead_time_days, s.coverage_days,
+       COALESCE(cash.pcs, 0) + COALESCE(credit.pcs, 0) AS pcs_sold
+     FROM products pr
+     LEFT JOIN (
+       SELECT product_id, SUM(available_stock) AS available_stock, MAX(id) AS newest_id
+       FROM purchases GROUP BY product_id
+     ) lots ON lots.product_id = pr.id
+     LEFT JOIN purchases newest ON newest.id = lots.newest_id
+     LEFT JOIN suppliers s ON s.id = newest.supplier_id
+     LEFT JOIN ${soldIn('income')} cash ON cash.product_id = pr.id
+     LEFT JOIN ${soldIn('debts')} credit ON credit.product_id = pr.id
+     ORDER BY pr.name ASC`,
+    [startDate, endDate, startDate, endDate]
+  );
+}
+
+const orDefault = (value, fallback) => (value === null || value === undefined ? fallback : parseInt(value, 10));
+
+function suggestionFor(row, opts) {
+  const stock = parseInt(row.available_stock, 10) || 0;
+  const sold = parseInt(row.pcs_sold, 10) || 0;
+  const daily = sold / opts.windowDays;
+  const leadTime = orDefault(row.lead_time_days, opts.leadTimeDays);
+  const coverage = orDefault(row.coverage_days, opts.coverageDays);
+  const unitPrice = parseFloat(row.unit_price) || 0;
+  const suggested = Math.max(0, Math.ceil(daily * (leadTime + coverage)) - Math.max(stock, 0));
+  return {
+    product_id: row.id,
+    sku: row.sku,
+    name: row.name,
+    category: row.category,
+    supplier_id: row.supplier_id || null,
+    supplier_name: row.supplier_name || null,
+    available_stock: stock,
+    pcs_sold: sold,
+    avg_daily_sales: Math.round(daily * 100) / 100,
+    days_of_stock_left: daily > 0 ? Math.round((Math.max(stock, 0) / daily) * 10) / 10 : null,
+    lead_time_days: leadTime,
+    coverage_days: coverage,
+    reorder_point: Math.ceil(daily * leadTime),
+    stock_deficiency_threshold: parseInt(row.stock_deficiency_threshold, 10) || 0,
+    suggested_quantity: suggested,
+    unit_price: unitPrice,
+    estimated_cost: roundMoney(suggested * unitPrice)
+  };
+}
+
+// Soonest out of stock first; products that did not sell last
+function bySoonestOut(a, b) {
+  if (a.days_of_stock_left === null || b.days_of_stock_left === null) {
+    if (a.days_of_stock_left !== b.days_of_stock_left) return a.days_of_stock_left === null ? 1 : -1;
+  } else if (a.days_of_stock_left !== b.days_of_stock_left) {
+    return a.days_of_stock_left - b.days_of_stock_left;
+  }
+  return String(a.name).localeCompare(String(b.name));
+}
+
+/**
+ * Reorder suggestions.
+ *   options: { windowDays?, endDate? (YYYY-MM-DD, default today),
+ *              leadTimeDays?, coverageDays? (for suppliers without their own),
+ *              supplierId? or supplier? (name), all? (also products needing nothing) }
+ * Resolves to { startDate, endDate, windowDays, defaults, suggestions,
+ * by_supplier: [{ supplier_id, supplier_name, products, suggested_quantity, estimated_cost }] }.
+ */
+async function reorderSuggestions(options = {}, conn = db) {
+  const opts = normalizeOptions(options);
+  let suggestions = (await loadVelocity(conn, opts.startDate, opts.endDate)).map((row) => suggestionFor(row, opts));
+  if (options.supplierId) suggestions = suggestions.filter((s) => s.supplier_id === parseInt(options.supplierId, 10));
+  if (options.supplier) suggestions = suggestions.filter((s) => supplierKey(s.supplier_name) === supplierKey(options.supplier));
+  if (!options.all) suggestions = suggestions.filter((s) => s.suggested_quantity > 0);
+  suggestions.sort(bySoonestOut);
+
+  const bySupplier = {};
+  suggestions.forEach((s) => {
+    const name = s.supplier_name || '';
+    const entry = bySupplier[name] || (bySupplier[name] = { supplier_id: s.supplier_id, supplier_name: s.supplier_name, products: 0, suggested_quantity: 0, estimated_cost: 0 });
+    if (s.suggested_quantity > 0) entry.products++;
+    entry.suggested_quantity += s.suggested_quantity;
+    entry.estimated_cost = roundMoney(entry.estimated_cost + s.estimated_cost);
+  });
+
+  return {
+    startDate: opts.startDate,
+    endDate: opts.endDate,
+    windowDays: opts.windowDays,
+    defaults: { leadTimeDays: opts.leadTimeDays, coverageDays: opts.coverageDays },
+    suggestions,
+    by_supplier: Object.keys(bySupplier).sort().map((name) => bySupplier[name])
+  };
+}
+
+/**
+ * Set stock deficiency thresholds to the reorder points of reorderSuggestions
+ * (same options, plus productIds? to limit it to some products). Products
+ * that did not sell in the window keep their threshold. Resolves to the
+ * changes: [{ product_id, name, from, to }].
+ */
+async function applyThresholds(req, options = {}) {
+  const { suggestions } = await reorderSuggestions({ ...options, all: true });
+  const only = Array.isArray(options.productIds) && options.productIds.length
+    ? new Set(options.productIds.map((id) => parseInt(id, 10)))
+    : null;
+
+  const changes = suggestions.filter((s) => s.pcs_sold > 0
+    && s.reorder_point !== s.stock_deficiency_threshold
+    && (!only || only.has(s.product_id)));
+  const before = await db.transaction(async (tx) => {
+    const rows = [];
+    for (const s of changes) {
+      rows.push(await tx.getAsync('SELECT * FROM products WHERE id = ? FOR UPDATE', [s.product_id]));
+      await tx.runAsync(
+        'UPDATE products SET stock_deficiency_threshold = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [s.reorder_point, s.product_id]
+      );
+    }
+    return rows;
+  });
+  before.forEach((row) => audit.log(req, { table: 'products', recordId: row.id, action: 'update', before: row }));
+  return changes.map((s) => ({ product_id: s.product_id, name: s.name, from: s.stock_deficiency_threshold, to: s.reorder_point }));
+}
+
+module.exports = {
+  DEFAULTS,
+  listLeadTimes,
+  setLeadTime,
+  deleteLeadTime,
+  reorderSuggestions,
+  applyThresholds
+};
@@ -0,0 +1,236 @@
+/**
+ * Profit and loss statement.
+ * Revenue is what was sold in the period: cash sales (income lines) plus
+ * credit sales (debts lines), both net of returns, plus what was kept on
+ * cash returns refunded in part (counted with the sale). Cost of goods sold comes
+ * from costing.js, expenses are grouped by category and name, stock losses
+ * are stock adjustments at cost by reason (see adjustments.js; stock found
+ * counts against losses), and
+ * net profit = revenue - cost of goods sold - stock losses - expenses.
+ */
+const db = require('./db');
+const costing = require('./costing');
+
+const GROUP_BY = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNCATEGORIZED = 'Uncategorized';
+
+function reportError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const day = (value) => String(value || '').slice(0, 10);
+
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// First and last day of the period (day, ISO week from Monday, month) holding `date`
+function periodBounds(date, groupBy) {
+  if (groupBy === 'week') {
+    const start = addDays(date, -((date.getUTCDay() + 6) % 7));
+    return { start, end: addDays(start, 6) };
+  }
+  if (groupBy === 'month') {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    return { start, end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)) };
+  }
+  return { start: date, end: date };
+}
+
+function periodKey(dayText, groupBy) {
+  if (groupBy === 'month') return dayText.slice(0, 7);
+  return formatDay(periodBounds(parseDay(dayText), groupBy).start);
+}
+
+// Periods covering start..end, the first and last cut to the requested range
+function listPeriods(start, end, groupBy) {
+  const periods = [];
+  let cursor = parseDay(start);
+  const last = parseDay(end);
+  while (cursor <= last) {
+    const bounds = periodBounds(cursor, groupBy);
+    const periodEnd = bounds.end < last ? bounds.end : last;
+    periods.push({ period: periodKey(formatDay(cursor), groupBy), startDate: formatDay(cursor), endDate: formatDay(periodEnd) });
+    cursor = addDays(periodEnd, 1);
+  }
+  return periods;
+}
+
+function emptyFigures() {
+  return { cash_sales: 0, credit_sales: 0, kept_on_returns: 0, cost_of_goods_sold: 0, stock_losses: {}, expenses: {} };
+}
+
+// Figures as returned: money rounded, stock losses as [{ reason, quantity, value }],
+// expenses as [{ category, total, items: [{ name, total }] }]
+function finishFigures(figures) {
+  const revenue = figures.cash_sales + figures.credit_sales + figures.kept_on_returns;
+  const grossProfit = revenue - figures.cost_of_goods_sold;
+  const categories = Object.keys(figures.expenses).sort().map((category) => {
+    const names = figures.expenses[category];
+    const items = Object.keys(names).sort().map((name) => ({ name, total: roundMoney(names[name]) }));
+    return { category, total: roundMoney(Object.values(names).reduce((sum, v) => sum + v, 0)), items };
+  });
+  const expenses = categories.reduce((sum, c) => sum + c.total, 0);
+  const reasons = Object.keys(figures.stock_losses).sort().map((reason) => ({
+    reason,
+    quantity: figures.stock_losses[reason].quantity,
+    value: roundMoney(figures.stock_losses[reason].value)
+  }));
+  const losses = reasons.reduce((sum, r) => sum + r.value, 0);
+  return {
+    revenue: {
+      cash_sales: roundMoney(figures.cash_sales),
+      credit_sales: roundMoney(figures.credit_sales),
+      kept_on_returns: roundMoney(figures.kept_on_returns),
+      total: roundMoney(revenue)
+    },
+    cost_of_goods_sold: roundMoney(figures.cost_of_goods_sold),
+    gross_profit: roundMoney(grossProfit),
+    stock_losses: { total: roundMoney(losses), by_reason: reasons },
+    expenses: { total: roundMoney(expenses), by_category: categories },
+    net_profit: roundMoney(grossProfit - losses - expenses)
+  };
+}
+
+// Raw figures for start..end, keyed by period
+async function collect(start, end, groupBy, costMethod) {
+  const dateWhere = 'substring(date,1,10) >= ? AND substring(date,1,10) <= ?';
+  const incomes = await db.allAsync(`SELECT id, product_id, pcs, date, total_price FROM income WHERE ${dateWhere}`, [start, end]);
+  const debts = await db.allAsync(`SELECT id, product_id, pcs, date, total_price FROM debts WHERE ${dateWhere}`, [start, end]);
+  const expenses = await db.allAsync(`SELECT name, category, amount, date FROM expenses WHERE ${dateWhere}`, [start, end]);
+  const adjustments = await db.allAsync(`SELECT reason, quantity, cost_value, date FROM stock_adjustments WHERE ${dateWhere}`, [start, end]);
+  // A cash return takes its whole value off the line; what was not refunded stays revenue of the sale
+  const kept = await db.allAsync(
+    `SELECT COALESCE(i.date, r.date) AS date, r.return_value - r.refund_amount AS amount
+     FROM sale_returns r LEFT JOIN income i ON i.id = r.source_id
+     WHERE r.source_type = 'income' AND r.refund_amount < r.return_value
+       AND substring(COALESCE(i.date, r.date),1,10) >= ? AND substring(COALESCE(i.date, r.date),1,10) <= ?`,
+    [start, end]
+  );
+
+  const lines = [
+    ...incomes.map((line) => ({ ...line, source: 'income' })),
+    ...debts.map((line) => ({ ...line, source: 'debt' }))
+  ];
+  const costs = await costing.costLines(lines, costMethod);
+
+  const byPeriod = {};
+  const figuresOf = (date) => {
+    const key = periodKey(day(date), groupBy);
+    if (!byPeriod[key]) byPeriod[key] = emptyFigures();
+    return byPeriod[key];
+  };
+  lines.forEach((line) => {
+    const figures = figuresOf(line.date);
+    const total = parseFloat(line.total_price) || 0;
+    if (line.source === 'income') figures.cash_sales += total;
+    else figures.credit_sales += total;
+    figures.cost_of_goods_sold += costs.get(`${line.source}-${line.id}`).total_cost;
+  });
+  kept.forEach((row) => {
+    figuresOf(row.date).kept_on_returns += parseFloat(row.amount) || 0;
+  });
+  adjustments.forEach((adjustment) => {
+    const figures = figuresOf(adjustment.date);
+    const loss = figures.stock_losses[adjustment.reason] || (figures.stock_losses[adjustment.reason] = { quantity: 0, value: 0 });
+    // quantity and value lost: pieces taken out count positive
+    loss.quantity -= parseInt(adjustment.quantity, 10) || 0;
+    loss.value -= parseFloat(adjustment.cost_value) || 0;
+  });
+  expenses.forEach((expense) => {
+    const figures = figuresOf(expense.date);
+    const category = (expense.category || '').trim() || UNCATEGORIZED;
+    const name = (expense.name || '').trim();
+    if (!figures.expenses[category]) figures.expenses[category] = {};
+    figures.expenses[category][name] = (figures.expenses[category][name] || 0) + (parseFloat(expense.amount) || 0);
+  });
+  return byPeriod;
+}
+
+function sumFigures(list) {
+  return list.reduce((acc, figures) => {
+    acc.cash_sales += figures.cash_sales;
+    acc.credit_sales += figures.credit_sales;
+    acc.kept_on_returns += figures.kept_on_returns;
+    acc.cost_of_goods_sold += figures.cost_of_goods_sold;
+    Object.entries(figures.stock_losses).forEach(([reason, loss]) => {
+      const total = acc.stock_losses[reason] || (acc.stock_losses[reason] = { quantity: 0, value: 0 });
+      total.quantity += loss.quantity;
+      total.value += loss.value;
+    });
+    Object.entries(figures.expenses).forEach(([category, names]) => {
+      if (!acc.expenses[category]) acc.expenses[category] = {};
+      Object.entries(names).forEach(([name, amount]) => {
+        acc.expenses[category][name] = (acc.expenses[category][name] || 0) + amount;
+      });
+    });
+    return acc;
+  }, emptyFigures());
+}
+
+function change(current, previous) {
+  return {
+    amount: roundMoney(current - previous),
+    percent: previous ? roundMoney(((current - previous) / Math.abs(previous)) * 100) : null
+  };
+}
+
+/**
+ * Profit and loss for startDate..endDate (YYYY-MM-DD), one entry per day,
+ * week or month, with totals and the same figures for the period of equal
+ * length just before it. costMethod: see costing.COST_METHODS.
+ */
+async function profitAndLoss({ startDate, endDate, groupBy = 'month', costMethod = 'fifo' }) {
+  const start = parseDay(startDate);
+  const end = parseDay(endDate);
+  if (!start || !end) throw reportError(400, 'Provide both `startDate` and `endDate` in YYYY-MM-DD format');
+  if (start > end) throw reportError(400, 'startDate must not be after endDate');
+  if (!GROUP_BY.includes(groupBy)) throw reportError(400, `groupBy must be one of: ${GROUP_BY.join(', ')}`);
+  if (!costing.COST_METHODS.includes(costMethod)) {
+    throw reportError(400, `costMethod must be one of: ${costing.COST_METHODS.join(', ')}`);
+  }
+
+  const byPeriod = await collect(startDate, endDate, groupBy, costMethod);
+  const periods = listPeriods(startDate, endDate, groupBy).map((p) => ({
+    ...p,
+    ...finishFigures(byPeriod[p.period] || emptyFigures())
+  }));
+  const totals = finishFigures(sumFigures(Object.values(byPeriod)));
+
+  const days = Math.round((end - start) / DAY_MS) + 1;
+  const previousStart = formatDay(addDays(start, -days));
+  const previousEnd = formatDay(addDays(start, -1));
+  const previousTotals = finishFigures(sumFigures(Object.values(await collect(previousStart, previousEnd, 'day', costMethod))));
+
+  return {
+    startDate,
+    endDate,
+    groupBy,
+    costMethod,
+    periods,
+    totals,
+    previous: { startDate: previousStart, endDate: previousEnd, totals: previousTotals },
+    change: {
+      revenue: change(totals.revenue.total, previousTotals.revenue.total),
+      cost_of_goods_sold: change(totals.cost_of_goods_sold, previousTotals.cost_of_goods_sold),
+      gross_profit: change(totals.gross_profit, previousTotals.gross_profit),
+      stock_losses: change(totals.stock_losses.total, previousTotals.stock_losses.total),
+      expenses: change(totals.expenses.total, previousTotals.expenses.total),
+      net_profit: change(totals.net_profit, previousTotals.net_profit)
+    }
+  };
+}
+
+module.exports = {
+  GROUP_BY,
+  profitAndLoss
+};
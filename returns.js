@@ -0,0 +1,203 @@
+/**
+ * Sale returns.
+ * A return takes pieces back from an income line (cash sale) or a debts line
+ * (credit sale): the line keeps what the customer still has, the pieces go
+ * back to inventory and a sale_returns row (credit note CN-000001) records
+ * what was returned, why and how much was refunded.
+ *
+ * Cash lines: the value of the returned pieces comes off the line total, so
+ * it stays pcs * unit_price; the refund (default: that value) is recorded on
+ * the return only, and what was not refunded stays revenue (see reports.js).
+ * Credit lines: the returned value first reduces the balance owed; only what
+ * the customer had already paid beyond the new total is refunded, and never
+ * more than was paid on the line.
+ */
+const db = require('./db');
+const audit = require('./audit');
+const inventory = require('./inventory');
+const sync = require('./sync');
+
+const SOURCE_TABLES = { income: 'income', debt: 'debts' };
+
+function returnError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// A return with the receipt numbers of its sale and, for a debt return, of its debts line
+async function getReturn(id) {
+  return db.getAsync(
+    `SELECT r.*, s.receipt_number AS sale_receipt_number, d.receipt_number AS debt_receipt_number
+     FROM sale_returns r
+     LEFT JOIN sales s ON s.id = r.sale_id
+     LEFT JOIN debts d ON d.id = r.source_id AND r.source_type = 'debt'
+     WHERE r.id = ?`,
+    [id]
+  );
+}
+
+/**
+ * List returns, newest first.
+ *   filters: { sourceType?: 'income'|'debt', sourceId?, saleId?, startDate?, endDate? }
+ */
+async function listReturns(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.sourceType) {
+    where.push('source_type = ?');
+    params.push(filters.sourceType);
+  }
+  if (filters.sourceId) {
+    where.push('source_id = ?');
+    params.push(parseInt(filters.sourceId, 10));
+  }
+  if (filters.saleId) {
+    where.push('sale_id = ?');
+    params.push(parseInt(filters.saleId, 10));
+  }
+  if (filters.startDate) {
+    where.push('substring(date,1,10) >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    where.push('substring(date,1,10) <= ?');
+    params.push(filters.endDate);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return db.allAsync(`SELECT * FROM sale_returns ${whereSql} ORDER BY date DESC, id DESC`, params);
+}
+
+// Pieces already returned from a line
+async function returnedPcs(sourceType, sourceId, conn) {
+  const row = await conn.getAsync(
+    'SELECT COALESCE(SUM(pcs), 0) AS pcs FROM sale_returns WHERE source_type = ? AND source_id = ?',
+    [sourceType, sourceId]
+  );
+  return parseInt(row && row.pcs, 10) || 0;
+}
+
+/**
+ * Record a return against a sale line.
+ *   data: { source_type: 'income'|'debt', source_id, pcs, reason, date?,
+ *           refund_amount? (cash lines only, defaults to the returned value) }
+ * Resolves to { saleReturn, line } (line after the return); rejects with
+ * err.status set for client errors.
+ */
+async function createReturn(req, data) {
+  const sourceType = data.source_type;
+  const table = SOURCE_TABLES[sourceType];
+  if (!table) throw returnError(400, 'source_type must be income or debt');
+  const sourceId = parseInt(data.source_id, 10);
+  const pcs = parseInt(data.pcs, 10);
+  const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+  if (!sourceId || !(pcs > 0)) throw returnError(400, 'source_id and a positive pcs are required');
+  if (!reason) throw returnError(400, 'Reason is required');
+
+  const { returnId, line } = await db.transaction(async (tx) => {
+    const line = await tx.getAsync(`SELECT * FROM ${table} WHERE id = ? FOR UPDATE`, [sourceId]);
+    if (!line) throw returnError(404, sourceType === 'debt' ? 'Debt record not found' : 'Income record not found');
+
+    // The line (locked until commit) holds only what was not returned yet
+    const linePcs = parseInt(line.pcs, 10) || 0;
+    if (pcs > linePcs) {
+      const alreadyReturned = await returnedPcs(sourceType, sourceId, tx);
+      throw returnError(400, `Cannot return more than was sold. Remaining: ${linePcs}, already returned: ${alreadyReturned}`);
+    }
+
+    const lineTotal = parseFloat(line.total_price) || 0;
+    const returnValue = roundMoney(lineTotal * pcs / linePcs);
+    let refundAmount;
+    let debtReduction = 0;
+    if (sourceType === 'debt') {
+      debtReduction = Math.min(returnValue, parseFloat(line.balance_owed) || 0);
+      refundAmount = roundMoney(Math.min(returnValue - debtReduction, Math.max(0, parseFloat(line.amount_payable_now) || 0)));
+    } else if (data.refund_amount !== undefined && data.refund_amount !== null && data.refund_amount !== '') {
+      refundAmount = parseFloat(data.refund_amount);
+      if (isNaN(refundAmount) || refundAmount < 0 || refundAmount > returnValue) {
+        throw returnError(400, `Refund amount must be between 0 and ${returnValue}`);
+      }
+    } else {
+      refundAmount = returnValue;
+    }
+
+    if (sourceType === 'debt') {
+      await tx.runAsync(
+        `UPDATE debts SET
+          pcs = pcs - CAST(? AS INTEGER),
+          total_price = total_price - ?,
+          balance_owed = balance_owed - ?,
+          amount_payable_now = amount_payable_now - ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [pcs, returnValue, debtReduction, refundAmount, sourceId]
+      );
+    } else {
+      await tx.runAsync(
+        `UPDATE income SET
+          pcs = pcs - CAST(? AS INTEGER),
+          total_price = total_price - ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [pcs, returnValue, sourceId]
+      );
+    }
+
+    const inventoryId = await inventory.restock(tx, line.product_id, pcs);
+
+    const inserted = await tx.runAsync(
+      `INSERT INTO sale_returns (source_type, source_id, sale_id, product_id, date, name, pcs, unit_price, return_value, refund_amount, debt_reduction, reason, inventory_id, client_name, client_phone, seller_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        sourceType,
+        sourceId,
+        line.sale_id || null,
+        line.product_id || null,
+        data.date || new Date().toISOString().slice(0, 10),
+        line.name,
+        pcs,
+        line.unit_price,
+        returnValue,
+        refundAmount,
+        debtReduction,
+        reason,
+        inventoryId,
+        line.client_name || '',
+        line.client_phone || '',
+        (req.user && req.user.full_name) || ''
+      ]
+    );
+    const returnId = inserted.lastID;
+    await tx.runAsync('UPDATE sale_returns SET credit_note_number = ? WHERE id = ?', [await sync.receiptNumber(tx, 'CN', returnId), returnId]);
+    if (inventoryId) {
+      await inventory.recordMovement(tx, {
+        product_id: line.product_id,
+        lot_id: inventoryId,
+        type: 'return',
+        quantity: pcs,
+        reference_table: 'sale_returns',
+        reference_id: returnId,
+        date: data.date,
+        note: reason,
+        user: req.user
+      });
+    }
+    return { returnId, line };
+  });
+
+  const saleReturn = await getReturn(returnId);
+  const lineAfter = await db.getAsync(`SELECT * FROM ${table} WHERE id = ?`, [sourceId]);
+  audit.log(req, { table: 'sale_returns', recordId: returnId, action: 'create', after: saleReturn });
+  audit.log(req, { table, recordId: sourceId, action: 'update', before: line, after: lineAfter });
+
+  return { saleReturn, line: lineAfter };
+}
+
+module.exports = {
+  SOURCE_TABLES,
+  getReturn,
+  listReturns,
+  createReturn
+};
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requirePermission } = require('../permissions');
+
+// Get audit trail entries (newest first)
+// Optional filters: ?table=income&recordId=12&userId=3&username=admin1234&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+// Paging: ?limit=100&offset=0 (limit capped at 500)
+router.get('/', requirePermission('audit.view'), (req, res) => {
+  const { table, recordId, userId, username, startDate, endDate } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const where = [];
+  const params = [];
+  if (table) {
+    where.push('table_name = ?');
+    params.push(table);
+  }
+  if (recordId) {
+    where.push('record_id = ?');
+    params.push(String(recordId));
+  }
+  if (userId) {
+    where.push('user_id = ?');
+    params.push(parseInt(userId, 10));
+  }
+  if (username) {
+    where.push('username = ?');
+    params.push(username);
+  }
+  if (startDate) {
+    where.push('created_at >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    // endDate is inclusive: compare against the start of the following day
+    const end = new Date(`${endDate}T00:00:00Z`);
+    if (isNaN(end.getTime())) {
+      return res.status(400).json({ success: false, message: 'endDate must be in YYYY-MM-DD format' });
+    }
+    end.setUTCDate(end.getUTCDate() + 1);
+    where.push('created_at < ?');
+    params.push(end.toISOString().slice(0, 10));
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  db.get(`SELECT COUNT(*) AS total FROM audit_log ${whereSql}`, params, (err, countRow) => {
+    if (err) {
+      return res.status(500).json({ success: false, message: 'Database error' });
+    }
+
+    db.all(
+      `SELECT * FROM audit_log ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset],
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ success: false, message: 'Database error' });
+        }
+
+        const entries = (rows || []).map((row) => ({
+          ...row,
+          before_data: row.before_data ? JSON.parse(row.before_data) : null,
+          after_data: row.after_data ? JSON.parse(row.after_data) : null
+        }));
+
+        res.json({
+          success: true,
+          total: parseInt(countRow && countRow.total, 10) || 0,
+          limit,
+          offset,
+          entries
+        });
+      }
+    );
+  });
+});
+
+module.exports = router;
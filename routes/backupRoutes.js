@@ -4,6 +4,7 @@ const fs = require('fs');
 const router = express.Router();
 const multer = require('multer');
 const db = require('../db');
+const { requirePermission } = require('../permissions');
 const storage = require('../storage');
 
 const uploadsDir = path.join(storage.uploadsDir, 'backups');
@@ -34,10 +35,13 @@ const upload = multer({
   }
 });
 
-// Get all table names (PostgreSQL)
+// Get all table names
 const getAllTables = () => {
   return new Promise((resolve, reject) => {
-    db.all("SELECT tablename AS name FROM pg_tables WHERE schemaname = 'public'", [], (err, rows) => {
+    const sql = db.isPg
+      ? "SELECT tablename AS name FROM pg_tables WHERE schemaname = 'public'"
+      : "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'";
+    db.all(sql, [], (err, rows) => {
       if (err) reject(err);
       else resolve((rows || []).map(row => row.name));
     });
@@ -58,7 +62,7 @@ const getTableData = (tableName) => {
 };
 
 // Create backup
-router.get('/create', async (req, res) => {
+router.get('/create', requirePermission('backup.manage'), async (req, res) => {
   try {
     const tables = await getAllTables();
     const backupData = {
@@ -107,7 +111,7 @@ router.get('/create', async (req, res) => {
 });
 
 // Restore from backup
-router.post('/restore', upload.single('backupFile'), async (req, res) => {
+router.post('/restore', requirePermission('backup.manage'), upload.single('backupFile'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({
       success: false,
@@ -129,123 +133,61 @@ router.post('/restore', upload.single('backupFile'), async (req, res) => {
       });
     }
 
-    // Start transaction
-    db.serialize(() => {
-      db.run('BEGIN TRANSACTION');
-
-      try {
-        // Clear existing data from all tables (except keep structure)
-        const tables = Object.keys(backupData.tables);
-        
-        for (const table of tables) {
-          // Delete all data from table
-          db.run(`DELETE FROM ${table}`, (err) => {
-            if (err) {
-              console.error(`Error clearing table ${table}:`, err);
-            }
-          });
-        }
-
-        // Wait for deletions to complete, then insert data
-        db.run('COMMIT', async (err) => {
-          if (err) {
-            return res.status(500).json({
-              success: false,
-              message: 'Error during restore: ' + err.message
-            });
-          }
-
-          // Now insert backup data
-          db.serialize(() => {
-            db.run('BEGIN TRANSACTION');
-
-            let insertCount = 0;
-            let totalInserts = 0;
-
-            // Count total inserts needed
-            for (const table of tables) {
-              totalInserts += backupData.tables[table].length;
-            }
-
-            if (totalInserts === 0) {
-              db.run('COMMIT', (err) => {
-                if (err) {
-                  return res.status(500).json({
-                    success: false,
-                    message: 'Error completing restore: ' + err.message
-                  });
-                }
-
-                // Clean up uploaded file
-                fs.unlinkSync(backupFilePath);
-
-                res.json({
-                  success: true,
-                  message: 'Backup restored successfully (no data to restore)'
-                });
-              });
-              return;
-            }
-
-            // Insert data for each table
-            for (const table of tables) {
-              const tableData = backupData.tables[table];
-              
-              if (tableData.length === 0) continue;
-
-              // Get column names from first row
-              const columns = Object.keys(tableData[0]);
-              const placeholders = columns.map(() => '?').join(', ');
-              const columnNames = columns.join(', ');
-
-              for (const row of tableData) {
-                const values = columns.map(col => {
-                  const value = row[col];
-                  // Handle null values
-                  if (value === null || value === undefined) {
-                    return null;
-                  }
-                  return value;
-                });
-
-                db.run(
-                  `INSERT INTO ${table} (${columnNames}) VALUES (${placeholders})`,
-                  values,
-                  function(err) {
-                    if (err) {
-                      console.error(`Error inserting into ${table}:`, err);
-                    }
-                    insertCount++;
+    const knownTables = await getAllTables();
+    const tables = Object.keys(backupData.tables);
+    const unknown = tables.filter((table) => !knownTables.includes(table));
+    if (unknown.length) {
+      fs.unlinkSync(backupFilePath);
+      return res.status(400).json({
+        success: false,
+        message: 'Backup contains unknown tables: ' + unknown.join(', ')
+      });
+    }
 
-                    // When all inserts are done
-                    if (insertCount === totalInserts) {
-                      db.run('COMMIT', (err) => {
-                        if (err) {
-                          return res.status(500).json({
-                            success: false,
-                            message: 'Error completing restore: ' + err.message
-                          });
-                        }
+    // Replace the data of every table in the backup in one transaction:
+    // if any row fails, nothing is changed
+    const insertCount = await db.transaction(async (tx) => {
+      for (const table of tables) {
+        await tx.runAsync(`DELETE FROM ${table}`);
+      }
 
-                        // Clean up uploaded file
-                        fs.unlinkSync(backupFilePath);
+      let count = 0;
+      for (const table of tables) {
+        const tableData = backupData.tables[table];
+        if (tableData.length === 0) continue;
 
-                        res.json({
-                          success: true,
-                          message: `Backup restored successfully. Restored ${insertCount} records.`
-                        });
-                      });
-                    }
-                  }
-                );
-              }
+        // Get column names from first row
+        const columns = Object.keys(tableData[0]);
+        if (columns.some((col) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(col))) {
+          throw new Error(`Invalid column name in table ${table}`);
+        }
+        const placeholders = columns.map(() => '?').join(', ');
+        const columnNames = columns.join(', ');
+
+        for (const row of tableData) {
+          const values = columns.map(col => {
+            const value = row[col];
+            // Handle null values
+            if (value === null || value === undefined) {
+              return null;
             }
+            return value;
           });
-        });
-      } catch (error) {
-        db.run('ROLLBACK');
-        throw error;
+          await tx.runAsync(`INSERT INTO ${table} (${columnNames}) VALUES (${placeholders})`, values);
+          count++;
+        }
       }
+      return count;
+    });
+
+    // Clean up uploaded file
+    fs.unlinkSync(backupFilePath);
+
+    res.json({
+      success: true,
+      message: insertCount === 0
+        ? 'Backup restored successfully (no data to restore)'
+        : `Backup restored successfully. Restored ${insertCount} records.`
     });
   } catch (error) {
     console.error('Error restoring backup:', error);
@@ -263,7 +205,7 @@ router.post('/restore', upload.single('backupFile'), async (req, res) => {
 });
 
 // Get backup info (without downloading)
-router.get('/info', async (req, res) => {
+router.get('/info', requirePermission('backup.manage'), async (req, res) => {
   try {
     const tables = await getAllTables();
     const backupInfo = {
@@ -6,10 +6,10 @@ const multer = require('multer');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
 const storage = require('../storage');
 
-const ADMIN_USERNAME = 'admin1234';
-
 const uploadsDir = path.join(storage.uploadsDir, 'logos');
 if (!storage.useFtp && !fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
@@ -68,50 +68,23 @@ const upload = multer({
   }
 });
 
-function initializeConfigTable() {
-  const createSql = `CREATE TABLE IF NOT EXISTS configuration (
-    id INTEGER PRIMARY KEY CHECK (id = 1),
-    app_name VARCHAR(255) DEFAULT 'Shop Accountant',
-    logo_path TEXT DEFAULT NULL,
-    location TEXT DEFAULT NULL,
-    items TEXT DEFAULT NULL,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )`;
-  db.run(createSql, [], (err) => {
-    if (err) {
-      console.error('Error creating configuration table:', err.message);
-      return;
-    }
-    db.all("SELECT column_name AS name FROM information_schema.columns WHERE table_name = 'configuration'", [], (err, rows) => {
-      if (err) return;
-      const columns = (rows || []).map(row => row.name);
-      if (!columns.includes('location')) {
-        db.run('ALTER TABLE configuration ADD COLUMN location TEXT DEFAULT NULL', [], () => {});
-      }
-      if (!columns.includes('items')) {
-        db.run('ALTER TABLE configuration ADD COLUMN items TEXT DEFAULT NULL', [], () => {});
-      }
-      if (!columns.includes('goal_pin_hash')) {
-        db.run('ALTER TABLE configuration ADD COLUMN goal_pin_hash TEXT DEFAULT NULL', [], () => {});
-      }
-      if (!columns.includes('receipt_thank_you_message')) {
-        db.run('ALTER TABLE configuration ADD COLUMN receipt_thank_you_message TEXT DEFAULT NULL', [], () => {});
-      }
-      if (!columns.includes('receipt_items_received_message')) {
-        db.run('ALTER TABLE configuration ADD COLUMN receipt_items_received_message TEXT DEFAULT NULL', [], () => {});
+// Update the single configuration row and record the change in the audit trail
+function updateConfiguration(req, setSql, params, callback) {
+  audit.getRow('configuration', 1, (err, before) => {
+    if (err) return callback(err);
+    db.run(
+      `UPDATE configuration SET ${setSql}, updated_at = CURRENT_TIMESTAMP WHERE id = 1`,
+      params,
+      (updateErr) => {
+        if (updateErr) return callback(updateErr);
+        audit.log(req, { table: 'configuration', recordId: 1, action: 'update', before });
+        callback(null);
       }
-      db.get('SELECT id FROM configuration WHERE id = 1', [], (err, row) => {
-        if (!err && !row) {
-          db.run('INSERT INTO configuration (id, app_name) VALUES (1, ?)', ['Shop Accountant'], () => {});
-        }
-      });
-    });
+    );
   });
 }
 
-initializeConfigTable();
-
-router.get('/', (req, res) => {
+router.get('/', requirePermission('configuration.view'), (req, res) => {
   db.get('SELECT app_name, logo_path, location, items, receipt_thank_you_message, receipt_items_received_message FROM configuration WHERE id = 1', [], (err, row) => {
     if (err) {
       return res.status(500).json({ success: false, message: 'Database error' });
@@ -136,15 +109,16 @@ router.get('/', (req, res) => {
   });
 });
 
-router.put('/app-name', (req, res) => {
+router.put('/app-name', requirePermission('configuration.update'), (req, res) => {
   const { app_name } = req.body;
   if (!app_name || app_name.trim() === '') {
     return res.status(400).json({ success: false, message: 'App name is required' });
   }
-  db.run(
-    'UPDATE configuration SET app_name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+  updateConfiguration(
+    req,
+    'app_name = ?',
     [app_name.trim()],
-    function(err) {
+    (err) => {
       if (err) return res.status(500).json({ success: false, message: 'Error updating app name' });
       res.json({ success: true, message: 'App name updated successfully' });
     }
@@ -164,7 +138,7 @@ const logoUploadMiddleware = (req, res, next) => {
   });
 };
 
-router.post('/logo', logoUploadMiddleware, async (req, res) => {
+router.post('/logo', requirePermission('configuration.update'), logoUploadMiddleware, async (req, res) => {
   try {
     console.log('[Logo POST] Handler invoked');
     console.log('[Logo POST] storage.useFtp:', storage.useFtp);
@@ -214,10 +188,11 @@ router.post('/logo', logoUploadMiddleware, async (req, res) => {
         const { path: storedPath, publicUrl } = await storage.saveFile(buffer, relativePath);
         console.log('[Logo POST] Saved successfully:', { storedPath, publicUrl });
         
-        db.run(
-          'UPDATE configuration SET logo_path = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+        updateConfiguration(
+          req,
+          'logo_path = ?',
           [storedPath],
-          function(updateErr) {
+          (updateErr) => {
             if (updateErr) {
               console.error('[Logo POST] DB update error:', updateErr);
               storage.deleteFile(storedPath);
@@ -243,7 +218,7 @@ router.post('/logo', logoUploadMiddleware, async (req, res) => {
 });
 
 // Delete logo
-router.delete('/logo', (req, res) => {
+router.delete('/logo', requirePermission('configuration.update'), (req, res) => {
   try {
     db.get('SELECT logo_path FROM configuration WHERE id = 1', [], (err, row) => {
       if (err) {
@@ -257,10 +232,11 @@ router.delete('/logo', (req, res) => {
       const oldPath = row.logo_path;
       storage.deleteFile(oldPath);
 
-      db.run(
-        'UPDATE configuration SET logo_path = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+      updateConfiguration(
+        req,
+        'logo_path = NULL',
         [],
-        function(updateErr) {
+        (updateErr) => {
           if (updateErr) {
             return res.status(500).json({ success: false, message: 'Failed to delete logo' });
           }
@@ -273,7 +249,7 @@ router.delete('/logo', (req, res) => {
   }
 });
 
-router.get('/logo/:filename', (req, res) => {
+router.get('/logo/:filename', requirePermission('configuration.view'), (req, res) => {
   const filename = req.params.filename;
   db.get('SELECT logo_path FROM configuration WHERE id = 1', [], (err, row) => {
     if (err || !row || !row.logo_path) {
@@ -292,7 +268,7 @@ router.get('/logo/:filename', (req, res) => {
 });
 
 // Proxy route for logo - streams from remote (FTP) or local, avoids CORS/hotlink issues
-router.get('/logo-image', (req, res) => {
+router.get('/logo-image', requirePermission('configuration.view'), (req, res) => {
   db.get('SELECT logo_path FROM configuration WHERE id = 1', [], async (err, row) => {
     if (err || !row || !row.logo_path) {
       return res.status(404).json({ success: false, message: 'Logo not found' });
@@ -318,19 +294,20 @@ router.get('/logo-image', (req, res) => {
   });
 });
 
-router.put('/location', (req, res) => {
+router.put('/location', requirePermission('configuration.update'), (req, res) => {
   const { location } = req.body;
-  db.run(
-    'UPDATE configuration SET location = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+  updateConfiguration(
+    req,
+    'location = ?',
     [location || null],
-    function(err) {
+    (err) => {
       if (err) return res.status(500).json({ success: false, message: 'Error updating location' });
       res.json({ success: true, message: 'Location updated successfully' });
     }
   );
 });
 
-router.put('/items', (req, res) => {
+router.put('/items', requirePermission('configuration.update'), (req, res) => {
   const { items } = req.body;
   if (!Array.isArray(items)) {
     return res.status(400).json({ success: false, message: 'Items must be an array' });
@@ -340,45 +317,48 @@ router.put('/items', (req, res) => {
   }
   const validItems = items.filter(item => typeof item === 'string' && item.trim() !== '');
   const itemsJson = JSON.stringify(validItems);
-  db.run(
-    'UPDATE configuration SET items = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+  updateConfiguration(
+    req,
+    'items = ?',
     [itemsJson],
-    function(err) {
+    (err) => {
       if (err) return res.status(500).json({ success: false, message: 'Error updating items' });
       res.json({ success: true, message: 'Items updated successfully' });
     }
   );
 });
 
-router.put('/receipt-thank-you', (req, res) => {
+router.put('/receipt-thank-you', requirePermission('configuration.update'), (req, res) => {
   const { receipt_thank_you_message } = req.body;
   const value = typeof receipt_thank_you_message === 'string' ? receipt_thank_you_message.trim() : null;
-  db.run(
-    'UPDATE configuration SET receipt_thank_you_message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+  updateConfiguration(
+    req,
+    'receipt_thank_you_message = ?',
     [value || null],
-    function(err) {
+    (err) => {
       if (err) return res.status(500).json({ success: false, message: 'Error updating receipt thank-you message' });
       res.json({ success: true, message: 'Thank-you message updated successfully' });
     }
   );
 });
 
-router.put('/receipt-items-received', (req, res) => {
+router.put('/receipt-items-received', requirePermission('configuration.update'), (req, res) => {
   const { receipt_items_received_message } = req.body;
   const value = typeof receipt_items_received_message === 'string' ? receipt_items_received_message.trim() : null;
-  db.run(
-    'UPDATE configuration SET receipt_items_received_message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
+  updateConfiguration(
+    req,
+    'receipt_items_received_message = ?',
     [value || null],
-    function(err) {
+    (err) => {
       if (err) return res.status(500).json({ success: false, message: 'Error updating items-received message' });
       res.json({ success: true, message: 'Items-received message updated successfully' });
     }
   );
 });
 
-// --- PIN settings (Goal component). Set/update is admin-only. ---
+// --- PIN settings (Goal component). Set/update needs configuration.pin (admin). ---
 
-router.get('/pin/goal', (req, res) => {
+router.get('/pin/goal', requirePermission('configuration.view'), (req, res) => {
   db.get('SELECT goal_pin_hash FROM configuration WHERE id = 1', [], (err, row) => {
     if (err) return res.status(500).json({ success: false, message: 'Database error' });
     const hasPin = !!(row && row.goal_pin_hash);
@@ -386,44 +366,37 @@ router.get('/pin/goal', (req, res) => {
   });
 });
 
-router.put('/pin/goal', (req, res) => {
-  const username = req.headers['x-user-username'] || req.body.username;
-  if (!username || username !== ADMIN_USERNAME) {
-    return res.status(403).json({ success: false, message: 'Only admin can set or change the Goal PIN' });
-  }
-  db.get('SELECT id FROM users WHERE username = ?', [username], (err, user) => {
-    if (err) return res.status(500).json({ success: false, message: 'Database error' });
-    if (!user) return res.status(403).json({ success: false, message: 'User not found' });
-
-    const { pin } = req.body;
-    if (pin === null || pin === undefined || pin === '') {
-      db.run(
-        'UPDATE configuration SET goal_pin_hash = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
-        [],
-        function(runErr) {
-          if (runErr) return res.status(500).json({ success: false, message: 'Error clearing PIN' });
-          res.json({ success: true, message: 'Goal PIN removed' });
-        }
-      );
-      return;
-    }
-    const pinStr = String(pin).trim();
-    if (pinStr.length < 4) {
-      return res.status(400).json({ success: false, message: 'PIN must be at least 4 characters' });
-    }
-    const hash = bcrypt.hashSync(pinStr, 10);
-    db.run(
-      'UPDATE configuration SET goal_pin_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = 1',
-      [hash],
-      function(runErr) {
-        if (runErr) return res.status(500).json({ success: false, message: 'Error saving PIN' });
-        res.json({ success: true, message: 'Goal PIN set successfully' });
+router.put('/pin/goal', requirePermission('configuration.pin'), (req, res) => {
+  const { pin } = req.body;
+  if (pin === null || pin === undefined || pin === '') {
+    updateConfiguration(
+      req,
+      'goal_pin_hash = NULL',
+      [],
+      (runErr) => {
+        if (runErr) return res.status(500).json({ success: false, message: 'Error clearing PIN' });
+        res.json({ success: true, message: 'Goal PIN removed' });
       }
     );
-  });
+    return;
+  }
+  const pinStr = String(pin).trim();
+  if (pinStr.length < 4) {
+    return res.status(400).json({ success: false, message: 'PIN must be at least 4 characters' });
+  }
+  const hash = bcrypt.hashSync(pinStr, 10);
+  updateConfiguration(
+    req,
+    'goal_pin_hash = ?',
+    [hash],
+    (runErr) => {
+      if (runErr) return res.status(500).json({ success: false, message: 'Error saving PIN' });
+      res.json({ success: true, message: 'Goal PIN set successfully' });
+    }
+  );
 });
 
-router.post('/pin/verify-goal', (req, res) => {
+router.post('/pin/verify-goal', requirePermission('configuration.view'), (req, res) => {
   const { pin } = req.body;
   if (pin === undefined || pin === null) {
     return res.status(400).json({ success: false, valid: false, message: 'PIN required' });
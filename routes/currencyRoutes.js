@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
 
 // Ensure default currency exists (tables created in server.js)
 function initializeCurrencyTable() {
@@ -20,7 +22,7 @@ function initializeCurrencyTable() {
 initializeCurrencyTable();
 
 // Get all currencies (FCFA first, then others)
-router.get('/', (req, res) => {
+router.get('/', requirePermission('currencies.view'), (req, res) => {
   db.all(
     `SELECT id, code, name, symbol, conversion_rate_to_fcfa, is_default, created_at, updated_at
      FROM currencies
@@ -46,7 +48,7 @@ router.get('/', (req, res) => {
 });
 
 // Get default currency
-router.get('/default', (req, res) => {
+router.get('/default', requirePermission('currencies.view'), (req, res) => {
   db.get(
     'SELECT * FROM currencies WHERE is_default = 1 LIMIT 1',
     [],
@@ -83,7 +85,7 @@ router.get('/default', (req, res) => {
 });
 
 // Create new currency
-router.post('/', (req, res) => {
+router.post('/', requirePermission('currencies.manage'), (req, res) => {
   const { code, name, symbol, conversion_rate_to_fcfa } = req.body;
 
   // Validation
@@ -123,6 +125,8 @@ router.post('/', (req, res) => {
           });
         }
 
+        audit.log(req, { table: 'currencies', recordId: this.lastID, action: 'create' });
+
         res.json({
           success: true,
           message: 'Currency created successfully',
@@ -141,7 +145,7 @@ router.post('/', (req, res) => {
 });
 
 // Update currency
-router.put('/:id', (req, res) => {
+router.put('/:id', requirePermission('currencies.manage'), (req, res) => {
   const { id } = req.params;
   const { code, name, symbol, conversion_rate_to_fcfa } = req.body;
 
@@ -210,6 +214,8 @@ router.put('/:id', (req, res) => {
             });
           }
 
+          audit.log(req, { table: 'currencies', recordId: id, action: 'update', before: currency });
+
           res.json({
             success: true,
             message: 'Currency updated successfully'
@@ -221,7 +227,7 @@ router.put('/:id', (req, res) => {
 });
 
 // Set default currency
-router.put('/:id/set-default', (req, res) => {
+router.put('/:id/set-default', requirePermission('currencies.manage'), (req, res) => {
   const { id } = req.params;
 
   // Check if currency exists
@@ -261,6 +267,8 @@ router.put('/:id/set-default', (req, res) => {
             });
           }
 
+          audit.log(req, { table: 'currencies', recordId: id, action: 'update', before: currency });
+
           res.json({
             success: true,
             message: 'Default currency updated successfully'
@@ -272,7 +280,7 @@ router.put('/:id/set-default', (req, res) => {
 });
 
 // Delete currency
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('currencies.manage'), (req, res) => {
   const { id } = req.params;
 
   // Check if currency exists
@@ -317,6 +325,8 @@ router.delete('/:id', (req, res) => {
         });
       }
 
+      audit.log(req, { table: 'currencies', recordId: id, action: 'delete', before: currency });
+
       res.json({
         success: true,
         message: 'Currency deleted successfully'
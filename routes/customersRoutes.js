@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const customers = require('../customers');
+const receipts = require('../receipts');
+const sales = require('../sales');
+const sync = require('../sync');
+
+// Get customers with visits, total spent, outstanding debt, last visit and average basket
+// Optional filters: ?search=jean (name or phone)&owing=true
+router.get('/', requirePermission('customers.view'), async (req, res) => {
+  try {
+    const rows = await customers.listCustomers({ search: req.query.search, owing: req.query.owing === 'true' });
+    res.json({ success: true, customers: rows });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Merge customers sharing a phone number: { phone? (default: every shared number), into? (customer id to keep) }
+router.post('/merge', requirePermission('customers.manage'), async (req, res) => {
+  try {
+    const merged = await customers.mergeByPhone(req, req.body || {});
+    res.json({ success: true, message: merged.length ? 'Customers merged successfully' : 'No customers share a phone number', merged });
+  } catch (err) {
+    sales.sendError(res, err, 'Error merging customers');
+  }
+});
+
+// Statement of a customer's credit account: credit sales, repayments and returns with running balance
+// Optional: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/:id/statement', requirePermission('customers.view'), async (req, res) => {
+  try {
+    const statement = await customers.customerStatement(req.params.id, { from: req.query.from, to: req.query.to });
+    if (!statement) return res.status(404).json({ success: false, message: 'Customer not found' });
+    res.json({ success: true, statement });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Statement PDF (same filters as above)
+router.get('/:id/statement.pdf', requirePermission('customers.view'), async (req, res) => {
+  try {
+    const statement = await customers.customerStatement(req.params.id, { from: req.query.from, to: req.query.to });
+    if (!statement) return res.status(404).json({ success: false, message: 'Customer not found' });
+    const receipt = receipts.fromCustomerStatement(statement);
+    receipts.sendPdf(res, await receipts.renderReceipt(receipt), receipt.receiptNumber);
+  } catch (err) {
+    sales.sendError(res, err, 'Error generating statement PDF');
+  }
+});
+
+// Get a customer's profile: totals and purchase history (newest first)
+router.get('/:id', requirePermission('customers.view'), async (req, res) => {
+  try {
+    const customer = await customers.customerProfile(req.params.id);
+    if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' });
+    res.json({ success: true, customer });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Create customer: { name, phone?, email?, address?, notes? }
+router.post('/', requirePermission('customers.create'), async (req, res) => {
+  try {
+    const id = await customers.createCustomer(db, req.body || {});
+    audit.log(req, { table: 'customers', recordId: id, action: 'create' });
+    res.json({ success: true, message: 'Customer created successfully', customer: await customers.getCustomer(id) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating customer');
+  }
+});
+
+// Update customer fields; a new name is also put on the customer's receipts
+router.put('/:id', requirePermission('customers.manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await db.getAsync('SELECT * FROM customers WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ success: false, message: 'Customer not found' });
+    await customers.updateCustomer(db, before.id, req.body || {});
+    audit.log(req, { table: 'customers', recordId: id, action: 'update', before });
+    res.json({ success: true, message: 'Customer updated successfully', customer: await customers.getCustomer(id) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating customer');
+  }
+});
+
+// Delete a customer without sales
+router.delete('/:id', requirePermission('customers.manage'), async (req, res) => {
+  try {
+    const customer = await customers.deleteCustomer(db, req.params.id);
+    if (!customer) return res.status(404).json({ success: false, message: 'Customer not found' });
+    audit.log(req, { table: 'customers', recordId: customer.id, action: 'delete', before: customer });
+    sync.logDeletion('customers', customer);
+    res.json({ success: true, message: 'Customer deleted successfully' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting customer');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const customerPayments = require('../customerPayments');
+const installments = require('../installments');
+const sync = require('../sync');
+const receipts = require('../receipts');
+const sales = require('../sales');
+
+const REPAYMENT_SELECT = `SELECT r.*, d.date AS debt_date, d.name AS item_name, d.total_price, d.client_name, d.client_phone
+  FROM debt_repayments r JOIN debts d ON d.id = r.debt_id`;
+
+function repaymentError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
 
 // List all repayments (newest first)
-router.get('/', (req, res) => {
+router.get('/', requirePermission('debtRepayments.view'), (req, res) => {
   db.all(
     `SELECT r.*, d.date AS debt_date, d.name AS item_name, d.total_price, d.client_name, d.client_phone
      FROM debt_repayments r
@@ -17,8 +33,63 @@ router.get('/', (req, res) => {
   );
 });
 
+// Record one payment from a customer across its open debts (oldest first, or debt_ids in order):
+// { customer_id, payment_date, amount, debt_ids?, use_credit?, seller_name?, note? }
+// Creates a repayment per debt paid, linked to one payment receipt (PAY-000001); the remainder is kept as credit.
+router.post('/bulk', requirePermission('debtRepayments.create'), async (req, res) => {
+  try {
+    const result = await customerPayments.createPayment(req, req.body || {});
+    res.json({ success: true, message: 'Payment recorded', ...result });
+  } catch (err) {
+    sales.sendError(res, err, 'Error recording payment');
+  }
+});
+
+// List customer payments (newest first). Optional: ?customerId=
+router.get('/bulk', requirePermission('debtRepayments.view'), async (req, res) => {
+  try {
+    res.json({ success: true, payments: await customerPayments.listPayments({ customerId: req.query.customerId }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get a customer payment with its repayments
+router.get('/bulk/:id', requirePermission('debtRepayments.view'), async (req, res) => {
+  try {
+    const payment = await customerPayments.getPayment(req.params.id);
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    res.json({ success: true, payment });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Combined receipt PDF for a customer payment (PAY-000001)
+router.get('/bulk/:id/receipt.pdf', requirePermission('debtRepayments.view'), async (req, res) => {
+  try {
+    const payment = await customerPayments.getPayment(req.params.id);
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    const receipt = receipts.fromCustomerPayment(payment);
+    receipts.sendPdf(res, await receipts.renderReceipt(receipt), receipt.receiptNumber);
+  } catch (err) {
+    sales.sendError(res, err, 'Error generating receipt');
+  }
+});
+
+// Delete a customer payment with its repayments; the debts owe what they paid again
+router.delete('/bulk/:id', requirePermission('debtRepayments.delete'), async (req, res) => {
+  try {
+    const payment = await customerPayments.deletePayment(req, req.params.id);
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    res.json({ success: true, message: 'Payment deleted' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting payment');
+  }
+});
+
 // Get one repayment by id
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('debtRepayments.view'), (req, res) => {
   const id = req.params.id;
   db.get(
     `SELECT r.*, d.date AS debt_date, d.name AS item_name, d.total_price, d.client_name, d.client_phone, d.balance_owed AS debt_balance_after
@@ -34,8 +105,41 @@ router.get('/:id', (req, res) => {
   );
 });
 
+// Receipt PDF for a repayment (REPAY-000001), showing the debt balance right after it
+router.get('/:id/receipt.pdf', requirePermission('debtRepayments.view'), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM debt_repayments WHERE id = ?', [id], (err, repayment) => {
+    if (err) return res.status(500).json({ success: false, message: 'Database error' });
+    if (!repayment) return res.status(404).json({ success: false, message: 'Repayment not found' });
+
+    db.get('SELECT * FROM debts WHERE id = ?', [repayment.debt_id], (err2, debt) => {
+      if (err2) return res.status(500).json({ success: false, message: 'Database error' });
+      if (!debt) return res.status(404).json({ success: false, message: 'Debt not found' });
+
+      db.all('SELECT id, amount FROM debt_repayments WHERE debt_id = ?', [debt.id], async (err3, payments) => {
+        if (err3) return res.status(500).json({ success: false, message: 'Database error' });
+
+        // amount_payable_now includes every repayment; take back the ones made after this one
+        const paidAfter = (payments || [])
+          .filter((p) => p.id > repayment.id)
+          .reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+        const balanceAfter = (parseFloat(debt.balance_owed) || 0) + paidAfter;
+
+        try {
+          const receipt = receipts.fromRepayment(repayment, debt, balanceAfter);
+          receipts.sendPdf(res, await receipts.renderReceipt(receipt), receipt.receiptNumber);
+        } catch (e) {
+          console.error('[debtRepaymentRoutes] Receipt error:', e);
+          res.status(500).json({ success: false, message: 'Error generating receipt' });
+        }
+      });
+    });
+  });
+});
+
 // Create repayment: update debt (amount_payable_now, balance_owed) and insert repayment
-router.post('/', (req, res) => {
+// When the debt's sale has a payment schedule, the response shows it and the installments this payment settled
+router.post('/', requirePermission('debtRepayments.create'), async (req, res) => {
   const { debt_id, payment_date, amount, seller_name } = req.body;
   if (!debt_id || !payment_date || amount === undefined || amount === null) {
     return res.status(400).json({ success: false, message: 'debt_id, payment_date, and amount are required' });
@@ -45,132 +149,108 @@ router.post('/', (req, res) => {
     return res.status(400).json({ success: false, message: 'Amount must be a positive number' });
   }
 
-  db.get('SELECT id, balance_owed, amount_payable_now, total_price FROM debts WHERE id = ?', [debt_id], (err, debt) => {
-    if (err) return res.status(500).json({ success: false, message: 'Database error' });
-    if (!debt) return res.status(404).json({ success: false, message: 'Debt not found' });
-    const balanceOwed = parseFloat(debt.balance_owed) || 0;
-    if (payAmount > balanceOwed) {
-      return res.status(400).json({ success: false, message: `Amount cannot exceed balance owed (${balanceOwed})` });
-    }
+  try {
+    const repaymentId = await db.transaction(async (tx) => {
+      const debt = await tx.getAsync('SELECT id, balance_owed FROM debts WHERE id = ? FOR UPDATE', [debt_id]);
+      if (!debt) throw repaymentError(404, 'Debt not found');
+      const balanceOwed = parseFloat(debt.balance_owed) || 0;
+      if (payAmount > balanceOwed) throw repaymentError(400, `Amount cannot exceed balance owed (${balanceOwed})`);
 
-    db.run(
-      `INSERT INTO debt_repayments (debt_id, payment_date, amount, seller_name) VALUES (?, ?, ?, ?)`,
-      [debt_id, payment_date, payAmount, seller_name || ''],
-      function(insertErr) {
-        if (insertErr) return res.status(500).json({ success: false, message: 'Error creating repayment' });
-        const repaymentId = this.lastID;
-        const receiptNumber = 'REPAY-' + String(repaymentId).padStart(6, '0');
-        db.run(
-          'UPDATE debt_repayments SET receipt_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [receiptNumber, repaymentId],
-          (updErr) => {
-            if (updErr) { /* non-fatal */ }
-            const newBalance = balanceOwed - payAmount;
-            const newAmountPaid = (parseFloat(debt.amount_payable_now) || 0) + payAmount;
-            db.run(
-              'UPDATE debts SET amount_payable_now = ?, balance_owed = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-              [newAmountPaid, newBalance, debt_id],
-              (debtUpdErr) => {
-                if (debtUpdErr) {
-                  return res.status(500).json({ success: false, message: 'Error updating debt' });
-                }
-                db.get(
-                  `SELECT r.*, d.date AS debt_date, d.name AS item_name, d.total_price, d.client_name, d.client_phone
-                   FROM debt_repayments r JOIN debts d ON d.id = r.debt_id WHERE r.id = ?`,
-                  [repaymentId],
-                  (getErr, repayment) => {
-                    if (getErr) return res.status(500).json({ success: false, message: 'Database error' });
-                    const rec = repayment || { id: repaymentId, receipt_number: receiptNumber, debt_id, payment_date, amount: payAmount, seller_name: seller_name || '' };
-                    res.json({ success: true, message: 'Repayment recorded', repayment: rec });
-                  }
-                );
-              }
-            );
-          }
-        );
-      }
-    );
-  });
+      const inserted = await tx.runAsync(
+        'INSERT INTO debt_repayments (debt_id, payment_date, amount, seller_name) VALUES (?, ?, ?, ?)',
+        [debt.id, payment_date, payAmount, seller_name || '']
+      );
+      await tx.runAsync(
+        'UPDATE debt_repayments SET receipt_number = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [await sync.receiptNumber(tx, 'REPAY', inserted.lastID), inserted.lastID]
+      );
+      await tx.runAsync(
+        'UPDATE debts SET amount_payable_now = amount_payable_now + ?, balance_owed = balance_owed - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [payAmount, payAmount, debt.id]
+      );
+      return inserted.lastID;
+    });
+    audit.log(req, { table: 'debt_repayments', recordId: repaymentId, action: 'create' });
+
+    const repayment = await db.getAsync(`${REPAYMENT_SELECT} WHERE r.id = ?`, [repaymentId]);
+    const schedule = await installments.scheduleForDebt(db, repayment.debt_id);
+    res.json({
+      success: true,
+      message: 'Repayment recorded',
+      repayment,
+      schedule,
+      allocation: installments.allocation(schedule, payAmount)
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating repayment');
+  }
 });
 
 // Update repayment: reverse old amount on debt, apply new amount
-router.put('/:id', (req, res) => {
+router.put('/:id', requirePermission('debtRepayments.update'), async (req, res) => {
   const id = req.params.id;
   const { payment_date, amount, seller_name } = req.body;
 
-  db.get('SELECT * FROM debt_repayments WHERE id = ?', [id], (err, rep) => {
-    if (err) return res.status(500).json({ success: false, message: 'Database error' });
-    if (!rep) return res.status(404).json({ success: false, message: 'Repayment not found' });
-
-    const newAmount = amount !== undefined && amount !== null ? parseFloat(amount) : rep.amount;
-    if (isNaN(newAmount) || newAmount <= 0) {
-      return res.status(400).json({ success: false, message: 'Amount must be a positive number' });
-    }
+  try {
+    const before = await db.transaction(async (tx) => {
+      const rep = await tx.getAsync('SELECT * FROM debt_repayments WHERE id = ? FOR UPDATE', [id]);
+      if (!rep) throw repaymentError(404, 'Repayment not found');
+      if (rep.customer_payment_id) {
+        throw repaymentError(400, 'Repayment is part of a customer payment; change or delete that payment instead');
+      }
+      const newAmount = amount !== undefined && amount !== null ? parseFloat(amount) : parseFloat(rep.amount);
+      if (isNaN(newAmount) || newAmount <= 0) throw repaymentError(400, 'Amount must be a positive number');
 
-    db.get('SELECT id, balance_owed, amount_payable_now FROM debts WHERE id = ?', [rep.debt_id], (err2, debt) => {
-      if (err2 || !debt) return res.status(500).json({ success: false, message: 'Debt not found' });
-      const oldAmount = parseFloat(rep.amount) || 0;
-      const diff = newAmount - oldAmount;
-      const newBalance = (parseFloat(debt.balance_owed) || 0) - diff;
-      const newAmountPaid = (parseFloat(debt.amount_payable_now) || 0) + diff;
-      if (newBalance < 0) {
-        return res.status(400).json({ success: false, message: 'Resulting balance cannot be negative' });
+      const debt = await tx.getAsync('SELECT id, balance_owed FROM debts WHERE id = ? FOR UPDATE', [rep.debt_id]);
+      if (!debt) throw repaymentError(404, 'Debt not found');
+      const diff = newAmount - (parseFloat(rep.amount) || 0);
+      if ((parseFloat(debt.balance_owed) || 0) - diff < 0) {
+        throw repaymentError(400, 'Resulting balance cannot be negative');
       }
 
-      db.run(
-        `UPDATE debt_repayments SET payment_date = COALESCE(?, payment_date), amount = ?, seller_name = COALESCE(?, seller_name), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [payment_date || rep.payment_date, newAmount, seller_name !== undefined ? seller_name : rep.seller_name, id],
-        (updErr) => {
-          if (updErr) return res.status(500).json({ success: false, message: 'Error updating repayment' });
-          db.run(
-            'UPDATE debts SET amount_payable_now = ?, balance_owed = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [newAmountPaid, newBalance, rep.debt_id],
-            (debtUpdErr) => {
-              if (debtUpdErr) return res.status(500).json({ success: false, message: 'Error updating debt' });
-              db.get(
-                `SELECT r.*, d.date AS debt_date, d.name AS item_name, d.total_price, d.client_name, d.client_phone
-                 FROM debt_repayments r JOIN debts d ON d.id = r.debt_id WHERE r.id = ?`,
-                [id],
-                (getErr, updated) => {
-                  if (getErr) return res.status(500).json({ success: false, message: 'Database error' });
-                  res.json({ success: true, message: 'Repayment updated', repayment: updated });
-                }
-              );
-            }
-          );
-        }
+      await tx.runAsync(
+        'UPDATE debt_repayments SET payment_date = COALESCE(?, payment_date), amount = ?, seller_name = COALESCE(?, seller_name), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [payment_date || null, newAmount, seller_name !== undefined ? seller_name : null, rep.id]
       );
+      await tx.runAsync(
+        'UPDATE debts SET amount_payable_now = amount_payable_now + ?, balance_owed = balance_owed - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [diff, diff, debt.id]
+      );
+      return rep;
     });
-  });
+    audit.log(req, { table: 'debt_repayments', recordId: id, action: 'update', before });
+    res.json({ success: true, message: 'Repayment updated', repayment: await db.getAsync(`${REPAYMENT_SELECT} WHERE r.id = ?`, [before.id]) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating repayment');
+  }
 });
 
 // Delete repayment: add amount back to balance_owed, subtract from amount_payable_now
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('debtRepayments.delete'), async (req, res) => {
   const id = req.params.id;
 
-  db.get('SELECT * FROM debt_repayments WHERE id = ?', [id], (err, rep) => {
-    if (err) return res.status(500).json({ success: false, message: 'Database error' });
-    if (!rep) return res.status(404).json({ success: false, message: 'Repayment not found' });
-
-    const amount = parseFloat(rep.amount) || 0;
-    db.get('SELECT id, balance_owed, amount_payable_now FROM debts WHERE id = ?', [rep.debt_id], (err2, debt) => {
-      if (err2 || !debt) return res.status(500).json({ success: false, message: 'Debt not found' });
-      const newBalance = (parseFloat(debt.balance_owed) || 0) + amount;
-      const newAmountPaid = Math.max(0, (parseFloat(debt.amount_payable_now) || 0) - amount);
-
-      db.run('DELETE FROM debt_repayments WHERE id = ?', [id], (delErr) => {
-        if (delErr) return res.status(500).json({ success: false, message: 'Error deleting repayment' });
-        db.run(
-          'UPDATE debts SET amount_payable_now = ?, balance_owed = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [newAmountPaid, newBalance, rep.debt_id],
-          (updErr) => {
-            if (updErr) return res.status(500).json({ success: false, message: 'Error updating debt' });
-            res.json({ success: true, message: 'Repayment deleted' });
-          }
-        );
-      });
+  try {
+    const rep = await db.transaction(async (tx) => {
+      const row = await tx.getAsync('SELECT * FROM debt_repayments WHERE id = ? FOR UPDATE', [id]);
+      if (!row) throw repaymentError(404, 'Repayment not found');
+      if (row.customer_payment_id) {
+        throw repaymentError(400, 'Repayment is part of a customer payment; change or delete that payment instead');
+      }
+      const amount = parseFloat(row.amount) || 0;
+      await tx.getAsync('SELECT id FROM debts WHERE id = ? FOR UPDATE', [row.debt_id]);
+      await tx.runAsync('DELETE FROM debt_repayments WHERE id = ?', [row.id]);
+      await sync.recordDeletion(tx, 'debt_repayments', row);
+      await tx.runAsync(
+        'UPDATE debts SET amount_payable_now = amount_payable_now - ?, balance_owed = balance_owed + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [amount, amount, row.debt_id]
+      );
+      return row;
     });
-  });
+    audit.log(req, { table: 'debt_repayments', recordId: id, action: 'delete', before: rep });
+    res.json({ success: true, message: 'Repayment deleted' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting repayment');
+  }
 });
 
 module.exports = router;
@@ -1,11 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const customers = require('../customers');
+const installments = require('../installments');
+const sales = require('../sales');
+const receipts = require('../receipts');
+
+// Get all debt records (one row per line, with its sale receipt number)
+// ?groupBy=sale returns sale receipts instead, each with its lines in `items`
+router.get('/', requirePermission('debts.view'), (req, res) => {
+  if (req.query.groupBy === 'sale') {
+    return sales.listSales({ saleType: 'credit' })
+      .then((receipts) => res.json({ success: true, sales: receipts }))
+      .catch((err) => sales.sendError(res, err, 'Database error'));
+  }
 
-// Get all debt records
-router.get('/', (req, res) => {
   db.all(
-    'SELECT * FROM debts ORDER BY date DESC, created_at DESC',
+    `SELECT d.*, s.receipt_number AS sale_receipt_number
+     FROM debts d
+     LEFT JOIN sales s ON s.id = d.sale_id
+     ORDER BY d.date DESC, d.created_at DESC`,
     [],
     (err, records) => {
       if (err) {
@@ -23,35 +39,56 @@ router.get('/', (req, res) => {
   );
 });
 
-// Get debt by receipt number (e.g. DEBT-000001) for repay flow
-router.get('/by-receipt/:receiptNo', (req, res) => {
+// Outstanding balance owed per client by age of the debt: 0-30, 31-60, 61-90 and 90+ days
+// Optional: ?asOf=YYYY-MM-DD (default today)
+router.get('/aging', requirePermission('debts.view'), async (req, res) => {
+  try {
+    res.json({ success: true, aging: await customers.debtAging({ asOf: req.query.asOf }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Installments due before a date and not fully paid, oldest first
+// Optional: ?asOf=YYYY-MM-DD (default today)&customerId=
+router.get('/overdue', requirePermission('debts.view'), async (req, res) => {
+  try {
+    res.json({ success: true, overdue: await installments.listOverdue({ asOf: req.query.asOf, customerId: req.query.customerId }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get debt by receipt number (e.g. DEBT-000001, or DEBT-3F2A-000001 from an install that syncs) for repay flow
+router.get('/by-receipt/:receiptNo', requirePermission('debts.view'), async (req, res) => {
   const receiptNo = (req.params.receiptNo || '').trim().toUpperCase();
-  const match = receiptNo.match(/^DEBT-(\d+)$/);
+  const match = receiptNo.match(/^DEBT-(?:([A-Z0-9]+)-)?(\d+)$/);
   if (!match) {
     return res.status(400).json({ success: false, message: 'Invalid receipt number. Use format DEBT-000001' });
   }
-  const debtId = parseInt(match[1], 10);
-  db.get('SELECT * FROM debts WHERE id = ?', [debtId], (err, debt) => {
-    if (err) return res.status(500).json({ success: false, message: 'Database error' });
+  try {
+    // A line synced without a receipt number goes by its id
+    const debt = await db.getAsync('SELECT * FROM debts WHERE receipt_number = ? ORDER BY id LIMIT 1', [receiptNo])
+      || (!match[1] && await db.getAsync('SELECT * FROM debts WHERE id = ? AND receipt_number IS NULL', [parseInt(match[2], 10)]));
     if (!debt) return res.status(404).json({ success: false, message: 'Debt not found for this receipt number' });
-    db.all(
+    const payments = await db.allAsync(
       'SELECT id, payment_date, amount, receipt_number, created_at FROM debt_repayments WHERE debt_id = ? ORDER BY payment_date ASC, created_at ASC',
-      [debtId],
-      (err2, payments) => {
-        if (err2) return res.status(500).json({ success: false, message: 'Database error' });
-        res.json({
-          success: true,
-          debt,
-          payments: payments || [],
-          balance_owed: debt.balance_owed
-        });
-      }
+      [debt.id]
     );
-  });
+    res.json({
+      success: true,
+      debt,
+      payments,
+      balance_owed: debt.balance_owed,
+      schedule: await installments.getSchedule(db, debt.sale_id)
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
 });
 
 // Get single debt record
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('debts.view'), (req, res) => {
   const { id } = req.params;
 
   db.get(
@@ -80,130 +117,151 @@ router.get('/:id', (req, res) => {
   );
 });
 
-// Create new debt record
-router.post('/', (req, res) => {
-  const { date, name, pcs, unit_price, total_price, amount_payable_now, description, customer_signature, electronic_signature, client_name, client_phone, seller_name } = req.body;
+// Receipt PDF for a debt record: the whole credit sale receipt when the line belongs to one
+router.get('/:id/receipt.pdf', requirePermission('debts.view'), (req, res) => {
+  const { id } = req.params;
+
+  db.get('SELECT * FROM debts WHERE id = ?', [id], async (err, record) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database error'
+      });
+    }
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Debt record not found'
+      });
+    }
+
+    try {
+      const sale = record.sale_id ? await sales.getSale(record.sale_id) : null;
+      const receipt = sale ? receipts.fromSale(sale) : receipts.fromLine(record, 'debt');
+      receipts.sendPdf(res, await receipts.renderReceipt(receipt), receipt.receiptNumber);
+    } catch (e) {
+      console.error('[debtRoutes] Receipt error:', e);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating receipt'
+      });
+    }
+  });
+});
+
+// Create new debt record (a credit sale)
+// Body is either a single item ({ date, name, pcs, unit_price, total_price, amount_payable_now, ... })
+// or a multi-line receipt ({ date, items: [{ name, pcs, unit_price }], amount_payable_now, ... });
+// for a receipt the amount paid now is allocated to the lines in order.
+// An item may give product_id instead of name. The rest may be given a due date ({ due_date })
+// or installments ({ installment_plan: { count, frequency?: weekly|biweekly|monthly, first_due_date? } }).
+router.post('/', requirePermission('debts.create'), async (req, res) => {
+  const { date, product_id, name, pcs, unit_price, total_price, items } = req.body;
+  const isSingleItem = !Array.isArray(items);
 
   // Validation
-  if (!date || !name || !pcs || !unit_price || total_price === undefined) {
+  if (isSingleItem && (!date || (!name && !product_id) || !pcs || !unit_price || total_price === undefined)) {
     return res.status(400).json({
       success: false,
       message: 'Date, Name, Pcs, Unit Price, and Total Price are required'
     });
   }
 
-  // Calculate balance owed
-  const totalPrice = parseFloat(total_price) || 0;
-  const amountPayable = parseFloat(amount_payable_now) || 0;
-  const balanceOwed = totalPrice - amountPayable;
+  try {
+    const sale = await sales.createSale(req, 'credit', {
+      ...req.body,
+      items: isSingleItem ? [{ product_id, name, pcs, unit_price, total_price, description: req.body.description }] : items
+    });
 
-  // Check if inventory item exists and has enough stock
-  db.get(
-    'SELECT id, available_stock FROM purchases WHERE name = ? ORDER BY id DESC LIMIT 1',
-    [name],
-    (err, inventoryItem) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
+    const result = {
+      success: true,
+      message: 'Debt record created successfully',
+      sale,
+      schedule: await installments.getSchedule(db, sale.id)
+    };
+    if (isSingleItem) result.debt = sale.items[0];
+    res.json(result);
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating debt record');
+  }
+});
 
-      if (!inventoryItem) {
-        return res.status(400).json({
-          success: false,
-          message: 'Item not found in inventory'
-        });
-      }
+// Update debt record; a new product or pcs moves the line's stock
+router.put('/:id', requirePermission('debts.update'), async (req, res) => {
+  const { id } = req.params;
+  const { date, name, pcs, unit_price, total_price, amount_payable_now, description, customer_signature, electronic_signature, client_name, client_phone, seller_name } = req.body;
+
+  if (pcs !== undefined && !(parseInt(pcs, 10) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'pcs must be a positive whole number'
+    });
+  }
 
-      const debtPcs = parseInt(pcs) || 0;
-      const currentStock = parseInt(inventoryItem.available_stock) || 0;
+  try {
+    const record = await db.transaction(async (tx) => {
+      const line = await tx.getAsync('SELECT * FROM debts WHERE id = ? FOR UPDATE', [id]);
+      if (!line) return null;
 
-      if (debtPcs > currentStock) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock. Available: ${currentStock}, Requested: ${debtPcs}`
-        });
-      }
+      // A new client name or customer_id links the customer as on create; an empty name unlinks it
+      const customer = await customers.editedCustomer(tx, req.body);
+      const customerId = customer === undefined ? line.customer_id : (customer ? customer.id : null);
+      const clientName = customer ? customer.name : client_name;
+
+      // A new name moves the line to the product of that name, if there is one
+      const product = name
+        ? await tx.getAsync('SELECT id FROM products WHERE LOWER(name) = LOWER(TRIM(?)) ORDER BY id LIMIT 1', [name])
+        : null;
+      const productId = product ? product.id : line.product_id;
+      const finalPcs = pcs !== undefined ? parseInt(pcs, 10) : parseInt(line.pcs, 10) || 0;
+      await sales.moveLineStock(tx, req, 'debts', line, productId, finalPcs);
 
-      // Insert debt record
-      db.run(
-        `INSERT INTO debts (date, name, pcs, unit_price, total_price, amount_payable_now, balance_owed, description, customer_signature, electronic_signature, client_name, client_phone, seller_name)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      // Calculate balance owed
+      const totalPrice = total_price !== undefined ? parseFloat(total_price) : line.total_price;
+      const amountPayable = amount_payable_now !== undefined ? parseFloat(amount_payable_now) : line.amount_payable_now;
+      const balanceOwed = totalPrice - amountPayable;
+
+      await tx.runAsync(
+        `UPDATE debts SET
+          date = COALESCE(?, date),
+          name = COALESCE(?, name),
+          product_id = ?,
+          pcs = ?,
+          unit_price = COALESCE(?, unit_price),
+          total_price = COALESCE(?, total_price),
+          amount_payable_now = COALESCE(?, amount_payable_now),
+          balance_owed = ?,
+          description = COALESCE(?, description),
+          customer_signature = COALESCE(?, customer_signature),
+          electronic_signature = COALESCE(?, electronic_signature),
+          customer_id = ?,
+          client_name = COALESCE(?, client_name),
+          client_phone = COALESCE(?, client_phone),
+          seller_name = COALESCE(?, seller_name),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
         [
-          date,
-          name,
-          debtPcs,
-          parseFloat(unit_price),
-          totalPrice,
-          amountPayable,
+          date || null,
+          name || null,
+          productId || null,
+          finalPcs,
+          unit_price !== undefined ? parseFloat(unit_price) : null,
+          total_price !== undefined ? totalPrice : null,
+          amount_payable_now !== undefined ? amountPayable : null,
           balanceOwed,
-          description || '',
-          customer_signature || '',
-          electronic_signature || '',
-          client_name || '',
-          client_phone || '',
-          seller_name || ''
-        ],
-        function(err) {
-          if (err) {
-            return res.status(500).json({
-              success: false,
-              message: 'Error creating debt record'
-            });
-          }
-
-          // Deduct stock from inventory
-          const newStock = currentStock - debtPcs;
-          db.run(
-            'UPDATE purchases SET available_stock = ? WHERE id = ?',
-            [newStock, inventoryItem.id],
-            (updateErr) => {
-              if (updateErr) {
-                console.error('Error updating stock:', updateErr);
-                // Don't fail the request, just log the error
-              }
-
-              // Get created record
-              db.get(
-                'SELECT * FROM debts WHERE id = ?',
-                [this.lastID],
-                (err, record) => {
-                  if (err) {
-                    return res.status(500).json({
-                      success: false,
-                      message: 'Database error'
-                    });
-                  }
-
-                  res.json({
-                    success: true,
-                    message: 'Debt record created successfully',
-                    debt: record
-                  });
-                }
-              );
-            }
-          );
-        }
+          description !== undefined ? description : null,
+          customer_signature !== undefined ? customer_signature : null,
+          electronic_signature !== undefined ? electronic_signature : null,
+          customerId,
+          clientName !== undefined ? clientName : null,
+          client_phone !== undefined ? client_phone : null,
+          seller_name !== undefined ? seller_name : null,
+          id
+        ]
       );
-    }
-  );
-});
-
-// Update debt record
-router.put('/:id', (req, res) => {
-  const { id } = req.params;
-  const { date, name, pcs, unit_price, total_price, amount_payable_now, description, customer_signature, electronic_signature, client_name, client_phone, seller_name } = req.body;
-
-  // Check if record exists
-  db.get('SELECT * FROM debts WHERE id = ?', [id], (err, record) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error'
-      });
-    }
+      return line;
+    });
 
     if (!record) {
       return res.status(404).json({
@@ -212,75 +270,24 @@ router.put('/:id', (req, res) => {
       });
     }
 
-    // Calculate balance owed
-    const totalPrice = total_price !== undefined ? parseFloat(total_price) : record.total_price;
-    const amountPayable = amount_payable_now !== undefined ? parseFloat(amount_payable_now) : record.amount_payable_now;
-    const balanceOwed = totalPrice - amountPayable;
-
-    // Update record
-    db.run(
-      `UPDATE debts SET
-        date = COALESCE(?, date),
-        name = COALESCE(?, name),
-        pcs = COALESCE(?, pcs),
-        unit_price = COALESCE(?, unit_price),
-        total_price = COALESCE(?, total_price),
-        amount_payable_now = COALESCE(?, amount_payable_now),
-        balance_owed = ?,
-        description = COALESCE(?, description),
-        customer_signature = COALESCE(?, customer_signature),
-        electronic_signature = COALESCE(?, electronic_signature),
-        client_name = COALESCE(?, client_name),
-        client_phone = COALESCE(?, client_phone),
-        seller_name = COALESCE(?, seller_name),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?`,
-      [
-        date || null,
-        name || null,
-        pcs !== undefined ? parseInt(pcs) : null,
-        unit_price !== undefined ? parseFloat(unit_price) : null,
-        total_price !== undefined ? totalPrice : null,
-        amount_payable_now !== undefined ? amountPayable : null,
-        balanceOwed,
-        description !== undefined ? description : null,
-        customer_signature !== undefined ? customer_signature : null,
-        electronic_signature !== undefined ? electronic_signature : null,
-        client_name !== undefined ? client_name : null,
-        client_phone !== undefined ? client_phone : null,
-        seller_name !== undefined ? seller_name : null,
-        id
-      ],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating debt record'
-          });
-        }
-
-        res.json({
-          success: true,
-          message: 'Debt record updated successfully'
-        });
-      }
-    );
-  });
+    audit.log(req, { table: 'debts', recordId: id, action: 'update', before: record });
+
+    res.json({
+      success: true,
+      message: 'Debt record updated successfully'
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating debt record');
+  }
 });
 
 // Delete debt record
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('debts.delete'), async (req, res) => {
   const { id } = req.params;
 
-  // Get the debt record first to restore stock
-  db.get('SELECT * FROM debts WHERE id = ?', [id], (err, record) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error'
-      });
-    }
-
+  // Delete the line and restore its stock to inventory in one transaction
+  try {
+    const record = await sales.deleteLine(req, 'debts', id);
     if (!record) {
       return res.status(404).json({
         success: false,
@@ -288,39 +295,13 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    // Restore stock to inventory
-    db.get(
-      'SELECT id, available_stock FROM purchases WHERE name = ? ORDER BY id DESC LIMIT 1',
-      [record.name],
-      (err, inventoryItem) => {
-        if (!err && inventoryItem) {
-          const restoredStock = inventoryItem.available_stock + record.pcs;
-          db.run(
-            'UPDATE purchases SET available_stock = ? WHERE id = ?',
-            [restoredStock, inventoryItem.id],
-            (err) => {
-              if (err) console.error('Error restoring stock:', err);
-            }
-          );
-        }
-
-        // Delete debt record
-        db.run('DELETE FROM debts WHERE id = ?', [id], function(err) {
-          if (err) {
-            return res.status(500).json({
-              success: false,
-              message: 'Error deleting debt record'
-            });
-          }
-
-          res.json({
-            success: true,
-            message: 'Debt record deleted successfully'
-          });
-        });
-      }
-    );
-  });
+    res.json({
+      success: true,
+      message: 'Debt record deleted successfully'
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting debt record');
+  }
 });
 
 module.exports = router;
@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const sync = require('../sync');
 
 // Get all expenses records
-router.get('/', (req, res) => {
+// Optional filter: ?category=Rent
+router.get('/', requirePermission('expenses.view'), (req, res) => {
+  const { category } = req.query;
   db.all(
-    'SELECT * FROM expenses ORDER BY date DESC, created_at DESC',
-    [],
+    `SELECT * FROM expenses ${category ? 'WHERE category = ?' : ''} ORDER BY date DESC, created_at DESC`,
+    category ? [category] : [],
     (err, records) => {
       if (err) {
         return res.status(500).json({
@@ -24,7 +29,7 @@ router.get('/', (req, res) => {
 });
 
 // Get single expense record
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('expenses.view'), (req, res) => {
   const { id } = req.params;
 
   db.get(
@@ -54,8 +59,8 @@ router.get('/:id', (req, res) => {
 });
 
 // Create new expense record
-router.post('/', (req, res) => {
-  const { date, name, amount, description } = req.body;
+router.post('/', requirePermission('expenses.create'), (req, res) => {
+  const { date, name, amount, description, category } = req.body;
 
   // Validation
   if (!date || !name || !amount) {
@@ -67,9 +72,9 @@ router.post('/', (req, res) => {
 
   // Insert new expense record
   db.run(
-    `INSERT INTO expenses (date, name, amount, description)
-     VALUES (?, ?, ?, ?)`,
-    [date, name, amount, description || ''],
+    `INSERT INTO expenses (date, name, amount, description, category)
+     VALUES (?, ?, ?, ?, ?)`,
+    [date, name, amount, description || '', category ? String(category).trim() : null],
     function(err) {
       if (err) {
         return res.status(500).json({
@@ -78,6 +83,8 @@ router.post('/', (req, res) => {
         });
       }
 
+      audit.log(req, { table: 'expenses', recordId: this.lastID, action: 'create' });
+
       // Get created record
       db.get(
         'SELECT * FROM expenses WHERE id = ?',
@@ -102,9 +109,9 @@ router.post('/', (req, res) => {
 });
 
 // Update expense record
-router.put('/:id', (req, res) => {
+router.put('/:id', requirePermission('expenses.update'), (req, res) => {
   const { id } = req.params;
-  const { date, name, amount, description } = req.body;
+  const { date, name, amount, description, category } = req.body;
 
   // Check if record exists
   db.get('SELECT * FROM expenses WHERE id = ?', [id], (err, record) => {
@@ -129,6 +136,7 @@ router.put('/:id', (req, res) => {
         name = COALESCE(?, name),
         amount = COALESCE(?, amount),
         description = COALESCE(?, description),
+        category = COALESCE(?, category),
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ?`,
       [
@@ -136,6 +144,7 @@ router.put('/:id', (req, res) => {
         name || null,
         amount !== undefined ? amount : null,
         description !== undefined ? description : null,
+        category ? String(category).trim() : null,
         id
       ],
       function(err) {
@@ -146,6 +155,8 @@ router.put('/:id', (req, res) => {
           });
         }
 
+        audit.log(req, { table: 'expenses', recordId: id, action: 'update', before: record });
+
         // Get updated record
         db.get(
           'SELECT * FROM expenses WHERE id = ?',
@@ -171,11 +182,11 @@ router.put('/:id', (req, res) => {
 });
 
 // Delete expense record
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('expenses.delete'), (req, res) => {
   const { id } = req.params;
 
   // Check if record exists
-  db.get('SELECT id FROM expenses WHERE id = ?', [id], (err, record) => {
+  db.get('SELECT * FROM expenses WHERE id = ?', [id], (err, record) => {
     if (err) {
       return res.status(500).json({
         success: false,
@@ -199,6 +210,9 @@ router.delete('/:id', (req, res) => {
         });
       }
 
+      audit.log(req, { table: 'expenses', recordId: id, action: 'delete', before: record });
+      sync.logDeletion('expenses', record);
+
       res.json({
         success: true,
         message: 'Expense record deleted successfully'
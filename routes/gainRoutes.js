@@ -1,12 +1,71 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const costing = require('../costing');
+
+// One row per sale receipt; lines recorded before receipts existed stay on their own
+function groupBySale(rows) {
+  const groups = [];
+  const bySale = {};
+  rows.forEach((r) => {
+    const key = r.sale_id ? `${r.source}-${r.sale_id}` : null;
+    let group = key ? bySale[key] : null;
+    if (!group) {
+      group = {
+        id: key || r.id,
+        source: r.source,
+        sale_id: r.sale_id,
+        receipt_number: r.receipt_number,
+        date: r.date,
+        items: [],
+        total_cost: 0,
+        total_sale: 0,
+        gain_loss: 0
+      };
+      groups.push(group);
+      if (key) bySale[key] = group;
+    }
+    group.items.push(r);
+    group.total_cost += r.total_cost || 0;
+    group.total_sale += r.total_sale || 0;
+    group.gain_loss += r.gain_loss || 0;
+  });
+  return groups;
+}
+
+// Gain row for an income or debts line, costed by costing.costLines
+function toGainRow(line, source, cost) {
+  const selling_unit_price = parseFloat(line.unit_price) || 0;
+  const pcs = parseInt(line.pcs) || 0;
+  const total_sale = parseFloat(line.total_price) || (selling_unit_price * pcs);
+  return {
+    id: source === 'debt' ? `debt-${line.id}` : line.id,
+    source,
+    sale_id: line.sale_id || null,
+    receipt_number: line.sale_receipt_number || null,
+    date: (line.date || '').toString(),
+    product_id: line.product_id || null,
+    name: line.name,
+    pcs,
+    cost_unit_price: cost.cost_unit_price,
+    selling_unit_price,
+    total_cost: cost.total_cost,
+    total_sale,
+    gain_loss: total_sale - cost.total_cost,
+    lots: cost.lots
+  };
+}
 
 // GET /api/gain?date=YYYY-MM-DD
 // GET /api/gain?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
-// Returns per-sale gain/loss rows and aggregated totals
-router.get('/', (req, res) => {
-  const { date, startDate, endDate } = req.query;
+// Returns per-line gain/loss rows (with their sale receipt) and aggregated totals
+// Add &groupBy=sale to get one row per sale receipt, its lines nested in `items`
+// &costMethod=fifo (default) | average | latest (see costing.js); each row lists
+// the purchase lots it drew from in `lots`
+router.get('/', requirePermission('reports.view'), async (req, res) => {
+  const { date, startDate, endDate, groupBy } = req.query;
+  const costMethod = req.query.costMethod || 'fifo';
   let start = startDate;
   let end = endDate;
   if (date) {
@@ -17,105 +76,63 @@ router.get('/', (req, res) => {
   if (!start || !end) {
     return res.status(400).json({ success: false, message: 'Provide `date` or both `startDate` and `endDate` in YYYY-MM-DD format' });
   }
+  if (!costing.COST_METHODS.includes(costMethod)) {
+    return res.status(400).json({ success: false, message: `costMethod must be one of: ${costing.COST_METHODS.join(', ')}` });
+  }
 
-  // Fetch purchases first (to determine unit cost), then income + debts in the requested date range
-  db.all('SELECT * FROM purchases ORDER BY date DESC, created_at DESC', [], (pErr, purchases) => {
-    if (pErr) {
-      console.error('[gainRoutes] purchases query error', pErr);
-      return res.status(500).json({ success: false, message: 'Database error fetching purchases' });
-    }
-
-    // normalize date comparison by taking the first 10 chars (handles "YYYY-MM-DD" and "YYYY-MM-DDTHH:MM:SS" formats)
-    const dateWhere = "substring(date,1,10) >= ? AND substring(date,1,10) <= ?";
-
-    db.all(
-      `SELECT * FROM income WHERE ${dateWhere} ORDER BY date ASC, created_at ASC`,
-      [start, end],
-      (iErr, incomes) => {
-        if (iErr) {
-          console.error('[gainRoutes] income query error', iErr);
-          return res.status(500).json({ success: false, message: 'Database error fetching income' });
-        }
-
-        db.all(
-          `SELECT * FROM debts WHERE ${dateWhere} ORDER BY date ASC, created_at ASC`,
-          [start, end],
-          (dErr, debts) => {
-            if (dErr) {
-              console.error('[gainRoutes] debts query error', dErr);
-              return res.status(500).json({ success: false, message: 'Database error fetching debts' });
-            }
-
-            // Combine income + debts as sales-type records
-            const combined = [];
+  // normalize date comparison by taking the first 10 chars (handles "YYYY-MM-DD" and "YYYY-MM-DDTHH:MM:SS" formats)
+  const dateWhere = (alias) => `substring(${alias}.date,1,10) >= ? AND substring(${alias}.date,1,10) <= ?`;
 
-            (incomes || []).forEach((s) => {
-              const inventoryItem = (purchases || []).find(p => p.name === s.name);
-              const cost_unit_price = inventoryItem ? parseFloat(inventoryItem.unit_price) || 0 : 0;
-              const selling_unit_price = parseFloat(s.unit_price) || 0;
-              const pcs = parseInt(s.pcs) || 0;
-              const total_cost = cost_unit_price * pcs;
-              const total_sale = parseFloat(s.total_price) || (selling_unit_price * pcs);
-              const gain_loss = total_sale - total_cost;
-              combined.push({
-                id: s.id,
-                source: 'income',
-                date: (s.date || '').toString(),
-                name: s.name,
-                pcs,
-                cost_unit_price,
-                selling_unit_price,
-                total_cost,
-                total_sale,
-                gain_loss
-              });
-            });
+  try {
+    const incomes = await db.allAsync(
+      `SELECT i.*, s.receipt_number AS sale_receipt_number
+       FROM income i
+       LEFT JOIN sales s ON s.id = i.sale_id
+       WHERE ${dateWhere('i')}
+       ORDER BY i.date ASC, i.created_at ASC`,
+      [start, end]
+    );
+    const debts = await db.allAsync(
+      `SELECT d.*, s.receipt_number AS sale_receipt_number
+       FROM debts d
+       LEFT JOIN sales s ON s.id = d.sale_id
+       WHERE ${dateWhere('d')}
+       ORDER BY d.date ASC, d.created_at ASC`,
+      [start, end]
+    );
 
-            (debts || []).forEach((d) => {
-              const inventoryItem = (purchases || []).find(p => p.name === d.name);
-              const cost_unit_price = inventoryItem ? parseFloat(inventoryItem.unit_price) || 0 : 0;
-              const selling_unit_price = parseFloat(d.unit_price) || 0;
-              const pcs = parseInt(d.pcs) || 0;
-              const total_cost = cost_unit_price * pcs;
-              const total_sale = parseFloat(d.total_price) || (selling_unit_price * pcs);
-              const gain_loss = total_sale - total_cost;
-              combined.push({
-                id: `debt-${d.id}`,
-                source: 'debt',
-                date: (d.date || '').toString(),
-                name: d.name,
-                pcs,
-                cost_unit_price,
-                selling_unit_price,
-                total_cost,
-                total_sale,
-                gain_loss
-              });
-            });
+    const lines = [
+      ...incomes.map((line) => ({ ...line, source: 'income' })),
+      ...debts.map((line) => ({ ...line, source: 'debt' }))
+    ];
+    const costs = await costing.costLines(lines, costMethod);
 
-            // Sort combined by date then created_at if present
-            combined.sort((a, b) => {
-              if ((a.date || '') < (b.date || '')) return -1;
-              if ((a.date || '') > (b.date || '')) return 1;
-              return 0;
-            });
+    // Combine income + debts as sales-type records
+    const combined = lines.map((line) => toGainRow(line, line.source, costs.get(`${line.source}-${line.id}`)));
 
-            const totals = combined.reduce(
-              (acc, r) => {
-                acc.total_cost += r.total_cost || 0;
-                acc.total_sale += r.total_sale || 0;
-                acc.total_gain_loss += r.gain_loss || 0;
-                return acc;
-              },
-              { total_cost: 0, total_sale: 0, total_gain_loss: 0 }
-            );
+    // Sort combined by date
+    combined.sort((a, b) => {
+      if ((a.date || '') < (b.date || '')) return -1;
+      if ((a.date || '') > (b.date || '')) return 1;
+      return 0;
+    });
 
-            res.json({ success: true, gain: combined, totals, startDate: start, endDate: end });
-          }
-        );
-      }
+    const totals = combined.reduce(
+      (acc, r) => {
+        acc.total_cost += r.total_cost || 0;
+        acc.total_sale += r.total_sale || 0;
+        acc.total_gain_loss += r.gain_loss || 0;
+        return acc;
+      },
+      { total_cost: 0, total_sale: 0, total_gain_loss: 0 }
     );
-  });
+
+    const gain = groupBy === 'sale' ? groupBySale(combined) : combined;
+    res.json({ success: true, gain, totals, costMethod, startDate: start, endDate: end });
+  } catch (err) {
+    console.error('[gainRoutes] query error', err);
+    res.status(500).json({ success: false, message: 'Database error' });
+  }
 });
 
 module.exports = router;
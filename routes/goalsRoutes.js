@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
 
 // Get all goals (optional filter: ?status=active|accomplished|trashed)
-router.get('/', (req, res) => {
+router.get('/', requirePermission('goals.view'), (req, res) => {
   const { status } = req.query;
   const orderBy = 'ORDER BY created_at DESC, id DESC';
 
@@ -33,7 +34,7 @@ router.get('/', (req, res) => {
 });
 
 // Get single goal
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('goals.view'), (req, res) => {
   const { id } = req.params;
   db.get('SELECT * FROM goals WHERE id = ?', [id], (err, record) => {
     if (err) {
@@ -47,7 +48,7 @@ router.get('/:id', (req, res) => {
 });
 
 // Create goal
-router.post('/', (req, res) => {
+router.post('/', requirePermission('goals.manage'), (req, res) => {
   const { date, title, desired_completion_date, content } = req.body;
   if (!date || !title) {
     return res.status(400).json({
@@ -75,7 +76,7 @@ router.post('/', (req, res) => {
 });
 
 // Update goal (edit or set status: accomplished / trashed)
-router.put('/:id', (req, res) => {
+router.put('/:id', requirePermission('goals.manage'), (req, res) => {
   const { id } = req.params;
   const { date, title, desired_completion_date, content, status } = req.body;
 
@@ -119,7 +120,7 @@ router.put('/:id', (req, res) => {
 });
 
 // Delete goal permanently
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('goals.manage'), (req, res) => {
   const { id } = req.params;
   db.get('SELECT id FROM goals WHERE id = ?', [id], (err, record) => {
     if (err) {
@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const customers = require('../customers');
+const sales = require('../sales');
+const receipts = require('../receipts');
+
+// Get all income records (one row per sold line, with its receipt number)
+// ?groupBy=sale returns sale receipts instead, each with its lines in `items`
+router.get('/', requirePermission('income.view'), (req, res) => {
+  if (req.query.groupBy === 'sale') {
+    return sales.listSales({ saleType: 'cash' })
+      .then((receipts) => res.json({ success: true, sales: receipts }))
+      .catch((err) => sales.sendError(res, err, 'Database error'));
+  }
 
-// Get all income records
-router.get('/', (req, res) => {
   db.all(
-    'SELECT * FROM income ORDER BY date DESC, created_at DESC',
+    `SELECT i.*, s.receipt_number
+     FROM income i
+     LEFT JOIN sales s ON s.id = i.sale_id
+     ORDER BY i.date DESC, i.created_at DESC`,
     [],
     (err, records) => {
       if (err) {
@@ -24,11 +39,14 @@ router.get('/', (req, res) => {
 });
 
 // Get single income record
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('income.view'), (req, res) => {
   const { id } = req.params;
 
   db.get(
-    'SELECT * FROM income WHERE id = ?',
+    `SELECT i.*, s.receipt_number
+     FROM income i
+     LEFT JOIN sales s ON s.id = i.sale_id
+     WHERE i.id = ?`,
     [id],
     (err, record) => {
       if (err) {
@@ -53,114 +71,143 @@ router.get('/:id', (req, res) => {
   );
 });
 
-// Create new income record
-router.post('/', (req, res) => {
-  const { date, name, pcs, unit_price, description, customer_signature, electronic_signature, client_name, client_phone, seller_name } = req.body;
+// Receipt PDF for an income record: the whole sale receipt when the line belongs to one
+router.get('/:id/receipt.pdf', requirePermission('income.view'), (req, res) => {
+  const { id } = req.params;
+
+  db.get('SELECT * FROM income WHERE id = ?', [id], async (err, record) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database error'
+      });
+    }
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income record not found'
+      });
+    }
+
+    try {
+      const sale = record.sale_id ? await sales.getSale(record.sale_id) : null;
+      const receipt = sale ? receipts.fromSale(sale) : receipts.fromLine(record, 'income');
+      receipts.sendPdf(res, await receipts.renderReceipt(receipt), receipt.receiptNumber);
+    } catch (e) {
+      console.error('[incomeRoutes] Receipt error:', e);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating receipt'
+      });
+    }
+  });
+});
+
+// Create new income record (a cash sale)
+// Body is either a single item ({ date, name, pcs, unit_price, ... }) or a
+// multi-line receipt ({ date, items: [{ name, pcs, unit_price }], ... }).
+// An item may give product_id instead of name.
+router.post('/', requirePermission('income.create'), async (req, res) => {
+  const { date, product_id, name, pcs, unit_price, items } = req.body;
+  const isSingleItem = !Array.isArray(items);
 
   // Validation
-  if (!date || !name || !pcs || !unit_price) {
+  if (isSingleItem && (!date || (!name && !product_id) || !pcs || !unit_price)) {
     return res.status(400).json({
       success: false,
       message: 'Date, Name, Pcs, and Unit Price are required'
     });
   }
 
-  // Calculate total price
-  const total_price = parseFloat(pcs) * parseFloat(unit_price);
+  try {
+    const sale = await sales.createSale(req, 'cash', {
+      ...req.body,
+      items: isSingleItem ? [{ product_id, name, pcs, unit_price, description: req.body.description }] : items
+    });
 
-  // First, check if inventory item exists and has enough stock
-  db.get(
-    'SELECT id, available_stock FROM purchases WHERE name = ? ORDER BY id DESC LIMIT 1',
-    [name],
-    (err, inventoryItem) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
+    const result = {
+      success: true,
+      message: 'Income record created successfully',
+      sale
+    };
+    if (isSingleItem) result.income = sale.items[0];
+    res.json(result);
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating income record');
+  }
+});
 
-      if (!inventoryItem) {
-        return res.status(400).json({
-          success: false,
-          message: 'Item not found in inventory'
-        });
-      }
+// Update income record; a new product or pcs moves the line's stock
+router.put('/:id', requirePermission('income.update'), async (req, res) => {
+  const { id } = req.params;
+  const { date, name, pcs, unit_price, description, customer_signature, electronic_signature, client_name, client_phone, seller_name } = req.body;
 
-      const salePcs = parseInt(pcs) || 0;
-      const currentStock = parseInt(inventoryItem.available_stock) || 0;
+  if (pcs !== undefined && !(parseInt(pcs, 10) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'pcs must be a positive whole number'
+    });
+  }
 
-      if (salePcs > currentStock) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock. Available: ${currentStock}, Requested: ${salePcs}`
-        });
-      }
+  try {
+    const record = await db.transaction(async (tx) => {
+      const line = await tx.getAsync('SELECT * FROM income WHERE id = ? FOR UPDATE', [id]);
+      if (!line) return null;
 
-      // Insert new income record
-      db.run(
-        `INSERT INTO income (date, name, pcs, unit_price, total_price, description, customer_signature, electronic_signature, client_name, client_phone, seller_name)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [date, name, pcs, unit_price, total_price, description || '', customer_signature || '', electronic_signature || '', client_name || '', client_phone || '', seller_name || ''],
-        function(err) {
-          if (err) {
-            return res.status(500).json({
-              success: false,
-              message: 'Error creating income record'
-            });
-          }
+      // A new client name or customer_id links the customer as on create; an empty name unlinks it
+      const customer = await customers.editedCustomer(tx, req.body);
+      const customerId = customer === undefined ? line.customer_id : (customer ? customer.id : null);
+      const clientName = customer ? customer.name : client_name;
 
-          // Deduct stock from inventory
-          const newStock = currentStock - salePcs;
-          db.run(
-            'UPDATE purchases SET available_stock = ? WHERE id = ?',
-            [newStock, inventoryItem.id],
-            (updateErr) => {
-              if (updateErr) {
-                console.error('Error updating stock:', updateErr);
-                // Don't fail the request, just log the error
-              }
+      // A new name moves the line to the product of that name, if there is one
+      const product = name
+        ? await tx.getAsync('SELECT id FROM products WHERE LOWER(name) = LOWER(TRIM(?)) ORDER BY id LIMIT 1', [name])
+        : null;
+      const productId = product ? product.id : line.product_id;
+      const finalPcs = pcs !== undefined ? parseInt(pcs, 10) : parseInt(line.pcs, 10) || 0;
+      await sales.moveLineStock(tx, req, 'income', line, productId, finalPcs);
 
-              // Get created record
-              db.get(
-                'SELECT * FROM income WHERE id = ?',
-                [this.lastID],
-                (err, record) => {
-                  if (err) {
-                    return res.status(500).json({
-                      success: false,
-                      message: 'Database error'
-                    });
-                  }
+      // Calculate total price if pcs or unit_price is provided
+      const finalUnitPrice = unit_price !== undefined ? unit_price : line.unit_price;
+      const total_price = finalPcs * parseFloat(finalUnitPrice);
 
-                  res.json({
-                    success: true,
-                    message: 'Income record created successfully',
-                    income: record
-                  });
-                }
-              );
-            }
-          );
-        }
+      await tx.runAsync(
+        `UPDATE income SET 
+          date = COALESCE(?, date),
+          name = COALESCE(?, name),
+          product_id = ?,
+          pcs = ?,
+          unit_price = COALESCE(?, unit_price),
+          total_price = ?,
+          description = COALESCE(?, description),
+          customer_signature = COALESCE(?, customer_signature),
+          electronic_signature = COALESCE(?, electronic_signature),
+          customer_id = ?,
+          client_name = COALESCE(?, client_name),
+          client_phone = COALESCE(?, client_phone),
+          seller_name = COALESCE(?, seller_name),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+        [
+          date || null,
+          name || null,
+          productId || null,
+          finalPcs,
+          unit_price !== undefined ? unit_price : null,
+          total_price,
+          description !== undefined ? description : null,
+          customer_signature !== undefined ? customer_signature : null,
+          electronic_signature !== undefined ? electronic_signature : null,
+          customerId,
+          clientName !== undefined ? clientName : null,
+          client_phone !== undefined ? client_phone : null,
+          seller_name !== undefined ? seller_name : null,
+          id
+        ]
       );
-    }
-  );
-});
-
-// Update income record
-router.put('/:id', (req, res) => {
-  const { id } = req.params;
-  const { date, name, pcs, unit_price, description, customer_signature, electronic_signature, client_name, client_phone, seller_name } = req.body;
-
-  // Check if record exists
-  db.get('SELECT * FROM income WHERE id = ?', [id], (err, record) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error'
-      });
-    }
+      return line;
+    });
 
     if (!record) {
       return res.status(404).json({
@@ -169,87 +216,27 @@ router.put('/:id', (req, res) => {
       });
     }
 
-    // Calculate total price if pcs or unit_price is provided
-    let total_price = record.total_price;
-    const finalPcs = pcs !== undefined ? pcs : record.pcs;
-    const finalUnitPrice = unit_price !== undefined ? unit_price : record.unit_price;
-    total_price = parseFloat(finalPcs) * parseFloat(finalUnitPrice);
-
-    // Update record
-    db.run(
-      `UPDATE income SET 
-        date = COALESCE(?, date),
-        name = COALESCE(?, name),
-        pcs = COALESCE(?, pcs),
-        unit_price = COALESCE(?, unit_price),
-        total_price = ?,
-        description = COALESCE(?, description),
-        customer_signature = COALESCE(?, customer_signature),
-        electronic_signature = COALESCE(?, electronic_signature),
-        client_name = COALESCE(?, client_name),
-        client_phone = COALESCE(?, client_phone),
-        seller_name = COALESCE(?, seller_name),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?`,
-      [
-        date || null,
-        name || null,
-        pcs !== undefined ? pcs : null,
-        unit_price !== undefined ? unit_price : null,
-        total_price,
-        description !== undefined ? description : null,
-        customer_signature !== undefined ? customer_signature : null,
-        electronic_signature !== undefined ? electronic_signature : null,
-        client_name !== undefined ? client_name : null,
-        client_phone !== undefined ? client_phone : null,
-        seller_name !== undefined ? seller_name : null,
-        id
-      ],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating income record'
-          });
-        }
+    audit.log(req, { table: 'income', recordId: id, action: 'update', before: record });
 
-        // Get updated record
-        db.get(
-          'SELECT * FROM income WHERE id = ?',
-          [id],
-          (err, updatedRecord) => {
-            if (err) {
-              return res.status(500).json({
-                success: false,
-                message: 'Database error'
-              });
-            }
-
-            res.json({
-              success: true,
-              message: 'Income record updated successfully',
-              income: updatedRecord
-            });
-          }
-        );
-      }
-    );
-  });
+    // Get updated record
+    const updatedRecord = await db.getAsync('SELECT * FROM income WHERE id = ?', [id]);
+    res.json({
+      success: true,
+      message: 'Income record updated successfully',
+      income: updatedRecord
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating income record');
+  }
 });
 
 // Delete income record
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('income.delete'), async (req, res) => {
   const { id } = req.params;
 
-  // Check if record exists
-  db.get('SELECT id FROM income WHERE id = ?', [id], (err, record) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error'
-      });
-    }
-
+  // Delete the line and restore its stock to inventory in one transaction
+  try {
+    const record = await sales.deleteLine(req, 'income', id);
     if (!record) {
       return res.status(404).json({
         success: false,
@@ -257,21 +244,13 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    // Delete record
-    db.run('DELETE FROM income WHERE id = ?', [id], function(err) {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error deleting income record'
-        });
-      }
-
-      res.json({
-        success: true,
-        message: 'Income record deleted successfully'
-      });
+    res.json({
+      success: true,
+      message: 'Income record deleted successfully'
     });
-  });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting income record');
+  }
 });
 
 module.exports = router;
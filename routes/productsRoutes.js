@@ -0,0 +1,144 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const products = require('../products');
+const sales = require('../sales');
+const storage = require('../storage');
+const sync = require('../sync');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ok = /^image\//.test(file.mimetype || '') || /\.(jpe?g|png|gif|webp)$/i.test(file.originalname || '');
+    cb(ok ? null : new Error('Only image files are allowed (JPEG, PNG, GIF, WebP)'));
+  }
+});
+
+// Image URL the frontend displays: FTP URL as stored, local files through /api/uploads
+function withImageUrl(product) {
+  if (!product) return product;
+  let imageUrl = null;
+  if (product.image_path) {
+    if (storage.isRemoteUrl(product.image_path)) {
+      imageUrl = product.image_path;
+    } else {
+      const localPath = storage.getLocalPath(product.image_path) || product.image_path;
+      const rel = path.relative(storage.uploadsDir, localPath).replace(/\\/g, '/');
+      imageUrl = rel.startsWith('..') ? null : `/api/uploads/${rel}`;
+    }
+  }
+  return { ...product, image_url: imageUrl };
+}
+
+// Get products with their stock (sum over lots)
+// Optional filters: ?search=soap (name or SKU)&category=Hygiene
+router.get('/', requirePermission('products.view'), async (req, res) => {
+  try {
+    const rows = await products.listProducts({ search: req.query.search, category: req.query.category });
+    res.json({ success: true, products: rows.map(withImageUrl) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get single product with its purchase lots (oldest first)
+router.get('/:id', requirePermission('products.view'), async (req, res) => {
+  try {
+    const product = await products.getProduct(req.params.id);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+    res.json({ success: true, product: { ...withImageUrl(product), lots: await products.getLots(product.id) } });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Create product: { name, sku?, category?, selling_price?, stock_deficiency_threshold? }
+router.post('/', requirePermission('products.manage'), async (req, res) => {
+  try {
+    const id = await products.createProduct(db, req.body || {});
+    const product = await products.getProduct(id);
+    audit.log(req, { table: 'products', recordId: id, action: 'create' });
+    res.json({ success: true, message: 'Product created successfully', product: withImageUrl(product) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating product');
+  }
+});
+
+// Update product fields
+router.put('/:id', requirePermission('products.manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await db.getAsync('SELECT * FROM products WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ success: false, message: 'Product not found' });
+    const { image_path: _, ...data } = req.body || {};
+    await products.updateProduct(db, before.id, data);
+    audit.log(req, { table: 'products', recordId: id, action: 'update', before });
+    res.json({ success: true, message: 'Product updated successfully', product: withImageUrl(await products.getProduct(id)) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating product');
+  }
+});
+
+// Upload/replace the product image (multipart, any field name)
+router.post('/:id/image', requirePermission('products.manage'), (req, res, next) => {
+  upload.any()(req, res, (err) => {
+    if (err) return res.status(400).json({ success: false, message: err.message || 'File upload error' });
+    next();
+  });
+}, async (req, res) => {
+  const { id } = req.params;
+  const uploaded = (Array.isArray(req.files) && req.files[0]) || req.file || null;
+  if (!uploaded) {
+    return res.status(400).json({ success: false, message: 'No image file uploaded' });
+  }
+
+  try {
+    const before = await db.getAsync('SELECT * FROM products WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    const filename = 'product-' + Date.now() + path.extname(uploaded.originalname || '.png');
+    const saved = await storage.saveFile(uploaded.buffer, 'products/' + filename);
+    await products.updateProduct(db, before.id, { image_path: saved.path });
+    // Lots may still use the old file
+    const inUse = await db.getAsync('SELECT id FROM purchases WHERE image_path = ? LIMIT 1', [before.image_path]);
+    if (before.image_path && !inUse) {
+      try { storage.deleteFile(before.image_path); } catch (e) { /* ignore */ }
+    }
+
+    audit.log(req, { table: 'products', recordId: id, action: 'update', before });
+    res.json({ success: true, message: 'Product image updated successfully', product: withImageUrl(await products.getProduct(id)) });
+  } catch (err) {
+    console.error('[productsRoutes] POST /:id/image error:', err);
+    res.status(500).json({ success: false, message: 'Upload failed: ' + err.message });
+  }
+});
+
+// Delete product: only when no purchase lot or sale line refers to it
+router.delete('/:id', requirePermission('products.manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const product = await db.getAsync('SELECT * FROM products WHERE id = ?', [id]);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+    for (const table of ['purchases', 'income', 'debts']) {
+      const used = await db.getAsync(`SELECT id FROM ${table} WHERE product_id = ? LIMIT 1`, [product.id]);
+      if (used) {
+        return res.status(409).json({ success: false, message: 'Product has purchases or sales and cannot be deleted' });
+      }
+    }
+
+    await db.runAsync('DELETE FROM products WHERE id = ?', [product.id]);
+    audit.log(req, { table: 'products', recordId: id, action: 'delete', before: product });
+    sync.logDeletion('products', product);
+    res.json({ success: true, message: 'Product deleted successfully' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting product');
+  }
+});
+
+module.exports = router;
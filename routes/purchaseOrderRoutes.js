@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const purchaseOrders = require('../purchaseOrders');
+const receipts = require('../receipts');
+const sales = require('../sales');
+
+// Get purchase orders (newest first) with pieces ordered, received, cancelled and on backorder
+// Optional filters: ?status=draft|sent|partially_received|received|cancelled&supplierId=
+router.get('/', requirePermission('purchaseOrders.view'), async (req, res) => {
+  const { status, supplierId } = req.query;
+  if (status && !purchaseOrders.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${purchaseOrders.STATUSES.join(', ')}` });
+  }
+  try {
+    res.json({ success: true, purchaseOrders: await purchaseOrders.listPurchaseOrders({ status, supplierId }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get lines still on backorder on sent or partially received orders
+// Optional filters: ?supplierId=&productId=
+router.get('/backorders', requirePermission('purchaseOrders.view'), async (req, res) => {
+  const { supplierId, productId } = req.query;
+  try {
+    res.json({ success: true, backorders: await purchaseOrders.listBackorders({ supplierId, productId }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Draft one order per supplier from the reorder suggestions:
+// { windowDays?, endDate?, leadTimeDays?, coverageDays?, supplierId?, productIds?, order_date?, expected_date?, note? }
+router.post('/from-reorder', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const result = await purchaseOrders.draftFromReorder(req, req.body || {});
+    res.json({
+      success: true,
+      message: result.purchaseOrders.length ? 'Purchase orders drafted successfully' : 'Nothing to reorder',
+      ...result
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Error drafting purchase orders');
+  }
+});
+
+// Get an order with its lines and the lots received on them
+router.get('/:id', requirePermission('purchaseOrders.view'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.getPurchaseOrder(req.params.id);
+    if (!purchaseOrder) return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    res.json({ success: true, purchaseOrder });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Purchase order PDF for the supplier
+router.get('/:id/purchase-order.pdf', requirePermission('purchaseOrders.view'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.getPurchaseOrder(req.params.id);
+    if (!purchaseOrder) return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    receipts.sendPdf(res, await purchaseOrders.renderPdf(purchaseOrder), purchaseOrder.order_number);
+  } catch (err) {
+    sales.sendError(res, err, 'Error generating purchase order PDF');
+  }
+});
+
+// Draft an order: { supplier_id or supplier_name, order_date?, expected_date?, note?, lines: [{ product_id or name, pcs, unit_price? }] }
+router.post('/', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.createPurchaseOrder(req, req.body || {});
+    res.json({ success: true, message: 'Purchase order created successfully', purchaseOrder });
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating purchase order');
+  }
+});
+
+// Update a draft; lines, when given, replace its lines
+router.put('/:id', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.updatePurchaseOrder(req, req.params.id, req.body || {});
+    res.json({ success: true, message: 'Purchase order updated successfully', purchaseOrder });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating purchase order');
+  }
+});
+
+// Delete a draft
+router.delete('/:id', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const deleted = await purchaseOrders.deletePurchaseOrder(req, req.params.id);
+    if (!deleted) return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    res.json({ success: true, message: 'Purchase order deleted successfully' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting purchase order');
+  }
+});
+
+// Mark a draft as sent to the supplier
+router.post('/:id/send', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.sendPurchaseOrder(req, req.params.id);
+    res.json({ success: true, message: 'Purchase order sent successfully', purchaseOrder });
+  } catch (err) {
+    sales.sendError(res, err, 'Error sending purchase order');
+  }
+});
+
+// Receive a delivery: { date?, description?, lines?: [{ line_id, pcs, unit_price?, amount_paid? }] }
+// Without lines everything on backorder is received. Each line becomes a purchase lot.
+router.post('/:id/receive', requirePermission('purchaseOrders.receive'), async (req, res) => {
+  try {
+    const result = await purchaseOrders.receivePurchaseOrder(req, req.params.id, req.body || {});
+    res.json({ success: true, message: 'Delivery received successfully', ...result });
+  } catch (err) {
+    sales.sendError(res, err, 'Error receiving purchase order');
+  }
+});
+
+// Cancel what lines have on backorder: { lines: [{ line_id, pcs? }], reason? }
+router.post('/:id/cancel-lines', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.cancelLines(req, req.params.id, req.body || {});
+    res.json({ success: true, message: 'Purchase order lines cancelled successfully', purchaseOrder });
+  } catch (err) {
+    sales.sendError(res, err, 'Error cancelling purchase order lines');
+  }
+});
+
+// Cancel the order, or what it still has on backorder once partially received: { reason? }
+router.post('/:id/cancel', requirePermission('purchaseOrders.manage'), async (req, res) => {
+  try {
+    const purchaseOrder = await purchaseOrders.cancelPurchaseOrder(req, req.params.id, req.body || {});
+    res.json({ success: true, message: 'Purchase order cancelled successfully', purchaseOrder });
+  } catch (err) {
+    sales.sendError(res, err, 'Error cancelling purchase order');
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,13 @@ const { Readable } = require('stream');
 const multer = require('multer');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const products = require('../products');
+const purchaseOrders = require('../purchaseOrders');
+const inventory = require('../inventory');
+const suppliers = require('../suppliers');
+const sync = require('../sync');
 const storage = require('../storage');
 
 const purchasesDir = path.join(storage.uploadsDir, 'purchases');
@@ -68,10 +75,23 @@ const uploadSingleImage = (req, res, next) => {
 };
 
 // Get all purchases records
-router.get('/', (req, res) => {
+// Optional filters: ?supplierId=1&owing=true (only purchases not fully paid)
+router.get('/', requirePermission('purchases.view'), (req, res) => {
+  const where = [];
+  const params = [];
+  if (req.query.supplierId) {
+    where.push('p.supplier_id = ?');
+    params.push(parseInt(req.query.supplierId, 10) || 0);
+  }
+  if (req.query.owing === 'true') where.push('p.balance_owed > 0');
   db.all(
-    'SELECT * FROM purchases ORDER BY date DESC, created_at DESC',
-    [],
+    `SELECT p.*, pr.name AS product_name, pr.sku, pr.category, s.name AS supplier
+     FROM purchases p
+     LEFT JOIN products pr ON pr.id = p.product_id
+     LEFT JOIN suppliers s ON s.id = p.supplier_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY p.date DESC, p.created_at DESC`,
+    params,
     (err, records) => {
       if (err) {
         return res.status(500).json({ success: false, message: 'Database error' });
@@ -103,7 +123,7 @@ router.get('/', (req, res) => {
 });
 
 // Image asset: same approach as logo – serve via API (stream from FTP or send local file)
-router.get('/asset/:id', (req, res) => {
+router.get('/asset/:id', requirePermission('purchases.view'), (req, res) => {
   const { id } = req.params;
   db.get('SELECT image_path FROM purchases WHERE id = ?', [id], async (err, row) => {
     if (err || !row || !row.image_path) {
@@ -131,7 +151,7 @@ router.get('/asset/:id', (req, res) => {
 });
 
 // Get single purchase record
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('purchases.view'), (req, res) => {
   const { id } = req.params;
 
   db.get(
@@ -165,7 +185,7 @@ router.get('/:id', (req, res) => {
 });
 
 // Upload/update item image only (same flow as logo: POST + single file → FTP/local → DB URL → return)
-router.post('/:id/image', uploadSingleImage, async (req, res) => {
+router.post('/:id/image', requirePermission('purchases.update'), uploadSingleImage, async (req, res) => {
   const { id } = req.params;
 
   const fileList = Array.isArray(req.files) ? req.files : (req.files && typeof req.files === 'object' ? Object.values(req.files).flat() : []);
@@ -203,6 +223,7 @@ router.post('/:id/image', uploadSingleImage, async (req, res) => {
             try { storage.deleteFile(storedPath); } catch (e) { /* ignore */ }
             return res.status(500).json({ success: false, message: 'Failed to save image' });
           }
+          audit.log(req, { table: 'purchases', recordId: id, action: 'update', before: record });
           db.get('SELECT * FROM purchases WHERE id = ?', [id], (err, updatedRecord) => {
             if (err) return res.status(500).json({ success: false, message: 'Database error' });
             updatedRecord.image_url = updatedRecord && updatedRecord.image_path
@@ -220,7 +241,7 @@ router.post('/:id/image', uploadSingleImage, async (req, res) => {
 });
 
 // Create new purchase record
-router.post('/', handleImageUpload, async (req, res) => {
+router.post('/', requirePermission('purchases.create'), handleImageUpload, async (req, res) => {
   // debug: print received body and file info
   console.log('[purchasesRoutes] POST / - req.body keys:', Object.keys(req.body));
   console.log('[purchasesRoutes] POST / - content-type:', req.headers['content-type']);
@@ -228,15 +249,21 @@ router.post('/', handleImageUpload, async (req, res) => {
   console.log('[purchasesRoutes] POST / - req.file present:', !!req.file);
   if (req.file) console.log('[purchasesRoutes] POST / - file meta:', { originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size });
 
-  const { date, name, pcs, unit_price, description, supplier_name } = req.body;
+  const { date, product_id, name, pcs, unit_price, description, supplier_id, supplier_name, amount_paid } = req.body;
 
   // Validation
-  if (!date || !name || !pcs || !unit_price) {
+  if (!date || (!name && !product_id) || !pcs || !unit_price) {
     return res.status(400).json({ success: false, message: 'Date, Name, Pcs, and Unit Price are required' });
   }
 
-  // Calculate total amount
+  // Calculate total amount; what was not paid on delivery is owed to the supplier (paid in full unless amount_paid is given)
   const total_amount = parseFloat(pcs) * parseFloat(unit_price);
+  let payables;
+  try {
+    payables = suppliers.purchasePayables(total_amount, amount_paid);
+  } catch (e) {
+    return res.status(e.status).json({ success: false, message: e.message });
+  }
 
   // 1. Save image to FTP (or local); storage returns the URL/path to store in DB
   let imagePath = null;
@@ -257,49 +284,81 @@ router.post('/', handleImageUpload, async (req, res) => {
     return res.status(500).json({ success: false, message: 'Failed to save image: ' + e.message });
   }
 
-  // 2. Store the URL in the database (image_path)
-  db.run(
-    `INSERT INTO purchases (date, name, pcs, unit_price, total_amount, description, supplier_name, available_stock, image_path)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [date, name, pcs, unit_price, total_amount, description || '', supplier_name || '', pcs, imagePath],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ success: false, message: 'Error creating purchase record' });
-      }
+  // The purchase is a lot of a product: by product_id, or by name (a new name adds the product to the catalog);
+  // its supplier likewise by supplier_id or supplier_name
+  let product;
+  let supplier;
+  try {
+    product = await products.resolveProduct(db, { product_id, name }, { create: true, defaults: { ...req.body, image_path: imagePath } });
+    supplier = await suppliers.resolveSupplier(db, { supplier_id, supplier_name });
+    if (imagePath && !product.image_path) {
+      await db.runAsync('UPDATE products SET image_path = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [imagePath, product.id]);
+    }
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    return res.status(500).json({ success: false, message: 'Error creating purchase record' });
+  }
 
-      // 3. Return record with image_url = database URL (frontend uses this to display)
-      db.get('SELECT * FROM purchases WHERE id = ?', [this.lastID], (err, record) => {
-        if (err) return res.status(500).json({ success: false, message: 'Database error' });
-        record.image_url = record && record.image_path ? (storage.isRemoteUrl(record.image_path) ? record.image_path : `/api/uploads/purchases/${path.basename(record.image_path)}`) : null;
-        res.json({ success: true, message: 'Purchase record created successfully', purchase: record });
+  // 2. Store the URL in the database (image_path); the lot's pieces go in the stock ledger
+  let purchaseId;
+  try {
+    purchaseId = await db.transaction(async (tx) => {
+      const inserted = await tx.runAsync(
+        `INSERT INTO purchases (product_id, date, name, pcs, unit_price, total_amount, description, supplier_id, supplier_name, amount_paid, balance_owed, available_stock, image_path)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          product.id, date, product.name, pcs, unit_price, total_amount, description || '',
+          supplier ? supplier.id : null, supplier ? supplier.name : '', payables.amount_paid, payables.balance_owed,
+          pcs, imagePath
+        ]
+      );
+      await inventory.recordMovement(tx, {
+        product_id: product.id,
+        lot_id: inserted.lastID,
+        type: 'purchase',
+        quantity: pcs,
+        reference_table: 'purchases',
+        reference_id: inserted.lastID,
+        date,
+        user: req.user
       });
-    }
-  );
+      return inserted.lastID;
+    });
+  } catch (e) {
+    return res.status(500).json({ success: false, message: 'Error creating purchase record' });
+  }
+
+  audit.log(req, { table: 'purchases', recordId: purchaseId, action: 'create' });
+
+  // 3. Return record with image_url = database URL (frontend uses this to display)
+  db.get('SELECT * FROM purchases WHERE id = ?', [purchaseId], (err, record) => {
+    if (err) return res.status(500).json({ success: false, message: 'Database error' });
+    record.image_url = record && record.image_path ? (storage.isRemoteUrl(record.image_path) ? record.image_path : `/api/uploads/purchases/${path.basename(record.image_path)}`) : null;
+    res.json({ success: true, message: 'Purchase record created successfully', purchase: record });
+  });
 });
 
 // Update purchase record
-router.put('/:id', handleImageUpload, async (req, res) => {
+router.put('/:id', requirePermission('purchases.update'), handleImageUpload, async (req, res) => {
   const { id } = req.params;
-  const { date, name, pcs, unit_price, description, supplier_name } = req.body;
+  const { date, product_id, name, pcs, unit_price, description, supplier_id, supplier_name, amount_paid } = req.body;
 
   // Check if record exists
   db.get('SELECT * FROM purchases WHERE id = ?', [id], async (err, record) => {
     if (err) return res.status(500).json({ success: false, message: 'Database error' });
     if (!record) return res.status(404).json({ success: false, message: 'Purchase record not found' });
 
+    const newPcs = pcs !== undefined ? parseInt(pcs) : undefined;
+    if (newPcs !== undefined && !(newPcs >= 0)) {
+      return res.status(400).json({ success: false, message: 'pcs must be a whole number' });
+    }
+
     // Calculate total amount if pcs or unit_price is provided
     let total_amount = record.total_amount;
-    const finalPcs = pcs !== undefined ? pcs : record.pcs;
+    const finalPcs = newPcs !== undefined ? newPcs : record.pcs;
     const finalUnitPrice = unit_price !== undefined ? unit_price : record.unit_price;
     total_amount = parseFloat(finalPcs) * parseFloat(finalUnitPrice);
 
-    // Calculate new available_stock if pcs changed
-    let newAvailableStock = record.available_stock;
-    if (pcs !== undefined && pcs !== record.pcs) {
-      const pcsDiff = parseInt(pcs) - parseInt(record.pcs);
-      newAvailableStock = Math.max(0, (parseInt(record.available_stock) || 0) + pcsDiff);
-    }
-
     // 1. If new image selected: save to FTP (or local), get URL to store in DB
     let imagePath = null;
     try {
@@ -322,59 +381,124 @@ router.put('/:id', handleImageUpload, async (req, res) => {
       return res.status(500).json({ success: false, message: 'Failed to save image: ' + e.message });
     }
 
-    // Update record
-    db.run(
-      `UPDATE purchases SET 
-        date = COALESCE(?, date),
-        name = COALESCE(?, name),
-        pcs = COALESCE(?, pcs),
-        unit_price = COALESCE(?, unit_price),
-        total_amount = ?,
-        description = COALESCE(?, description),
-        supplier_name = COALESCE(?, supplier_name),
-        image_path = COALESCE(?, image_path),
-        available_stock = ?,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?`,
-      [
-        date || null,
-        name || null,
-        pcs !== undefined ? pcs : null,
-        unit_price !== undefined ? unit_price : null,
-        total_amount,
-        description !== undefined ? description : null,
-        supplier_name !== undefined ? supplier_name : null,
-        imagePath || null,
-        newAvailableStock,
-        id
-      ],
-      function(err) {
-        if (err) return res.status(500).json({ success: false, message: 'Error updating purchase record' });
-
-        // 3. Return record with image_url = database URL (frontend uses this to display)
-        db.get('SELECT * FROM purchases WHERE id = ?', [id], (err, updatedRecord) => {
-          if (err) return res.status(500).json({ success: false, message: 'Database error' });
-          updatedRecord.image_url = updatedRecord && updatedRecord.image_path ? (storage.isRemoteUrl(updatedRecord.image_path) ? updatedRecord.image_path : `/api/uploads/purchases/${path.basename(updatedRecord.image_path)}`) : null;
-          res.json({ success: true, message: 'Purchase record updated successfully', purchase: updatedRecord });
+    // Moving the lot to another product (by product_id or name) works as on create, and so does
+    // changing its supplier (an empty supplier_name removes it). A lot received on a purchase order keeps its product.
+    let product = null;
+    let supplier = record.supplier_id ? { id: record.supplier_id, name: record.supplier_name } : null;
+    try {
+      if (product_id || name) product = await products.resolveProduct(db, { product_id, name }, { create: true });
+      if (supplier_id || supplier_name) supplier = await suppliers.resolveSupplier(db, { supplier_id, supplier_name });
+      else if (supplier_name === '' || supplier_id === null) supplier = null;
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+      return res.status(500).json({ success: false, message: 'Error updating purchase record' });
+    }
+
+    // Update record; a change of the lot's stock (or of its product) goes in the stock ledger
+    try {
+      await db.transaction(async (tx) => {
+        const movement = (productId, quantity, note) => inventory.recordMovement(tx, {
+          product_id: productId,
+          lot_id: record.id,
+          type: 'purchase',
+          quantity,
+          reference_table: 'purchases',
+          reference_id: record.id,
+          date: date || record.date,
+          note,
+          user: req.user
         });
-      }
-    );
+        purchaseOrders.assertLotProduct(record, product ? product.id : record.product_id);
+        const payables = await suppliers.editedPayables(tx, record, {
+          supplierId: supplier ? supplier.id : null,
+          total: total_amount,
+          amountPaid: amount_paid
+        });
+        // New pcs move the stock left on the lot by the difference, read under lock
+        const stock = await inventory.resizeLot(tx, record.id, newPcs);
+        await tx.runAsync(
+          `UPDATE purchases SET 
+            product_id = COALESCE(?, product_id),
+            date = COALESCE(?, date),
+            name = COALESCE(?, name),
+            pcs = COALESCE(?, pcs),
+            unit_price = COALESCE(?, unit_price),
+            total_amount = ?,
+            description = COALESCE(?, description),
+            supplier_id = ?,
+            supplier_name = ?,
+            amount_paid = ?,
+            balance_owed = ?,
+            image_path = COALESCE(?, image_path),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+          [
+            product ? product.id : null,
+            date || null,
+            product ? product.name : null,
+            newPcs !== undefined ? newPcs : null,
+            unit_price !== undefined ? unit_price : null,
+            total_amount,
+            description !== undefined ? description : null,
+            supplier ? supplier.id : null,
+            supplier ? supplier.name : (supplier_name !== undefined ? supplier_name : record.supplier_name),
+            payables.amount_paid,
+            payables.balance_owed,
+            imagePath || null,
+            id
+          ]
+        );
+        if (product && product.id !== record.product_id) {
+          await movement(record.product_id, -stock.before, 'Purchase moved to another product');
+          await movement(product.id, stock.after, 'Purchase moved from another product');
+        } else {
+          await movement(record.product_id, stock.after - stock.before, 'Purchase edited');
+        }
+        await purchaseOrders.lotChanged(tx, record);
+      });
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+      return res.status(500).json({ success: false, message: 'Error updating purchase record' });
+    }
+
+    audit.log(req, { table: 'purchases', recordId: id, action: 'update', before: record });
+
+    // 3. Return record with image_url = database URL (frontend uses this to display)
+    db.get('SELECT * FROM purchases WHERE id = ?', [id], (err, updatedRecord) => {
+      if (err) return res.status(500).json({ success: false, message: 'Database error' });
+      updatedRecord.image_url = updatedRecord && updatedRecord.image_path ? (storage.isRemoteUrl(updatedRecord.image_path) ? updatedRecord.image_path : `/api/uploads/purchases/${path.basename(updatedRecord.image_path)}`) : null;
+      res.json({ success: true, message: 'Purchase record updated successfully', purchase: updatedRecord });
+    });
   });
 });
 
 // Delete purchase record
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('purchases.delete'), async (req, res) => {
   const { id } = req.params;
 
-  // Check if record exists
-  db.get('SELECT id FROM purchases WHERE id = ?', [id], (err, record) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error'
+  try {
+    // Delete record; whatever stock the lot still held leaves the stock ledger with it.
+    // A lot paid by supplier payments keeps them: they have to be deleted first.
+    // A lot received on a purchase order goes back on backorder there.
+    const record = await db.transaction(async (tx) => {
+      const lot = await tx.getAsync('SELECT * FROM purchases WHERE id = ? FOR UPDATE', [id]);
+      if (!lot) return null;
+      await suppliers.assertNoPayments(tx, lot.id);
+      await tx.runAsync('DELETE FROM purchases WHERE id = ?', [lot.id]);
+      await inventory.recordMovement(tx, {
+        product_id: lot.product_id,
+        lot_id: lot.id,
+        type: 'purchase',
+        quantity: -(parseInt(lot.available_stock, 10) || 0),
+        reference_table: 'purchases',
+        reference_id: lot.id,
+        note: 'Purchase deleted',
+        user: req.user
       });
-    }
-
+      await purchaseOrders.lotChanged(tx, lot);
+      await sync.recordDeletion(tx, 'purchases', lot);
+      return lot;
+    });
     if (!record) {
       return res.status(404).json({
         success: false,
@@ -382,21 +506,15 @@ router.delete('/:id', (req, res) => {
       });
     }
 
-    // Delete record
-    db.run('DELETE FROM purchases WHERE id = ?', [id], function(err) {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error deleting purchase record'
-        });
-      }
-
-      res.json({
-        success: true,
-        message: 'Purchase record deleted successfully'
-      });
+    audit.log(req, { table: 'purchases', recordId: id, action: 'delete', before: record });
+    res.json({
+      success: true,
+      message: 'Purchase record deleted successfully'
     });
-  });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ success: false, message: e.message });
+    res.status(500).json({ success: false, message: 'Error deleting purchase record' });
+  }
 });
 
 module.exports = router;
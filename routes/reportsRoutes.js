@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const reports = require('../reports');
+const sales = require('../sales');
+
+// Profit and loss statement
+// GET /api/reports/profit-and-loss?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&groupBy=day|week|month
+// Optional &costMethod=fifo (default) | average | latest (see costing.js)
+router.get('/profit-and-loss', requirePermission('reports.view'), async (req, res) => {
+  const { startDate, endDate, groupBy, costMethod } = req.query;
+  try {
+    const statement = await reports.profitAndLoss({ startDate, endDate, groupBy: groupBy || undefined, costMethod: costMethod || undefined });
+    res.json({ success: true, ...statement });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+module.exports = router;
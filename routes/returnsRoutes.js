@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const returns = require('../returns');
+const receipts = require('../receipts');
+const sales = require('../sales');
+
+// Get returns (newest first)
+// Optional filters: ?sourceType=income|debt&sourceId=12&saleId=3&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+router.get('/', requirePermission('returns.view'), async (req, res) => {
+  const { sourceType, sourceId, saleId, startDate, endDate } = req.query;
+  if (sourceType && !returns.SOURCE_TABLES[sourceType]) {
+    return res.status(400).json({ success: false, message: 'sourceType must be income or debt' });
+  }
+  try {
+    const rows = await returns.listReturns({ sourceType, sourceId, saleId, startDate, endDate });
+    res.json({ success: true, returns: rows });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get single return
+router.get('/:id', requirePermission('returns.view'), async (req, res) => {
+  try {
+    const saleReturn = await returns.getReturn(req.params.id);
+    if (!saleReturn) return res.status(404).json({ success: false, message: 'Return not found' });
+    res.json({ success: true, return: saleReturn });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Credit note PDF for a return (CN-000001)
+router.get('/:id/credit-note.pdf', requirePermission('returns.view'), async (req, res) => {
+  try {
+    const saleReturn = await returns.getReturn(req.params.id);
+    if (!saleReturn) return res.status(404).json({ success: false, message: 'Return not found' });
+    const receipt = receipts.fromReturn(saleReturn);
+    receipts.sendPdf(res, await receipts.renderReceipt(receipt), receipt.receiptNumber);
+  } catch (err) {
+    console.error('[returnsRoutes] Credit note error:', err);
+    res.status(500).json({ success: false, message: 'Error generating credit note' });
+  }
+});
+
+// Record a return against an income or debt line: restocks inventory, reduces the line
+// and, for credit sales, the balance owed
+router.post('/', requirePermission('returns.create'), async (req, res) => {
+  try {
+    const { saleReturn, line } = await returns.createReturn(req, req.body || {});
+    res.json({
+      success: true,
+      message: `Return recorded. Credit note ${saleReturn.credit_note_number}`,
+      return: saleReturn,
+      line
+    });
+  } catch (err) {
+    sales.sendError(res, err, 'Error recording return');
+  }
+});
+
+module.exports = router;
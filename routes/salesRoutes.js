@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const customers = require('../customers');
+const sales = require('../sales');
+
+// Get sale receipts with their lines
+// Optional filters: ?saleType=cash|credit&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+router.get('/', requirePermission('sales.view'), async (req, res) => {
+  const { saleType, startDate, endDate } = req.query;
+  if (saleType && !sales.LINE_TABLES[saleType]) {
+    return res.status(400).json({ success: false, message: 'saleType must be cash or credit' });
+  }
+  try {
+    const receipts = await sales.listSales({ saleType, startDate, endDate });
+    res.json({ success: true, sales: receipts });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get sale by receipt number (e.g. SALE-000001)
+router.get('/by-receipt/:receiptNo', requirePermission('sales.view'), async (req, res) => {
+  const receiptNo = (req.params.receiptNo || '').trim().toUpperCase();
+  if (!/^SALE-\d+$/.test(receiptNo)) {
+    return res.status(400).json({ success: false, message: 'Invalid receipt number. Use format SALE-000001' });
+  }
+  try {
+    const sale = await sales.getSaleByReceipt(receiptNo);
+    if (!sale) return res.status(404).json({ success: false, message: 'Sale not found for this receipt number' });
+    res.json({ success: true, sale });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get single sale with its lines
+router.get('/:id', requirePermission('sales.view'), async (req, res) => {
+  try {
+    const sale = await sales.getSale(req.params.id);
+    if (!sale) return res.status(404).json({ success: false, message: 'Sale not found' });
+    res.json({ success: true, sale });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Update receipt header details (client, seller, signatures, payment method).
+// Lines are edited through /api/income and /api/debts.
+router.put('/:id', requirePermission('sales.update'), (req, res) => {
+  const { id } = req.params;
+  const { date, client_name, client_phone, seller_name, customer_signature, electronic_signature, description, payment_method } = req.body;
+
+  db.get('SELECT * FROM sales WHERE id = ?', [id], async (err, record) => {
+    if (err) return res.status(500).json({ success: false, message: 'Database error' });
+    if (!record) return res.status(404).json({ success: false, message: 'Sale not found' });
+
+    // A new client name or customer_id links the customer as on create; an empty name unlinks it
+    let customer;
+    try {
+      customer = await customers.editedCustomer(db, req.body);
+    } catch (e) {
+      return sales.sendError(res, e, 'Error updating sale');
+    }
+    const customerId = customer === undefined ? record.customer_id : (customer ? customer.id : null);
+    const clientName = customer ? customer.name : client_name;
+
+    db.run(
+      `UPDATE sales SET
+        date = COALESCE(?, date),
+        customer_id = ?,
+        client_name = COALESCE(?, client_name),
+        client_phone = COALESCE(?, client_phone),
+        seller_name = COALESCE(?, seller_name),
+        customer_signature = COALESCE(?, customer_signature),
+        electronic_signature = COALESCE(?, electronic_signature),
+        description = COALESCE(?, description),
+        payment_method = COALESCE(?, payment_method),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`,
+      [
+        date || null,
+        customerId,
+        clientName !== undefined ? clientName : null,
+        client_phone !== undefined ? client_phone : null,
+        seller_name !== undefined ? seller_name : null,
+        customer_signature !== undefined ? customer_signature : null,
+        electronic_signature !== undefined ? electronic_signature : null,
+        description !== undefined ? description : null,
+        payment_method !== undefined ? payment_method : null,
+        id
+      ],
+      (err) => {
+        if (err) return res.status(500).json({ success: false, message: 'Error updating sale' });
+
+        audit.log(req, { table: 'sales', recordId: id, action: 'update', before: record });
+
+        // Keep the copies on the lines in step with the header
+        const lineTable = sales.LINE_TABLES[record.sale_type] || 'income';
+        db.run(
+          `UPDATE ${lineTable} SET
+            date = COALESCE(?, date),
+            customer_id = ?,
+            client_name = COALESCE(?, client_name),
+            client_phone = COALESCE(?, client_phone),
+            seller_name = COALESCE(?, seller_name),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE sale_id = ?`,
+          [
+            date || null,
+            customerId,
+            clientName !== undefined ? clientName : null,
+            client_phone !== undefined ? client_phone : null,
+            seller_name !== undefined ? seller_name : null,
+            id
+          ],
+          (lineErr) => {
+            if (lineErr) return res.status(500).json({ success: false, message: 'Error updating sale lines' });
+            sales.getSale(id)
+              .then((sale) => res.json({ success: true, message: 'Sale updated successfully', sale }))
+              .catch((e) => sales.sendError(res, e, 'Database error'));
+          }
+        );
+      }
+    );
+  });
+});
+
+module.exports = router;
@@ -1,173 +1,195 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const adjustments = require('../adjustments');
+const reorder = require('../reorder');
 
-// Get all items with stock deficiency alerts
-router.get('/alerts', (req, res) => {
-  db.all(
-    `SELECT p.id, p.name, p.available_stock, p.stock_deficiency_threshold, p.pcs, p.unit_price
-     FROM purchases p
-     WHERE p.stock_deficiency_threshold > 0 
-     AND p.available_stock <= p.stock_deficiency_threshold
-     ORDER BY p.available_stock ASC`,
-    [],
-    (err, records) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
-
-      if (!records || records.length === 0) {
-        return res.json({
-          success: true,
-          alerts: []
-        });
-      }
+// One row per product (id is the product id): stock summed over its lots, unit price of the
+// newest lot and pieces sold (income + debts lines), all from grouped joins in one query
+const PRODUCT_STOCK_SELECT = `SELECT pr.id, pr.sku, pr.name, pr.category, pr.stock_deficiency_threshold,
+    CAST(COALESCE(lots.available_stock, 0) AS INTEGER) AS available_stock,
+    CAST(COALESCE(lots.pcs, 0) AS INTEGER) AS pcs,
+    newest.unit_price,
+    CAST(COALESCE(cash.pcs, 0) + COALESCE(credit.pcs, 0) AS INTEGER) AS pcs_sold
+  FROM products pr
+  LEFT JOIN (
+    SELECT product_id, SUM(available_stock) AS available_stock, SUM(pcs) AS pcs, MAX(id) AS newest_id
+    FROM purchases GROUP BY product_id
+  ) lots ON lots.product_id = pr.id
+  LEFT JOIN purchases newest ON newest.id = lots.newest_id
+  LEFT JOIN (SELECT product_id, SUM(pcs) AS pcs FROM income GROUP BY product_id) cash ON cash.product_id = pr.id
+  LEFT JOIN (SELECT product_id, SUM(pcs) AS pcs FROM debts GROUP BY product_id) credit ON credit.product_id = pr.id`;
 
-      // Calculate pcs sold for each item (from both income/sales and debts)
-      const alertsWithSoldPromises = records.map((record) => {
-        return new Promise((resolve) => {
-          // Get total from income (sales)
-          db.get(
-            `SELECT COALESCE(SUM(pcs), 0) as total_income 
-             FROM income 
-             WHERE name = ?`,
-            [record.name],
-            (err, incomeResult) => {
-              if (err) {
-                resolve({ ...record, pcs_sold: 0 });
-                return;
-              }
+// ?sort= values and the column they order by
+const SORT_COLUMNS = {
+  name: 'name',
+  sku: 'sku',
+  category: 'category',
+  available_stock: 'available_stock',
+  pcs: 'pcs',
+  pcs_sold: 'pcs_sold',
+  threshold: 'stock_deficiency_threshold',
+  unit_price: 'unit_price'
+};
 
-              const incomeTotal = incomeResult && incomeResult.total_income ? parseInt(incomeResult.total_income) : 0;
-
-              // Get total from debts
-              db.get(
-                `SELECT COALESCE(SUM(pcs), 0) as total_debts 
-                 FROM debts 
-                 WHERE name = ?`,
-                [record.name],
-                (err, debtResult) => {
-                  if (err) {
-                    resolve({ ...record, pcs_sold: incomeTotal });
-                    return;
-                  }
+/**
+ * Page of product stock rows for the list endpoints.
+ * Query: ?search= (name or SKU) &category= &sort= (SORT_COLUMNS) &order=asc|desc
+ * Paging: ?limit=100&offset=0 (limit capped at 500); without limit every row is returned.
+ * Resolves to { rows, total, limit, offset }; rejects with err.status 400 on a bad sort.
+ */
+async function listStock(query, { alertsOnly, defaultSort, defaultOrder }) {
+  // A repeated ?sort= or ?order= arrives as an array: refused like any other bad value
+  const sort = query.sort || defaultSort;
+  const order = query.order || defaultOrder;
+  if (typeof sort !== 'string' || typeof order !== 'string' ||
+      !Object.prototype.hasOwnProperty.call(SORT_COLUMNS, sort) || !['asc', 'desc'].includes(order.toLowerCase())) {
+    const err = new Error(`sort must be one of: ${Object.keys(SORT_COLUMNS).join(', ')}; order asc or desc`);
+    err.status = 400;
+    throw err;
+  }
 
-                  const debtTotal = debtResult && debtResult.total_debts ? parseInt(debtResult.total_debts) : 0;
-                  const totalSold = incomeTotal + debtTotal;
+  const where = [];
+  const params = [];
+  if (alertsOnly) {
+    where.push('stock_deficiency_threshold > 0 AND available_stock <= stock_deficiency_threshold');
+  }
+  if (query.search) {
+    where.push('(LOWER(name) LIKE ? OR LOWER(sku) LIKE ?)');
+    const like = `%${String(query.search).trim().toLowerCase()}%`;
+    params.push(like, like);
+  }
+  if (query.category) {
+    where.push('category = ?');
+    params.push(query.category);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
 
-                  resolve({ 
-                    ...record, 
-                    pcs_sold: totalSold
-                  });
-                }
-              );
-            }
-          );
-        });
-      });
+  const paged = query.limit !== undefined;
+  const limit = paged ? Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 500) : null;
+  const offset = paged ? Math.max(parseInt(query.offset, 10) || 0, 0) : 0;
 
-      Promise.all(alertsWithSoldPromises).then((alertsWithSold) => {
-        res.json({
-          success: true,
-          alerts: alertsWithSold || []
-        });
-      }).catch((error) => {
-        console.error('Error processing alerts:', error);
-        res.json({
-          success: true,
-          alerts: records.map(record => ({ ...record, pcs_sold: 0 }))
-        });
-      });
-    }
+  const countRow = await db.getAsync(`SELECT COUNT(*) AS total FROM (${PRODUCT_STOCK_SELECT}) stock ${whereSql}`, params);
+  const rows = await db.allAsync(
+    `SELECT * FROM (${PRODUCT_STOCK_SELECT}) stock ${whereSql}
+     ORDER BY ${SORT_COLUMNS[sort]} ${order.toUpperCase()}, id ASC
+     ${paged ? 'LIMIT ? OFFSET ?' : ''}`,
+    paged ? [...params, limit, offset] : params
   );
-});
+  return { rows, total: parseInt(countRow && countRow.total, 10) || 0, limit, offset };
+}
 
-// Get all inventory items with their stock info
-router.get('/inventory-stock', (req, res) => {
-  db.all(
-    `SELECT id, name, pcs, available_stock, stock_deficiency_threshold, unit_price
-     FROM purchases 
-     ORDER BY name ASC`,
-    [],
-    (err, records) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database error'
-        });
-      }
-
-      if (!records || records.length === 0) {
-        return res.json({
-          success: true,
-          items: []
-        });
-      }
+// Get all items with stock deficiency alerts (stock at or below their threshold), lowest stock first
+// Optional: ?search=soap&category=Hygiene&sort=name&order=asc&limit=100&offset=0 (see listStock)
+router.get('/alerts', requirePermission('stock.view'), async (req, res) => {
+  try {
+    const page = await listStock(req.query, { alertsOnly: true, defaultSort: 'available_stock', defaultOrder: 'asc' });
+    res.json({ success: true, alerts: page.rows, total: page.total, limit: page.limit, offset: page.offset });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
 
-      // Calculate pcs sold for each item (from both income/sales and debts)
-      const itemsWithSoldPromises = records.map((record) => {
-        return new Promise((resolve) => {
-          // Get total from income (sales)
-          db.get(
-            `SELECT COALESCE(SUM(pcs), 0) as total_income 
-             FROM income 
-             WHERE name = ?`,
-            [record.name],
-            (err, incomeResult) => {
-              if (err) {
-                resolve({ ...record, pcs_sold: 0 });
-                return;
-              }
+// Get all inventory items with their stock info, by name
+// Optional: ?search=soap&category=Hygiene&sort=available_stock&order=desc&limit=100&offset=0 (see listStock)
+router.get('/inventory-stock', requirePermission('stock.view'), async (req, res) => {
+  try {
+    const page = await listStock(req.query, { alertsOnly: false, defaultSort: 'name', defaultOrder: 'asc' });
+    res.json({ success: true, items: page.rows, total: page.total, limit: page.limit, offset: page.offset });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
 
-              const incomeTotal = incomeResult && incomeResult.total_income ? parseInt(incomeResult.total_income) : 0;
+// Reorder suggestions from sales velocity (see reorder.js), soonest out of stock first
+// Optional: ?windowDays=30&endDate=YYYY-MM-DD&leadTimeDays=7&coverageDays=14&supplierId=3 (or &supplier=Acme)&all=true
+router.get('/reorder-suggestions', requirePermission('stock.view'), async (req, res) => {
+  try {
+    const { windowDays, endDate, leadTimeDays, coverageDays, supplierId, supplier, all } = req.query;
+    const result = await reorder.reorderSuggestions({ windowDays, endDate, leadTimeDays, coverageDays, supplierId, supplier, all: all === 'true' });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
 
-              // Get total from debts
-              db.get(
-                `SELECT COALESCE(SUM(pcs), 0) as total_debts 
-                 FROM debts 
-                 WHERE name = ?`,
-                [record.name],
-                (err, debtResult) => {
-                  if (err) {
-                    resolve({ ...record, pcs_sold: incomeTotal });
-                    return;
-                  }
+// Set thresholds to the suggested reorder points, so alerts follow sales
+// Body: same options as GET /reorder-suggestions, plus productIds? to limit it to some products
+router.post('/reorder-suggestions/apply-thresholds', requirePermission('stock.update'), async (req, res) => {
+  try {
+    const changes = await reorder.applyThresholds(req, req.body || {});
+    res.json({
+      success: true,
+      message: `${changes.length} threshold(s) updated`,
+      changes
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating thresholds'
+    });
+  }
+});
 
-                  const debtTotal = debtResult && debtResult.total_debts ? parseInt(debtResult.total_debts) : 0;
-                  const totalSold = incomeTotal + debtTotal;
+// Lead time and target coverage per supplier, with the defaults used for other suppliers
+router.get('/supplier-lead-times', requirePermission('stock.view'), async (req, res) => {
+  try {
+    res.json({ success: true, leadTimes: await reorder.listLeadTimes(), defaults: reorder.DEFAULTS });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Database error'
+    });
+  }
+});
 
-                  resolve({ 
-                    ...record, 
-                    pcs_sold: totalSold
-                  });
-                }
-              );
-            }
-          );
-        });
-      });
+// Set a supplier's lead time and coverage (also editable on the supplier, see suppliersRoutes)
+// Body: { supplier_id or supplier_name, lead_time_days, coverage_days }
+router.put('/supplier-lead-times', requirePermission('stock.update'), async (req, res) => {
+  try {
+    const leadTime = await reorder.setLeadTime(req, req.body || {});
+    res.json({ success: true, message: 'Lead time saved', leadTime });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error saving lead time'
+    });
+  }
+});
 
-      Promise.all(itemsWithSoldPromises).then((itemsWithSold) => {
-        res.json({
-          success: true,
-          items: itemsWithSold || []
-        });
-      }).catch((error) => {
-        console.error('Error processing inventory stock:', error);
-        res.json({
-          success: true,
-          items: records.map(record => ({ ...record, pcs_sold: 0 }))
-        });
-      });
+// Clear a supplier's lead time and coverage; :id is the supplier id
+router.delete('/supplier-lead-times/:id', requirePermission('stock.update'), async (req, res) => {
+  try {
+    if (!(await reorder.deleteLeadTime(req, req.params.id))) {
+      return res.status(404).json({ success: false, message: 'Lead time not found' });
     }
-  );
+    res.json({ success: true, message: 'Lead time deleted' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting lead time'
+    });
+  }
 });
 
-// Update stock deficiency threshold for an item
-router.put('/threshold/:id', (req, res) => {
+// Update stock deficiency threshold for a product
+router.put('/threshold/:id', requirePermission('stock.update'), (req, res) => {
   const { id } = req.params;
   const { threshold } = req.body;
 
@@ -179,7 +201,7 @@ router.put('/threshold/:id', (req, res) => {
   }
 
   // Check if item exists
-  db.get('SELECT id FROM purchases WHERE id = ?', [id], (err, item) => {
+  db.get('SELECT * FROM products WHERE id = ?', [id], (err, item) => {
     if (err) {
       return res.status(500).json({
         success: false,
@@ -196,7 +218,7 @@ router.put('/threshold/:id', (req, res) => {
 
     // Update threshold
     db.run(
-      'UPDATE purchases SET stock_deficiency_threshold = ? WHERE id = ?',
+      'UPDATE products SET stock_deficiency_threshold = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       [parseInt(threshold), id],
       function(err) {
         if (err) {
@@ -206,6 +228,8 @@ router.put('/threshold/:id', (req, res) => {
           });
         }
 
+        audit.log(req, { table: 'products', recordId: id, action: 'update', before: item });
+
         res.json({
           success: true,
           message: 'Stock deficiency threshold updated successfully'
@@ -215,10 +239,12 @@ router.put('/threshold/:id', (req, res) => {
   });
 });
 
-// Update available stock (used when sales are made)
-router.put('/stock/:id', (req, res) => {
+// Set the available stock of a product (after counting it): recorded as a stock
+// adjustment of the difference, reason counting_error unless another is given
+// Body: { available_stock, reason?, note? }
+router.put('/stock/:id', requirePermission('stock.adjust'), async (req, res) => {
   const { id } = req.params;
-  const { available_stock } = req.body;
+  const { available_stock, reason, note } = req.body;
 
   if (available_stock === undefined || available_stock < 0) {
     return res.status(400).json({
@@ -227,41 +253,34 @@ router.put('/stock/:id', (req, res) => {
     });
   }
 
-  // Check if item exists
-  db.get('SELECT id FROM purchases WHERE id = ?', [id], (err, item) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Database error'
-      });
-    }
-
-    if (!item) {
+  try {
+    const before = await db.getAsync(`${PRODUCT_STOCK_SELECT} WHERE pr.id = ?`, [id]);
+    if (!before) {
       return res.status(404).json({
         success: false,
         message: 'Inventory item not found'
       });
     }
 
-    // Update available stock
-    db.run(
-      'UPDATE purchases SET available_stock = ? WHERE id = ?',
-      [parseInt(available_stock), id],
-      function(err) {
-        if (err) {
-          return res.status(500).json({
-            success: false,
-            message: 'Error updating stock'
-          });
-        }
+    const adjustment = await adjustments.createAdjustment(req, {
+      product_id: before.id,
+      available_stock,
+      reason: reason || 'counting_error',
+      note: note || `Stock set from ${parseInt(before.available_stock) || 0} to ${parseInt(available_stock)}`
+    });
 
-        res.json({
-          success: true,
-          message: 'Stock updated successfully'
-        });
-      }
-    );
-  });
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      adjustment
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ success: false, message: err.message });
+    res.status(500).json({
+      success: false,
+      message: 'Error updating stock'
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const adjustments = require('../adjustments');
+const inventory = require('../inventory');
+const products = require('../products');
+const sales = require('../sales');
+
+// Products whose stock differs from the sum of their stock movements
+router.get('/drift', requirePermission('stock.view'), async (req, res) => {
+  try {
+    res.json({ success: true, products: await inventory.stockDrift() });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get stock adjustments (newest first)
+// Optional filters: ?productId=3&reason=damaged&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+router.get('/adjustments', requirePermission('stock.view'), async (req, res) => {
+  const { productId, reason, startDate, endDate } = req.query;
+  if (reason && !adjustments.REASONS.includes(reason)) {
+    return res.status(400).json({ success: false, message: `reason must be one of: ${adjustments.REASONS.join(', ')}` });
+  }
+  try {
+    res.json({ success: true, adjustments: await adjustments.listAdjustments({ productId, reason, startDate, endDate }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get single adjustment
+router.get('/adjustments/:id', requirePermission('stock.view'), async (req, res) => {
+  try {
+    const adjustment = await adjustments.getAdjustment(req.params.id);
+    if (!adjustment) return res.status(404).json({ success: false, message: 'Adjustment not found' });
+    res.json({ success: true, adjustment });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Adjust stock: { product_id or name, quantity (negative takes pieces out),
+// reason: damaged|stolen|expired|gift|counting_error, note?, date? }
+router.post('/adjustments', requirePermission('stock.adjust'), async (req, res) => {
+  try {
+    // quantity only: setting the stock to a number goes through PUT /api/stock-deficiency/stock/:id
+    const adjustment = await adjustments.createAdjustment(req, { ...req.body, available_stock: undefined });
+    res.json({ success: true, message: 'Stock adjusted successfully', adjustment });
+  } catch (err) {
+    sales.sendError(res, err, 'Error adjusting stock');
+  }
+});
+
+// Stock movements of a product (oldest first) with the running balance after each,
+// and the ledger balance against the stock on its lots (drift)
+// Optional filters: ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&type=sale
+router.get('/:productId/movements', requirePermission('stock.view'), async (req, res) => {
+  const { startDate, endDate, type } = req.query;
+  if (type && !inventory.MOVEMENT_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, message: `type must be one of: ${inventory.MOVEMENT_TYPES.join(', ')}` });
+  }
+  try {
+    const product = await products.getProduct(req.params.productId);
+    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+    const ledger = await inventory.productLedger(product.id, { startDate, endDate, type });
+    res.json({ success: true, product, ...ledger });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+module.exports = router;
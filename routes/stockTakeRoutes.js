@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const stockTakes = require('../stockTakes');
+const sales = require('../sales');
+
+// Get stock-take sessions (newest first)
+// Optional filter: ?status=open|approved|cancelled
+router.get('/', requirePermission('stockTakes.view'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !stockTakes.STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, message: `status must be one of: ${stockTakes.STATUSES.join(', ')}` });
+  }
+  try {
+    res.json({ success: true, stockTakes: await stockTakes.listStockTakes({ status }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get a session with its variance report: expected vs counted per product, valued at cost
+router.get('/:id', requirePermission('stockTakes.view'), async (req, res) => {
+  try {
+    const stockTake = await stockTakes.getStockTake(req.params.id);
+    if (!stockTake) return res.status(404).json({ success: false, message: 'Stock take not found' });
+    res.json({ success: true, stockTake });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Open a session: { name?, note? }
+router.post('/', requirePermission('stockTakes.manage'), async (req, res) => {
+  try {
+    const stockTake = await stockTakes.openStockTake(req, req.body || {});
+    res.json({ success: true, message: 'Stock take opened successfully', stockTake });
+  } catch (err) {
+    sales.sendError(res, err, 'Error opening stock take');
+  }
+});
+
+// Record counts: { items: [{ product_id or name, counted, note? }] } or a single { product_id or name, counted, note? }
+router.post('/:id/counts', requirePermission('stockTakes.count'), async (req, res) => {
+  const body = req.body || {};
+  const items = Array.isArray(body.items) ? body.items : [body];
+  try {
+    const stockTake = await stockTakes.recordCounts(req, req.params.id, items);
+    res.json({ success: true, message: 'Counts recorded successfully', stockTake });
+  } catch (err) {
+    sales.sendError(res, err, 'Error recording counts');
+  }
+});
+
+// Approve: post a stock adjustment for every counted product that differs
+router.post('/:id/approve', requirePermission('stockTakes.manage'), async (req, res) => {
+  try {
+    const stockTake = await stockTakes.approveStockTake(req, req.params.id);
+    res.json({ success: true, message: 'Stock take approved successfully', stockTake });
+  } catch (err) {
+    sales.sendError(res, err, 'Error approving stock take');
+  }
+});
+
+// Cancel without posting anything
+router.post('/:id/cancel', requirePermission('stockTakes.manage'), async (req, res) => {
+  try {
+    const stockTake = await stockTakes.cancelStockTake(req, req.params.id);
+    res.json({ success: true, message: 'Stock take cancelled successfully', stockTake });
+  } catch (err) {
+    sales.sendError(res, err, 'Error cancelling stock take');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const sales = require('../sales');
+const suppliers = require('../suppliers');
+const sync = require('../sync');
+
+// List payments to suppliers (newest first)
+// Optional filters: ?supplierId=1&purchaseId=2&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+router.get('/', requirePermission('supplierPayments.view'), async (req, res) => {
+  try {
+    const { supplierId, purchaseId, startDate, endDate } = req.query;
+    res.json({ success: true, payments: await suppliers.listPayments({ supplierId, purchaseId, startDate, endDate }) });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get one payment by id
+router.get('/:id', requirePermission('supplierPayments.view'), async (req, res) => {
+  try {
+    const payment = await suppliers.getPayment(req.params.id);
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    res.json({ success: true, payment });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Record a payment: { supplier_id, purchase_id? (else on account), payment_date, amount, reference?, note? }
+router.post('/', requirePermission('supplierPayments.create'), async (req, res) => {
+  try {
+    const payment = await suppliers.createPayment(req, req.body || {});
+    res.json({ success: true, message: 'Payment recorded', payment });
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating payment');
+  }
+});
+
+// Update payment: the purchase it paid is corrected by the difference
+router.put('/:id', requirePermission('supplierPayments.update'), async (req, res) => {
+  try {
+    const payment = await suppliers.updatePayment(req, req.params.id, req.body || {});
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    res.json({ success: true, message: 'Payment updated', payment });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating payment');
+  }
+});
+
+// Delete payment: what it paid on a purchase is owed again
+router.delete('/:id', requirePermission('supplierPayments.delete'), async (req, res) => {
+  try {
+    const payment = await suppliers.deletePayment(req, req.params.id);
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found' });
+    sync.logDeletion('supplier_payments', payment);
+    res.json({ success: true, message: 'Payment deleted' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting payment');
+  }
+});
+
+module.exports = router;
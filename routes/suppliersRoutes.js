@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { requirePermission } = require('../permissions');
+const audit = require('../audit');
+const sales = require('../sales');
+const suppliers = require('../suppliers');
+const sync = require('../sync');
+
+// Get suppliers with what we bought from them, paid and still owe
+// Optional filters: ?search=acme (name or phone)&owing=true
+router.get('/', requirePermission('suppliers.view'), async (req, res) => {
+  try {
+    const rows = await suppliers.listSuppliers({ search: req.query.search, owing: req.query.owing === 'true' });
+    res.json({ success: true, suppliers: rows });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Statement of what we owe a supplier, with running balance
+// Optional: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/:id/statement', requirePermission('suppliers.view'), async (req, res) => {
+  try {
+    const statement = await suppliers.supplierStatement(req.params.id, { from: req.query.from, to: req.query.to });
+    if (!statement) return res.status(404).json({ success: false, message: 'Supplier not found' });
+    res.json({ success: true, statement });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Get single supplier with its totals
+router.get('/:id', requirePermission('suppliers.view'), async (req, res) => {
+  try {
+    const supplier = await suppliers.getSupplier(req.params.id);
+    if (!supplier) return res.status(404).json({ success: false, message: 'Supplier not found' });
+    res.json({ success: true, supplier });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Create supplier: { name, phone?, address?, notes?, lead_time_days?, coverage_days? }
+router.post('/', requirePermission('suppliers.manage'), async (req, res) => {
+  try {
+    const id = await suppliers.createSupplier(db, req.body || {});
+    audit.log(req, { table: 'suppliers', recordId: id, action: 'create' });
+    res.json({ success: true, message: 'Supplier created successfully', supplier: await suppliers.getSupplier(id) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error creating supplier');
+  }
+});
+
+// Update supplier fields
+router.put('/:id', requirePermission('suppliers.manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await db.getAsync('SELECT * FROM suppliers WHERE id = ?', [id]);
+    if (!before) return res.status(404).json({ success: false, message: 'Supplier not found' });
+    await suppliers.updateSupplier(db, before.id, req.body || {});
+    audit.log(req, { table: 'suppliers', recordId: id, action: 'update', before });
+    res.json({ success: true, message: 'Supplier updated successfully', supplier: await suppliers.getSupplier(id) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error updating supplier');
+  }
+});
+
+// Delete a supplier without purchases or payments
+router.delete('/:id', requirePermission('suppliers.manage'), async (req, res) => {
+  try {
+    const supplier = await suppliers.deleteSupplier(db, req.params.id);
+    if (!supplier) return res.status(404).json({ success: false, message: 'Supplier not found' });
+    audit.log(req, { table: 'suppliers', recordId: supplier.id, action: 'delete', before: supplier });
+    sync.logDeletion('suppliers', supplier);
+    res.json({ success: true, message: 'Supplier deleted successfully' });
+  } catch (err) {
+    sales.sendError(res, err, 'Error deleting supplier');
+  }
+});
+
+module.exports = router;
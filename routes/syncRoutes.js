@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../permissions');
+const sales = require('../sales');
+const sync = require('../sync');
+
+// Sync state of this install: node id, server, last run, pending changes
+router.get('/status', requirePermission('sync.manage'), async (req, res) => {
+  try {
+    res.json({ success: true, sync: await sync.status() });
+  } catch (err) {
+    sales.sendError(res, err, 'Database error');
+  }
+});
+
+// Sync with SYNC_SERVER_URL now (push, then pull)
+router.post('/run', requirePermission('sync.manage'), async (req, res) => {
+  try {
+    const result = await sync.run();
+    res.json({ success: true, message: 'Sync completed', ...result });
+  } catch (err) {
+    if (err.status) return sales.sendError(res, err, 'Sync failed');
+    console.error('[syncRoutes] Sync failed:', err);
+    res.status(502).json({ success: false, message: `Sync failed: ${err.message}` });
+  }
+});
+
+/* ================= CENTRAL SERVER ENDPOINTS ================= */
+
+// Receive an install's changes: { nodeId, changes: [...], deletions: [...] }
+router.post('/push', requirePermission('sync.exchange'), async (req, res) => {
+  const { nodeId, changes, deletions } = req.body || {};
+  try {
+    const counts = await sync.receive(nodeId, { changes, deletions });
+    res.json({ success: true, ...counts });
+  } catch (err) {
+    sales.sendError(res, err, 'Error applying sync changes');
+  }
+});
+
+// Changes from other installs after a cursor: ?nodeId=...&since=0
+router.get('/pull', requirePermission('sync.exchange'), async (req, res) => {
+  const { nodeId, since } = req.query;
+  if (!nodeId) {
+    return res.status(400).json({ success: false, message: 'nodeId is required' });
+  }
+  try {
+    res.json({ success: true, ...(await sync.changesSince(nodeId, since)) });
+  } catch (err) {
+    sales.sendError(res, err, 'Error reading sync changes');
+  }
+});
+
+module.exports = router;
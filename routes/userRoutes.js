@@ -2,6 +2,10 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 const db = require('../db');
+const auth = require('../auth');
+const permissions = require('../permissions');
+const { requirePermission } = permissions;
+const audit = require('../audit');
 
 // Login route
 router.post('/login', (req, res) => {
@@ -43,20 +47,79 @@ router.post('/login', (req, res) => {
         });
       }
 
-      // Return user data (excluding password)
-      const { password: _, ...userWithoutPassword } = user;
-      res.json({
-        success: true,
-        message: 'Login successful',
-        user: userWithoutPassword
+      // Open a session and return its token with the user data (excluding password)
+      auth.createSession(user, (err, session) => {
+        if (err) {
+          return res.status(500).json({ 
+            success: false, 
+            message: 'Error creating session' 
+          });
+        }
+
+        const { password: _, ...userWithoutPassword } = user;
+        res.json({
+          success: true,
+          message: 'Login successful',
+          token: session.token,
+          expiresAt: session.expiresAt,
+          user: userWithoutPassword,
+          permissions: permissions.forRole(user.role)
+        });
       });
     }
   );
 });
 
+// Logout route: revoke the session behind the current token
+router.post('/logout', (req, res) => {
+  auth.revokeSession(req.session.id, (err) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Database error'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  });
+});
+
+// Refresh route: swap the current token for a new one with a fresh expiry
+router.post('/refresh', (req, res) => {
+  auth.createSession(req.user, (err, session) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error creating session'
+      });
+    }
+
+    auth.revokeSession(req.session.id, (err) => {
+      if (err) {
+        return res.status(500).json({
+          success: false,
+          message: 'Database error'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session refreshed',
+        token: session.token,
+        expiresAt: session.expiresAt,
+        user: req.user,
+        permissions: permissions.forRole(req.user.role)
+      });
+    });
+  });
+});
+
 // Signup route
-router.post('/signup', (req, res) => {
-  const { username, fullName, phone, email, password, repeatPassword } = req.body;
+router.post('/signup', requirePermission('users.manage'), (req, res) => {
+  const { username, fullName, phone, email, password, repeatPassword, role } = req.body;
 
   // Validation
   if (!username || !fullName || !email || !password || !repeatPassword) {
@@ -66,6 +129,13 @@ router.post('/signup', (req, res) => {
     });
   }
 
+  if (role !== undefined && !permissions.isValidRole(role)) {
+    return res.status(400).json({ 
+      success: false, 
+      message: `Role must be one of: ${permissions.ROLES.join(', ')}` 
+    });
+  }
+
   if (password !== repeatPassword) {
     return res.status(400).json({ 
       success: false, 
@@ -104,9 +174,9 @@ router.post('/signup', (req, res) => {
 
       // Insert new user
       db.run(
-        `INSERT INTO users (username, full_name, phone, email, password) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [username, fullName, phone || '', email, hashedPassword],
+        `INSERT INTO users (username, full_name, phone, email, password, role) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [username, fullName, phone || '', email, hashedPassword, role || permissions.DEFAULT_ROLE],
         function(err) {
           if (err) {
             if (err.message.includes('UNIQUE constraint failed')) {
@@ -121,6 +191,8 @@ router.post('/signup', (req, res) => {
             });
           }
 
+          audit.log(req, { table: 'users', recordId: this.lastID, action: 'create' });
+
           res.json({
             success: true,
             message: 'Account created successfully',
@@ -133,9 +205,9 @@ router.post('/signup', (req, res) => {
 });
 
 // Get all users route
-router.get('/', (req, res) => {
+router.get('/', requirePermission('users.view'), (req, res) => {
   db.all(
-    'SELECT id, username, full_name, phone, email, created_at FROM users ORDER BY created_at DESC',
+    'SELECT id, username, full_name, phone, email, role, created_at FROM users ORDER BY created_at DESC',
     [],
     (err, users) => {
       if (err) {
@@ -156,7 +228,31 @@ router.get('/', (req, res) => {
 // Update user route
 router.put('/:id', (req, res) => {
   const { id } = req.params;
-  const { username, fullName, phone, email, password } = req.body;
+  const { username, fullName, phone, email, password, role } = req.body;
+
+  // Users may edit their own profile; anything else (including roles) needs users.manage
+  const canManage = permissions.can(req.user, 'users.manage');
+  if (!canManage && String(req.user.id) !== String(id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  if (role !== undefined) {
+    if (!canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can change user roles'
+      });
+    }
+    if (!permissions.isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${permissions.ROLES.join(', ')}`
+      });
+    }
+  }
 
   // Check if user exists
   db.get('SELECT * FROM users WHERE id = ?', [id], (err, user) => {
@@ -239,6 +335,10 @@ router.put('/:id', (req, res) => {
         updates.push('password = ?');
         values.push(bcrypt.hashSync(password, 10));
       }
+      if (role !== undefined) {
+        updates.push('role = ?');
+        values.push(role);
+      }
 
       if (updates.length === 0) {
         return res.status(400).json({
@@ -260,25 +360,44 @@ router.put('/:id', (req, res) => {
             });
           }
 
-          // Get updated user
-          db.get(
-            'SELECT id, username, full_name, phone, email, created_at FROM users WHERE id = ?',
-            [id],
-            (err, updatedUser) => {
-              if (err) {
-                return res.status(500).json({
-                  success: false,
-                  message: 'Database error'
-                });
-              }
+          audit.log(req, { table: 'users', recordId: id, action: 'update', before: user });
+
+          // A new password or role must not leave old sessions signed in
+          const credentialsChanged = Boolean(password) || (role !== undefined && role !== user.role);
+          const revoke = credentialsChanged
+            ? (done) => auth.revokeUserSessions(user.id, done)
+            : (done) => done(null);
 
-              res.json({
-                success: true,
-                message: 'User updated successfully',
-                user: updatedUser
+          revoke((err) => {
+            if (err) {
+              return res.status(500).json({
+                success: false,
+                message: 'Error revoking sessions'
               });
             }
-          );
+
+            // Get updated user
+            db.get(
+              'SELECT id, username, full_name, phone, email, role, created_at FROM users WHERE id = ?',
+              [id],
+              (err, updatedUser) => {
+                if (err) {
+                  return res.status(500).json({
+                    success: false,
+                    message: 'Database error'
+                  });
+                }
+
+                res.json({
+                  success: true,
+                  message: credentialsChanged
+                    ? 'User updated successfully; their sessions were signed out'
+                    : 'User updated successfully',
+                  user: updatedUser
+                });
+              }
+            );
+          });
         }
       );
     }
@@ -286,11 +405,11 @@ router.put('/:id', (req, res) => {
 });
 
 // Delete user route
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('users.manage'), (req, res) => {
   const { id } = req.params;
 
   // Check if user exists
-  db.get('SELECT id FROM users WHERE id = ?', [id], (err, user) => {
+  db.get('SELECT * FROM users WHERE id = ?', [id], (err, user) => {
     if (err) {
       return res.status(500).json({
         success: false,
@@ -314,6 +433,8 @@ router.delete('/:id', (req, res) => {
         });
       }
 
+      audit.log(req, { table: 'users', recordId: id, action: 'delete', before: user });
+
       res.json({
         success: true,
         message: 'User deleted successfully'
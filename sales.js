@@ -0,0 +1,298 @@
+/**
+ * Multi-line sales.
+ * A sale is a `sales` header (receipt number, client, seller, signatures,
+ * payment) whose lines are income rows (cash sales) or debts rows (credit
+ * sales) pointing back to it through sale_id. A sale is saved in one
+ * transaction: either every line gets its pieces or nothing is written.
+ * A credit sale may get a payment schedule (see installments.js).
+ */
+const db = require('./db');
+const audit = require('./audit');
+const customers = require('./customers');
+const installments = require('./installments');
+const inventory = require('./inventory');
+const products = require('./products');
+const sync = require('./sync');
+
+const LINE_TABLES = { cash: 'income', credit: 'debts' };
+
+function saleError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatReceiptNumber(prefix, id) {
+  return `${prefix}-${String(id).padStart(6, '0')}`;
+}
+
+// Receipt number of a debts line; a line synced without one shows its id
+function debtReceiptNumber(line) {
+  return line.receipt_number || formatReceiptNumber('DEBT', line.id);
+}
+
+/**
+ * Send an error raised by this module: validation/stock errors carry a
+ * status, anything else is a 500 with fallbackMessage.
+ */
+function sendError(res, err, fallbackMessage) {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error('[sales]', fallbackMessage, err);
+  res.status(500).json({ success: false, message: fallbackMessage });
+}
+
+// Validate line items and compute line totals. An item names its product by
+// product_id or by name (see products.resolveItems). A line may carry its own
+// total_price (legacy single-item debts send one); otherwise pcs * unit_price.
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw saleError(400, 'At least one item is required');
+  }
+  return items.map((item, index) => {
+    const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+    const productId = item && item.product_id ? parseInt(item.product_id, 10) || null : null;
+    const pcs = parseInt(item && item.pcs, 10);
+    const unitPrice = parseFloat(item && item.unit_price);
+    if ((!name && !productId) || !(pcs > 0) || !(unitPrice > 0)) {
+      throw saleError(400, `Item ${index + 1}: Name, Pcs, and Unit Price are required`);
+    }
+    const totalPrice = item.total_price !== undefined && item.total_price !== null && item.total_price !== ''
+      ? parseFloat(item.total_price) || 0
+      : pcs * unitPrice;
+    return { product_id: productId, name, pcs, unit_price: unitPrice, total_price: totalPrice, description: item.description || '' };
+  });
+}
+
+// Attach lines and totals to sale headers
+function withItems(headers, lines) {
+  const linesBySale = {};
+  lines.forEach((line) => {
+    (linesBySale[line.sale_id] = linesBySale[line.sale_id] || []).push(line);
+  });
+  return headers.map((header) => {
+    const items = linesBySale[header.id] || [];
+    const total_price = items.reduce((sum, line) => sum + (parseFloat(line.total_price) || 0), 0);
+    const sale = { ...header, items, total_price };
+    if (header.sale_type === 'credit') {
+      sale.amount_paid = items.reduce((sum, line) => sum + (parseFloat(line.amount_payable_now) || 0), 0);
+      sale.balance_owed = items.reduce((sum, line) => sum + (parseFloat(line.balance_owed) || 0), 0);
+    } else {
+      sale.amount_paid = total_price;
+      sale.balance_owed = 0;
+    }
+    return sale;
+  });
+}
+
+async function getSale(id) {
+  const header = await db.getAsync('SELECT * FROM sales WHERE id = ?', [id]);
+  if (!header) return null;
+  const lineTable = LINE_TABLES[header.sale_type] || 'income';
+  const lines = await db.allAsync(`SELECT * FROM ${lineTable} WHERE sale_id = ? ORDER BY id ASC`, [id]);
+  return withItems([header], lines)[0];
+}
+
+async function getSaleByReceipt(receiptNumber) {
+  const header = await db.getAsync('SELECT id FROM sales WHERE receipt_number = ?', [receiptNumber]);
+  return header ? getSale(header.id) : null;
+}
+
+/**
+ * List sale headers with their lines.
+ *   filters: { saleType?: 'cash'|'credit', startDate?, endDate? } (dates YYYY-MM-DD, inclusive)
+ */
+async function listSales(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.saleType) {
+    where.push('sale_type = ?');
+    params.push(filters.saleType);
+  }
+  if (filters.startDate) {
+    where.push('substring(date,1,10) >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    where.push('substring(date,1,10) <= ?');
+    params.push(filters.endDate);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const headers = await db.allAsync(`SELECT * FROM sales ${whereSql} ORDER BY date DESC, created_at DESC`, params);
+  if (headers.length === 0) return [];
+
+  const saleIdsByTable = {};
+  headers.forEach((header) => {
+    const table = LINE_TABLES[header.sale_type] || 'income';
+    (saleIdsByTable[table] = saleIdsByTable[table] || []).push(header.id);
+  });
+  let lines = [];
+  for (const table of Object.keys(saleIdsByTable)) {
+    const ids = saleIdsByTable[table];
+    lines = lines.concat(await db.allAsync(
+      `SELECT * FROM ${table} WHERE sale_id IN (${ids.map(() => '?').join(', ')}) ORDER BY id ASC`,
+      ids
+    ));
+  }
+  return withItems(headers, lines);
+}
+
+/**
+ * Create a sale header and its lines.
+ *   saleType: 'cash' (lines in income) or 'credit' (lines in debts)
+ *   data: { date, items: [{ product_id or name, pcs, unit_price, total_price?, description? }],
+ *           customer_id or client_name (see customers.resolveCustomer), client_phone,
+ *           seller_name, customer_signature,
+ *           electronic_signature, description, payment_method,
+ *           amount_payable_now (credit only: paid now, allocated to lines in order),
+ *           due_date or installment_plan (credit only: when the rest is due, see installments.planSchedule) }
+ * Resolves to the sale with its items; rejects with err.status set for client errors.
+ */
+async function createSale(req, saleType, data) {
+  const lineTable = LINE_TABLES[saleType];
+  if (!lineTable) throw saleError(400, 'Unknown sale type');
+  if (!data.date) throw saleError(400, 'Date is required');
+
+  const items = normalizeItems(data.items);
+  const saleTotal = items.reduce((sum, item) => sum + item.total_price, 0);
+  const amountPaidNow = saleType === 'credit' ? parseFloat(data.amount_payable_now) || 0 : saleTotal;
+  if (amountPaidNow < 0 || amountPaidNow > saleTotal) {
+    throw saleError(400, 'Amount payable now must be between 0 and the sale total');
+  }
+  if (saleType !== 'credit' && (data.due_date || data.installment_plan)) {
+    throw saleError(400, 'Only credit sales have a due date or installments');
+  }
+  const schedule = saleType === 'credit' ? installments.planSchedule(data, data.date, saleTotal - amountPaidNow) : [];
+
+  const sellerName = data.seller_name || (req.user && req.user.full_name) || '';
+  // Signatures belong on the receipt header; a single-line sale also keeps them on its line
+  const lineSignatures = items.length === 1
+    ? [data.customer_signature || '', data.electronic_signature || '']
+    : ['', ''];
+
+  const saleId = await db.transaction(async (tx) => {
+    await products.resolveItems(tx, items);
+    const taken = await inventory.takeStock(tx, items);
+    const customer = await customers.resolveCustomer(tx, data);
+    const clientName = customer ? customer.name : data.client_name || '';
+    const clientPhone = data.client_phone || (customer && customer.phone) || '';
+    const customerId = customer ? customer.id : null;
+
+    const header = await tx.runAsync(
+      `INSERT INTO sales (sale_type, date, customer_id, client_name, client_phone, seller_name, customer_signature, electronic_signature, description, payment_method)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        saleType,
+        data.date,
+        customerId,
+        clientName,
+        clientPhone,
+        sellerName,
+        data.customer_signature || '',
+        data.electronic_signature || '',
+        data.description || '',
+        data.payment_method || ''
+      ]
+    );
+    const id = header.lastID;
+    await tx.runAsync('UPDATE sales SET receipt_number = ? WHERE id = ?', [await sync.receiptNumber(tx, 'SALE', id), id]);
+    await installments.saveSchedule(tx, id, schedule);
+
+    let paidLeft = amountPaidNow;
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      let line;
+      if (saleType === 'cash') {
+        line = await tx.runAsync(
+          `INSERT INTO income (sale_id, product_id, date, name, pcs, unit_price, total_price, description, customer_signature, electronic_signature, customer_id, client_name, client_phone, seller_name)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, item.product_id, data.date, item.name, item.pcs, item.unit_price, item.total_price, item.description,
+            ...lineSignatures, customerId, clientName, clientPhone, sellerName]
+        );
+      } else {
+        const paid = Math.min(paidLeft, item.total_price);
+        paidLeft -= paid;
+        line = await tx.runAsync(
+          `INSERT INTO debts (sale_id, product_id, date, name, pcs, unit_price, total_price, amount_payable_now, balance_owed, description, customer_signature, electronic_signature, customer_id, client_name, client_phone, seller_name)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, item.product_id, data.date, item.name, item.pcs, item.unit_price, item.total_price, paid, item.total_price - paid, item.description,
+            ...lineSignatures, customerId, clientName, clientPhone, sellerName]
+        );
+        await tx.runAsync('UPDATE debts SET receipt_number = ? WHERE id = ?', [await sync.receiptNumber(tx, 'DEBT', line.lastID), line.lastID]);
+      }
+      await inventory.recordTaken(tx, taken.filter((lot) => lot.item === index), {
+        type: saleType === 'cash' ? 'sale' : 'debt_sale',
+        reference_table: lineTable,
+        reference_id: line.lastID,
+        date: data.date,
+        user: req.user
+      });
+    }
+    return id;
+  });
+
+  const sale = await getSale(saleId);
+  const { items: _, ...saleHeader } = sale;
+  audit.log(req, { table: 'sales', recordId: saleId, action: 'create', after: saleHeader });
+  sale.items.forEach((line) => audit.log(req, { table: lineTable, recordId: line.id, action: 'create', after: line }));
+  return sale;
+}
+
+/**
+ * Move the stock of an edited income or debts line (locked as `line` in
+ * the editing transaction) to its new product and pcs: its pieces go back,
+ * then the new ones are taken. Rejects with err.status 400 when the new
+ * product is short.
+ */
+async function moveLineStock(tx, req, table, line, productId, pcs) {
+  if (line.product_id === productId && (parseInt(line.pcs, 10) || 0) === pcs) return;
+  const movement = {
+    type: table === 'income' ? 'sale' : 'debt_sale',
+    reference_table: table,
+    reference_id: line.id,
+    note: 'Sale line edited',
+    user: req.user
+  };
+  await inventory.restock(tx, line.product_id, line.pcs, movement);
+  if (productId && pcs > 0) {
+    await inventory.takeStock(tx, [{ product_id: productId, name: line.name, pcs }], { movement });
+  }
+}
+
+/**
+ * Delete an income or debts line and put its pieces back in stock, in one
+ * transaction. Resolves to the deleted row, or null when it does not exist.
+ */
+async function deleteLine(req, table, id) {
+  if (table !== 'income' && table !== 'debts') throw new Error(`Not a sale line table: ${table}`);
+  const record = await db.transaction(async (tx) => {
+    const line = await tx.getAsync(`SELECT * FROM ${table} WHERE id = ? FOR UPDATE`, [id]);
+    if (!line) return null;
+    await inventory.restock(tx, line.product_id, line.pcs, {
+      type: table === 'income' ? 'sale' : 'debt_sale',
+      reference_table: table,
+      reference_id: line.id,
+      note: 'Sale line deleted',
+      user: req.user
+    });
+    await tx.runAsync(`DELETE FROM ${table} WHERE id = ?`, [id]);
+    await sync.recordDeletion(tx, table, line);
+    return line;
+  });
+  if (record) audit.log(req, { table, recordId: id, action: 'delete', before: record });
+  return record;
+}
+
+module.exports = {
+  LINE_TABLES,
+  formatReceiptNumber,
+  debtReceiptNumber,
+  sendError,
+  getSale,
+  getSaleByReceipt,
+  listSales,
+  createSale,
+  moveLineStock,
+  deleteLine
+};
@@ -9,7 +9,10 @@ const fs = require('fs');
 
 const { getBaseDir } = require('./dataPath');
 const db = require('./db');
+const migrate = require('./migrate');
 const storage = require('./storage');
+const auth = require('./auth');
+const sync = require('./sync');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -56,152 +59,40 @@ if (!storage.useFtp) {
 
 /* ================= DATABASE INIT ================= */
 
-function initPostgresSchema(done) {
-  const run = (sql, cb) => db.run(sql, [], cb || (() => {}));
-  run(`CREATE TABLE IF NOT EXISTS users (
-    id SERIAL PRIMARY KEY,
-    username VARCHAR(255) UNIQUE NOT NULL,
-    full_name VARCHAR(255) NOT NULL,
-    phone VARCHAR(100),
-    email VARCHAR(255) UNIQUE NOT NULL,
-    password VARCHAR(255) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )`, () => {
-    run(`CREATE TABLE IF NOT EXISTS income (
-      id SERIAL PRIMARY KEY,
-      date VARCHAR(50) NOT NULL,
-      name VARCHAR(255) NOT NULL,
-      pcs INTEGER NOT NULL DEFAULT 1,
-      unit_price DOUBLE PRECISION NOT NULL,
-      total_price DOUBLE PRECISION NOT NULL,
-      description TEXT,
-      customer_signature TEXT,
-      electronic_signature TEXT,
-      client_name VARCHAR(255),
-      client_phone VARCHAR(100),
-      seller_name VARCHAR(255),
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )`, () => {
-      run(`CREATE TABLE IF NOT EXISTS expenses (
-        id SERIAL PRIMARY KEY,
-        date VARCHAR(50) NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        amount DOUBLE PRECISION NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )`, () => {
-        run(`CREATE TABLE IF NOT EXISTS debts (
-          id SERIAL PRIMARY KEY,
-          date VARCHAR(50) NOT NULL,
-          name VARCHAR(255) NOT NULL,
-          pcs INTEGER NOT NULL DEFAULT 1,
-          unit_price DOUBLE PRECISION NOT NULL,
-          total_price DOUBLE PRECISION NOT NULL,
-          amount_payable_now DOUBLE PRECISION NOT NULL DEFAULT 0,
-          balance_owed DOUBLE PRECISION NOT NULL DEFAULT 0,
-          description TEXT,
-          customer_signature TEXT,
-          electronic_signature TEXT,
-          client_name VARCHAR(255),
-          client_phone VARCHAR(100),
-          seller_name VARCHAR(255),
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )`, () => {
-          run(`CREATE TABLE IF NOT EXISTS purchases (
-            id SERIAL PRIMARY KEY,
-            date VARCHAR(50) NOT NULL,
-            name VARCHAR(255) NOT NULL,
-            pcs INTEGER NOT NULL,
-            unit_price DOUBLE PRECISION NOT NULL,
-            total_amount DOUBLE PRECISION NOT NULL,
-            description TEXT,
-            supplier_name VARCHAR(255),
-            available_stock INTEGER DEFAULT 0,
-            stock_deficiency_threshold INTEGER DEFAULT 0,
-            image_path TEXT DEFAULT NULL,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-          )`, () => {
-            run(`CREATE TABLE IF NOT EXISTS configuration (
-              id INTEGER PRIMARY KEY CHECK (id = 1),
-              app_name VARCHAR(255) DEFAULT 'Shop Accountant',
-              logo_path TEXT DEFAULT NULL,
-              location TEXT DEFAULT NULL,
-              items TEXT DEFAULT NULL,
-              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )`, () => {
-              run(`CREATE TABLE IF NOT EXISTS currencies (
-                id SERIAL PRIMARY KEY,
-                code VARCHAR(20) UNIQUE NOT NULL,
-                name VARCHAR(255) NOT NULL,
-                symbol VARCHAR(20),
-                conversion_rate_to_fcfa DOUBLE PRECISION NOT NULL DEFAULT 1.0,
-                is_default INTEGER DEFAULT 0,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-              )`, () => {
-                run(`CREATE TABLE IF NOT EXISTS goals (
-                  id SERIAL PRIMARY KEY,
-                  date VARCHAR(50) NOT NULL,
-                  title VARCHAR(500) NOT NULL,
-                  desired_completion_date VARCHAR(50),
-                  content TEXT,
-                  status VARCHAR(20) DEFAULT 'active',
-                  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )`, () => {
-                run(`CREATE TABLE IF NOT EXISTS debt_repayments (
-                  id SERIAL PRIMARY KEY,
-                  debt_id INTEGER NOT NULL,
-                  payment_date VARCHAR(50) NOT NULL,
-                  amount DOUBLE PRECISION NOT NULL,
-                  receipt_number VARCHAR(20),
-                  seller_name VARCHAR(255),
-                  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-                )`, () => {
-                run('ALTER TABLE income ADD COLUMN IF NOT EXISTS seller_name VARCHAR(255)', () => {});
-                run('ALTER TABLE debts ADD COLUMN IF NOT EXISTS seller_name VARCHAR(255)', () => {});
-                run('ALTER TABLE purchases ADD COLUMN IF NOT EXISTS image_path TEXT DEFAULT NULL', () => {});
-                db.get('SELECT id FROM configuration WHERE id = 1', [], (err, row) => {
-                  if (!err && !row) {
-                    db.run('INSERT INTO configuration (id, app_name) VALUES (1, ?)', ['Shop Accountant'], () => {});
-                  }
-                  db.get('SELECT id FROM currencies WHERE code = ?', ['FCFA'], (e, r) => {
-                    if (!e && !r) {
-                      db.run('INSERT INTO currencies (code, name, symbol, conversion_rate_to_fcfa, is_default) VALUES (?, ?, ?, ?, ?)', ['FCFA', 'Central African CFA Franc', 'FCFA', 1.0, 1], () => {});
-                    }
-                    console.log('PostgreSQL schema ready');
-                    createDefaultAdmin();
-                    if (done) done();
-                  });
-                });
-              });
-            });
-          });
-        });
-      });
+// Bring the schema up to date (see migrate.js and migrations/), then seed the admin account
+function initSchema(done) {
+  migrate.up()
+    .then((applied) => {
+      if (applied.length) console.log('Applied migrations:', applied.join(', '));
+      console.log('Database schema ready');
+      createDefaultAdmin();
+      if (done) done();
+    })
+    .catch((err) => {
+      console.error('Database migration failed:', err.message);
+      process.exit(1);
     });
-  });
-  });
-});
 }
 
+// Make sure at least one admin exists: promote the default admin account or create it
 function createDefaultAdmin() {
   const adminUsername = 'admin1234';
   const adminPassword = 'admin4321';
-  db.get('SELECT id FROM users WHERE username = ?', [adminUsername], (err, row) => {
-    if (!row) {
+  db.get("SELECT id FROM users WHERE role = 'admin' LIMIT 1", [], (err, anyAdmin) => {
+    if (err || anyAdmin) return;
+    db.get('SELECT id FROM users WHERE username = ?', [adminUsername], (err, row) => {
+      if (row) {
+        db.run("UPDATE users SET role = 'admin' WHERE id = ?", [row.id]);
+        console.log('Default admin granted admin role');
+        return;
+      }
       const hashedPassword = bcrypt.hashSync(adminPassword, 10);
       db.run(
-        `INSERT INTO users (username, full_name, phone, email, password) VALUES (?, ?, ?, ?, ?)`,
+        `INSERT INTO users (username, full_name, phone, email, password, role) VALUES (?, ?, ?, ?, ?, 'admin')`,
         [adminUsername, 'Administrator', '', 'admin@shopaccountant.com', hashedPassword]
       );
       console.log('Default admin created');
-    }
+    });
   });
 }
 
@@ -228,26 +119,57 @@ db.init((err) => {
     console.error('Database connection failed:', err.message);
     process.exit(1);
   }
-  console.log('Connected to PostgreSQL');
+  console.log(db.isPg ? 'Connected to PostgreSQL' : `Using SQLite database ${db.file}`);
+
+  // node server.js migrate status|up|down [steps]: manage the schema and exit without serving
+  if (process.argv[2] === 'migrate') {
+    migrate.cli(process.argv.slice(3)).then((code) => {
+      db.close(() => process.exit(code));
+    });
+    return;
+  }
+
   function startServer() {
+    // Every /api route needs a session token except login (and health, registered above)
+    const publicApiPaths = ['/users/login'];
+    app.use('/api', (req, res, next) => {
+      if (publicApiPaths.includes(req.path)) return next();
+      auth.authenticate(req, res, next);
+    });
     app.use('/api/users', require('./routes/userRoutes'));
     app.use('/api/income', require('./routes/incomeRoutes'));
     app.use('/api/expenses', require('./routes/expensesRoutes'));
+    app.use('/api/products', require('./routes/productsRoutes'));
     app.use('/api/purchases', require('./routes/purchasesRoutes'));
+    app.use('/api/purchase-orders', require('./routes/purchaseOrderRoutes'));
+    app.use('/api/suppliers', require('./routes/suppliersRoutes'));
+    app.use('/api/supplier-payments', require('./routes/supplierPaymentRoutes'));
     app.use('/api/stock-deficiency', require('./routes/stockDeficiencyRoutes'));
+    app.use('/api/stock', require('./routes/stockRoutes'));
+    app.use('/api/stock-takes', require('./routes/stockTakeRoutes'));
     app.use('/api/configuration', require('./routes/configurationRoutes'));
     app.use('/api/currencies', require('./routes/currencyRoutes'));
     app.use('/api/backup', require('./routes/backupRoutes'));
+    app.use('/api/sales', require('./routes/salesRoutes'));
+    app.use('/api/customers', require('./routes/customersRoutes'));
+    app.use('/api/returns', require('./routes/returnsRoutes'));
     app.use('/api/debts', require('./routes/debtRoutes'));
     app.use('/api/debt-repayments', require('./routes/debtRepaymentRoutes'));
     app.use('/api/goals', require('./routes/goalsRoutes'));
     app.use('/api/gain', require('./routes/gainRoutes'));
+    app.use('/api/reports', require('./routes/reportsRoutes'));
+    app.use('/api/audit', require('./routes/auditRoutes'));
+    app.use('/api/sync', require('./routes/syncRoutes'));
     app.listen(PORT, HOST, () => {
       console.log(`Server running at http://${HOST}:${PORT}`);
       if (allowedOrigins.length) console.log('CORS allowed for frontend(s):', allowedOrigins.join(', '));
+      if (sync.isConfigured()) {
+        console.log('Syncing with', process.env.SYNC_SERVER_URL);
+        sync.startSchedule();
+      }
     });
   }
-  initPostgresSchema(startServer);
+  initSchema(startServer);
 });
 
 process.on('SIGINT', () => {
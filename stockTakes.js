@@ -0,0 +1,258 @@
+/**
+ * Stock-take sessions.
+ * A session is opened, then users record what they counted per product.
+ * Several users can count at once: each keeps their own count of a product
+ * (recording again replaces it) and the product's counted quantity is the
+ * sum, e.g. one counts the shelf and another the store room. The variance
+ * report compares counted with expected stock, valued at cost; approving
+ * posts one counting_error adjustment per product that differs, all in one
+ * transaction (see adjustments.js). Expected is the product's stock when its
+ * latest count was recorded, so sales made between counting and approval
+ * are not taken for a variance: approving adjusts the stock by the variance,
+ * not to the counted quantity.
+ */
+const db = require('./db');
+const audit = require('./audit');
+const adjustments = require('./adjustments');
+const products = require('./products');
+
+const STATUSES = ['open', 'approved', 'cancelled'];
+
+function stockTakeError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * List sessions, newest first, with how many products were counted.
+ *   filters: { status? }
+ */
+async function listStockTakes(filters = {}) {
+  const where = filters.status ? 'WHERE s.status = ?' : '';
+  const rows = await db.allAsync(
+    `SELECT s.*, COALESCE(c.products_counted, 0) AS products_counted
+     FROM stock_takes s
+     LEFT JOIN (
+       SELECT stock_take_id, COUNT(DISTINCT product_id) AS products_counted
+       FROM stock_take_counts GROUP BY stock_take_id
+     ) c ON c.stock_take_id = s.id
+     ${where}
+     ORDER BY s.id DESC`,
+    filters.status ? [filters.status] : []
+  );
+  return rows.map((row) => ({ ...row, products_counted: parseInt(row.products_counted, 10) || 0 }));
+}
+
+async function productStock(conn, productId) {
+  const stock = await conn.getAsync(
+    'SELECT COALESCE(SUM(available_stock), 0) AS available_stock FROM purchases WHERE product_id = ?',
+    [productId]
+  );
+  return parseInt(stock.available_stock, 10) || 0;
+}
+
+// Counted products of a session with expected stock, variance and its value at cost
+async function varianceReport(session, conn = db) {
+  const counts = await conn.allAsync(
+    `SELECT c.*, pr.name AS product_name, pr.sku
+     FROM stock_take_counts c
+     LEFT JOIN products pr ON pr.id = c.product_id
+     WHERE c.stock_take_id = ?
+     ORDER BY pr.name ASC, c.id ASC`,
+    [session.id]
+  );
+  // Stock when each product was last counted; latest first, so the first row of a product wins
+  const snapshots = {};
+  const counted = await conn.allAsync(
+    'SELECT product_id, expected FROM stock_take_counts WHERE stock_take_id = ? ORDER BY updated_at DESC, id DESC',
+    [session.id]
+  );
+  counted.forEach((row) => {
+    if (!(row.product_id in snapshots)) snapshots[row.product_id] = row.expected;
+  });
+  const posted = {};
+  if (session.status === 'approved') {
+    const rows = await conn.allAsync('SELECT product_id, quantity, cost_value FROM stock_adjustments WHERE stock_take_id = ?', [session.id]);
+    rows.forEach((row) => { posted[row.product_id] = row; });
+  }
+
+  const items = [];
+  const byProduct = {};
+  counts.forEach((count) => {
+    let item = byProduct[count.product_id];
+    if (!item) {
+      item = { product_id: count.product_id, name: count.product_name, sku: count.sku, counted: 0, counts: [] };
+      byProduct[count.product_id] = item;
+      items.push(item);
+    }
+    item.counted += parseInt(count.counted, 10) || 0;
+    item.counts.push({ user_id: count.user_id, username: count.username, counted: count.counted, note: count.note, updated_at: count.updated_at });
+  });
+
+  for (const item of items) {
+    if (session.status === 'approved') {
+      const adjustment = posted[item.product_id];
+      item.variance = adjustment ? parseInt(adjustment.quantity, 10) || 0 : 0;
+      item.expected = item.counted - item.variance;
+      item.value = adjustment ? parseFloat(adjustment.cost_value) || 0 : 0;
+    } else {
+      const snapshot = snapshots[item.product_id];
+      item.expected = snapshot === null || snapshot === undefined
+        ? await productStock(conn, item.product_id)
+        : parseInt(snapshot, 10) || 0;
+      item.variance = item.counted - item.expected;
+      item.value = await adjustments.valueAtCost(conn, item.product_id, item.variance);
+    }
+  }
+
+  const totals = items.reduce((acc, item) => {
+    if (item.variance) acc.products_with_variance++;
+    if (item.variance < 0) acc.shortage_pcs -= item.variance;
+    if (item.variance > 0) acc.surplus_pcs += item.variance;
+    acc.value += item.value;
+    return acc;
+  }, { products_counted: items.length, products_with_variance: 0, shortage_pcs: 0, surplus_pcs: 0, value: 0 });
+  totals.value = roundMoney(totals.value);
+
+  return { items, totals };
+}
+
+// Session with its variance report, or null
+async function getStockTake(id, conn = db) {
+  const session = await conn.getAsync('SELECT * FROM stock_takes WHERE id = ?', [id]);
+  if (!session) return null;
+  return { ...session, ...(await varianceReport(session, conn)) };
+}
+
+async function openSession(conn, id) {
+  const session = await conn.getAsync('SELECT * FROM stock_takes WHERE id = ? FOR UPDATE', [id]);
+  if (!session) throw stockTakeError(404, 'Stock take not found');
+  if (session.status !== 'open') throw stockTakeError(409, `Stock take is ${session.status}`);
+  return session;
+}
+
+/**
+ * Open a session: { name?, note? }. Only one session is open at a time.
+ * Resolves to the new session.
+ */
+async function openStockTake(req, data = {}) {
+  const user = req.user || {};
+  const id = await db.transaction(async (tx) => {
+    const open = await tx.getAsync("SELECT id FROM stock_takes WHERE status = 'open'");
+    if (open) throw stockTakeError(409, `Stock take #${open.id} is still open`);
+    const inserted = await tx.runAsync(
+      "INSERT INTO stock_takes (name, note, status, opened_by) VALUES (?, ?, 'open', ?)",
+      [data.name ? String(data.name).trim() : null, data.note ? String(data.note).trim() : null, user.username || null]
+    );
+    return inserted.lastID;
+  });
+  audit.log(req, { table: 'stock_takes', recordId: id, action: 'create' });
+  return getStockTake(id);
+}
+
+/**
+ * Record the acting user's counts in an open session:
+ * [{ product_id or name, counted, note? }]. A product this user counted
+ * before gets the new count. Each count keeps the product's stock at the
+ * time. Resolves to the session with its report.
+ */
+async function recordCounts(req, id, items) {
+  if (!Array.isArray(items) || items.length === 0) throw stockTakeError(400, 'At least one count is required');
+  items.forEach((item) => {
+    const counted = Number(item.counted);
+    if (!Number.isInteger(counted) || counted < 0) throw stockTakeError(400, 'Counted quantities must be whole numbers, 0 or more');
+  });
+  const user = req.user || {};
+
+  await db.transaction(async (tx) => {
+    await openSession(tx, id);
+    for (const item of items) {
+      const product = await products.resolveProduct(tx, item);
+      const note = item.note ? String(item.note).trim() : null;
+      await tx.allAsync('SELECT id FROM purchases WHERE product_id = ? FOR UPDATE', [product.id]);
+      const expected = await productStock(tx, product.id);
+      const existing = await tx.getAsync(
+        'SELECT id FROM stock_take_counts WHERE stock_take_id = ? AND product_id = ? AND user_id = ?',
+        [id, product.id, user.id || 0]
+      );
+      if (existing) {
+        await tx.runAsync(
+          'UPDATE stock_take_counts SET counted = ?, expected = ?, note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [Number(item.counted), expected, note, existing.id]
+        );
+      } else {
+        await tx.runAsync(
+          `INSERT INTO stock_take_counts (stock_take_id, product_id, counted, expected, note, user_id, username)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [id, product.id, Number(item.counted), expected, note, user.id || 0, user.username || null]
+        );
+      }
+    }
+    await tx.runAsync('UPDATE stock_takes SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  });
+  return getStockTake(id);
+}
+
+/**
+ * Approve an open session: every counted product whose count differs from
+ * its expected stock gets a counting_error adjustment by that variance, in
+ * one transaction. Resolves to the approved session with its report.
+ */
+async function approveStockTake(req, id) {
+  const user = req.user || {};
+  const { before, adjustmentIds } = await db.transaction(async (tx) => {
+    const session = await openSession(tx, id);
+    const { items } = await varianceReport(session, tx);
+    if (!items.length) throw stockTakeError(400, 'Nothing was counted in this stock take');
+
+    const ids = [];
+    for (const item of items) {
+      if (!item.variance) continue;
+      const adjustmentId = await adjustments.adjustStock(tx, req.user, {
+        product_id: item.product_id,
+        quantity: item.variance,
+        reason: 'counting_error',
+        note: session.name ? `Stock take #${session.id}: ${session.name}` : `Stock take #${session.id}`,
+        stock_take_id: session.id
+      });
+      if (adjustmentId) ids.push(adjustmentId);
+    }
+    await tx.runAsync(
+      "UPDATE stock_takes SET status = 'approved', closed_by = ?, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [user.username || null, session.id]
+    );
+    return { before: session, adjustmentIds: ids };
+  });
+
+  adjustmentIds.forEach((adjustmentId) => audit.log(req, { table: 'stock_adjustments', recordId: adjustmentId, action: 'create' }));
+  audit.log(req, { table: 'stock_takes', recordId: id, action: 'update', before });
+  return getStockTake(id);
+}
+
+// Cancel an open session; its counts are kept but nothing is posted
+async function cancelStockTake(req, id) {
+  const user = req.user || {};
+  const before = await db.transaction(async (tx) => {
+    const session = await openSession(tx, id);
+    await tx.runAsync(
+      "UPDATE stock_takes SET status = 'cancelled', closed_by = ?, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [user.username || null, session.id]
+    );
+    return session;
+  });
+  audit.log(req, { table: 'stock_takes', recordId: id, action: 'update', before });
+  return getStockTake(id);
+}
+
+module.exports = {
+  STATUSES,
+  listStockTakes,
+  getStockTake,
+  openStockTake,
+  recordCounts,
+  approveStockTake,
+  cancelStockTake
+};
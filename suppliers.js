@@ -0,0 +1,477 @@
+/**
+ * Suppliers and payables.
+ * A purchase (lot) can point to its supplier and records what was paid for
+ * it (amount_paid) and what is still owed (balance_owed = total_amount -
+ * amount_paid), as debts do for customers. Supplier payments either pay off
+ * one purchase, raising its amount_paid like a debt repayment, or are paid
+ * on account. What we owe a supplier is the balance owed on its purchases
+ * less its payments on account.
+ */
+const crypto = require('crypto');
+const db = require('./db');
+const audit = require('./audit');
+const products = require('./products');
+const sync = require('./sync');
+
+function supplierError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const day = (value) => String(value || '').slice(0, 10);
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+// Supplier columns plus what was bought, paid and is owed
+const SUPPLIER_SELECT = `SELECT s.*,
+    COALESCE(p.purchase_count, 0) AS purchase_count,
+    COALESCE(p.total_purchased, 0) AS total_purchased,
+    COALESCE(p.paid_on_purchases, 0) AS paid_on_purchases,
+    COALESCE(p.owed_on_purchases, 0) AS owed_on_purchases,
+    COALESCE(pay.on_account, 0) AS paid_on_account
+  FROM suppliers s
+  LEFT JOIN (
+    SELECT supplier_id, COUNT(*) AS purchase_count, SUM(total_amount) AS total_purchased,
+      SUM(amount_paid) AS paid_on_purchases, SUM(balance_owed) AS owed_on_purchases
+    FROM purchases GROUP BY supplier_id
+  ) p ON p.supplier_id = s.id
+  LEFT JOIN (
+    SELECT supplier_id, SUM(amount) AS on_account
+    FROM supplier_payments WHERE purchase_id IS NULL GROUP BY supplier_id
+  ) pay ON pay.supplier_id = s.id`;
+
+function withTotals(row) {
+  if (!row) return null;
+  const { paid_on_purchases: paidOnPurchases, owed_on_purchases: owedOnPurchases, paid_on_account: onAccount, ...supplier } = row;
+  const paid = (parseFloat(paidOnPurchases) || 0) + (parseFloat(onAccount) || 0);
+  return {
+    ...supplier,
+    purchase_count: parseInt(row.purchase_count, 10) || 0,
+    total_purchased: roundMoney(parseFloat(row.total_purchased) || 0),
+    total_paid: roundMoney(paid),
+    balance_owed: roundMoney((parseFloat(owedOnPurchases) || 0) - (parseFloat(onAccount) || 0))
+  };
+}
+
+async function getSupplier(id, conn = db) {
+  return withTotals(await conn.getAsync(`${SUPPLIER_SELECT} WHERE s.id = ?`, [id]));
+}
+
+/**
+ * List suppliers by name with what we owe them.
+ *   filters: { search? (name or phone), owing? (only those we owe) }
+ */
+async function listSuppliers(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.search) {
+    where.push('(LOWER(s.name) LIKE ? OR s.phone LIKE ?)');
+    const like = `%${String(filters.search).trim().toLowerCase()}%`;
+    params.push(like, like);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const rows = (await db.allAsync(`${SUPPLIER_SELECT} ${whereSql} ORDER BY s.name ASC`, params)).map(withTotals);
+  return filters.owing ? rows.filter((row) => row.balance_owed > 0) : rows;
+}
+
+// Supplier by name, ignoring case and surrounding spaces
+async function findByName(conn, name) {
+  const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+  if (!key) return null;
+  return conn.getAsync('SELECT * FROM suppliers WHERE LOWER(name) = ? ORDER BY id ASC LIMIT 1', [key]);
+}
+
+// Lead time and coverage days: empty for the defaults (see reorder.js)
+function parseDays(value, label) {
+  if (value === null || value === '') return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > 3650) throw supplierError(400, `${label} must be a whole number of days from 0 to 3650`);
+  return days;
+}
+
+// Validate supplier fields; `partial` for updates, where only given fields are checked
+function normalizeSupplier(data, partial = false) {
+  const supplier = {};
+  if (!partial || data.name !== undefined) {
+    supplier.name = typeof data.name === 'string' ? data.name.trim() : '';
+    if (!supplier.name) throw supplierError(400, 'Name is required');
+  }
+  ['phone', 'address', 'notes'].forEach((field) => {
+    if (data[field] !== undefined) supplier[field] = data[field] ? String(data[field]).trim() : null;
+  });
+  if (data.lead_time_days !== undefined) supplier.lead_time_days = parseDays(data.lead_time_days, 'lead_time_days');
+  if (data.coverage_days !== undefined) supplier.coverage_days = parseDays(data.coverage_days, 'coverage_days');
+  return supplier;
+}
+
+async function assertUnique(conn, supplier, exceptId = null) {
+  if (!supplier.name) return;
+  const sameName = await findByName(conn, supplier.name);
+  if (sameName && sameName.id !== exceptId) throw supplierError(409, `A supplier named "${sameName.name}" already exists`);
+}
+
+/**
+ * Create a supplier. data: { name, phone?, address?, notes?, lead_time_days?,
+ * coverage_days? }. Resolves to the new id.
+ */
+async function createSupplier(conn, data) {
+  const supplier = normalizeSupplier(data);
+  await assertUnique(conn, supplier);
+  let uuid = products.nameUuid(supplier.name, 'supplier');
+  if (await conn.getAsync('SELECT id FROM suppliers WHERE uuid = ?', [uuid])) uuid = crypto.randomUUID();
+  const columns = [...Object.keys(supplier), 'uuid'];
+  const inserted = await conn.runAsync(
+    `INSERT INTO suppliers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    [...Object.values(supplier), uuid]
+  );
+  return inserted.lastID;
+}
+
+// Update the given fields of a supplier. Resolves to false when it does not exist.
+async function updateSupplier(conn, id, data) {
+  const supplier = normalizeSupplier(data, true);
+  const existing = await conn.getAsync('SELECT id FROM suppliers WHERE id = ?', [id]);
+  if (!existing) return false;
+  await assertUnique(conn, supplier, existing.id);
+  const columns = Object.keys(supplier);
+  await conn.runAsync(
+    `UPDATE suppliers SET ${columns.map((c) => `${c} = ?`).join(', ')}${columns.length ? ', ' : ''}updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...columns.map((c) => supplier[c]), existing.id]
+  );
+  if (supplier.name) {
+    await conn.runAsync('UPDATE purchases SET supplier_name = ? WHERE supplier_id = ?', [supplier.name, existing.id]);
+  }
+  return true;
+}
+
+/**
+ * Delete a supplier nothing refers to. Resolves to the deleted row, or null
+ * when not found; rejects with 409 while purchases or payments point to it.
+ */
+async function deleteSupplier(conn, id) {
+  const supplier = await conn.getAsync('SELECT * FROM suppliers WHERE id = ?', [id]);
+  if (!supplier) return null;
+  const purchases = await conn.getAsync('SELECT COUNT(*) AS count FROM purchases WHERE supplier_id = ?', [supplier.id]);
+  const payments = await conn.getAsync('SELECT COUNT(*) AS count FROM supplier_payments WHERE supplier_id = ?', [supplier.id]);
+  if ((parseInt(purchases.count, 10) || 0) + (parseInt(payments.count, 10) || 0) > 0) {
+    throw supplierError(409, 'Supplier has purchases or payments and cannot be deleted');
+  }
+  await conn.runAsync('DELETE FROM suppliers WHERE id = ?', [supplier.id]);
+  return supplier;
+}
+
+/**
+ * The supplier a purchase refers to: by supplier_id, else by supplier_name
+ * (a new name adds the supplier). Resolves to null when neither is given.
+ */
+async function resolveSupplier(conn, ref) {
+  if (ref.supplier_id !== undefined && ref.supplier_id !== null && ref.supplier_id !== '') {
+    const supplier = await conn.getAsync('SELECT * FROM suppliers WHERE id = ?', [parseInt(ref.supplier_id, 10) || 0]);
+    if (!supplier) throw supplierError(400, 'Supplier not found');
+    return supplier;
+  }
+  const name = typeof ref.supplier_name === 'string' ? ref.supplier_name.trim() : '';
+  if (!name) return null;
+  const found = await findByName(conn, name);
+  if (found) return found;
+  const id = await createSupplier(conn, { name });
+  return conn.getAsync('SELECT * FROM suppliers WHERE id = ?', [id]);
+}
+
+/**
+ * amount_paid and balance_owed of a purchase of `total`: amountPaid as
+ * given (default: paid in full), at least what its supplier payments paid
+ * (paidByPayments). Throws 400 when it does not fit.
+ */
+function purchasePayables(total, amountPaid, paidByPayments = 0) {
+  const paid = amountPaid === undefined || amountPaid === null || amountPaid === '' ? total : parseFloat(amountPaid);
+  if (Number.isNaN(paid) || paid < 0) throw supplierError(400, 'Amount paid must be 0 or more');
+  if (paid - total > 0.005) throw supplierError(400, `Amount paid cannot exceed the total (${roundMoney(total)})`);
+  if (paidByPayments - paid > 0.005) {
+    throw supplierError(400, `Amount paid cannot be less than the supplier payments made against it (${roundMoney(paidByPayments)})`);
+  }
+  return { amount_paid: paid, balance_owed: roundMoney(total - paid) };
+}
+
+// Sum of the supplier payments made against a purchase
+async function paidByPayments(conn, purchaseId) {
+  const row = await conn.getAsync('SELECT COALESCE(SUM(amount), 0) AS amount FROM supplier_payments WHERE purchase_id = ?', [purchaseId]);
+  return parseFloat(row.amount) || 0;
+}
+
+/**
+ * amount_paid and balance_owed of an edited purchase (see purchasePayables;
+ * amountPaid undefined keeps what it was). Supplier payments made against it
+ * stay with it: its supplier cannot change and it stays paid at least that
+ * much. Throws 400.
+ */
+async function editedPayables(conn, record, { supplierId, total, amountPaid }) {
+  const paid = await paidByPayments(conn, record.id);
+  if (paid && supplierId !== record.supplier_id) {
+    throw supplierError(400, 'Purchase has supplier payments; delete them before changing its supplier');
+  }
+  return purchasePayables(total, amountPaid !== undefined ? amountPaid : record.amount_paid, paid);
+}
+
+// A purchase paid by supplier payments is only deleted after them; throws 409
+async function assertNoPayments(conn, purchaseId) {
+  if (await paidByPayments(conn, purchaseId)) throw supplierError(409, 'Purchase has supplier payments; delete them first');
+}
+
+/* ================= PAYMENTS ================= */
+
+const PAYMENT_SELECT = `SELECT sp.*, s.name AS supplier_name, p.date AS purchase_date, p.name AS item_name,
+    p.total_amount, p.balance_owed AS purchase_balance_owed
+  FROM supplier_payments sp
+  JOIN suppliers s ON s.id = sp.supplier_id
+  LEFT JOIN purchases p ON p.id = sp.purchase_id`;
+
+async function getPayment(id, conn = db) {
+  return conn.getAsync(`${PAYMENT_SELECT} WHERE sp.id = ?`, [id]);
+}
+
+/**
+ * List supplier payments, newest first.
+ *   filters: { supplierId?, purchaseId?, startDate?, endDate? }
+ */
+async function listPayments(filters = {}) {
+  const where = [];
+  const params = [];
+  if (filters.supplierId) {
+    where.push('sp.supplier_id = ?');
+    params.push(parseInt(filters.supplierId, 10));
+  }
+  if (filters.purchaseId) {
+    where.push('sp.purchase_id = ?');
+    params.push(parseInt(filters.purchaseId, 10));
+  }
+  if (filters.startDate) {
+    where.push('substring(sp.payment_date,1,10) >= ?');
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    where.push('substring(sp.payment_date,1,10) <= ?');
+    params.push(filters.endDate);
+  }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return db.allAsync(`${PAYMENT_SELECT} ${whereSql} ORDER BY sp.payment_date DESC, sp.id DESC`, params);
+}
+
+// What we owe a supplier (see module comment)
+async function supplierBalance(conn, supplierId) {
+  const owed = await conn.getAsync('SELECT COALESCE(SUM(balance_owed), 0) AS amount FROM purchases WHERE supplier_id = ?', [supplierId]);
+  const onAccount = await conn.getAsync(
+    'SELECT COALESCE(SUM(amount), 0) AS amount FROM supplier_payments WHERE supplier_id = ? AND purchase_id IS NULL',
+    [supplierId]
+  );
+  return roundMoney((parseFloat(owed.amount) || 0) - (parseFloat(onAccount.amount) || 0));
+}
+
+// Move `amount` of a purchase from owed to paid (negative to take a payment back)
+async function payPurchase(tx, purchaseId, amount) {
+  await tx.runAsync(
+    'UPDATE purchases SET amount_paid = amount_paid + ?, balance_owed = balance_owed - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [amount, amount, purchaseId]
+  );
+}
+
+// A payment of `amount` (or `extra` more than before) must not pay more than is owed
+async function assertOwed(tx, supplierId, purchase, extra) {
+  const owed = purchase ? parseFloat(purchase.balance_owed) || 0 : await supplierBalance(tx, supplierId);
+  if (extra - owed > 0.005) throw supplierError(400, `Amount cannot exceed balance owed (${roundMoney(owed)})`);
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  if (Number.isNaN(amount) || amount <= 0) throw supplierError(400, 'Amount must be a positive number');
+  return amount;
+}
+
+/**
+ * Record a payment to a supplier.
+ *   data: { supplier_id, purchase_id? (a purchase of that supplier; else on
+ *           account), payment_date (YYYY-MM-DD), amount, reference?, note? }
+ * Payments cannot exceed what is owed on the purchase or, on account, to the
+ * supplier. Resolves to the payment (numbered SPAY-000001).
+ */
+async function createPayment(req, data = {}) {
+  if (!data.supplier_id || !isDay(day(data.payment_date)) || data.amount === undefined || data.amount === null) {
+    throw supplierError(400, 'supplier_id, payment_date (YYYY-MM-DD), and amount are required');
+  }
+  const amount = parseAmount(data.amount);
+  const user = req.user || {};
+
+  const id = await db.transaction(async (tx) => {
+    const supplier = await tx.getAsync('SELECT id FROM suppliers WHERE id = ? FOR UPDATE', [parseInt(data.supplier_id, 10) || 0]);
+    if (!supplier) throw supplierError(404, 'Supplier not found');
+    let purchase = null;
+    if (data.purchase_id) {
+      purchase = await tx.getAsync('SELECT * FROM purchases WHERE id = ? FOR UPDATE', [parseInt(data.purchase_id, 10) || 0]);
+      if (!purchase) throw supplierError(404, 'Purchase not found');
+      if (purchase.supplier_id !== supplier.id) throw supplierError(400, 'Purchase is not from this supplier');
+    }
+    await assertOwed(tx, supplier.id, purchase, amount);
+
+    const inserted = await tx.runAsync(
+      `INSERT INTO supplier_payments (supplier_id, purchase_id, payment_date, amount, reference, note, username)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [supplier.id, purchase ? purchase.id : null, data.payment_date, amount, data.reference || null, data.note || null, user.username || null]
+    );
+    await tx.runAsync(
+      'UPDATE supplier_payments SET receipt_number = ? WHERE id = ?',
+      [await sync.receiptNumber(tx, 'SPAY', inserted.lastID), inserted.lastID]
+    );
+    if (purchase) await payPurchase(tx, purchase.id, amount);
+    return inserted.lastID;
+  });
+
+  audit.log(req, { table: 'supplier_payments', recordId: id, action: 'create' });
+  return getPayment(id);
+}
+
+/**
+ * Update a payment's date, amount, reference or note; the purchase it paid
+ * is corrected by the difference. Resolves to the payment, or null when not found.
+ */
+async function updatePayment(req, id, data = {}) {
+  const amount = data.amount !== undefined && data.amount !== null ? parseAmount(data.amount) : null;
+  if (data.payment_date !== undefined && !isDay(day(data.payment_date))) throw supplierError(400, 'payment_date must be in YYYY-MM-DD format');
+
+  const before = await db.transaction(async (tx) => {
+    const payment = await tx.getAsync('SELECT * FROM supplier_payments WHERE id = ? FOR UPDATE', [id]);
+    if (!payment) return null;
+    const newAmount = amount !== null ? amount : parseFloat(payment.amount) || 0;
+    const diff = newAmount - (parseFloat(payment.amount) || 0);
+    const purchase = payment.purchase_id
+      ? await tx.getAsync('SELECT * FROM purchases WHERE id = ? FOR UPDATE', [payment.purchase_id])
+      : null;
+    if (diff > 0) await assertOwed(tx, payment.supplier_id, purchase, diff);
+
+    await tx.runAsync(
+      `UPDATE supplier_payments SET payment_date = ?, amount = ?, reference = ?, note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [
+        data.payment_date || payment.payment_date,
+        newAmount,
+        data.reference !== undefined ? data.reference : payment.reference,
+        data.note !== undefined ? data.note : payment.note,
+        payment.id
+      ]
+    );
+    if (purchase && diff) await payPurchase(tx, purchase.id, diff);
+    return payment;
+  });
+  if (!before) return null;
+
+  audit.log(req, { table: 'supplier_payments', recordId: id, action: 'update', before });
+  return getPayment(id);
+}
+
+/**
+ * Delete a payment; what it paid on a purchase is owed again. Resolves to
+ * the deleted row, or null when not found.
+ */
+async function deletePayment(req, id) {
+  const payment = await db.transaction(async (tx) => {
+    const row = await tx.getAsync('SELECT * FROM supplier_payments WHERE id = ? FOR UPDATE', [id]);
+    if (!row) return null;
+    await tx.runAsync('DELETE FROM supplier_payments WHERE id = ?', [row.id]);
+    if (row.purchase_id) await payPurchase(tx, row.purchase_id, -(parseFloat(row.amount) || 0));
+    return row;
+  });
+  if (payment) audit.log(req, { table: 'supplier_payments', recordId: id, action: 'delete', before: payment });
+  return payment;
+}
+
+/* ================= STATEMENT ================= */
+
+/**
+ * What we owe a supplier over from..to (YYYY-MM-DD, both optional): the
+ * balance before `from`, then each purchase (debit: its total; credit: what
+ * was paid on delivery) and each payment (credit) in date order with the
+ * running balance. Resolves to null when the supplier does not exist.
+ */
+async function supplierStatement(id, { from, to } = {}) {
+  if ((from && !isDay(from)) || (to && !isDay(to))) throw supplierError(400, 'from and to must be in YYYY-MM-DD format');
+  if (from && to && from > to) throw supplierError(400, 'from must not be after to');
+  const supplier = await getSupplier(id);
+  if (!supplier) return null;
+
+  const purchases = await db.allAsync(
+    'SELECT id, date, name, pcs, unit_price, total_amount, amount_paid, description FROM purchases WHERE supplier_id = ?',
+    [supplier.id]
+  );
+  const payments = await db.allAsync('SELECT * FROM supplier_payments WHERE supplier_id = ?', [supplier.id]);
+  const paidAfter = {};
+  payments.forEach((p) => {
+    if (p.purchase_id) paidAfter[p.purchase_id] = (paidAfter[p.purchase_id] || 0) + (parseFloat(p.amount) || 0);
+  });
+
+  const entries = [
+    ...purchases.map((p) => ({
+      date: day(p.date),
+      type: 'purchase',
+      purchase_id: p.id,
+      description: `${p.name} x ${p.pcs} @ ${p.unit_price}`,
+      debit: parseFloat(p.total_amount) || 0,
+      credit: (parseFloat(p.amount_paid) || 0) - (paidAfter[p.id] || 0)
+    })),
+    ...payments.map((p) => ({
+      date: day(p.payment_date),
+      type: 'payment',
+      payment_id: p.id,
+      purchase_id: p.purchase_id,
+      receipt_number: p.receipt_number,
+      description: [p.purchase_id ? `Payment for purchase #${p.purchase_id}` : 'Payment on account', p.reference].filter(Boolean).join(' - '),
+      debit: 0,
+      credit: parseFloat(p.amount) || 0
+    }))
+  ].sort((a, b) => a.date.localeCompare(b.date)
+    || (a.type === b.type ? 0 : a.type === 'purchase' ? -1 : 1)
+    || (a.payment_id || a.purchase_id) - (b.payment_id || b.purchase_id));
+
+  let balance = 0;
+  const inRange = [];
+  let opening = 0;
+  entries.forEach((entry) => {
+    balance += entry.debit - entry.credit;
+    if (from && entry.date < from) {
+      opening = balance;
+      return;
+    }
+    if (to && entry.date > to) return;
+    inRange.push({ ...entry, debit: roundMoney(entry.debit), credit: roundMoney(entry.credit), balance: roundMoney(balance) });
+  });
+
+  const debit = inRange.reduce((sum, e) => sum + e.debit, 0);
+  const credit = inRange.reduce((sum, e) => sum + e.credit, 0);
+  return {
+    supplier,
+    from: from || null,
+    to: to || null,
+    opening_balance: roundMoney(opening),
+    entries: inRange,
+    totals: { debit: roundMoney(debit), credit: roundMoney(credit) },
+    closing_balance: roundMoney(opening + debit - credit)
+  };
+}
+
+module.exports = {
+  getSupplier,
+  listSuppliers,
+  findByName,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  resolveSupplier,
+  purchasePayables,
+  editedPayables,
+  assertNoPayments,
+  supplierBalance,
+  getPayment,
+  listPayments,
+  createPayment,
+  updatePayment,
+  deletePayment,
+  supplierStatement
+};
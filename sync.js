@@ -0,0 +1,795 @@
+/**
+ * Two-way sync between installs and a central server.
+ * Every install keeps working on its own database. Records of the synced
+ * tables get a uuid the first time they are sent; a row is pending while
+ * synced_at is empty or older than updated_at, and deletions are kept as
+ * sync_tombstones. An install pushes its pending changes to the central
+ * server (POST /api/sync/push), which appends every accepted change to
+ * sync_log, and pulls what other installs sent (GET /api/sync/pull) from
+ * its sync_log cursor.
+ *
+ * Conflicts: the version with the newest updated_at wins; a deletion wins
+ * over any edit. Foreign keys travel as the referenced record's uuid; a
+ * change whose parent has not reached the server yet stays pending and is
+ * sent again on the next run.
+ *
+ * Stock: purchases.available_stock is never copied. Each install applies the
+ * stock effect of what it receives, the same way the change moved stock where
+ * it was made: a new sale line takes its pieces (an edited one the change
+ * in pieces or product), a deleted line and a return put them back, a
+ * purchase adds its pieces (or the change in pieces), a stock adjustment
+ * takes or adds its quantity. Sales made at two branches therefore both
+ * come off every copy of the stock.
+ *
+ * Debts: amount_payable_now and balance_owed are not copied either. A debts
+ * line travels with what was paid on it upfront; each install adds the
+ * repayments it holds and takes off refunds of returns, and a repayment or
+ * return received later moves the line the way it did where it was made.
+ * Repayments made at two branches therefore both count everywhere.
+ *
+ * Receipt numbers are made from local ids, so an install that syncs puts its
+ * node code in the ones it stores (SALE-3F2A-000001, see receiptNumber) and
+ * numbers made at two branches do not collide; the central server keeps the
+ * plain form.
+ *
+ * SYNC_SERVER_URL: central server to sync with (unset: this install does not
+ * sync on its own). SYNC_USERNAME / SYNC_PASSWORD: account used to log in
+ * there. SYNC_INTERVAL_MS: time between automatic runs (default 5 minutes).
+ * SYNC_NODE_CODE: code of this install in receipt numbers (letters and
+ * digits, up to 8; default the first 4 characters of its node id).
+ */
+const crypto = require('crypto');
+const db = require('./db');
+const inventory = require('./inventory');
+const adjustments = require('./adjustments');
+
+const SERVER_URL = (process.env.SYNC_SERVER_URL || '').replace(/\/+$/, '');
+const INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS || String(5 * 60 * 1000), 10);
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SYNC_TIMEOUT_MS || '30000', 10);
+const BATCH_SIZE = 200;
+
+// A sale line's pcs is what the customer kept; returns against it were taken from stock too
+async function saleLineMeta(conn, sourceType, row) {
+  const returned = await conn.getAsync(
+    'SELECT COALESCE(SUM(pcs), 0) AS pcs FROM sale_returns WHERE source_type = ? AND source_id = ?',
+    [sourceType, row.id]
+  );
+  return { pcs_taken: (parseInt(row.pcs, 10) || 0) + (parseInt(returned && returned.pcs, 10) || 0) };
+}
+
+// Paid on a debts line by its repayments, less what its returns refunded
+async function repaidOnDebt(conn, debtId) {
+  const repaid = await conn.getAsync('SELECT COALESCE(SUM(amount), 0) AS amount FROM debt_repayments WHERE debt_id = ?', [debtId]);
+  const refunded = await conn.getAsync(
+    "SELECT COALESCE(SUM(refund_amount), 0) AS amount FROM sale_returns WHERE source_type = 'debt' AND source_id = ?",
+    [debtId]
+  );
+  return (parseFloat(repaid.amount) || 0) - (parseFloat(refunded.amount) || 0);
+}
+
+// A debts line also tells what was paid on it upfront (at the sale, or set by an edit)
+async function debtMeta(conn, row) {
+  const meta = await saleLineMeta(conn, 'debt', row);
+  return { ...meta, paid_upfront: (parseFloat(row.amount_payable_now) || 0) - await repaidOnDebt(conn, row.id) };
+}
+
+// Paid and owed on a received debts line, from its upfront payment and the repayments and returns held here
+async function settleDebt(tx, row, meta) {
+  const paid = (parseFloat(meta.paid_upfront) || 0) + await repaidOnDebt(tx, row.id);
+  await tx.runAsync('UPDATE debts SET amount_payable_now = ?, balance_owed = total_price - ? WHERE id = ?', [paid, paid, row.id]);
+}
+
+// A repayment (or refund, negative) received from elsewhere moves its debts line
+async function addPaid(tx, debtId, amount) {
+  if (!debtId || !amount) return;
+  await tx.runAsync(
+    'UPDATE debts SET amount_payable_now = amount_payable_now + ?, balance_owed = total_price - amount_payable_now - ? WHERE id = ?',
+    [amount, amount, debtId]
+  );
+}
+
+// Stock movements of received changes are recorded under this user name (see inventory.recordMovement)
+const SYNC_USER = { username: 'sync' };
+
+// Ledger fields of a movement caused by a received sale line
+const lineMovement = (table, row) => ({
+  type: table === 'income' ? 'sale' : 'debt_sale',
+  reference_table: table,
+  reference_id: row.id,
+  user: SYNC_USER
+});
+
+// The sale was made already: take its pieces even when this copy of the stock is short
+async function takeSold(tx, table, row, meta) {
+  if (!row.product_id) return;
+  await inventory.takeStock(tx, [{ product_id: row.product_id, name: row.name, pcs: meta.pcs_taken }], {
+    force: true,
+    movement: { ...lineMovement(table, row), date: row.date }
+  });
+}
+
+// A received edit of a line's product or pcs moves its pieces as the edit did where it was made:
+// what the customer kept goes back, the new pcs are taken (returns keep their own stock effect)
+async function moveEdited(tx, table, before, row, meta) {
+  const takenBefore = (await saleLineMeta(tx, table === 'income' ? 'income' : 'debt', before)).pcs_taken;
+  const pcs = parseInt(row.pcs, 10) || 0;
+  const kept = takenBefore - ((parseInt(meta.pcs_taken, 10) || 0) - pcs);
+  if (before.product_id === row.product_id && kept === pcs) return;
+  const movement = { ...lineMovement(table, row), note: 'Sale line edited' };
+  await inventory.restock(tx, before.product_id, kept, movement);
+  if (row.product_id && pcs > 0) {
+    await inventory.takeStock(tx, [{ product_id: row.product_id, name: row.name, pcs }], { force: true, movement });
+  }
+}
+
+// A received deletion of a sale line puts its pieces back
+async function restockDeleted(tx, table, row) {
+  await inventory.restock(tx, row.product_id, row.pcs, { ...lineMovement(table, row), note: 'Sale line deleted' });
+}
+
+// Ledger entry for a change to a lot's stock received from elsewhere
+async function lotMovement(tx, lot, quantity, note) {
+  await inventory.recordMovement(tx, {
+    product_id: lot.product_id,
+    lot_id: lot.id,
+    type: 'purchase',
+    quantity,
+    reference_table: 'purchases',
+    reference_id: lot.id,
+    date: lot.date,
+    note,
+    user: SYNC_USER
+  });
+}
+
+/**
+ * Synced tables, parents before children.
+ *   columns: copied as is; refs: foreign key column -> referenced table (or
+ *   a function of the row); required: refs the row cannot exist without;
+ *   meta: facts from the sending side the stock effects need;
+ *   inserted/updated/deleted: stock effect of a change received from elsewhere
+ */
+const TABLES = {
+  products: {
+    columns: ['sku', 'name', 'category', 'selling_price', 'stock_deficiency_threshold', 'image_path', 'created_at'],
+    refs: {}
+  },
+  suppliers: {
+    columns: ['name', 'phone', 'address', 'notes', 'lead_time_days', 'coverage_days', 'created_at'],
+    refs: {}
+  },
+  purchases: {
+    columns: ['date', 'name', 'pcs', 'unit_price', 'total_amount', 'description', 'supplier_name', 'amount_paid', 'balance_owed', 'image_path', 'created_at'],
+    refs: { product_id: 'products', supplier_id: 'suppliers' },
+    async inserted(tx, row) {
+      await tx.runAsync('UPDATE purchases SET available_stock = pcs WHERE id = ?', [row.id]);
+      await lotMovement(tx, row, row.pcs);
+    },
+    async updated(tx, before, row) {
+      const pcsDiff = (parseInt(row.pcs, 10) || 0) - (parseInt(before.pcs, 10) || 0);
+      if (pcsDiff) {
+        await tx.runAsync('UPDATE purchases SET available_stock = available_stock + CAST(? AS INTEGER) WHERE id = ?', [pcsDiff, row.id]);
+      }
+      const stockBefore = parseInt(before.available_stock, 10) || 0;
+      if (before.product_id !== row.product_id) {
+        // The lot moved to another product, its stock with it
+        await lotMovement(tx, before, -stockBefore, 'Purchase moved to another product');
+        await lotMovement(tx, row, stockBefore + pcsDiff, 'Purchase moved from another product');
+      } else {
+        await lotMovement(tx, row, pcsDiff, 'Purchase edited');
+      }
+    },
+    deleted: (tx, row) => lotMovement(tx, row, -(parseInt(row.available_stock, 10) || 0), 'Purchase deleted')
+  },
+  supplier_payments: {
+    columns: ['payment_date', 'amount', 'receipt_number', 'reference', 'note', 'username', 'created_at'],
+    refs: { supplier_id: 'suppliers', purchase_id: 'purchases' },
+    required: ['supplier_id']
+  },
+  customers: {
+    columns: ['name', 'phone', 'email', 'address', 'notes', 'created_at'],
+    refs: {}
+  },
+  customer_payments: {
+    columns: ['receipt_number', 'payment_date', 'amount', 'credit_used', 'allocated', 'credit', 'seller_name', 'note', 'created_at'],
+    refs: { customer_id: 'customers' },
+    required: ['customer_id']
+  },
+  sales: {
+    columns: ['receipt_number', 'sale_type', 'date', 'client_name', 'client_phone', 'seller_name', 'customer_signature', 'electronic_signature', 'description', 'payment_method', 'created_at'],
+    refs: { customer_id: 'customers' }
+  },
+  income: {
+    columns: ['date', 'name', 'pcs', 'unit_price', 'total_price', 'description', 'customer_signature', 'electronic_signature', 'client_name', 'client_phone', 'seller_name', 'created_at'],
+    refs: { sale_id: 'sales', product_id: 'products', customer_id: 'customers' },
+    meta: (conn, row) => saleLineMeta(conn, 'income', row),
+    inserted: (tx, row, meta) => takeSold(tx, 'income', row, meta),
+    updated: (tx, before, row, meta) => moveEdited(tx, 'income', before, row, meta),
+    deleted: (tx, row) => restockDeleted(tx, 'income', row)
+  },
+  debts: {
+    // amount_payable_now and balance_owed follow from meta.paid_upfront (see settleDebt)
+    columns: ['receipt_number', 'date', 'name', 'pcs', 'unit_price', 'total_price', 'description', 'customer_signature', 'electronic_signature', 'client_name', 'client_phone', 'seller_name', 'created_at'],
+    refs: { sale_id: 'sales', product_id: 'products', customer_id: 'customers' },
+    meta: debtMeta,
+    async inserted(tx, row, meta) {
+      await takeSold(tx, 'debts', row, meta);
+      await settleDebt(tx, row, meta);
+    },
+    async updated(tx, before, row, meta) {
+      await moveEdited(tx, 'debts', before, row, meta);
+      await settleDebt(tx, row, meta);
+    },
+    deleted: (tx, row) => restockDeleted(tx, 'debts', row)
+  },
+  debt_installments: {
+    columns: ['installment_number', 'due_date', 'amount', 'created_at'],
+    refs: { sale_id: 'sales' },
+    required: ['sale_id']
+  },
+  debt_repayments: {
+    columns: ['payment_date', 'amount', 'receipt_number', 'seller_name', 'created_at'],
+    refs: { debt_id: 'debts', customer_payment_id: 'customer_payments' },
+    required: ['debt_id'],
+    inserted: (tx, row) => addPaid(tx, row.debt_id, parseFloat(row.amount) || 0),
+    async updated(tx, before, row) {
+      await addPaid(tx, before.debt_id, -(parseFloat(before.amount) || 0));
+      await addPaid(tx, row.debt_id, parseFloat(row.amount) || 0);
+    },
+    deleted: (tx, row) => addPaid(tx, row.debt_id, -(parseFloat(row.amount) || 0))
+  },
+  expenses: {
+    columns: ['date', 'name', 'amount', 'description', 'category', 'created_at'],
+    refs: {}
+  },
+  sale_returns: {
+    columns: ['credit_note_number', 'source_type', 'date', 'name', 'pcs', 'unit_price', 'return_value', 'refund_amount', 'debt_reduction', 'reason', 'client_name', 'client_phone', 'seller_name', 'created_at'],
+    // source_type is 'income' or 'debt' (see returns.SOURCE_TABLES)
+    refs: { source_id: (row) => (row.source_type === 'debt' ? 'debts' : 'income'), sale_id: 'sales', product_id: 'products' },
+    required: ['source_id'],
+    async inserted(tx, row) {
+      const inventoryId = await inventory.restock(tx, row.product_id, row.pcs, {
+        type: 'return',
+        reference_table: 'sale_returns',
+        reference_id: row.id,
+        date: row.date,
+        note: row.reason,
+        user: SYNC_USER
+      });
+      await tx.runAsync('UPDATE sale_returns SET inventory_id = ? WHERE id = ?', [inventoryId, row.id]);
+      if (row.source_type === 'debt') await addPaid(tx, row.source_id, -(parseFloat(row.refund_amount) || 0));
+    }
+  },
+  stock_adjustments: {
+    columns: ['date', 'quantity', 'reason', 'note', 'cost_value', 'username', 'created_at'],
+    refs: { product_id: 'products' },
+    required: ['product_id'],
+    inserted: (tx, row) => adjustments.moveStock(tx, row, SYNC_USER, { force: true })
+  }
+};
+const TABLE_ORDER = Object.keys(TABLES);
+
+function syncError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Timestamps travel as ISO strings. SQLite CURRENT_TIMESTAMP is UTC without a zone.
+function toIso(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value);
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : text.replace(' ', 'T') + 'Z');
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ISO string -> value stored in a TIMESTAMP column of this database
+function toDbTime(iso) {
+  if (!iso) return null;
+  return db.isPg ? new Date(iso) : iso.replace('T', ' ').replace('Z', '');
+}
+
+const refTable = (spec, column, row) => (typeof spec.refs[column] === 'function' ? spec.refs[column](row) : spec.refs[column]);
+
+/* ================= STATE ================= */
+
+async function getState(conn, key) {
+  const row = await conn.getAsync('SELECT value FROM sync_state WHERE key = ?', [key]);
+  return row ? row.value : null;
+}
+
+async function setState(conn, key, value) {
+  const result = await conn.runAsync('UPDATE sync_state SET value = ? WHERE key = ?', [value, key]);
+  if (!result.changes) {
+    await conn.runAsync('INSERT INTO sync_state (key, value) VALUES (?, ?)', [key, value]);
+  }
+}
+
+// This install's id, created on first use; calls made at once all get the one stored first
+async function getNodeId(conn = db) {
+  const nodeId = await getState(conn, 'node_id');
+  if (nodeId) return nodeId;
+  await conn.runAsync('INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT (key) DO NOTHING', ['node_id', crypto.randomUUID()]);
+  return getState(conn, 'node_id');
+}
+
+let _nodeCode = null;
+
+// Code of this install in its receipt numbers: SYNC_NODE_CODE, else the start of its node id
+async function nodeCode(conn = db) {
+  if (!_nodeCode) {
+    const configured = (process.env.SYNC_NODE_CODE || '').trim().toUpperCase();
+    _nodeCode = /^[A-Z0-9]{1,8}$/.test(configured) ? configured : (await getNodeId(conn)).slice(0, 4).toUpperCase();
+  }
+  return _nodeCode;
+}
+
+/**
+ * Number of a receipt made here for the record `id`, e.g. SALE-000001, or
+ * SALE-3F2A-000001 on an install that syncs (see module comment).
+ */
+async function receiptNumber(conn, prefix, id) {
+  const number = String(id).padStart(6, '0');
+  return isConfigured() ? `${prefix}-${await nodeCode(conn)}-${number}` : `${prefix}-${number}`;
+}
+
+/* ================= OUTGOING ================= */
+
+// Give every row of table that has none a uuid
+async function assignUuids(conn, table) {
+  const rows = await conn.allAsync(`SELECT id FROM ${table} WHERE uuid IS NULL`);
+  for (const row of rows) {
+    await conn.runAsync(`UPDATE ${table} SET uuid = ? WHERE id = ? AND uuid IS NULL`, [crypto.randomUUID(), row.id]);
+  }
+}
+
+// Wire format of a row: { table, uuid, updated_at, data, refs, meta }
+async function toChange(conn, table, row) {
+  const spec = TABLES[table];
+  const data = {};
+  spec.columns.forEach((column) => {
+    data[column] = column === 'created_at' ? toIso(row[column]) : row[column];
+  });
+  const refs = {};
+  for (const column of Object.keys(spec.refs)) {
+    if (row[column] === null || row[column] === undefined) continue;
+    const parent = await conn.getAsync(`SELECT uuid FROM ${refTable(spec, column, row)} WHERE id = ?`, [row[column]]);
+    refs[column] = parent ? parent.uuid : null;
+  }
+  const meta = spec.meta ? await spec.meta(conn, row) : {};
+  return { table, uuid: row.uuid, updated_at: toIso(row.updated_at), data, refs, meta };
+}
+
+/**
+ * Rows changed since they were last synced (up to `limit` per table) and
+ * unsent deletions. Each item keeps the updated_at it was read with
+ * (as text) so markSent() leaves rows edited in the meantime pending.
+ * A table with more pending rows than `limit` ends the batch, so parents
+ * are all sent before their children. `after` ({ table: id }, updated in
+ * place) carries on from the previous batch, past rows left pending.
+ */
+async function collectPending(conn, limit = BATCH_SIZE, after = {}) {
+  const changes = [];
+  let full = false;
+  for (const table of TABLE_ORDER) {
+    await assignUuids(conn, table);
+    const rows = await conn.allAsync(
+      `SELECT *, CAST(updated_at AS TEXT) AS updated_at_text FROM ${table}
+       WHERE (synced_at IS NULL OR updated_at > synced_at) AND id > ?
+       ORDER BY id LIMIT ${limit}`,
+      [after[table] || 0]
+    );
+    for (const row of rows) {
+      const change = await toChange(conn, table, row);
+      change.updatedAtText = row.updated_at_text;
+      changes.push(change);
+    }
+    if (rows.length) after[table] = rows[rows.length - 1].id;
+    if (rows.length >= limit) {
+      full = true;
+      break;
+    }
+  }
+  const tombstones = await conn.allAsync(
+    `SELECT id, table_name, uuid, deleted_at FROM sync_tombstones WHERE synced_at IS NULL AND id > ? ORDER BY id LIMIT ${limit}`,
+    [after.sync_tombstones || 0]
+  );
+  if (tombstones.length) after.sync_tombstones = tombstones[tombstones.length - 1].id;
+  const deletions = tombstones.map((t) => ({ id: t.id, table: t.table_name, uuid: t.uuid, deleted_at: toIso(t.deleted_at) }));
+  return { changes, deletions, full: full || deletions.length >= limit };
+}
+
+async function markSent(conn, { changes, deletions }) {
+  for (const change of changes) {
+    await conn.runAsync(
+      `UPDATE ${change.table} SET synced_at = updated_at WHERE uuid = ? AND CAST(updated_at AS TEXT) = ?`,
+      [change.uuid, change.updatedAtText]
+    );
+  }
+  for (const deletion of deletions) {
+    await conn.runAsync('UPDATE sync_tombstones SET synced_at = CURRENT_TIMESTAMP WHERE id = ?', [deletion.id]);
+  }
+}
+
+/**
+ * Keep a tombstone for a deleted synced row (rows never sent have no uuid
+ * and need none). Call inside the deleting transaction where there is one.
+ */
+async function recordDeletion(conn, table, row) {
+  if (!TABLES[table] || !row || !row.uuid) return;
+  const existing = await conn.getAsync('SELECT id FROM sync_tombstones WHERE table_name = ? AND uuid = ?', [table, row.uuid]);
+  if (!existing) {
+    await conn.runAsync('INSERT INTO sync_tombstones (table_name, uuid) VALUES (?, ?)', [table, row.uuid]);
+  }
+}
+
+// Fire-and-forget recordDeletion() for routes that delete outside a transaction
+function logDeletion(table, row) {
+  recordDeletion(db, table, row).catch((err) => {
+    console.error(`[sync] Failed to record deletion on ${table} #${row && row.id}:`, err.message);
+  });
+}
+
+/* ================= INCOMING ================= */
+
+/**
+ * Apply a change made elsewhere. Resolves to
+ *   'applied' | 'stale' (ours is as new or newer)
+ *   | 'deleted' (tombstoned here, or a required parent is)
+ *   | 'skipped' (a parent it refers to has not arrived yet: send it again)
+ * A ref to a parent deleted here is cleared when the row can do without it.
+ */
+async function applyChange(tx, change) {
+  const spec = TABLES[change && change.table];
+  if (!spec || !change.uuid || !change.updated_at || !change.data) {
+    throw syncError(400, 'Invalid change: table, uuid, updated_at and data are required');
+  }
+  const { table, uuid } = change;
+
+  const tombstone = await tx.getAsync('SELECT id FROM sync_tombstones WHERE table_name = ? AND uuid = ?', [table, uuid]);
+  if (tombstone) return 'deleted';
+
+  const before = await tx.getAsync(`SELECT * FROM ${table} WHERE uuid = ? FOR UPDATE`, [uuid]);
+  if (before && toIso(before.updated_at) >= toIso(change.updated_at)) return 'stale';
+
+  const values = {};
+  spec.columns.forEach((column) => {
+    const value = change.data[column] === undefined ? null : change.data[column];
+    values[column] = column === 'created_at' ? toDbTime(toIso(value)) : value;
+  });
+  for (const column of Object.keys(spec.refs)) {
+    const parentUuid = change.refs && change.refs[column];
+    const required = (spec.required || []).includes(column);
+    values[column] = null;
+    if (!parentUuid) {
+      if (required) return 'skipped';
+      continue;
+    }
+    const parentTable = refTable(spec, column, change.data);
+    const parent = await tx.getAsync(`SELECT id FROM ${parentTable} WHERE uuid = ?`, [parentUuid]);
+    if (parent) {
+      values[column] = parent.id;
+      continue;
+    }
+    const parentDeleted = await tx.getAsync('SELECT id FROM sync_tombstones WHERE table_name = ? AND uuid = ?', [parentTable, parentUuid]);
+    if (!parentDeleted) return 'skipped';
+    if (required) return 'deleted';
+  }
+  const updatedAt = toDbTime(toIso(change.updated_at));
+  const columns = Object.keys(values);
+
+  let id;
+  if (before) {
+    id = before.id;
+    await tx.runAsync(
+      `UPDATE ${table} SET ${columns.map((c) => `${c} = ?`).join(', ')}, updated_at = ?, synced_at = ? WHERE id = ?`,
+      [...columns.map((c) => values[c]), updatedAt, updatedAt, id]
+    );
+  } else {
+    const result = await tx.runAsync(
+      `INSERT INTO ${table} (uuid, ${columns.join(', ')}, updated_at, synced_at) VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?)`,
+      [uuid, ...columns.map((c) => values[c]), updatedAt, updatedAt]
+    );
+    id = result.lastID;
+  }
+
+  const row = await tx.getAsync(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!before && spec.inserted) await spec.inserted(tx, row, change.meta || {});
+  if (before && spec.updated) await spec.updated(tx, before, row, change.meta || {});
+  return 'applied';
+}
+
+// Apply a deletion made elsewhere: keep its tombstone (already sent) and remove the row
+async function applyDeletion(tx, deletion) {
+  const spec = TABLES[deletion && deletion.table];
+  if (!spec || !deletion.uuid) throw syncError(400, 'Invalid deletion: table and uuid are required');
+  const { table, uuid } = deletion;
+
+  const existing = await tx.getAsync('SELECT id FROM sync_tombstones WHERE table_name = ? AND uuid = ?', [table, uuid]);
+  if (!existing) {
+    await tx.runAsync(
+      'INSERT INTO sync_tombstones (table_name, uuid, deleted_at, synced_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+      [table, uuid, toDbTime(toIso(deletion.deleted_at) || new Date().toISOString())]
+    );
+  }
+  const row = await tx.getAsync(`SELECT * FROM ${table} WHERE uuid = ? FOR UPDATE`, [uuid]);
+  if (!row) return 'stale';
+  await tx.runAsync(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+  if (spec.deleted) await spec.deleted(tx, row);
+  return 'applied';
+}
+
+const byTableOrder = (a, b) => TABLE_ORDER.indexOf(a.table) - TABLE_ORDER.indexOf(b.table);
+
+/* ================= CENTRAL SERVER ================= */
+
+/**
+ * Installs pull from the last sync_log id they saw, so entries must commit in
+ * id order: one transaction appends at a time, holding the lock until commit
+ * (SQLite write transactions are serialized already).
+ */
+async function lockLog(tx) {
+  if (db.isPg) await tx.runAsync('LOCK TABLE sync_log IN EXCLUSIVE MODE');
+}
+
+async function appendLog(tx, table, uuid, origin, deleted) {
+  await tx.runAsync(
+    'INSERT INTO sync_log (table_name, uuid, origin, deleted) VALUES (?, ?, ?, ?)',
+    [table, uuid, origin, deleted ? 1 : 0]
+  );
+}
+
+// Put changes made directly on the central server into sync_log, so installs pull them too
+async function logLocalChanges() {
+  const nodeId = await getNodeId();
+  let pending;
+  do {
+    pending = await db.transaction(async (tx) => {
+      await lockLog(tx);
+      const batch = await collectPending(tx);
+      for (const change of batch.changes) await appendLog(tx, change.table, change.uuid, nodeId, false);
+      for (const deletion of batch.deletions) await appendLog(tx, deletion.table, deletion.uuid, nodeId, true);
+      await markSent(tx, batch);
+      return batch;
+    });
+  } while (pending.full);
+}
+
+/**
+ * Accept a push from an install. Everything is applied in one transaction.
+ * A change that loses to a newer version here is logged again, so the
+ * install pulls the winning version back.
+ * Resolves to counts per outcome, { applied, stale, deleted, skipped },
+ * and the outcome of each change: results: [{ table, uuid, outcome }].
+ */
+async function receive(nodeId, { changes = [], deletions = [] } = {}) {
+  if (!nodeId) throw syncError(400, 'nodeId is required');
+  if (!Array.isArray(changes) || !Array.isArray(deletions)) throw syncError(400, 'changes and deletions must be arrays');
+  const centralId = await getNodeId();
+  const counts = { applied: 0, stale: 0, deleted: 0, skipped: 0 };
+  const results = [];
+
+  await db.transaction(async (tx) => {
+    await lockLog(tx);
+    for (const change of changes.slice().sort(byTableOrder)) {
+      const outcome = await applyChange(tx, change);
+      counts[outcome]++;
+      results.push({ table: change.table, uuid: change.uuid, outcome });
+      if (outcome === 'applied') await appendLog(tx, change.table, change.uuid, nodeId, false);
+      if (outcome === 'stale') await appendLog(tx, change.table, change.uuid, centralId, false);
+    }
+    for (const deletion of deletions) {
+      const outcome = await applyDeletion(tx, deletion);
+      counts.deleted++;
+      if (outcome === 'applied' || outcome === 'stale') await appendLog(tx, deletion.table, deletion.uuid, nodeId, true);
+    }
+  });
+  return { ...counts, results };
+}
+
+/**
+ * Changes logged after cursor `since`, leaving out those that came from
+ * nodeId itself. Resolves to { changes, deletions, cursor, hasMore }.
+ */
+async function changesSince(nodeId, since, limit = BATCH_SIZE) {
+  await logLocalChanges();
+  const entries = await db.allAsync(
+    `SELECT * FROM sync_log WHERE id > ? ORDER BY id LIMIT ${limit}`,
+    [parseInt(since, 10) || 0]
+  );
+
+  // Latest entry per record; the row is read as it is now
+  const latest = {};
+  entries.forEach((entry) => { latest[`${entry.table_name}:${entry.uuid}`] = entry; });
+  const changes = [];
+  const deletions = [];
+  for (const entry of Object.values(latest)) {
+    if (entry.origin === nodeId || !TABLES[entry.table_name]) continue;
+    const tombstone = await db.getAsync(
+      'SELECT deleted_at FROM sync_tombstones WHERE table_name = ? AND uuid = ?',
+      [entry.table_name, entry.uuid]
+    );
+    if (tombstone) {
+      deletions.push({ table: entry.table_name, uuid: entry.uuid, deleted_at: toIso(tombstone.deleted_at) });
+      continue;
+    }
+    const row = await db.getAsync(`SELECT * FROM ${entry.table_name} WHERE uuid = ?`, [entry.uuid]);
+    if (row) changes.push(await toChange(db, entry.table_name, row));
+  }
+
+  return {
+    changes: changes.sort(byTableOrder),
+    deletions,
+    cursor: entries.length ? entries[entries.length - 1].id : parseInt(since, 10) || 0,
+    hasMore: entries.length === limit
+  };
+}
+
+/* ================= INSTALL (CLIENT) ================= */
+
+let _token = null;
+let _timer = null;
+let _running = null;
+
+function isConfigured() {
+  return !!SERVER_URL;
+}
+
+async function callServer(method, pathname, body, retry = true) {
+  if (!_token && pathname !== '/api/users/login') {
+    const login = await callServer('POST', '/api/users/login', {
+      username: process.env.SYNC_USERNAME,
+      password: process.env.SYNC_PASSWORD
+    }, false);
+    _token = login.token;
+  }
+  const response = await fetch(SERVER_URL + pathname, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(_token ? { Authorization: `Bearer ${_token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401 && retry && _token) {
+    _token = null;
+    return callServer(method, pathname, body, false);
+  }
+  if (!response.ok || data.success === false) {
+    throw new Error(data.message || `Sync server responded with ${response.status}`);
+  }
+  return data;
+}
+
+// Outcomes of a pushed change that need no resend (see applyChange)
+const SENT_OUTCOMES = ['applied', 'stale', 'deleted'];
+
+// Send pending changes; those the server skipped stay pending for the next run
+async function push(nodeId) {
+  const totals = { sent: 0, deleted: 0, skipped: 0 };
+  const after = {};
+  let batch;
+  do {
+    batch = await collectPending(db, BATCH_SIZE, after);
+    if (!batch.changes.length && !batch.deletions.length) break;
+    const result = await callServer('POST', '/api/sync/push', {
+      nodeId,
+      changes: batch.changes.map(({ updatedAtText, ...change }) => change),
+      deletions: batch.deletions.map(({ id, ...deletion }) => deletion)
+    });
+    const done = new Set((result.results || [])
+      .filter((r) => SENT_OUTCOMES.includes(r.outcome))
+      .map((r) => `${r.table}:${r.uuid}`));
+    const sent = batch.changes.filter((change) => done.has(`${change.table}:${change.uuid}`));
+    await markSent(db, { changes: sent, deletions: batch.deletions });
+    totals.sent += sent.length;
+    totals.skipped += batch.changes.length - sent.length;
+    totals.deleted += batch.deletions.length;
+  } while (batch.full);
+  return totals;
+}
+
+async function pull(nodeId) {
+  const totals = { received: 0, deleted: 0 };
+  let page;
+  do {
+    const since = (await getState(db, 'pull_cursor')) || '0';
+    page = await callServer('GET', `/api/sync/pull?nodeId=${encodeURIComponent(nodeId)}&since=${encodeURIComponent(since)}`);
+    await db.transaction(async (tx) => {
+      for (const change of page.changes) {
+        if (await applyChange(tx, change) === 'applied') totals.received++;
+      }
+      for (const deletion of page.deletions) {
+        if (await applyDeletion(tx, deletion) === 'applied') totals.deleted++;
+      }
+      await setState(tx, 'pull_cursor', String(page.cursor));
+    });
+  } while (page.hasMore);
+  return totals;
+}
+
+/**
+ * Push pending changes to SYNC_SERVER_URL, then pull everything new.
+ * Runs one at a time; a call while a run is in progress shares its result.
+ * Resolves to { pushed, pulled, finishedAt }.
+ */
+function run() {
+  if (!isConfigured()) return Promise.reject(syncError(400, 'Sync is not configured (SYNC_SERVER_URL is not set)'));
+  if (_running) return _running;
+  _running = (async () => {
+    try {
+      const nodeId = await getNodeId();
+      const pushed = await push(nodeId);
+      const pulled = await pull(nodeId);
+      const finishedAt = new Date().toISOString();
+      await setState(db, 'last_sync_at', finishedAt);
+      await setState(db, 'last_error', '');
+      return { pushed, pulled, finishedAt };
+    } catch (err) {
+      await setState(db, 'last_error', err.message).catch(() => {});
+      throw err;
+    } finally {
+      _running = null;
+    }
+  })();
+  return _running;
+}
+
+// Sync every SYNC_INTERVAL_MS while the server runs (no-op unless configured)
+function startSchedule() {
+  if (!isConfigured() || _timer) return;
+  const tick = () => {
+    run()
+      .then((result) => {
+        const { pushed, pulled } = result;
+        if (pushed.sent || pushed.deleted || pulled.received || pulled.deleted) {
+          console.log(`[sync] Pushed ${pushed.sent} change(s), ${pushed.deleted} deletion(s); pulled ${pulled.received} change(s), ${pulled.deleted} deletion(s)`);
+        }
+        if (pushed.skipped) {
+          console.log(`[sync] ${pushed.skipped} change(s) left pending until their parent records reach the server`);
+        }
+      })
+      .catch((err) => console.error('[sync] Sync failed:', err.message));
+  };
+  _timer = setInterval(tick, INTERVAL_MS);
+  tick();
+}
+
+// What the sync page shows: node id, server, last run and what is waiting to be sent
+async function status() {
+  const pending = {};
+  for (const table of TABLE_ORDER) {
+    const row = await db.getAsync(`SELECT COUNT(*) AS count FROM ${table} WHERE synced_at IS NULL OR updated_at > synced_at`);
+    pending[table] = parseInt(row.count, 10) || 0;
+  }
+  const deletions = await db.getAsync('SELECT COUNT(*) AS count FROM sync_tombstones WHERE synced_at IS NULL');
+  pending.deletions = parseInt(deletions.count, 10) || 0;
+  return {
+    nodeId: await getNodeId(),
+    serverUrl: SERVER_URL || null,
+    running: !!_running,
+    lastSyncAt: await getState(db, 'last_sync_at'),
+    lastError: (await getState(db, 'last_error')) || null,
+    pullCursor: parseInt(await getState(db, 'pull_cursor'), 10) || 0,
+    pending
+  };
+}
+
+module.exports = {
+  TABLES,
+  getNodeId,
+  receiptNumber,
+  recordDeletion,
+  logDeletion,
+  applyChange,
+  applyDeletion,
+  receive,
+  changesSince,
+  isConfigured,
+  run,
+  startSchedule,
+  status
+};